@@ -62,7 +62,7 @@ async function fetchWithRetry(url, options = {}, retries = RETRY_CONFIG.maxRetri
 
   async loadSession() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(['ats_session'], (result) => {
+      EncryptedStorage.get(['ats_session']).then((result) => {
         this.session = result.ats_session || null;
         resolve();
       });
@@ -167,7 +167,7 @@ async function fetchWithRetry(url, options = {}, retries = RETRY_CONFIG.maxRetri
     }
 
     // Get candidate info from session
-    chrome.storage.local.get(['ats_session'], async (result) => {
+    EncryptedStorage.get(['ats_session']).then(async (result) => {
       let candidateName = '';
       let email = '';
       let phone = '';
@@ -686,8 +686,8 @@
     try {
       // PARALLEL: Get session + profile from cache simultaneously
       const [session, cachedProfile] = await Promise.all([
-        new Promise(resolve => chrome.storage.local.get(['ats_session'], r => resolve(r.ats_session))),
-        new Promise(resolve => chrome.storage.local.get(['ats_cached_profile'], r => resolve(r.ats_cached_profile)))
+        EncryptedStorage.get(['ats_session']).then(r => r.ats_session),
+        EncryptedStorage.get(['ats_cached_profile']).then(r => r.ats_cached_profile)
       ]);
 
       if (!session?.access_token || !session?.user?.id) {
@@ -713,7 +713,7 @@
           const rows = await profileRes.json();
           p = rows?.[0] || {};
           // Cache profile for instant future loads
-          chrome.storage.local.set({ ats_cached_profile: p });
+          EncryptedStorage.set({ ats_cached_profile: p });
         } else {
           throw new Error('Could not load profile');
         }
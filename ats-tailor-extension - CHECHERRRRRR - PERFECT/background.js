@@ -3,6 +3,11 @@
 
 console.log('[ATS Tailor] Background service worker started');
 
+importScripts('encrypted-storage.js');
+
+// Session, profile, base CV and Workday credentials are kept encrypted; move any plaintext copies
+EncryptedStorage.migratePlaintext().catch(e => console.error('[ATS Tailor] Plaintext migration failed', e));
+
 // Bulk CSV queue state
 let bulkQueue = [];
 let currentBulkTabId = null;
@@ -12,10 +17,8 @@ let bulkProgress = { completed: 0, total: 0, currentJob: '', isPaused: false, is
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     console.log('[ATS Tailor] Extension installed - setting defaults');
+    // Workday credentials are entered in the popup
     chrome.storage.local.set({
-      workday_email: 'Maxokafordev@gmail.com',
-      workday_password: 'May19315park@',
-      workday_verify_password: 'May19315park@',
       workday_auto_enabled: true
     });
   } else if (details.reason === 'update') {
@@ -152,7 +155,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   // Handle Workday credentials update
   if (message.action === 'UPDATE_WORKDAY_CREDENTIALS') {
-    chrome.storage.local.set({
+    EncryptedStorage.set({
       workday_email: message.email,
       workday_password: message.password,
       workday_verify_password: message.verifyPassword || message.password
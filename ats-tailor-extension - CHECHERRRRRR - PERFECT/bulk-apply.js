@@ -29,7 +29,7 @@ class BulkApplier {
 
   async loadSession() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(['ats_session'], (result) => {
+      EncryptedStorage.get(['ats_session']).then((result) => {
         this.session = result.ats_session || null;
         resolve();
       });
@@ -134,7 +134,7 @@ class BulkApplier {
     }
 
     // Get candidate info from session
-    chrome.storage.local.get(['ats_session'], async (result) => {
+    EncryptedStorage.get(['ats_session']).then(async (result) => {
       let candidateName = '';
       let email = '';
       let phone = '';
@@ -314,7 +314,7 @@
       createStatusBanner();
       updateBanner('Extracting JD keywords...', 'working');
       
-      chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV'], async (data) => {
+      EncryptedStorage.get(['ats_session', 'ats_profile', 'ats_baseCV']).then(async (data) => {
         try {
           const session = data.ats_session;
           const baseCV = data.ats_baseCV || '';
@@ -826,9 +826,7 @@
           console.log(`[ATS Workday TOP1] 📦 Recovered snapshot: ${snapshot.keywords.total} keywords from "${snapshot.title}"`);
           
           // Load user profile and base CV
-          const data = await new Promise(resolve => {
-            chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV'], resolve);
-          });
+          const data = await EncryptedStorage.get(['ats_session', 'ats_profile', 'ats_baseCV']);
           
           if (data.ats_session && data.ats_baseCV) {
             const profile = data.ats_profile || {};
@@ -1712,9 +1710,7 @@
 
     try {
       // Get session
-      const session = await new Promise(resolve => {
-        chrome.storage.local.get(['ats_session'], result => resolve(result.ats_session));
-      });
+      const session = (await EncryptedStorage.get(['ats_session'])).ats_session;
 
       if (!session?.access_token || !session?.user?.id) {
         updateBanner('Please login via extension popup first', 'error');
@@ -2166,9 +2162,7 @@
     
     try {
       // Get session and profile
-      const data = await new Promise(resolve => {
-        chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV'], resolve);
-      });
+      const data = await EncryptedStorage.get(['ats_session', 'ats_profile', 'ats_baseCV']);
       
       const session = data.ats_session;
       const profile = data.ats_profile || {};
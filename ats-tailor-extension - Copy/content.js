@@ -516,9 +516,7 @@
 
     try {
       // Get session
-      const session = await new Promise(resolve => {
-        chrome.storage.local.get(['ats_session'], result => resolve(result.ats_session));
-      });
+      const session = (await EncryptedStorage.get(['ats_session'])).ats_session;
 
       if (!session?.access_token || !session?.user?.id) {
         updateBanner('Please login via extension popup first', 'error');
@@ -70,6 +70,8 @@ class ATSTailor {
   }
 
   async init() {
+    // Encrypt any session/credentials an earlier version stored in plaintext
+    await EncryptedStorage.migratePlaintext().catch(e => console.error('[ATS Tailor] Plaintext migration failed', e));
     await this.loadSession();
     this.bindEvents();
     this.updateUI();
@@ -106,7 +108,7 @@ class ATSTailor {
       if (!refreshRes.ok) {
         console.warn('[ATS Tailor] refresh failed; clearing session');
         this.session = null;
-        await chrome.storage.local.remove(['ats_session']);
+        await EncryptedStorage.remove(['ats_session']);
         this.updateUI();
         return;
       }
@@ -125,8 +127,9 @@ class ATSTailor {
 
   async loadSession() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(
-        ['ats_session', 'ats_stats', 'ats_todayDate', 'ats_autoTailorEnabled', 'ats_lastGeneratedDocuments', 'ats_lastJob', 'ats_defaultLocation'],
+      EncryptedStorage.get(
+        ['ats_session', 'ats_stats', 'ats_todayDate', 'ats_autoTailorEnabled', 'ats_lastGeneratedDocuments', 'ats_lastJob', 'ats_defaultLocation']
+      ).then(
         (result) => {
           this.session = result.ats_session || null;
           this.autoTailorEnabled = typeof result.ats_autoTailorEnabled === 'boolean' ? result.ats_autoTailorEnabled : true;
@@ -157,7 +160,7 @@ class ATSTailor {
   }
 
   async saveSession() {
-    await chrome.storage.local.set({ ats_session: this.session });
+    await EncryptedStorage.set({ ats_session: this.session });
   }
 
   async saveStats() {
@@ -211,6 +214,9 @@ class ATSTailor {
       this.showToast(enabled ? 'Workday automation enabled' : 'Workday automation disabled', 'success');
     });
     document.getElementById('saveWorkdayCreds')?.addEventListener('click', () => this.saveWorkdayCredentials());
+    document.getElementById('storageAudit')?.addEventListener('toggle', (e) => {
+      if (e.target.open) this.loadStorageAudit();
+    });
     
     // Default location setting for Remote jobs
     document.getElementById('saveLocationBtn')?.addEventListener('click', () => this.saveDefaultLocation());
@@ -404,9 +410,7 @@ class ATSTailor {
   }
 
   async loadWorkdaySettings() {
-    const result = await new Promise(resolve => {
-      chrome.storage.local.get(['workday_email', 'workday_password', 'workday_verify_password', 'workday_auto_enabled'], resolve);
-    });
+    const result = await EncryptedStorage.get(['workday_email', 'workday_password', 'workday_verify_password', 'workday_auto_enabled']);
     
     const emailInput = document.getElementById('workdayEmail');
     const passwordInput = document.getElementById('workdayPassword');
@@ -421,7 +425,7 @@ class ATSTailor {
     if (emailDisplay && result.workday_email) emailDisplay.textContent = result.workday_email;
   }
 
-  saveWorkdayCredentials() {
+  async saveWorkdayCredentials() {
     const email = document.getElementById('workdayEmail')?.value;
     const password = document.getElementById('workdayPassword')?.value;
     const verifyPassword = document.getElementById('workdayVerifyPassword')?.value;
@@ -434,20 +438,40 @@ class ATSTailor {
     const emailDisplay = document.getElementById('workdayEmailDisplay');
     if (emailDisplay) emailDisplay.textContent = email;
     
-    chrome.runtime.sendMessage({
-      action: 'UPDATE_WORKDAY_CREDENTIALS',
-      email: email,
-      password: password,
-      verifyPassword: verifyPassword || password
-    });
-    
-    chrome.storage.local.set({
+    await EncryptedStorage.set({
       workday_email: email,
       workday_password: password,
       workday_verify_password: verifyPassword || password
     });
     
-    this.showToast('Workday credentials saved!', 'success');
+    this.showToast('Workday credentials saved (encrypted)!', 'success');
+  }
+
+  // List every stored key, where it lives and whether it's encrypted
+  async loadStorageAudit() {
+    const summaryEl = document.getElementById('storageAuditSummary');
+    const listEl = document.getElementById('storageAuditList');
+    if (!summaryEl || !listEl) return;
+
+    const labels = { encrypted: '🔒 Encrypted', 'key material': '🔑 Key material', exposed: '⚠️ Plaintext', plaintext: 'Plain' };
+    try {
+      const entries = await EncryptedStorage.audit();
+      const encrypted = entries.filter(entry => entry.protection === 'encrypted').length;
+      const exposed = entries.filter(entry => entry.protection === 'exposed').length;
+      summaryEl.textContent = `${entries.length} item(s) stored, ${encrypted} encrypted.` +
+        (exposed ? ` ${exposed} sensitive item(s) still in plaintext - reopen the popup to encrypt them.` : '');
+
+      listEl.innerHTML = entries.map(entry => `
+        <div class="audit-row">
+          <span class="audit-key">${this.escapeHtml(entry.key)}</span>
+          <span class="audit-area">${this.escapeHtml(entry.area)} · ${entry.bytes} B</span>
+          <span class="audit-badge ${entry.protection.replace(' ', '-')}">${labels[entry.protection]}</span>
+        </div>
+      `).join('');
+    } catch (e) {
+      summaryEl.textContent = `Audit failed: ${e.message}`;
+      listEl.innerHTML = '';
+    }
   }
   
   // Load default location settings
@@ -1004,7 +1028,7 @@ class ATSTailor {
 
   async logout() {
     this.session = null;
-    await chrome.storage.local.remove(['ats_session']);
+    await EncryptedStorage.remove(['ats_session']);
     this.showToast('Logged out', 'success');
     this.updateUI();
   }
@@ -554,9 +554,7 @@
     }
     
     // Get session
-    const session = await new Promise(resolve => {
-      chrome.storage.local.get(['ats_session'], resolve);
-    });
+    const session = await EncryptedStorage.get(['ats_session']);
     
     if (!session.ats_session?.access_token) {
       console.log('[ATS Tailor] No session, cannot auto-trigger');
@@ -618,9 +616,7 @@
     updateBanner('Generating tailored CV & Cover Letter...', 'working');
 
     try {
-      const session = await new Promise(resolve => {
-        chrome.storage.local.get(['ats_session'], result => resolve(result.ats_session));
-      });
+      const session = (await EncryptedStorage.get(['ats_session'])).ats_session;
 
       if (!session?.access_token || !session?.user?.id) {
         updateBanner('Please login via extension popup first', 'error');
@@ -631,7 +627,7 @@
 
       updateBanner('Loading your profile...', 'working');
       const profileRes = await fetch(
-        `${SUPABASE_URL}/rest/v1/profiles?user_id=eq.${session.user.id}&select=first_name,last_name,email,phone,linkedin,github,portfolio,cover_letter,work_experience,education,skills,certifications,achievements,ats_strategy,city,country,address,state,zip_code`,
+        `${SUPABASE_URL}/rest/v1/profiles?user_id=eq.${session.user.id}&select=first_name,last_name,email,phone,linkedin,github,portfolio,cover_letter,work_experience,education,skills,certifications,verified_skills,achievements,ats_strategy,city,country,address,state,zip_code`,
         {
           headers: {
             apikey: SUPABASE_ANON_KEY,
@@ -647,6 +643,11 @@
       const profileRows = await profileRes.json();
       const p = profileRows?.[0] || {};
 
+      // Verified-skills inventory consulted by the turbo pipeline's truthfulness guard
+      if (typeof TruthfulnessGuard !== 'undefined') {
+        TruthfulnessGuard.setInventory(TruthfulnessGuard.buildInventory(p));
+      }
+
       const jobInfo = extractJobInfo();
       if (!jobInfo.title) {
         updateBanner('Could not detect job info, please use popup', 'error');
@@ -706,13 +707,23 @@
       if (result.error) throw new Error(result.error);
 
       console.log('[ATS Tailor] Tailoring complete! Match score:', result.matchScore);
+
+      // TRUTHFULNESS GUARD: claims the CV adds beyond the profile need approval in the popup
+      // before the CV PDF is stored or attached; the cover letter goes ahead
+      const claimItems = (typeof TruthfulnessGuard !== 'undefined' && result.tailoredResume)
+        ? TruthfulnessGuard.diffClaims(TruthfulnessGuard.buildProfileText(p), result.tailoredResume, {
+            keywords: localKeywords.all || []
+          })
+        : [];
+      const awaitingApproval = claimItems.length > 0;
+
       updateBanner(`✅ Generated! Match: ${result.matchScore}% - Attaching files...`, 'success');
 
       const fallbackName = `${(p.first_name || '').trim()}_${(p.last_name || '').trim()}`.replace(/\s+/g, '_') || 'Applicant';
 
       await new Promise(resolve => {
         chrome.storage.local.set({
-          cvPDF: result.resumePdf,
+          cvPDF: awaitingApproval ? null : result.resumePdf,
           coverPDF: result.coverLetterPdf,
           coverLetterText: result.tailoredCoverLetter || result.coverLetter || '',
           cvFileName: result.cvFileName || `${fallbackName}_CV.pdf`,
@@ -720,24 +731,33 @@
           ats_lastGeneratedDocuments: {
             cv: result.tailoredResume,
             coverLetter: result.tailoredCoverLetter || result.coverLetter,
-            cvPdf: result.resumePdf,
+            cvPdf: awaitingApproval ? null : result.resumePdf,
             coverPdf: result.coverLetterPdf,
             cvFileName: result.cvFileName || `${fallbackName}_CV.pdf`,
             coverFileName: result.coverLetterFileName || `${fallbackName}_Cover_Letter.pdf`,
             matchScore: result.matchScore || 0,
+            keywords: localKeywords,
+            claims: { items: claimItems, approved: !awaitingApproval, removed: [] },
           },
           ats_extracted_keywords: localKeywords,
         }, resolve);
       });
 
-      cached[currentJobUrl] = Date.now();
-      await new Promise(resolve => {
-        chrome.storage.local.set({ ats_tailored_urls: cached }, resolve);
-      });
+      // Pending approval: leave the URL uncached so the next visit re-checks
+      if (!awaitingApproval) {
+        cached[currentJobUrl] = Date.now();
+        await new Promise(resolve => {
+          chrome.storage.local.set({ ats_tailored_urls: cached }, resolve);
+        });
+      }
 
       loadFilesAndStart();
 
-      updateBanner(`✅ Done! Match: ${result.matchScore}% - Files attached!`, 'success');
+      if (awaitingApproval) {
+        updateBanner(`Review ${claimItems.length} added claim${claimItems.length === 1 ? '' : 's'} in the extension popup before your CV is attached`, 'error');
+      } else {
+        updateBanner(`✅ Done! Match: ${result.matchScore}% - Files attached!`, 'success');
+      }
 
     } catch (error) {
       console.error('[ATS Tailor] Auto-tailor error:', error);
@@ -747,10 +767,16 @@
     }
   }
 
+  function cvAwaitingApproval(documents) {
+    return typeof TruthfulnessGuard !== 'undefined' && TruthfulnessGuard.isAwaitingApproval(documents?.claims);
+  }
+
   // ============ LOAD FILES AND START (4.0 TURBO TIMING) ==========
   function loadFilesAndStart() {
-    chrome.storage.local.get(['cvPDF', 'coverPDF', 'coverLetterText', 'cvFileName', 'coverFileName'], (data) => {
-      cvFile = createPDFFile(data.cvPDF, data.cvFileName || 'Tailored_Resume.pdf');
+    chrome.storage.local.get(['cvPDF', 'coverPDF', 'coverLetterText', 'cvFileName', 'coverFileName', 'ats_lastGeneratedDocuments'], (data) => {
+      // No CV until the claims it adds are approved in the popup
+      const cvHeld = cvAwaitingApproval(data.ats_lastGeneratedDocuments);
+      cvFile = cvHeld ? null : createPDFFile(data.cvPDF, data.cvFileName || 'Tailored_Resume.pdf');
       coverFile = createPDFFile(data.coverPDF, data.coverFileName || 'Tailored_Cover_Letter.pdf');
       coverLetterText = data.coverLetterText || '';
       filesLoaded = true;
@@ -780,6 +806,14 @@
             return;
           }
 
+          if (type === 'cv') {
+            const { ats_lastGeneratedDocuments: documents } = await chrome.storage.local.get(['ats_lastGeneratedDocuments']);
+            if (cvAwaitingApproval(documents)) {
+              sendResponse({ success: false, message: 'Review the added claims in the popup before attaching the CV' });
+              return;
+            }
+          }
+
           let file = null;
           if (pdf) {
             file = createPDFFile(pdf, filename);
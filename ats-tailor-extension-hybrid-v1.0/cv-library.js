@@ -0,0 +1,151 @@
+// cv-library.js - Base resume library and per-job base CV selection
+// Ranks the user's base CVs (cvs table) by how many JD keywords each already covers, with tags
+// found in the job breaking near-ties, so tailoring starts from the closest base.
+// Scoring matches supabase/functions/tailor-application/cv-library.ts; an override the user
+// picks in the popup is remembered per job URL.
+
+(function(global) {
+  'use strict';
+
+  // Points per tag found in the job title or description, capped so tags only decide near-ties
+  const TAG_WEIGHT = 5;
+  const MAX_TAG_BONUS = 15;
+  const OVERRIDE_STORAGE_KEY = 'ats_baseCvOverrides';
+  const MAX_OVERRIDES = 100;
+
+  function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function contains(text, term) {
+    const needle = String(term || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!needle) return false;
+    return new RegExp(`(^|[^a-z0-9+#])${escapeRegex(needle)}(?![a-z0-9+#])`, 'i').test(text);
+  }
+
+  const nameOf = (item) => (typeof item === 'string' ? item : item?.name || item?.title || '');
+  const listOf = (value) => (Array.isArray(value) ? value : []);
+
+  /**
+   * Text a base CV is scored on: its stored content, or a plain-text rendering of its parse-cv data
+   */
+  function cvToText(cv) {
+    if (cv?.content?.trim()) return cv.content;
+    const data = cv?.parsed_data || {};
+    const lines = [];
+    listOf(data.work_experience).forEach(exp => {
+      lines.push([exp.title, exp.company].filter(Boolean).join(' - '));
+      if (exp.description) lines.push(exp.description);
+    });
+    const skills = listOf(data.skills).map(nameOf).filter(Boolean);
+    if (skills.length) lines.push(skills.join(', '));
+    listOf(data.education).forEach(edu => lines.push([edu.degree, edu.field, edu.institution].filter(Boolean).join(', ')));
+    lines.push(...listOf(data.certifications).map(nameOf).filter(Boolean));
+    return lines.join('\n');
+  }
+
+  function scoreBaseCV(cv, keywords, jobText) {
+    const text = cvToText(cv);
+    const matched = keywords.filter(keyword => contains(text, keyword));
+    const tagHits = listOf(cv.tags).filter(tag => contains(jobText, tag));
+    const coverage = keywords.length > 0 ? Math.round((matched.length / keywords.length) * 100) : 0;
+    return {
+      cv,
+      coverage,
+      matched,
+      tagHits,
+      score: coverage + Math.min(MAX_TAG_BONUS, tagHits.length * TAG_WEIGHT)
+    };
+  }
+
+  /**
+   * Base CVs ranked for a job: score, then the user's default, then the most recently updated
+   * @param {Array<Object>} cvs - cvs rows
+   * @param {Array<string>} keywords - JD keywords (e.g. keywords.all)
+   * @param {string} jobText - job title and description, searched for tags
+   */
+  function rankBaseCVs(cvs, keywords, jobText) {
+    const unique = [...new Set(listOf(keywords).map(k => String(k).toLowerCase().trim()).filter(Boolean))];
+    return listOf(cvs)
+      .map(cv => scoreBaseCV(cv, unique, jobText || ''))
+      .sort((a, b) =>
+        b.score - a.score ||
+        Number(!!b.cv.is_default) - Number(!!a.cv.is_default) ||
+        String(b.cv.updated_at || '').localeCompare(String(a.cv.updated_at || ''))
+      );
+  }
+
+  /**
+   * The base to tailor from: overrideId when it names one of the CVs, otherwise the top-ranked
+   * @returns {{ cv, coverage, matched, tagHits, score, overridden, ranked }|null} null for an empty library
+   */
+  function selectBaseCV(cvs, keywords, jobText, overrideId) {
+    const ranked = rankBaseCVs(cvs, keywords, jobText);
+    if (!ranked.length) return null;
+    const chosen = (overrideId && ranked.find(r => r.cv.id === overrideId)) || ranked[0];
+    return { ...chosen, overridden: chosen !== ranked[0], ranked };
+  }
+
+  /**
+   * The signed-in user's base CVs
+   * @param {{ supabaseUrl: string, anonKey: string, session: Object }} options
+   */
+  async function fetchLibrary({ supabaseUrl, anonKey, session }) {
+    if (!session?.access_token || !session?.user?.id) return [];
+    const res = await fetch(
+      `${supabaseUrl}/rest/v1/cvs?user_id=eq.${session.user.id}&select=id,name,tags,content,parsed_data,is_default,updated_at&order=created_at.asc`,
+      {
+        headers: {
+          apikey: anonKey,
+          Authorization: `Bearer ${session.access_token}`,
+        },
+      }
+    );
+    if (!res.ok) throw new Error(`CV library request failed (${res.status})`);
+    const rows = await res.json();
+    return Array.isArray(rows) ? rows : [];
+  }
+
+  async function loadOverrides() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return {};
+    const result = await chrome.storage.local.get([OVERRIDE_STORAGE_KEY]);
+    return result[OVERRIDE_STORAGE_KEY] || {};
+  }
+
+  /**
+   * Base CV the user picked for a job, if any
+   */
+  async function getOverride(jobUrl) {
+    if (!jobUrl) return null;
+    const overrides = await loadOverrides();
+    return overrides[jobUrl]?.cvId || null;
+  }
+
+  /**
+   * Remember (or with a null cvId, forget) the user's base CV for a job
+   */
+  async function setOverride(jobUrl, cvId) {
+    if (!jobUrl || typeof chrome === 'undefined' || !chrome.storage?.local) return;
+    const overrides = await loadOverrides();
+    if (cvId) {
+      overrides[jobUrl] = { cvId, at: Date.now() };
+    } else {
+      delete overrides[jobUrl];
+    }
+    const kept = Object.entries(overrides)
+      .sort((a, b) => b[1].at - a[1].at)
+      .slice(0, MAX_OVERRIDES);
+    await chrome.storage.local.set({ [OVERRIDE_STORAGE_KEY]: Object.fromEntries(kept) });
+  }
+
+  global.CVLibrary = {
+    cvToText,
+    scoreBaseCV,
+    rankBaseCVs,
+    selectBaseCV,
+    fetchLibrary,
+    getOverride,
+    setOverride
+  };
+
+})(typeof window !== 'undefined' ? window : global);
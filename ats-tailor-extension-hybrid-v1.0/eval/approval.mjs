@@ -0,0 +1,161 @@
+// ATS Tailor Hybrid - Claims Approval Check
+// The truthfulness guard holds the tailored CV back while it has added claims the user hasn't
+// approved. This loads the popup and content scripts that actually run (popup.js, content.js)
+// in Node (jsdom) with a stubbed chrome API and checks that every CV attach path is blocked
+// until approval, while the cover letter is never held.
+//
+//   npm run eval:approval
+//
+// Exits 1 on any failed check.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const EXTENSION_DIR = path.resolve(EVAL_DIR, '..');
+
+// A supported ATS host, so content.js doesn't bail out
+const PAGE_URL = 'https://boards.greenhouse.io/acme/jobs/1';
+const PDF = Buffer.from('%PDF-1.4 eval').toString('base64');
+
+const PENDING_CLAIMS = {
+  items: [{ id: 'claim-0', keyword: 'Kubernetes', section: 'skills', line: 'Kubernetes', verified: false }],
+  approved: false,
+  removed: [],
+};
+
+/**
+ * chrome.* stub: in-memory storage (callback and promise styles), captured onMessage listeners
+ * and a record of messages sent to tabs
+ */
+function createChrome(store) {
+  const listeners = [];
+  const tabMessages = [];
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return { ...store };
+    const names = Array.isArray(keys) ? keys : typeof keys === 'string' ? [keys] : Object.keys(keys);
+    return Object.fromEntries(names.filter(name => name in store).map(name => [name, store[name]]));
+  };
+  const settle = (value, callback) => {
+    if (callback) callback(value);
+    return Promise.resolve(value);
+  };
+
+  return {
+    listeners,
+    tabMessages,
+    api: {
+      runtime: {
+        lastError: null,
+        onMessage: { addListener: (fn) => listeners.push(fn) },
+        sendMessage: () => Promise.resolve(),
+      },
+      storage: {
+        local: {
+          get: (keys, callback) => settle(pick(keys), callback),
+          set: (items, callback) => settle(Object.assign(store, items) && undefined, callback),
+          remove: (keys, callback) => {
+            [].concat(keys).forEach(name => delete store[name]);
+            return settle(undefined, callback);
+          },
+        },
+      },
+      tabs: {
+        query: async () => [{ id: 1, url: PAGE_URL }],
+        sendMessage: (tabId, message, callback) => {
+          tabMessages.push(message);
+          callback?.({ success: true });
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Run extension scripts as the browser does: classic scripts sharing one global scope, after the
+ * document has loaded (so popup.js's DOMContentLoaded start-up never fires)
+ */
+async function loadScripts(files, store) {
+  const chrome = createChrome(store);
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+    url: PAGE_URL,
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole(),
+  });
+  await new Promise(resolve => dom.window.document.addEventListener('DOMContentLoaded', resolve));
+  dom.window.chrome = chrome.api;
+  const context = dom.getInternalVMContext();
+  for (const file of files) {
+    new vm.Script(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), { filename: file }).runInContext(context);
+  }
+  return { window: dom.window, context, chrome };
+}
+
+/**
+ * Send the popup's attachDocument message to content.js and wait for its reply
+ */
+function sendToContent(chrome, message) {
+  return new Promise((resolve) => {
+    const handled = chrome.listeners.some(listener => listener(message, {}, resolve) === true);
+    if (!handled) resolve(undefined);
+  });
+}
+
+async function checkContentScript() {
+  const store = { ats_lastGeneratedDocuments: { cv: 'CV', claims: structuredClone(PENDING_CLAIMS) } };
+  const { window, chrome } = await loadScripts(['truthfulness-guard.js', 'content.js'], store);
+  const attach = (type) => sendToContent(chrome, { action: 'attachDocument', type, pdf: PDF, filename: `${type}.pdf` });
+
+  try {
+    const results = [];
+    results.push({ name: 'content.js refuses to attach the CV while claims are pending', ok: (await attach('cv'))?.success === false });
+    results.push({ name: 'content.js still attaches the cover letter while claims are pending', ok: (await attach('cover'))?.success === true });
+
+    store.ats_lastGeneratedDocuments.claims.approved = true;
+    results.push({ name: 'content.js attaches the CV once the claims are approved', ok: (await attach('cv'))?.success === true });
+    return results;
+  } finally {
+    window.close();
+  }
+}
+
+async function checkPopup() {
+  const { window, context, chrome } = await loadScripts(['truthfulness-guard.js', 'popup.js'], {});
+  // No popup window to start from: drive the class directly
+  const popup = Object.create(vm.runInContext('ATSTailor', context).prototype);
+  popup.showToast = () => {};
+  popup.generatedDocuments = { cv: 'CV', cvPdf: PDF, coverLetter: 'Cover', coverPdf: PDF, claims: structuredClone(PENDING_CLAIMS) };
+
+  try {
+    const results = [];
+    await popup.attachDocument('cv');
+    results.push({ name: 'popup.js sends no CV to the page while claims are pending', ok: chrome.tabMessages.length === 0 });
+
+    await popup.attachDocument('cover');
+    results.push({ name: 'popup.js still sends the cover letter while claims are pending', ok: chrome.tabMessages.some(m => m.type === 'cover') });
+
+    popup.generatedDocuments.claims.approved = true;
+    await popup.attachDocument('cv');
+    results.push({ name: 'popup.js sends the CV once the claims are approved', ok: chrome.tabMessages.some(m => m.type === 'cv') });
+    return results;
+  } finally {
+    window.close();
+  }
+}
+
+async function main() {
+  const results = [...(await checkPopup()), ...(await checkContentScript())];
+  results.forEach(r => console.log(`${r.ok ? '✓' : '✗'} ${r.name}`));
+
+  const failed = results.filter(r => !r.ok).length;
+  console.log(`\n${results.length - failed}/${results.length} passed · ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('Approval check failed:', error);
+  process.exitCode = 1;
+});
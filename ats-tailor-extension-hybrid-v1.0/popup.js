@@ -66,6 +66,8 @@ class ATSTailor {
   }
 
   async init() {
+    // Encrypt any session/credentials an earlier version stored in plaintext
+    await EncryptedStorage.migratePlaintext().catch(e => console.error('[ATS Tailor] Plaintext migration failed', e));
     await this.loadSession();
     this.bindEvents();
     this.updateUI();
@@ -102,7 +104,7 @@ class ATSTailor {
       if (!refreshRes.ok) {
         console.warn('[ATS Tailor] refresh failed; clearing session');
         this.session = null;
-        await chrome.storage.local.remove(['ats_session']);
+        await EncryptedStorage.remove(['ats_session']);
         this.updateUI();
         return;
       }
@@ -121,8 +123,9 @@ class ATSTailor {
 
   async loadSession() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(
-        ['ats_session', 'ats_stats', 'ats_todayDate', 'ats_autoTailorEnabled', 'ats_lastGeneratedDocuments', 'ats_lastJob'],
+      EncryptedStorage.get(
+        ['ats_session', 'ats_stats', 'ats_todayDate', 'ats_autoTailorEnabled', 'ats_lastGeneratedDocuments', 'ats_lastJob']
+      ).then(
         (result) => {
           this.session = result.ats_session || null;
           this.autoTailorEnabled = typeof result.ats_autoTailorEnabled === 'boolean' ? result.ats_autoTailorEnabled : true;
@@ -150,7 +153,7 @@ class ATSTailor {
   }
 
   async saveSession() {
-    await chrome.storage.local.set({ ats_session: this.session });
+    await EncryptedStorage.set({ ats_session: this.session });
   }
 
   async saveStats() {
@@ -169,6 +172,15 @@ class ATSTailor {
     document.getElementById('downloadCover')?.addEventListener('click', () => this.downloadDocument('cover'));
     document.getElementById('attachBoth')?.addEventListener('click', () => this.attachBothDocuments());
     document.getElementById('copyContent')?.addEventListener('click', () => this.copyCurrentContent());
+    document.getElementById('claimsList')?.addEventListener('click', (e) => {
+      const claimId = e.target?.closest('[data-claim-id]')?.dataset.claimId;
+      if (claimId) this.removeClaims([claimId]);
+    });
+    document.getElementById('removeUnverifiedClaimsBtn')?.addEventListener('click', () => {
+      const ids = (this.generatedDocuments.claims?.items || []).filter(c => !c.verified).map(c => c.id);
+      this.removeClaims(ids);
+    });
+    document.getElementById('approveClaimsBtn')?.addEventListener('click', () => this.approveClaims());
     
     // NEW: Text download buttons
     document.getElementById('downloadCvText')?.addEventListener('click', () => this.downloadTextVersion('cv'));
@@ -203,6 +215,9 @@ class ATSTailor {
       this.showToast(enabled ? 'Workday automation enabled' : 'Workday automation disabled', 'success');
     });
     document.getElementById('saveWorkdayCreds')?.addEventListener('click', () => this.saveWorkdayCredentials());
+    document.getElementById('storageAudit')?.addEventListener('toggle', (e) => {
+      if (e.target.open) this.loadStorageAudit();
+    });
     
     // Load Workday settings
     this.loadWorkdaySettings();
@@ -389,9 +404,7 @@ class ATSTailor {
   }
 
   async loadWorkdaySettings() {
-    const result = await new Promise(resolve => {
-      chrome.storage.local.get(['workday_email', 'workday_password', 'workday_verify_password', 'workday_auto_enabled'], resolve);
-    });
+    const result = await EncryptedStorage.get(['workday_email', 'workday_password', 'workday_verify_password', 'workday_auto_enabled']);
     
     const emailInput = document.getElementById('workdayEmail');
     const passwordInput = document.getElementById('workdayPassword');
@@ -406,7 +419,7 @@ class ATSTailor {
     if (emailDisplay && result.workday_email) emailDisplay.textContent = result.workday_email;
   }
 
-  saveWorkdayCredentials() {
+  async saveWorkdayCredentials() {
     const email = document.getElementById('workdayEmail')?.value;
     const password = document.getElementById('workdayPassword')?.value;
     const verifyPassword = document.getElementById('workdayVerifyPassword')?.value;
@@ -419,20 +432,40 @@ class ATSTailor {
     const emailDisplay = document.getElementById('workdayEmailDisplay');
     if (emailDisplay) emailDisplay.textContent = email;
     
-    chrome.runtime.sendMessage({
-      action: 'UPDATE_WORKDAY_CREDENTIALS',
-      email: email,
-      password: password,
-      verifyPassword: verifyPassword || password
-    });
-    
-    chrome.storage.local.set({
+    await EncryptedStorage.set({
       workday_email: email,
       workday_password: password,
       workday_verify_password: verifyPassword || password
     });
     
-    this.showToast('Workday credentials saved!', 'success');
+    this.showToast('Workday credentials saved (encrypted)!', 'success');
+  }
+
+  // List every stored key, where it lives and whether it's encrypted
+  async loadStorageAudit() {
+    const summaryEl = document.getElementById('storageAuditSummary');
+    const listEl = document.getElementById('storageAuditList');
+    if (!summaryEl || !listEl) return;
+
+    const labels = { encrypted: '🔒 Encrypted', 'key material': '🔑 Key material', exposed: '⚠️ Plaintext', plaintext: 'Plain' };
+    try {
+      const entries = await EncryptedStorage.audit();
+      const encrypted = entries.filter(entry => entry.protection === 'encrypted').length;
+      const exposed = entries.filter(entry => entry.protection === 'exposed').length;
+      summaryEl.textContent = `${entries.length} item(s) stored, ${encrypted} encrypted.` +
+        (exposed ? ` ${exposed} sensitive item(s) still in plaintext - reopen the popup to encrypt them.` : '');
+
+      listEl.innerHTML = entries.map(entry => `
+        <div class="audit-row">
+          <span class="audit-key">${this.escapeHtml(entry.key)}</span>
+          <span class="audit-area">${this.escapeHtml(entry.area)} · ${entry.bytes} B</span>
+          <span class="audit-badge ${entry.protection.replace(' ', '-')}">${labels[entry.protection]}</span>
+        </div>
+      `).join('');
+    } catch (e) {
+      summaryEl.textContent = `Audit failed: ${e.message}`;
+      listEl.innerHTML = '';
+    }
   }
 
   async runWorkdayFlow() {
@@ -600,7 +633,105 @@ class ATSTailor {
       document.getElementById('documentsCard')?.classList.remove('hidden');
       this.updateDocumentDisplay();
       this.updatePreviewContent();
+      this.renderClaimsReview();
+    }
+  }
+
+  /**
+   * True while the tailored CV has added claims the user hasn't approved yet
+   */
+  hasPendingClaims() {
+    return !!window.TruthfulnessGuard?.isAwaitingApproval(this.generatedDocuments.claims);
+  }
+
+  /**
+   * Claims-added review: every keyword the tailored CV asserts that the profile didn't,
+   * tagged verified (in the inventory) or unverified. The CV PDF waits for approval.
+   */
+  renderClaimsReview() {
+    const card = document.getElementById('claimsReview');
+    const list = document.getElementById('claimsList');
+    if (!card || !list) return;
+
+    if (!this.hasPendingClaims()) {
+      card.classList.add('hidden');
+      list.innerHTML = '';
+      return;
+    }
+
+    const items = this.generatedDocuments.claims.items;
+    const summary = window.TruthfulnessGuard.summarizeClaims(items);
+    document.getElementById('claimsSummary').textContent =
+      `${summary.total} claim${summary.total === 1 ? '' : 's'} added (${summary.unverified} unverified). Approve before the CV PDF is generated.`;
+    document.getElementById('removeUnverifiedClaimsBtn')?.classList.toggle('hidden', summary.unverified === 0);
+
+    list.innerHTML = items.map(claim => `
+      <div class="claim-row ${claim.verified ? 'verified' : 'unverified'}">
+        <div class="claim-main">
+          <strong>${this.escapeHtml(claim.keyword)}</strong>
+          <span class="claim-tag">${claim.verified ? 'verified' : 'unverified'} · ${this.escapeHtml(claim.section)}</span>
+        </div>
+        <div class="claim-line">${this.escapeHtml(claim.line)}</div>
+        <button class="btn-link" data-claim-id="${this.escapeHtml(claim.id)}" title="Remove from CV">Remove</button>
+      </div>
+    `).join('');
+    card.classList.remove('hidden');
+  }
+
+  /**
+   * Strip rejected claims from the tailored CV and rescore
+   */
+  async removeClaims(claimIds) {
+    const claims = this.generatedDocuments.claims;
+    if (!claims || !claimIds.length) return;
+
+    const toRemove = claims.items.filter(c => claimIds.includes(c.id));
+    let cv = this.generatedDocuments.cv || '';
+    toRemove.forEach(claim => { cv = window.TruthfulnessGuard.removeClaim(cv, claim); });
+
+    this.generatedDocuments.cv = cv;
+    claims.items = claims.items.filter(c => !claimIds.includes(c.id));
+    claims.removed = [...(claims.removed || []), ...toRemove.map(c => c.keyword)];
+
+    const keywords = this.generatedDocuments.keywords;
+    if (keywords?.all?.length) {
+      const match = this.calculateMatchScore(cv, keywords);
+      this.generatedDocuments.matchScore = match.matchScore;
+      this.generatedDocuments.matchedKeywords = match.matchedKeywords;
+      this.generatedDocuments.missingKeywords = match.missingKeywords;
+      this.updateMatchAnalysisUI();
     }
+
+    await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
+    this.updatePreviewContent();
+    this.renderClaimsReview();
+    this.showToast(`Removed ${toRemove.length} claim${toRemove.length === 1 ? '' : 's'}`, 'success');
+  }
+
+  /**
+   * Approve the remaining claims, then generate and attach the CV PDF
+   */
+  async approveClaims() {
+    const claims = this.generatedDocuments.claims;
+    if (!claims) return;
+
+    claims.approved = true;
+    claims.approvedAt = Date.now();
+    this.renderClaimsReview();
+
+    if (this.generatedDocuments.cv) {
+      await this.regeneratePDFAfterBoost();
+    }
+    // Saved before attaching: the content script checks the stored approval too
+    await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
+    try {
+      await this.attachDocument('cv');
+    } catch (attachError) {
+      console.warn('[ATS Tailor] Auto-attach failed:', attachError);
+    }
+
+    this.updateDocumentDisplay();
+    this.showToast('Claims approved. CV PDF generated.', 'success');
   }
 
   updateDocumentDisplay() {
@@ -828,7 +959,7 @@ class ATSTailor {
 
   async logout() {
     this.session = null;
-    await chrome.storage.local.remove(['ats_session']);
+    await EncryptedStorage.remove(['ats_session']);
     this.showToast('Logged out', 'success');
     this.updateUI();
   }
@@ -1327,12 +1458,20 @@ class ATSTailor {
    */
   fastKeywordInjection(cvText, keywords, missingKeywords) {
     if (!missingKeywords || missingKeywords.length === 0) {
-      return { tailoredCV: cvText, injectedKeywords: [] };
+      return { tailoredCV: cvText, injectedKeywords: [], blockedKeywords: [] };
+    }
+
+    // Truthfulness guard: only skills in the verified inventory (or already in the CV) get injected
+    const screened = window.TruthfulnessGuard
+      ? window.TruthfulnessGuard.screenKeywords(missingKeywords, { evidence: cvText })
+      : { allowed: missingKeywords, blocked: [] };
+    if (screened.allowed.length === 0) {
+      return { tailoredCV: cvText, injectedKeywords: [], blockedKeywords: screened.blocked };
     }
     
     let tailoredCV = cvText;
     let injectedKeywords = [];
-    let remaining = [...missingKeywords];
+    let remaining = [...screened.allowed];
     
     // Natural injection phrases for Work Experience
     const actionPhrases = [
@@ -1456,7 +1595,7 @@ class ATSTailor {
       injectedKeywords.push(...remaining);
     }
     
-    return { tailoredCV, injectedKeywords };
+    return { tailoredCV, injectedKeywords, blockedKeywords: screened.blocked };
   }
 
   /**
@@ -1554,7 +1693,7 @@ class ATSTailor {
 
       // Fetch user profile (API call)
       const profileRes = await fetch(
-        `${SUPABASE_URL}/rest/v1/profiles?user_id=eq.${this.session.user.id}&select=first_name,last_name,email,phone,linkedin,github,portfolio,cover_letter,work_experience,education,skills,certifications,achievements,ats_strategy,city,country,address,state,zip_code`,
+        `${SUPABASE_URL}/rest/v1/profiles?user_id=eq.${this.session.user.id}&select=first_name,last_name,email,phone,linkedin,github,portfolio,cover_letter,work_experience,education,skills,certifications,verified_skills,achievements,ats_strategy,city,country,address,state,zip_code`,
         {
           headers: {
             apikey: SUPABASE_ANON_KEY,
@@ -1569,6 +1708,10 @@ class ATSTailor {
 
       const profileRows = await profileRes.json();
       const p = profileRows?.[0] || {};
+
+      // Verified-skills inventory: the only skills tailoring may add that the CV doesn't show
+      const profileText = window.TruthfulnessGuard?.buildProfileText(p) || '';
+      window.TruthfulnessGuard?.setInventory(window.TruthfulnessGuard.buildInventory(p));
       
       console.log('[ATS Tailor] Step 2 - Profile loaded, generating base CV...');
 
@@ -1725,27 +1868,44 @@ class ATSTailor {
         console.log('[ATS Tailor] Step 3 - Already at 100%');
       }
 
-      updateProgress(80, 'Step 3/3: Regenerating PDF with boosted CV...');
+      // Claims added vs the candidate's own profile; the PDF waits until the user approves them
+      const claimItems = window.TruthfulnessGuard && this.generatedDocuments.cv
+        ? window.TruthfulnessGuard.diffClaims(profileText, this.generatedDocuments.cv, { keywords: keywords.all || [] })
+        : [];
+      this.generatedDocuments.claims = { items: claimItems, approved: claimItems.length === 0, removed: [] };
+      const awaitingApproval = this.hasPendingClaims();
 
-      // Regenerate PDF with boosted CV and dynamic location
-      if (this.generatedDocuments.cv) {
-        await this.regeneratePDFAfterBoost();
-      }
+      if (awaitingApproval) {
+        // Backend PDF was rendered from the unreviewed CV
+        this.generatedDocuments.cvPdf = null;
+        updateStep(3, 'complete');
+        updateProgress(100, `Review ${claimItems.length} added claim${claimItems.length === 1 ? '' : 's'} before the CV PDF is generated.`);
+      } else {
+        updateProgress(80, 'Step 3/3: Regenerating PDF with boosted CV...');
 
-      updateStep(3, 'complete');
+        // Regenerate PDF with boosted CV and dynamic location
+        if (this.generatedDocuments.cv) {
+          await this.regeneratePDFAfterBoost();
+        }
 
-      // ============ FINAL: Attach CV & Update UI ============
-      updateProgress(90, 'Attaching tailored CV to application...');
+        updateStep(3, 'complete');
 
-      // Auto-attach CV to the page
-      try {
-        await this.attachDocument('cv');
-      } catch (attachError) {
-        console.warn('[ATS Tailor] Auto-attach failed:', attachError);
-        // Don't throw - document generation was successful
-      }
+        // ============ FINAL: Attach CV & Update UI ============
+        updateProgress(90, 'Attaching tailored CV to application...');
 
-      updateProgress(100, 'Complete! 100% keyword match achieved.');
+        // Saved before attaching: the content script checks the stored approval too
+        await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
+
+        // Auto-attach CV to the page
+        try {
+          await this.attachDocument('cv');
+        } catch (attachError) {
+          console.warn('[ATS Tailor] Auto-attach failed:', attachError);
+          // Don't throw - document generation was successful
+        }
+
+        updateProgress(100, 'Complete! 100% keyword match achieved.');
+      }
 
       await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
 
@@ -1762,6 +1922,7 @@ class ATSTailor {
       document.getElementById('documentsCard')?.classList.remove('hidden');
       this.updateDocumentDisplay();
       this.updatePreviewContent();
+      this.renderClaimsReview();
       
       const finalScore = this.generatedDocuments.matchScore;
       this.showToast(
@@ -1907,6 +2068,10 @@ class ATSTailor {
   }
 
   downloadDocument(type) {
+    if (type === 'cv' && this.hasPendingClaims()) {
+      this.showToast('Review the added claims before downloading the CV', 'error');
+      return;
+    }
     const doc = type === 'cv' ? this.generatedDocuments.cvPdf : this.generatedDocuments.coverPdf;
     const textDoc = type === 'cv' ? this.generatedDocuments.cv : this.generatedDocuments.coverLetter;
     const filename = type === 'cv' 
@@ -1946,6 +2111,10 @@ class ATSTailor {
   }
 
   async attachDocument(type) {
+    if (type === 'cv' && this.hasPendingClaims()) {
+      this.showToast('Review the added claims before attaching the CV', 'error');
+      return;
+    }
     const doc = type === 'cv' ? this.generatedDocuments.cvPdf : this.generatedDocuments.coverPdf;
     const textDoc = type === 'cv' ? this.generatedDocuments.cv : this.generatedDocuments.coverLetter;
     const filename =
@@ -333,6 +333,7 @@
         tailoredCV: uniqueResult.uniqueCV,
         originalCV: cvText,
         injectedKeywords: [],
+        claimsAdded: claimsAddedFor(cvText, uniqueResult.uniqueCV, keywords.all),
         stats: uniqueResult.stats,
         timing,
         uniqueHash: uniqueResult.fileHash
@@ -346,21 +347,25 @@
     
     let tailoredCV = cvText;
     let injected = [];
+    const blocked = new Set();
 
     if (missing.length > 0) {
       const result = fastTailorWorkExperience(cvText, missing);
       tailoredCV = result.tailoredCV;
       injected = result.injectedKeywords;
+      result.blockedKeywords.forEach(kw => blocked.add(kw));
     }
 
     // DISTRIBUTE ALL KEYWORDS (not just high priority)
     // Combine all keyword categories for full injection
-    const allKeywordsToInject = [
+    const screened = screenInjections([
       ...(keywords.highPriority || []),
       ...(keywords.mediumPriority || []),
       ...(keywords.lowPriority || []),
       ...(keywords.workExperience || [])
-    ].filter((kw, idx, arr) => arr.indexOf(kw) === idx); // Deduplicate
+    ].filter((kw, idx, arr) => arr.indexOf(kw) === idx), cvText); // Deduplicate
+    const allKeywordsToInject = screened.allowed;
+    screened.blocked.forEach(kw => blocked.add(kw));
     
     if (allKeywordsToInject.length > 0) {
       const distResult = distributeHighPriorityKeywords(tailoredCV, allKeywordsToInject, {
@@ -378,19 +383,36 @@
       tailoredCV, 
       originalCV: cvText,
       injectedKeywords: injected,
+      blockedKeywords: [...blocked],
+      claimsAdded: claimsAddedFor(cvText, tailoredCV, keywords.all),
       stats: { total: injected.length, workExperience: injected.length, skills: 0 },
       timing,
       uniqueHash: ''
     };
   }
 
+  // ============ TRUTHFULNESS GUARD ============
+  // Keywords outside the verified-skills inventory (and not already in the CV) are never injected
+  function screenInjections(keywords, cvText) {
+    if (!global.TruthfulnessGuard) return { allowed: keywords, blocked: [] };
+    const { allowed, blocked } = global.TruthfulnessGuard.screenKeywords(keywords, { evidence: cvText });
+    return { allowed, blocked };
+  }
+
+  function claimsAddedFor(originalCV, tailoredCV, keywords) {
+    return global.TruthfulnessGuard
+      ? global.TruthfulnessGuard.diffClaims(originalCV, tailoredCV, { keywords })
+      : [];
+  }
+
   // ============ FAST WORK EXPERIENCE TAILORING ============
-  function fastTailorWorkExperience(cvText, missingKeywords) {
+  function fastTailorWorkExperience(cvText, candidateKeywords) {
     let tailoredCV = cvText;
     const injected = [];
+    const { allowed: missingKeywords, blocked } = screenInjections(candidateKeywords, cvText);
 
     const expMatch = /^(EXPERIENCE|WORK\s*EXPERIENCE|EMPLOYMENT|PROFESSIONAL\s*EXPERIENCE)[\s:]*$/im.exec(tailoredCV);
-    if (!expMatch) return { tailoredCV, injectedKeywords: [] };
+    if (!expMatch || missingKeywords.length === 0) return { tailoredCV, injectedKeywords: [], blockedKeywords: blocked };
 
     const expStart = expMatch.index + expMatch[0].length;
     const nextSectionMatch = /^(SKILLS|EDUCATION|CERTIFICATIONS|PROJECTS)[\s:]*$/im.exec(tailoredCV.substring(expStart));
@@ -447,10 +469,12 @@
     const modifiedExperience = modifiedLines.join('\n');
     tailoredCV = tailoredCV.substring(0, expStart) + modifiedExperience + tailoredCV.substring(expEnd);
 
-    return { tailoredCV, injectedKeywords: injected };
+    return { tailoredCV, injectedKeywords: injected, blockedKeywords: blocked };
   }
 
   // ============ COMPLETE TURBO PIPELINE (≤175ms total - LAZYAPPLY 3X) ============
+  // options.cvLibrary: the user's base CVs (cvs rows); the one covering the most keywords
+  // (or options.baseCvId) replaces baseCV before tailoring
   async function executeTurboPipeline(jobInfo, candidateData, baseCV, options = {}) {
     const pipelineStart = performance.now();
     const timings = {};
@@ -471,6 +495,30 @@
       return { success: false, error: 'No keywords extracted', timings };
     }
 
+    // PHASE 1b: Pick the base CV from the library by keyword coverage
+    let baseCv = null;
+    if (options.cvLibrary?.length && global.CVLibrary) {
+      const selection = global.CVLibrary.selectBaseCV(
+        options.cvLibrary,
+        keywordsResult.all,
+        `${jobInfo?.title || ''}\n${jdText}`,
+        options.baseCvId
+      );
+      const selectedText = selection ? global.CVLibrary.cvToText(selection.cv) : '';
+      if (selectedText) {
+        baseCV = selectedText;
+        baseCv = {
+          id: selection.cv.id,
+          name: selection.cv.name,
+          coverage: selection.coverage,
+          tagHits: selection.tagHits,
+          overridden: selection.overridden,
+          ranked: selection.ranked.map(r => ({ id: r.cv.id, name: r.cv.name, coverage: r.coverage }))
+        };
+        console.log(`[TurboPipeline] Base CV: ${baseCv.name} (${baseCv.coverage}% keyword coverage)`);
+      }
+    }
+
     // PHASE 2: Tailor CV with High Priority distribution (≤100ms)
     const tailorStart = performance.now();
     const tailorResult = await turboTailorCV(baseCV, keywordsResult, { 
@@ -483,8 +531,9 @@
     let finalCV = tailorResult.tailoredCV;
     let distributionStats = {};
     
-    if (keywordsResult.highPriority?.length > 0) {
-      const distResult = distributeHighPriorityKeywords(finalCV, keywordsResult.highPriority, {
+    const distributable = screenInjections(keywordsResult.highPriority || [], baseCV).allowed;
+    if (distributable.length > 0) {
+      const distResult = distributeHighPriorityKeywords(finalCV, distributable, {
         maxBulletsPerRole: 8,
         targetMentions: 4,
         minMentions: 3,
@@ -495,6 +544,9 @@
     }
     timings.distribution = performance.now() - distStart;
 
+    // Claims added vs the base CV; callers hold PDF + attach until the user approves them
+    const claimsAdded = claimsAddedFor(baseCV, finalCV, keywordsResult.all);
+
     // PDF + Attach handled by pdf-ats-turbo.js and file-attacher.js
 
     const totalTime = performance.now() - pipelineStart;
@@ -509,9 +561,13 @@
     return {
       success: true,
       keywords: keywordsResult,
+      baseCv,
       workExperienceKeywords: keywordsResult.workExperience,
       tailoredCV: finalCV,
       injectedKeywords: tailorResult.injectedKeywords,
+      blockedKeywords: tailorResult.blockedKeywords || [],
+      claimsAdded,
+      awaitingApproval: claimsAdded.length > 0 && !options.claimsApproved,
       distributionStats,
       stats: tailorResult.stats,
       timings,
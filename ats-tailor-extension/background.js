@@ -3,6 +3,11 @@
 
 console.log('[ATS Tailor] Background service worker started');
 
+importScripts('encrypted-storage.js');
+
+// The login session is kept encrypted; move any plaintext copy
+EncryptedStorage.migratePlaintext().catch(e => console.error('[ATS Tailor] Plaintext migration failed', e));
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
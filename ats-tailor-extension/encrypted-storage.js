@@ -0,0 +1,222 @@
+// encrypted-storage.js - Sensitive settings (the login session)
+// kept AES-GCM encrypted in chrome.storage.local instead of as plaintext keys.
+// get/set/remove mirror chrome.storage.local; keys outside SENSITIVE_KEYS pass straight through.
+// Each key is encrypted into its own entry, so the popup, content scripts and background can
+// write different keys at the same time without a shared read-modify-write losing one of them.
+// The key is derived from a random per-install id (same scheme as the device key in
+// chrome-extension/utils/encryptedStorage.js): it keeps secrets out of storage dumps and
+// sync/backup tools, not away from someone with full access to the browser profile.
+
+(function(global) {
+  'use strict';
+
+  const ENTRY_PREFIX = 'ats_secure:';
+  // Earlier builds kept every secret in this one blob; migratePlaintext() splits it up
+  const LEGACY_VAULT_KEY = 'ats_secure_vault';
+  const DEVICE_ID_KEY = 'ats_device_id';
+  const SALT_KEY = 'ats_vault_salt';
+  const MIGRATION_KEY = 'ats_secure_migration';
+  const ITERATIONS = 100000;
+
+  const SENSITIVE_KEYS = [
+    'ats_session'
+  ];
+
+  let cachedKey = null;
+
+  function isSensitive(name) {
+    return SENSITIVE_KEYS.includes(name);
+  }
+
+  const entryKey = (name) => ENTRY_PREFIX + name;
+
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function fromBase64(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
+  async function getKey() {
+    if (cachedKey) return cachedKey;
+
+    let stored = await chrome.storage.local.get([DEVICE_ID_KEY, SALT_KEY]);
+    if (!stored[DEVICE_ID_KEY] || !stored[SALT_KEY]) {
+      await chrome.storage.local.set({
+        [DEVICE_ID_KEY]: stored[DEVICE_ID_KEY] || `ats_${Date.now()}_${crypto.randomUUID()}`,
+        [SALT_KEY]: stored[SALT_KEY] || toBase64(crypto.getRandomValues(new Uint8Array(16)))
+      });
+      // Read back so two contexts starting together both derive from whichever write landed last
+      stored = await chrome.storage.local.get([DEVICE_ID_KEY, SALT_KEY]);
+    }
+    const deviceId = stored[DEVICE_ID_KEY];
+    const salt = stored[SALT_KEY];
+
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(deviceId), 'PBKDF2', false, ['deriveKey']);
+    cachedKey = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations: ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+    return cachedKey;
+  }
+
+  async function encrypt(data) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await getKey(),
+      new TextEncoder().encode(JSON.stringify(data))
+    );
+    const combined = new Uint8Array(iv.length + ciphertext.byteLength);
+    combined.set(iv, 0);
+    combined.set(new Uint8Array(ciphertext), iv.length);
+    return toBase64(combined);
+  }
+
+  async function decrypt(encryptedBase64) {
+    const combined = fromBase64(encryptedBase64);
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: combined.slice(0, 12) },
+      await getKey(),
+      combined.slice(12)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  async function readEntries(names) {
+    const data = await chrome.storage.local.get(names.map(entryKey));
+    const values = {};
+    for (const name of names) {
+      if (!data[entryKey(name)]) continue;
+      try {
+        values[name] = await decrypt(data[entryKey(name)]);
+      } catch (e) {
+        console.error(`[ATS Tailor] Secure storage entry ${name} could not be decrypted`, e);
+      }
+    }
+    return values;
+  }
+
+  async function encryptEntries(items) {
+    const entries = {};
+    for (const [name, value] of Object.entries(items)) {
+      entries[entryKey(name)] = await encrypt(value);
+    }
+    return entries;
+  }
+
+  /**
+   * Drop-in for chrome.storage.local.get(keys)
+   */
+  async function get(keys) {
+    const names = Array.isArray(keys) ? keys : [keys];
+    const plainNames = names.filter(name => !isSensitive(name));
+    const secretNames = names.filter(isSensitive);
+
+    const result = plainNames.length ? await chrome.storage.local.get(plainNames) : {};
+    if (secretNames.length) Object.assign(result, await readEntries(secretNames));
+    return result;
+  }
+
+  /**
+   * Drop-in for chrome.storage.local.set(items)
+   */
+  async function set(items) {
+    const plain = {};
+    const secret = {};
+    for (const [name, value] of Object.entries(items)) {
+      (isSensitive(name) ? secret : plain)[name] = value;
+    }
+
+    await chrome.storage.local.set({ ...plain, ...(await encryptEntries(secret)) });
+  }
+
+  /**
+   * Drop-in for chrome.storage.local.remove(keys)
+   */
+  async function remove(keys) {
+    const names = Array.isArray(keys) ? keys : [keys];
+    // Plaintext copies too, in case one was never migrated
+    await chrome.storage.local.remove([...names, ...names.filter(isSensitive).map(entryKey)]);
+  }
+
+  /**
+   * Move sensitive keys earlier versions wrote in plaintext, or into the single vault blob,
+   * into their own encrypted entries.
+   * Cheap to call on every start - it only acts while plaintext copies or the blob exist.
+   * @returns {string[]} Keys migrated
+   */
+  async function migratePlaintext() {
+    const stored = await chrome.storage.local.get([...SENSITIVE_KEYS, LEGACY_VAULT_KEY]);
+    let legacy = {};
+    if (stored[LEGACY_VAULT_KEY]) {
+      try {
+        legacy = await decrypt(stored[LEGACY_VAULT_KEY]);
+      } catch (e) {
+        console.error('[ATS Tailor] Old secure storage could not be decrypted', e);
+      }
+    }
+    // Plaintext copies are newer than anything in the blob
+    SENSITIVE_KEYS.forEach(name => {
+      if (stored[name] !== undefined) legacy[name] = stored[name];
+    });
+    const names = Object.keys(legacy).filter(isSensitive);
+    if (names.length === 0 && !stored[LEGACY_VAULT_KEY]) return [];
+
+    // Keys already written to their own entry are newer still
+    const current = await readEntries(names);
+    const pending = Object.fromEntries(names.filter(name => current[name] === undefined).map(name => [name, legacy[name]]));
+    await chrome.storage.local.set(await encryptEntries(pending));
+    await chrome.storage.local.remove([...SENSITIVE_KEYS.filter(name => stored[name] !== undefined), LEGACY_VAULT_KEY]);
+    await chrome.storage.local.set({ [MIGRATION_KEY]: { migratedAt: Date.now(), keys: names } });
+
+    console.log('[ATS Tailor] Moved into encrypted storage:', names.join(', '));
+    return names;
+  }
+
+  /**
+   * Everything the extension keeps in chrome.storage.local, for the audit screen
+   * protection: 'encrypted' | 'key material' | 'plaintext' | 'exposed' (a sensitive key left in plaintext)
+   * @returns {Array<{ key, area, protection, bytes }>}
+   */
+  async function audit() {
+    const size = (value) => (JSON.stringify(value) || '').length;
+    const classify = (key) => {
+      if (key === LEGACY_VAULT_KEY) return 'encrypted';
+      if (key === DEVICE_ID_KEY || key === SALT_KEY) return 'key material';
+      if (isSensitive(key)) return 'exposed';
+      return 'plaintext';
+    };
+
+    const entries = [];
+    const local = await chrome.storage.local.get(null);
+    for (const [key, value] of Object.entries(local)) {
+      if (key.startsWith(ENTRY_PREFIX)) {
+        entries.push({ key: key.slice(ENTRY_PREFIX.length), area: 'local › encrypted entry', protection: 'encrypted', bytes: size(value) });
+      } else {
+        entries.push({ key, area: 'local', protection: classify(key), bytes: size(value) });
+      }
+    }
+
+    return entries.sort((a, b) => a.area.localeCompare(b.area) || a.key.localeCompare(b.key));
+  }
+
+  global.EncryptedStorage = {
+    SENSITIVE_KEYS,
+    isSensitive,
+    get,
+    set,
+    remove,
+    migratePlaintext,
+    audit
+  };
+
+})(typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : global);
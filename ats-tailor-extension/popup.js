@@ -47,6 +47,8 @@ class ATSTailor {
   }
 
   async init() {
+    // Encrypt a session an earlier version stored in plaintext
+    await EncryptedStorage.migratePlaintext().catch(e => console.error('[ATS Tailor] Plaintext migration failed', e));
     await this.loadSession();
     this.bindEvents();
     this.updateUI();
@@ -85,7 +87,7 @@ class ATSTailor {
       if (!refreshRes.ok) {
         console.warn('[ATS Tailor] refresh failed; clearing session');
         this.session = null;
-        await chrome.storage.local.remove(['ats_session']);
+        await EncryptedStorage.remove(['ats_session']);
         this.updateUI();
         return;
       }
@@ -104,8 +106,9 @@ class ATSTailor {
 
   async loadSession() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(
-        ['ats_session', 'ats_stats', 'ats_todayDate', 'ats_autoTailorEnabled', 'ats_jobCache', 'ats_lastGeneratedDocuments', 'ats_lastJob'],
+      EncryptedStorage.get(
+        ['ats_session', 'ats_stats', 'ats_todayDate', 'ats_autoTailorEnabled', 'ats_jobCache', 'ats_lastGeneratedDocuments', 'ats_lastJob']
+      ).then(
         (result) => {
           this.session = result.ats_session || null;
 
@@ -135,7 +138,7 @@ class ATSTailor {
   }
 
   async saveSession() {
-    await chrome.storage.local.set({ ats_session: this.session });
+    await EncryptedStorage.set({ ats_session: this.session });
   }
 
   async saveStats() {
@@ -154,6 +157,9 @@ class ATSTailor {
     document.getElementById('downloadCover')?.addEventListener('click', () => this.downloadDocument('cover'));
     document.getElementById('attachBoth')?.addEventListener('click', () => this.attachBothDocuments());
     document.getElementById('copyContent')?.addEventListener('click', () => this.copyCurrentContent());
+    document.getElementById('storageAudit')?.addEventListener('toggle', (e) => {
+      if (e.target.open) this.loadStorageAudit();
+    });
 
     // Settings
     document.getElementById('autoTailorToggle')?.addEventListener('change', (e) => {
@@ -415,7 +421,7 @@ class ATSTailor {
 
   async logout() {
     this.session = null;
-    await chrome.storage.local.remove(['ats_session']);
+    await EncryptedStorage.remove(['ats_session']);
     this.showToast('Logged out', 'success');
     this.updateUI();
   }
@@ -764,6 +770,41 @@ class ATSTailor {
       setTimeout(() => toast.remove(), 300);
     }, 3000);
   }
+
+  // List every stored key, where it lives and whether it's encrypted
+  async loadStorageAudit() {
+    const summaryEl = document.getElementById('storageAuditSummary');
+    const listEl = document.getElementById('storageAuditList');
+    if (!summaryEl || !listEl) return;
+
+    const labels = { encrypted: '🔒 Encrypted', 'key material': '🔑 Key material', exposed: '⚠️ Plaintext', plaintext: 'Plain' };
+    listEl.replaceChildren();
+    try {
+      const entries = await EncryptedStorage.audit();
+      const encrypted = entries.filter(entry => entry.protection === 'encrypted').length;
+      const exposed = entries.filter(entry => entry.protection === 'exposed').length;
+      summaryEl.textContent = `${entries.length} item(s) stored, ${encrypted} encrypted.` +
+        (exposed ? ` ${exposed} sensitive item(s) still in plaintext - reopen the popup to encrypt them.` : '');
+
+      entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'audit-row';
+        [
+          ['audit-key', entry.key],
+          ['audit-area', `${entry.area} · ${entry.bytes} B`],
+          [`audit-badge ${entry.protection.replace(' ', '-')}`, labels[entry.protection]]
+        ].forEach(([className, text]) => {
+          const span = document.createElement('span');
+          span.className = className;
+          span.textContent = text;
+          row.appendChild(span);
+        });
+        listEl.appendChild(row);
+      });
+    } catch (e) {
+      summaryEl.textContent = `Audit failed: ${e.message}`;
+    }
+  }
 }
 
 // This function is injected into the page context - it must be self-contained
@@ -13,6 +13,8 @@
   class AutoTailor95 {
     constructor(options = {}) {
       this.targetScore = options.targetScore || 95;
+      // 'raw' reports true coverage (0-100%) with a breakdown; 'calibrated' keeps the legacy scorers
+      this.scoringMode = options.scoringMode || 'calibrated';
       this.maxKeywords = options.maxKeywords || 35;
       this.onProgress = options.onProgress || (() => {});
       this.onScoreUpdate = options.onScoreUpdate || (() => {});
@@ -84,6 +86,16 @@
         matchedKeywords: finalMatch.matched,
         missingKeywords: finalMatch.missing,
         injectedKeywords: tailorResult.injectedKeywords || [],
+        // Truthfulness guard: keywords refused, and claims the user must approve before PDF
+        blockedKeywords: tailorResult.blockedKeywords || [],
+        claimsAdded: tailorResult.claimsAdded || [],
+        scoringMode: this.scoringMode,
+        // Raw mode only: fit of the untouched CV, and where the final keywords landed
+        fit: initialMatch.fit || null,
+        breakdown: this.scoringMode === 'raw'
+          ? { initial: { byPriority: initialMatch.byPriority, bySection: initialMatch.bySection },
+              final: { byPriority: finalMatch.byPriority, bySection: finalMatch.bySection } }
+          : null,
         stats: {
           keywordsExtracted: keywords.all.length,
           keywordsInjected: tailorResult.injectedKeywords?.length || 0,
@@ -97,6 +109,11 @@
      * OPTIMIZED: Uses ReliableExtractor with caching and universal JD parsing
      */
     async extractJobKeywords(jobText) {
+      // Unified engine first so scoring matches the popup's keyword list
+      if (global.KeywordEngine) {
+        return global.KeywordEngine.extractSync(jobText, { strategy: 'local', maxKeywords: this.maxKeywords });
+      }
+
       // Use ReliableExtractor (new optimized module) if available
       if (global.ReliableExtractor) {
         return global.ReliableExtractor.extractReliableKeywords(jobText, this.maxKeywords);
@@ -168,6 +185,10 @@
      * OPTIMIZED: Uses ReliableExtractor.matchKeywords with caching
      */
     calculateInitialMatch(cvText, keywords) {
+      if (this.scoringMode === 'raw' && global.DynamicScore?.calculateRawMatch) {
+        return global.DynamicScore.calculateRawMatch(cvText, keywords);
+      }
+
       // Use ReliableExtractor if available
       if (global.ReliableExtractor) {
         return global.ReliableExtractor.matchKeywords(cvText, keywords.all);
@@ -218,7 +239,11 @@
     simpleKeywordInjection(cvText, keywords, initialMatch) {
       let tailoredCV = cvText;
       const injected = [];
-      const missingKeywords = initialMatch.missing || [];
+      // Never claim skills outside the verified inventory / original CV
+      const screened = global.TruthfulnessGuard
+        ? global.TruthfulnessGuard.screenKeywords(initialMatch.missing || [], { evidence: cvText })
+        : { allowed: initialMatch.missing || [], blocked: [] };
+      const missingKeywords = screened.allowed;
 
       // Find skills section or create one
       const skillsPattern = /^(SKILLS|TECHNICAL SKILLS|CORE SKILLS)[\s:]*$/im;
@@ -273,6 +298,10 @@
       return {
         tailoredCV,
         injectedKeywords: injected,
+        blockedKeywords: screened.blocked,
+        claimsAdded: global.TruthfulnessGuard
+          ? global.TruthfulnessGuard.diffClaims(cvText, tailoredCV, { keywords: injected })
+          : [],
         matchScore: finalMatch.score,
         matchedKeywords: finalMatch.matched,
         missingKeywords: finalMatch.missing
@@ -283,6 +312,10 @@
      * Calculate final match score after tailoring
      */
     calculateFinalMatch(cvText, keywords) {
+      if (this.scoringMode === 'raw' && global.DynamicScore?.calculateRawMatch) {
+        return global.DynamicScore.calculateRawMatch(cvText, keywords);
+      }
+
       // Use ValidationEngine if available
       if (global.ValidationEngine) {
         return global.ValidationEngine.validateTailoring(cvText, keywords.all);
@@ -3,15 +3,22 @@
 
 console.log('[ATS Tailor] Background service worker started');
 
+importScripts('encrypted-storage.js', 'tailoring-cache.js');
+
+// Session, cached profile and Workday credentials are kept encrypted; move any plaintext copies
+EncryptedStorage.migratePlaintext().catch(e => console.error('[ATS Tailor] Plaintext migration failed', e));
+
+// Tabs save tailored documents per job URL; keep that cache bounded
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local') TailoringCache.trackWrites(changes);
+});
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     console.log('[ATS Tailor] Extension installed - setting defaults');
-    // Set default Workday credentials and auto-enable
+    // Workday credentials are entered in the popup
     chrome.storage.local.set({
-      workday_email: 'Maxokafordev@gmail.com',
-      workday_password: 'May19315park@',
-      workday_verify_password: 'May19315park@',
       workday_auto_enabled: true
     });
   } else if (details.reason === 'update') {
@@ -79,7 +86,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // Handle Workday credentials update
   if (message.action === 'UPDATE_WORKDAY_CREDENTIALS') {
-    chrome.storage.local.set({
+    EncryptedStorage.set({
       workday_email: message.email,
       workday_password: message.password,
       workday_verify_password: message.verifyPassword || message.password
@@ -0,0 +1,257 @@
+// cv-diff.js - Structured diff between the base CV and the tailored CV
+// Per section (CVTailor.parseCV) and per line/bullet, with accept/reject per change;
+// the accepted subset is rebuilt with CVTailor.reconstructCV for PDF re-rendering
+
+(function(global) {
+  'use strict';
+
+  // Same order CVTailor.reconstructCV() writes sections in
+  const SECTION_ORDER = ['header', 'summary', 'experience', 'education', 'skills', 'certifications', 'achievements', 'other'];
+
+  const SECTION_LABELS = {
+    header: 'Header',
+    summary: 'Summary',
+    experience: 'Experience',
+    education: 'Education',
+    skills: 'Skills',
+    certifications: 'Certifications',
+    achievements: 'Achievements',
+    other: 'Other'
+  };
+
+  // Lines at least this similar are shown as one edited line rather than remove + add
+  const MODIFIED_SIMILARITY = 0.5;
+
+  function parse(cvText) {
+    if (global.CVTailor?.parseCV) return global.CVTailor.parseCV(cvText || '');
+    return { raw: cvText || '', sections: { other: String(cvText || '').split('\n') } };
+  }
+
+  function reconstruct(sections, parsed) {
+    if (global.CVTailor?.reconstructCV) return global.CVTailor.reconstructCV(sections, parsed);
+    return SECTION_ORDER.filter(name => sections[name]?.length).map(name => sections[name].join('\n')).join('\n\n');
+  }
+
+  /**
+   * Longest-common-subsequence alignment of two token/line lists
+   * @returns {Array<{type: 'same'|'del'|'add', a?: string, b?: string}>}
+   */
+  function align(a, b, key = (x) => x) {
+    const n = a.length;
+    const m = b.length;
+    const table = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i][j] = key(a[i]) === key(b[j])
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (key(a[i]) === key(b[j])) {
+        ops.push({ type: 'same', a: a[i], b: b[j] });
+        i++; j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        ops.push({ type: 'del', a: a[i++] });
+      } else {
+        ops.push({ type: 'add', b: b[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: 'del', a: a[i++] });
+    while (j < m) ops.push({ type: 'add', b: b[j++] });
+    return ops;
+  }
+
+  // Content-based change ids keep accept/reject decisions attached to the right
+  // change when other lines of the tailored CV are edited (e.g. a claim removed)
+  function changeId(section, before, after, taken) {
+    const text = `${before ?? ''}\u0000${after ?? ''}`;
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    let id = `${section}-${hash.toString(36)}`;
+    for (let n = 2; taken.has(id); n++) id = `${section}-${hash.toString(36)}-${n}`;
+    taken.add(id);
+    return id;
+  }
+
+  function tokens(line) {
+    return String(line || '').toLowerCase().match(/[a-z0-9+#.]+/g) || [];
+  }
+
+  function similarity(before, after) {
+    const a = new Set(tokens(before));
+    const b = new Set(tokens(after));
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(t => { if (b.has(t)) shared++; });
+    // Injections only add words, so measure how much of the original survived
+    return shared / a.size;
+  }
+
+  /**
+   * Word-level segments for rendering an edited line
+   * @returns {Array<{type: 'same'|'del'|'add', text: string}>}
+   */
+  function wordDiff(before, after) {
+    const split = (text) => String(text || '').split(/(\s+|[.,;:])/).filter(Boolean);
+    const segments = [];
+    align(split(before), split(after)).forEach(op => {
+      const type = op.type;
+      const text = type === 'add' ? op.b : op.a;
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) last.text += text;
+      else segments.push({ type, text });
+    });
+    return segments;
+  }
+
+  /**
+   * Pair removed and added lines inside one run of edits: similar pairs become 'modified'
+   */
+  function pairRun(dels, adds) {
+    const pairs = [];
+    const usedAdds = new Set();
+
+    dels.forEach(del => {
+      let best = -1;
+      let bestScore = MODIFIED_SIMILARITY;
+      adds.forEach((add, idx) => {
+        if (usedAdds.has(idx)) return;
+        const score = similarity(del, add);
+        if (score >= bestScore) { best = idx; bestScore = score; }
+      });
+      if (best >= 0) {
+        usedAdds.add(best);
+        pairs.push({ kind: 'modified', before: del, after: adds[best], order: best });
+      } else {
+        pairs.push({ kind: 'removed', before: del, after: null, order: -1 });
+      }
+    });
+    adds.forEach((add, idx) => {
+      if (!usedAdds.has(idx)) pairs.push({ kind: 'added', before: null, after: add, order: idx });
+    });
+
+    // Keep tailored line order; removals stay ahead of what replaced them
+    return pairs.sort((x, y) => x.order - y.order);
+  }
+
+  /**
+   * Diff base CV against tailored CV
+   * @param {string} baseCV - CV handed to tailorCV()
+   * @param {string} tailoredCV - tailorCV() output
+   * @returns {Object} { sections: [{ name, label, ops }], changes, stats }
+   *   ops are { type: 'same', line } or { type: 'change', id }; blank-line moves are applied silently
+   */
+  function diffCV(baseCV, tailoredCV) {
+    const base = parse(baseCV);
+    const tailored = parse(tailoredCV);
+    const sections = [];
+    const changes = [];
+    const ids = new Set();
+
+    SECTION_ORDER.forEach(name => {
+      const a = base.sections[name] || [];
+      const b = tailored.sections[name] || [];
+      if (!a.length && !b.length) return;
+
+      const ops = [];
+      let dels = [];
+      let adds = [];
+
+      const flush = () => {
+        pairRun(dels, adds).forEach(pair => {
+          if (!(pair.before || '').trim() && !(pair.after || '').trim()) {
+            // Spacing only: follow the tailored layout
+            if (pair.after !== null) ops.push({ type: 'same', line: pair.after });
+            return;
+          }
+          const change = {
+            id: changeId(name, pair.before, pair.after, ids),
+            section: name,
+            kind: pair.kind,
+            before: pair.before,
+            after: pair.after,
+            segments: pair.kind === 'modified' ? wordDiff(pair.before, pair.after) : null
+          };
+          changes.push(change);
+          ops.push({ type: 'change', id: change.id });
+        });
+        dels = [];
+        adds = [];
+      };
+
+      align(a, b, line => line.trim()).forEach(op => {
+        if (op.type === 'same') {
+          flush();
+          ops.push({ type: 'same', line: op.b });
+        } else if (op.type === 'del') {
+          dels.push(op.a);
+        } else {
+          adds.push(op.b);
+        }
+      });
+      flush();
+
+      sections.push({ name, label: SECTION_LABELS[name], ops });
+    });
+
+    return {
+      sections,
+      changes,
+      stats: {
+        total: changes.length,
+        added: changes.filter(c => c.kind === 'added').length,
+        modified: changes.filter(c => c.kind === 'modified').length,
+        removed: changes.filter(c => c.kind === 'removed').length
+      }
+    };
+  }
+
+  /**
+   * Rebuild the CV from the accepted subset of changes
+   * @param {Object} diff - diffCV() result
+   * @param {Object} decisions - { [changeId]: boolean }; missing ids count as accepted
+   * @returns {string} CV text
+   */
+  function applyDecisions(diff, decisions = {}) {
+    const byId = new Map(diff.changes.map(c => [c.id, c]));
+    const sections = {};
+
+    diff.sections.forEach(section => {
+      const lines = [];
+      section.ops.forEach(op => {
+        if (op.type === 'same') {
+          lines.push(op.line);
+          return;
+        }
+        const change = byId.get(op.id);
+        const line = decisions[op.id] === false ? change.before : change.after;
+        if (line !== null) lines.push(line);
+      });
+      // reconstructCV() adds its own blank line between sections
+      while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+      sections[section.name] = lines;
+    });
+
+    return reconstruct(sections, null);
+  }
+
+  function countAccepted(diff, decisions = {}) {
+    return diff.changes.filter(c => decisions[c.id] !== false).length;
+  }
+
+  global.CVDiff = {
+    SECTION_ORDER,
+    SECTION_LABELS,
+    diffCV,
+    applyDecisions,
+    wordDiff,
+    countAccepted
+  };
+
+})(typeof window !== 'undefined' ? window : global);
@@ -85,14 +85,28 @@
   }
 
   /**
-   * Check if a keyword is already present in text
+   * Check if a keyword is already present in text (synonyms, stems and acronyms included)
    */
   function hasKeyword(text, keyword) {
     if (!text || !keyword) return false;
+    if (global.KeywordSynonyms) return global.KeywordSynonyms.matches(text, keyword);
     const regex = new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i');
     return regex.test(text);
   }
 
+  /**
+   * Drop keywords the truthfulness guard won't let us claim (not in the verified inventory
+   * or the original CV). Without TruthfulnessGuard loaded everything passes through.
+   * @param {Array} keywords - Candidate injections
+   * @param {string} evidence - Original CV text
+   * @returns {Object} { allowed, blocked }
+   */
+  function screenInjections(keywords, evidence = '') {
+    if (!global.TruthfulnessGuard) return { allowed: keywords, blocked: [] };
+    const { allowed, blocked } = global.TruthfulnessGuard.screenKeywords(keywords, { evidence });
+    return { allowed, blocked };
+  }
+
   /**
    * Escape special regex characters
    */
@@ -131,11 +145,12 @@
    * @param {Array} summaryLines - Lines in summary section
    * @param {Array} highPriorityKeywords - Keywords to inject
    * @param {Array} existingMatched - Already matched keywords
+   * @param {string} evidence - Original CV text for the truthfulness guard
    * @returns {Object} Enhanced summary with injection stats
    */
-  function enhanceSummary(summaryLines, highPriorityKeywords, existingMatched = []) {
+  function enhanceSummary(summaryLines, highPriorityKeywords, existingMatched = [], evidence = '') {
     if (!summaryLines.length || !highPriorityKeywords.length) {
-      return { lines: summaryLines, injected: [], count: 0 };
+      return { lines: summaryLines, injected: [], blocked: [], count: 0 };
     }
 
     const injected = [];
@@ -144,12 +159,13 @@
     const summaryText = summaryLines.join(' ');
     
     // Find keywords not yet in summary
-    const missingKeywords = highPriorityKeywords.filter(
-      kw => !hasKeyword(summaryText, kw) && !existingMatched.includes(kw)
+    const { allowed: missingKeywords, blocked } = screenInjections(
+      highPriorityKeywords.filter(kw => !hasKeyword(summaryText, kw) && !existingMatched.includes(kw)),
+      evidence
     );
 
     if (missingKeywords.length === 0) {
-      return { lines: summaryLines, injected: [], count: 0 };
+      return { lines: summaryLines, injected: [], blocked, count: 0 };
     }
 
     // Strategy 1: Add to existing sentences with "including" or "such as"
@@ -190,6 +206,7 @@
     return {
       lines: linesToEnhance,
       injected,
+      blocked,
       count: injected.length
     };
   }
@@ -200,11 +217,12 @@
    * @param {Array} experienceLines - Lines in experience section
    * @param {Object} keywords - All priority keywords
    * @param {Array} existingMatched - Already matched keywords
+   * @param {string} evidence - Original CV text for the truthfulness guard
    * @returns {Object} Enhanced experience with injection stats
    */
-  function enhanceExperience(experienceLines, keywords, existingMatched = []) {
+  function enhanceExperience(experienceLines, keywords, existingMatched = [], evidence = '') {
     if (!experienceLines.length) {
-      return { lines: experienceLines, injected: [], count: 0 };
+      return { lines: experienceLines, injected: [], blocked: [], count: 0 };
     }
 
     const injected = [];
@@ -215,8 +233,9 @@
     ];
     
     const experienceText = experienceLines.join(' ');
-    const availableKeywords = allKeywords.filter(
-      kw => !hasKeyword(experienceText, kw) && !existingMatched.includes(kw)
+    const { allowed: availableKeywords, blocked } = screenInjections(
+      allKeywords.filter(kw => !hasKeyword(experienceText, kw) && !existingMatched.includes(kw)),
+      evidence
     );
 
     let bulletCount = 0;
@@ -269,6 +288,7 @@
     return {
       lines: linesToEnhance,
       injected,
+      blocked,
       count: injected.length
     };
   }
@@ -278,18 +298,19 @@
    * @param {Array} skillsLines - Lines in skills section
    * @param {Object} keywords - All priority keywords
    * @param {Array} existingMatched - Already matched keywords
+   * @param {string} evidence - Original CV text for the truthfulness guard
    * @returns {Object} Enhanced skills with injection stats
    */
-  function enhanceSkills(skillsLines, keywords, existingMatched = []) {
+  function enhanceSkills(skillsLines, keywords, existingMatched = [], evidence = '') {
     if (!skillsLines.length) {
       // Create new skills section if missing
-      const allSkills = [
+      const { allowed: allSkills, blocked } = screenInjections([
         ...keywords.highPriority,
         ...keywords.mediumPriority.slice(0, 7)
-      ];
+      ], evidence);
       
       if (allSkills.length === 0) {
-        return { lines: [], injected: [], count: 0 };
+        return { lines: [], injected: [], blocked, count: 0 };
       }
 
       const newSection = [
@@ -301,6 +322,7 @@
       return {
         lines: newSection,
         injected: allSkills,
+        blocked,
         count: allSkills.length,
         isNew: true
       };
@@ -311,13 +333,13 @@
     const skillsText = skillsLines.join(' ');
     
     // Find keywords not in skills
-    const missingSkills = [
+    const { allowed: missingSkills, blocked } = screenInjections([
       ...keywords.highPriority,
       ...keywords.mediumPriority
-    ].filter(kw => !hasKeyword(skillsText, kw) && !existingMatched.includes(kw));
+    ].filter(kw => !hasKeyword(skillsText, kw) && !existingMatched.includes(kw)), evidence);
 
     if (missingSkills.length === 0) {
-      return { lines: skillsLines, injected: [], count: 0 };
+      return { lines: skillsLines, injected: [], blocked, count: 0 };
     }
 
     // Find the best line to append skills to (usually a bullet or list)
@@ -353,6 +375,7 @@
     return {
       lines: linesToEnhance,
       injected,
+      blocked,
       count: injected.length
     };
   }
@@ -370,6 +393,8 @@
         tailoredCV: cvText,
         originalText: cvText,
         injectedKeywords: [],
+        blockedKeywords: [],
+        claimsAdded: [],
         matchScore: 0,
         stats: { summary: 0, experience: 0, skills: 0, total: 0 }
       };
@@ -385,6 +410,7 @@
     
     const stats = { summary: 0, experience: 0, skills: 0, total: 0 };
     const allInjected = [];
+    const allBlocked = new Set();
     
     // Enhance each section
     const enhancedSections = { ...parsed.sections };
@@ -394,11 +420,13 @@
       const summaryResult = enhanceSummary(
         parsed.sections.summary,
         keywords.highPriority,
-        initialMatch.matched
+        initialMatch.matched,
+        cvText
       );
       enhancedSections.summary = summaryResult.lines;
       stats.summary = summaryResult.count;
       allInjected.push(...summaryResult.injected);
+      summaryResult.blocked.forEach(kw => allBlocked.add(kw));
     }
 
     // 2. Enhance Experience (2 keywords per bullet)
@@ -406,22 +434,26 @@
       const experienceResult = enhanceExperience(
         parsed.sections.experience,
         keywords,
-        [...initialMatch.matched, ...allInjected]
+        [...initialMatch.matched, ...allInjected],
+        cvText
       );
       enhancedSections.experience = experienceResult.lines;
       stats.experience = experienceResult.count;
       allInjected.push(...experienceResult.injected);
+      experienceResult.blocked.forEach(kw => allBlocked.add(kw));
     }
 
     // 3. Enhance Skills (all high + most medium)
     const skillsResult = enhanceSkills(
       parsed.sections.skills,
       keywords,
-      [...initialMatch.matched, ...allInjected]
+      [...initialMatch.matched, ...allInjected],
+      cvText
     );
     enhancedSections.skills = skillsResult.lines;
     stats.skills = skillsResult.count;
     allInjected.push(...skillsResult.injected);
+    skillsResult.blocked.forEach(kw => allBlocked.add(kw));
 
     // Reconstruct CV
     const tailoredCV = reconstructCV(enhancedSections, parsed);
@@ -436,10 +468,17 @@
 
     stats.total = allInjected.length;
 
+    // "Claims added" diff for user approval before the PDF is generated
+    const claimsAdded = global.TruthfulnessGuard
+      ? global.TruthfulnessGuard.diffClaims(cvText, tailoredCV, { keywords: allInjected })
+      : [];
+
     return {
       tailoredCV,
       originalText: cvText,
       injectedKeywords: allInjected,
+      blockedKeywords: [...allBlocked],
+      claimsAdded,
       matchScore: finalMatch.matchScore,
       matchedKeywords: finalMatch.matched || [...initialMatch.matched, ...allInjected],
       missingKeywords: finalMatch.missing || keywords.all.filter(k => !finalMatch.matched?.includes(k)),
@@ -481,12 +520,17 @@
    */
   function quickOptimize(cvText, missingKeywords, maxAdditions = 10) {
     if (!cvText || !missingKeywords || missingKeywords.length === 0) {
-      return { optimizedCV: cvText, added: [], count: 0 };
+      return { optimizedCV: cvText, added: [], blocked: [], count: 0 };
     }
 
     let optimizedCV = cvText;
     const added = [];
-    const keywordsToAdd = missingKeywords.slice(0, maxAdditions);
+    const { allowed, blocked } = screenInjections(missingKeywords, cvText);
+    const keywordsToAdd = allowed.slice(0, maxAdditions);
+
+    if (keywordsToAdd.length === 0) {
+      return { optimizedCV: cvText, added: [], blocked, count: 0 };
+    }
 
     // Find skills section and append
     const skillsMatch = SECTION_PATTERNS.skills.exec(optimizedCV);
@@ -532,6 +576,7 @@
     return {
       optimizedCV,
       added,
+      blocked,
       count: added.length
     };
   }
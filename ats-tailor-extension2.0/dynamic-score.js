@@ -1,12 +1,15 @@
 // dynamic-score.js - Dynamic fluctuating match score calculation
 // Calculates real-time ATS match scores based on actual keywords present in CV
+// Two modes: 'calibrated' (lenient, credits partial compound-word matches) and
+// 'raw' (strict whole-word coverage with a priority/section breakdown)
 
 (function(global) {
   'use strict';
 
   /**
    * Calculate dynamic match score based on keywords found in CV
-   * Score fluctuates between 85-100% based on real keyword injection
+   * Calibrated mode: partial compound-word matches also count, so scores run high
+   * after keyword injection. Use calculateRawMatch() for true coverage.
    * @param {string} cvText - The CV/resume text
    * @param {Array} jobKeywords - Array of keywords from job description
    * @returns {Object} Score details with matched/missing keywords
@@ -32,8 +35,9 @@
       // Check for exact word boundary match
       const regex = new RegExp(`\\b${escapeRegex(keywordLower)}\\b`, 'i');
       
-      // Also check for partial matches in compound words
+      // Also check synonyms/stems and partial matches in compound words
       const hasMatch = regex.test(cvLower) || 
+                       global.KeywordSynonyms?.matches(cvText, keyword) ||
                        cvWords.some(word => word.includes(keywordLower) || keywordLower.includes(word));
       
       if (hasMatch) {
@@ -121,6 +125,159 @@
     };
   }
 
+  const SCORING_MODES = { CALIBRATED: 'calibrated', RAW: 'raw' };
+
+  const PRIORITY_WEIGHTS = { high: 3, medium: 2, low: 1, unranked: 1 };
+
+  // CV headings recognised when splitting the CV into sections
+  const SECTION_PATTERNS = [
+    { id: 'summary', pattern: /^(professional\s+|career\s+)?(summary|profile|objective|about me)$/ },
+    { id: 'experience', pattern: /^(work\s+|professional\s+|relevant\s+)?(experience|employment( history)?|work history)$/ },
+    { id: 'skills', pattern: /^(technical\s+|core\s+|key\s+)?(skills|competencies|technologies)( & tools| and tools)?$/ },
+    { id: 'education', pattern: /^(education|academic background|qualifications)$/ },
+    { id: 'certifications', pattern: /^(certifications?|licen[cs]es( & certifications)?|courses)$/ },
+  ];
+
+  /**
+   * Split CV text into sections by heading lines
+   * Text before the first recognised heading (name, contact details) is 'other'
+   * @param {string} cvText - CV text
+   * @returns {Object} Section id -> section text (original case, for acronym matching)
+   */
+  function splitSections(cvText) {
+    const sections = { other: '' };
+    let current = 'other';
+
+    (cvText || '').split(/\r?\n/).forEach(line => {
+      const heading = line.trim().toLowerCase().replace(/[:\s]+$/, '');
+      const section = heading.length <= 40 && SECTION_PATTERNS.find(s => s.pattern.test(heading));
+      if (section) {
+        current = section.id;
+        sections[current] = sections[current] || '';
+        return;
+      }
+      sections[current] += `${line}\n`;
+    });
+
+    return sections;
+  }
+
+  /**
+   * Flatten any keyword shape into [{ term, priority }]
+   * Accepts a string array, a legacy { highPriority, mediumPriority, lowPriority, all }
+   * object, or a KeywordEngine result ({ keywords: [{ term, priority }] })
+   */
+  function toPriorityList(keywords) {
+    if (!keywords) return [];
+    if (Array.isArray(keywords)) {
+      return keywords.map(term => ({ term, priority: 'unranked' }));
+    }
+    if (Array.isArray(keywords.keywords) && keywords.keywords[0]?.term) {
+      return keywords.keywords.map(kw => ({ term: kw.term, priority: kw.priority || 'unranked' }));
+    }
+
+    const seen = new Set();
+    const list = [];
+    const add = (term, priority) => {
+      const key = String(term).toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      list.push({ term, priority });
+    };
+    (keywords.highPriority || []).forEach(term => add(term, 'high'));
+    (keywords.mediumPriority || []).forEach(term => add(term, 'medium'));
+    (keywords.lowPriority || []).forEach(term => add(term, 'low'));
+    (keywords.all || []).forEach(term => add(term, 'unranked'));
+    return list;
+  }
+
+  /**
+   * Raw (uncalibrated) match: whole-word coverage only, no partial compound-word credit,
+   * no floor. Scores span the full 0-100% range so poor fits show up as poor fits.
+   * Synonyms, stems and acronyms (KeywordSynonyms) are real coverage and do count.
+   * @param {string} cvText - The CV/resume text
+   * @param {Array|Object} keywords - Keyword array, priority buckets or KeywordEngine result
+   * @returns {Object} Score details plus byPriority / bySection breakdown and fit verdict
+   */
+  function calculateRawMatch(cvText, keywords) {
+    const list = toPriorityList(keywords);
+    const sections = splitSections(cvText);
+    const byPriority = {};
+    const bySection = {};
+    const matched = [];
+    const missing = [];
+    let totalWeight = 0;
+    let matchedWeight = 0;
+
+    list.forEach(({ term, priority }) => {
+      const regex = new RegExp(`(^|[^a-z0-9+#])${escapeRegex(String(term).toLowerCase())}(?![a-z0-9+#])`, 'i');
+      const isIn = global.KeywordSynonyms
+        ? (text) => global.KeywordSynonyms.matches(text, term)
+        : (text) => regex.test(text);
+      const foundIn = Object.keys(sections).filter(id => isIn(sections[id]));
+      const weight = PRIORITY_WEIGHTS[priority] || 1;
+      const bucket = byPriority[priority] = byPriority[priority] || { matched: [], missing: [], total: 0, score: 0 };
+
+      bucket.total++;
+      totalWeight += weight;
+
+      if (foundIn.length > 0) {
+        matched.push(term);
+        bucket.matched.push(term);
+        matchedWeight += weight;
+        foundIn.forEach(id => {
+          bySection[id] = bySection[id] || { matched: [], score: 0 };
+          bySection[id].matched.push(term);
+        });
+      } else {
+        missing.push(term);
+        bucket.missing.push(term);
+      }
+    });
+
+    const percent = (count, total) => total > 0 ? Math.round((count / total) * 100) : 0;
+    Object.values(byPriority).forEach(b => { b.score = percent(b.matched.length, b.total); });
+    // Section score = share of all job keywords that appear in that section
+    Object.values(bySection).forEach(s => { s.score = percent(s.matched.length, list.length); });
+
+    const result = {
+      mode: SCORING_MODES.RAW,
+      score: percent(matched.length, list.length),
+      weightedScore: percent(matchedWeight, totalWeight),
+      matched,
+      missing,
+      matchCount: matched.length,
+      totalKeywords: list.length,
+      byPriority,
+      bySection
+    };
+    result.fit = getFitVerdict(result);
+    return result;
+  }
+
+  /**
+   * Poor/weak/moderate/strong verdict for a raw match, driven by weighted coverage
+   * and how many high-priority keywords the CV is missing
+   */
+  function getFitVerdict(rawMatch) {
+    const score = rawMatch.weightedScore ?? rawMatch.score ?? 0;
+    const missingHigh = rawMatch.byPriority?.high?.missing?.length || 0;
+
+    if (score >= 75 && missingHigh <= 2) return { level: 'strong', label: 'Strong fit', missingHigh };
+    if (score >= 55) return { level: 'moderate', label: 'Moderate fit', missingHigh };
+    if (score >= 35) return { level: 'weak', label: 'Weak fit', missingHigh };
+    return { level: 'poor', label: 'Poor fit', missingHigh };
+  }
+
+  /**
+   * Score in the requested mode ('calibrated' default, or 'raw')
+   */
+  function calculateMatch(cvText, keywords, { mode = SCORING_MODES.CALIBRATED } = {}) {
+    if (mode === SCORING_MODES.RAW) return calculateRawMatch(cvText, keywords);
+    const list = Array.isArray(keywords) ? keywords : (keywords?.all || []);
+    return { mode: SCORING_MODES.CALIBRATED, ...calculateDynamicMatch(cvText, list) };
+  }
+
   /**
    * Animate score change with fluctuation effect
    * @param {number} currentScore - Current displayed score
@@ -183,8 +340,13 @@
 
   // Export functions
   global.DynamicScore = {
+    SCORING_MODES,
     calculateDynamicMatch,
     calculateWeightedMatch,
+    calculateRawMatch,
+    calculateMatch,
+    getFitVerdict,
+    splitSections,
     animateScore,
     getScoreStatus,
     getScoreColor,
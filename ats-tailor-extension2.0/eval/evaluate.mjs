@@ -0,0 +1,443 @@
+// ATS Tailor - Golden-Corpus Evaluation
+// Measures keyword extraction and match scoring against hand-labeled job descriptions + CVs,
+// in Node (jsdom) without the browser.
+//
+// Each corpus case (eval/corpus/*.json) lists the keywords a reviewer expects for the JD,
+// their category, and whether the CV genuinely covers them. The suite reports:
+//   - precision / recall per category for extractReliableKeywords(), KeywordEngine and
+//     tailor-application's extractJobscanKeywords()
+//   - reported vs true coverage for calculateDynamicMatch(), calculateRawMatch() and
+//     tailor-application's calculateMatchScore()
+//   - drift against the baseline recorded for a previous release
+//   - KeywordSynonyms.findMatch against eval/synonym-cases.json, including look-alike initials
+//     that must not match (exit 1 on any wrong answer)
+//
+//   npm run eval:keywords                                # report + drift vs latest baseline
+//   npm run eval:keywords -- corpus/backend-fintech.json # one case
+//   npm run eval:keywords -- --save                      # record baselines/<manifest version>.json
+//   npm run eval:keywords -- --compare baselines/2.1.0.json --tolerance 0.02   # exit 1 on drift
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import ts from 'typescript';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const EXTENSION_DIR = path.resolve(EVAL_DIR, '..');
+const REPO_DIR = path.resolve(EXTENSION_DIR, '..');
+const DEFAULT_CORPUS_DIR = path.join(EVAL_DIR, 'corpus');
+const BASELINE_DIR = path.join(EVAL_DIR, 'baselines');
+const SYNONYM_CASES = path.join(EVAL_DIR, 'synonym-cases.json');
+const TAILOR_SCORING_TS = path.join(REPO_DIR, 'supabase/functions/tailor-application/keyword-scoring.ts');
+
+// Extension scripts the extractors and scorers need, in popup load order
+const EXTENSION_SCRIPTS = [
+  'mandatory-keywords.js',
+  'keyword-synonyms.js',
+  'universal-jd-parser.js',
+  'reliable-extractor.js',
+  'keyword-engine.js',
+  'dynamic-score.js',
+];
+
+const DEFAULT_TOLERANCE = 0.02;
+
+/**
+ * Fresh jsdom window per case so learned-keyword boosts never leak between cases
+ */
+function loadExtension() {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+    url: 'https://eval.ats-tailor.local/',
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole(),
+  });
+  for (const file of EXTENSION_SCRIPTS) {
+    const source = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+    dom.window.eval(`${source}\n//# sourceURL=${file}`);
+  }
+  return dom.window;
+}
+
+/**
+ * tailor-application's scoring module is Deno TypeScript: transpile it for Node
+ */
+async function loadTailorScoring() {
+  const source = fs.readFileSync(TAILOR_SCORING_TS, 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 },
+  });
+  return import(`data:text/javascript;base64,${Buffer.from(outputText).toString('base64')}`);
+}
+
+function normalizeTerm(term) {
+  return String(term || '')
+    .toLowerCase()
+    .replace(/\.js\b/g, 'js')
+    .replace(/[\s\-_/]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Index expected keywords (and their aliases) by normalized form
+ */
+function buildExpectedIndex(expected) {
+  const index = new Map();
+  expected.forEach((kw, i) => {
+    for (const form of [kw.term, ...(kw.aliases || [])]) {
+      index.set(normalizeTerm(form), i);
+    }
+  });
+  return index;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function f1(precision, recall) {
+  if (precision == null || recall == null || precision + recall === 0) return 0;
+  return Math.round(((2 * precision * recall) / (precision + recall)) * 1000) / 1000;
+}
+
+/**
+ * Precision / recall of one extractor's output for one case, split by expected category.
+ * Unlabeled predictions count against the category the corpus lexicon assigns them, or 'other'.
+ */
+function scoreExtraction(predicted, expected, lexicon) {
+  const index = buildExpectedIndex(expected);
+  const hit = new Set();
+  const counts = {};
+  const bucket = (category) => (counts[category] = counts[category] || { tp: 0, fp: 0, fn: 0 });
+  const falsePositives = [];
+
+  for (const term of predicted) {
+    const i = index.get(normalizeTerm(term));
+    if (i !== undefined) {
+      if (!hit.has(i)) {
+        hit.add(i);
+        bucket(expected[i].category).tp++;
+      }
+    } else {
+      bucket(lexicon.get(normalizeTerm(term)) || 'other').fp++;
+      falsePositives.push(term);
+    }
+  }
+
+  const missed = [];
+  expected.forEach((kw, i) => {
+    if (!hit.has(i)) {
+      bucket(kw.category).fn++;
+      missed.push(kw.term);
+    }
+  });
+
+  return { counts, falsePositives, missed };
+}
+
+function summarizeCounts(counts) {
+  const byCategory = {};
+  const total = { tp: 0, fp: 0, fn: 0 };
+  for (const [category, c] of Object.entries(counts)) {
+    total.tp += c.tp;
+    total.fp += c.fp;
+    total.fn += c.fn;
+    const precision = ratio(c.tp, c.tp + c.fp);
+    const recall = ratio(c.tp, c.tp + c.fn);
+    byCategory[category] = { ...c, precision, recall };
+  }
+  const precision = ratio(total.tp, total.tp + total.fp);
+  const recall = ratio(total.tp, total.tp + total.fn);
+  return { ...total, precision, recall, f1: f1(precision, recall), byCategory };
+}
+
+function mergeCounts(target, counts) {
+  for (const [category, c] of Object.entries(counts)) {
+    const t = (target[category] = target[category] || { tp: 0, fp: 0, fn: 0 });
+    t.tp += c.tp;
+    t.fp += c.fp;
+    t.fn += c.fn;
+  }
+  return target;
+}
+
+/**
+ * Reported score vs true coverage, plus how well the matcher agreed with the labels
+ */
+function scoreMatcher(score, matched, expected) {
+  const trueCoverage = Math.round((expected.filter(k => k.inCv).length / expected.length) * 100);
+  const matchedSet = new Set(matched.map(normalizeTerm));
+  const tp = expected.filter(k => k.inCv && matchedSet.has(normalizeTerm(k.term))).length;
+  const fp = expected.filter(k => !k.inCv && matchedSet.has(normalizeTerm(k.term))).length;
+  const fn = expected.filter(k => k.inCv && !matchedSet.has(normalizeTerm(k.term))).length;
+  return {
+    score,
+    trueCoverage,
+    error: score - trueCoverage,
+    precision: ratio(tp, tp + fp),
+    recall: ratio(tp, tp + fn),
+  };
+}
+
+export async function evaluateCase(testCase, { tailorScoring, lexicon }) {
+  const window = loadExtension();
+  try {
+    const expected = testCase.expected.keywords;
+    const expectedTerms = expected.map(k => k.term);
+    const cv = testCase.cv;
+
+    const extractors = {
+      reliable: window.ReliableExtractor.extractReliableKeywords(testCase.jd, 35).all,
+      engine: window.KeywordEngine.extractSync(testCase.jd, { strategy: 'local', maxKeywords: 35 }).all,
+      tailor: tailorScoring.extractJobscanKeywords(testCase.jd, []).allKeywords,
+    };
+
+    const extraction = {};
+    for (const [name, predicted] of Object.entries(extractors)) {
+      extraction[name] = { predicted: predicted.length, ...scoreExtraction(predicted, expected, lexicon) };
+    }
+
+    // Scorers are fed the labeled keyword list so extraction errors don't mask scoring errors
+    const dynamic = window.DynamicScore.calculateDynamicMatch(cv.text, expectedTerms);
+    const raw = window.DynamicScore.calculateRawMatch(cv.text, expectedTerms);
+    const tailor = tailorScoring.calculateMatchScore(
+      expectedTerms,
+      cv.skills || [],
+      cv.experience || [],
+      cv.education || [],
+      cv.certifications || []
+    );
+
+    return {
+      id: testCase.id,
+      title: testCase.title,
+      expected: expected.length,
+      extraction,
+      scoring: {
+        dynamic: scoreMatcher(dynamic.score, dynamic.matched, expected),
+        raw: scoreMatcher(raw.score, raw.matched, expected),
+        tailor: scoreMatcher(tailor.score, tailor.matched, expected),
+      },
+    };
+  } finally {
+    window.close();
+  }
+}
+
+export async function evaluateCorpus(cases) {
+  const tailorScoring = await loadTailorScoring();
+
+  // Category lexicon built from every label in the corpus, for attributing false positives
+  const lexicon = new Map();
+  cases.forEach(c => c.expected.keywords.forEach(kw => {
+    for (const form of [kw.term, ...(kw.aliases || [])]) lexicon.set(normalizeTerm(form), kw.category);
+  }));
+
+  const results = [];
+  for (const testCase of cases) {
+    results.push(await evaluateCase(testCase, { tailorScoring, lexicon }));
+  }
+
+  const extraction = {};
+  for (const name of Object.keys(results[0]?.extraction || {})) {
+    const counts = results.reduce((acc, r) => mergeCounts(acc, r.extraction[name].counts), {});
+    extraction[name] = summarizeCounts(counts);
+  }
+
+  const scoring = {};
+  for (const name of Object.keys(results[0]?.scoring || {})) {
+    const rows = results.map(r => r.scoring[name]);
+    const mean = (values) => Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10;
+    scoring[name] = {
+      meanAbsError: mean(rows.map(r => Math.abs(r.error))),
+      meanBias: mean(rows.map(r => r.error)),
+      precision: mean(rows.map(r => r.precision ?? 0)),
+      recall: mean(rows.map(r => r.recall ?? 0)),
+    };
+  }
+
+  return { cases: results, summary: { extraction, scoring } };
+}
+
+/**
+ * Run each synonym case through findMatch; a case fails when matched disagrees with the label
+ */
+export function evaluateSynonyms(cases) {
+  const window = loadExtension();
+  try {
+    return cases.map(c => {
+      const result = window.KeywordSynonyms.findMatch(c.text, c.keyword);
+      return { ...c, via: result.via, form: result.form, ok: result.matched === c.matched };
+    });
+  } finally {
+    window.close();
+  }
+}
+
+/**
+ * Compare summary metrics and per-case scores with a baseline; returns human-readable drift
+ */
+export function diffBaseline(baseline, current, tolerance = DEFAULT_TOLERANCE) {
+  const diffs = [];
+  const check = (label, before, after, scale = 1) => {
+    if (before == null || after == null) return;
+    if (Math.abs(after - before) > tolerance * scale) {
+      diffs.push(`${label}: ${before} → ${after} (${after > before ? '+' : ''}${Math.round((after - before) * 1000) / 1000})`);
+    }
+  };
+
+  for (const [name, now] of Object.entries(current.summary.extraction)) {
+    const base = baseline.summary.extraction?.[name];
+    if (!base) continue;
+    check(`${name} precision`, base.precision, now.precision);
+    check(`${name} recall`, base.recall, now.recall);
+    for (const [category, c] of Object.entries(now.byCategory)) {
+      const b = base.byCategory?.[category];
+      if (!b) continue;
+      check(`${name} ${category} precision`, b.precision, c.precision);
+      check(`${name} ${category} recall`, b.recall, c.recall);
+    }
+  }
+
+  // Scores are percentages: tolerance 0.02 means 2 points
+  for (const result of current.cases) {
+    const base = baseline.cases.find(c => c.id === result.id);
+    if (!base) {
+      diffs.push(`${result.id}: new case (no baseline)`);
+      continue;
+    }
+    for (const [name, now] of Object.entries(result.scoring)) {
+      check(`${result.id} ${name} score`, base.scoring[name]?.score, now.score, 100);
+    }
+  }
+
+  return diffs;
+}
+
+function pct(value) {
+  return value == null ? '  n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function formatReport(report) {
+  const lines = ['\nKeyword extraction (precision / recall / F1)'];
+  for (const [name, s] of Object.entries(report.summary.extraction)) {
+    lines.push(`  ${name.padEnd(9)} P ${pct(s.precision)}  R ${pct(s.recall)}  F1 ${s.f1.toFixed(3)}  (tp ${s.tp}, fp ${s.fp}, fn ${s.fn})`);
+    for (const [category, c] of Object.entries(s.byCategory).sort()) {
+      lines.push(`    ${category.padEnd(14)} P ${pct(c.precision)}  R ${pct(c.recall)}`);
+    }
+  }
+
+  lines.push('\nMatch scoring (reported vs true coverage)');
+  for (const [name, s] of Object.entries(report.summary.scoring)) {
+    lines.push(`  ${name.padEnd(9)} mean |error| ${s.meanAbsError} pts, bias ${s.meanBias > 0 ? '+' : ''}${s.meanBias} pts, matcher P ${pct(s.precision)} R ${pct(s.recall)}`);
+  }
+
+  lines.push('\nPer case');
+  for (const c of report.cases) {
+    const scores = Object.entries(c.scoring)
+      .map(([name, s]) => `${name} ${s.score}% (true ${s.trueCoverage}%)`)
+      .join(', ');
+    lines.push(`  ${c.id}: ${scores}`);
+    for (const [name, e] of Object.entries(c.extraction)) {
+      if (e.missed.length) lines.push(`    ${name} missed: ${e.missed.join(', ')}`);
+    }
+  }
+
+  if (report.synonyms) {
+    const failed = report.synonyms.filter(s => !s.ok);
+    lines.push(`\nSynonym matching: ${report.synonyms.length - failed.length}/${report.synonyms.length} correct`);
+    for (const s of failed) {
+      lines.push(`  ✗ "${s.keyword}" in "${s.text}": expected ${s.matched ? 'a match' : 'no match'}, got ${s.via ? `${s.via} via "${s.form}"` : 'none'}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function extensionVersion() {
+  return JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8')).version;
+}
+
+function latestBaseline() {
+  if (!fs.existsSync(BASELINE_DIR)) return null;
+  const files = fs.readdirSync(BASELINE_DIR)
+    .filter(f => f.endsWith('.json'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  return files.length ? path.join(BASELINE_DIR, files[files.length - 1]) : null;
+}
+
+function parseArgs(argv) {
+  const args = { files: [], json: false, save: null, compare: null, tolerance: DEFAULT_TOLERANCE };
+  const optionalPath = (i) => (argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : null);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--save') {
+      args.save = optionalPath(i) || path.join(BASELINE_DIR, `${extensionVersion()}.json`);
+      if (optionalPath(i)) i++;
+    } else if (arg === '--compare') {
+      args.compare = optionalPath(i) || latestBaseline();
+      if (optionalPath(i)) i++;
+    } else if (arg === '--tolerance') args.tolerance = Number(argv[++i]);
+    else if (arg === '--json') args.json = true;
+    else args.files.push(arg);
+  }
+  return args;
+}
+
+function resolveCases(inputs) {
+  const targets = inputs.length ? inputs : [DEFAULT_CORPUS_DIR];
+  return targets.flatMap(target => {
+    const resolved = fs.existsSync(target) ? target : path.join(EVAL_DIR, target);
+    if (fs.statSync(resolved).isDirectory()) {
+      return fs.readdirSync(resolved)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .map(f => path.join(resolved, f));
+    }
+    return [resolved];
+  }).map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = await evaluateCorpus(resolveCases(args.files));
+  report.version = extensionVersion();
+  if (!args.files.length) {
+    report.synonyms = evaluateSynonyms(JSON.parse(fs.readFileSync(SYNONYM_CASES, 'utf8')).cases);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatReport(report));
+  }
+
+  if (args.save) {
+    fs.mkdirSync(path.dirname(args.save), { recursive: true });
+    fs.writeFileSync(args.save, JSON.stringify(report, null, 2));
+    console.log(`\nSaved evaluation baseline to ${path.relative(process.cwd(), args.save)}`);
+  }
+
+  if (report.synonyms?.some(s => !s.ok)) process.exitCode = 1;
+
+  // Without --compare, still show drift against the latest release baseline
+  const baselineFile = args.compare || (!args.save && latestBaseline());
+  if (baselineFile) {
+    const baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+    const diffs = diffBaseline(baseline, report, args.tolerance);
+    const label = `${path.relative(process.cwd(), baselineFile)} (v${baseline.version})`;
+    if (diffs.length) {
+      console.log(`\n${diffs.length} drift(s) against ${label}:`);
+      diffs.forEach(d => console.log(`  - ${d}`));
+      if (args.compare) process.exitCode = 1;
+    } else {
+      console.log(`\nNo drift against ${label}`);
+    }
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('[ATS Tailor] Evaluation failed:', error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,424 @@
+// keyword-engine.js - Unified keyword extraction API
+// One entry point for the popup, content script, bulk apply and match UI so they
+// all score against the same keyword list, whichever extractor produced it.
+//
+// Strategies:
+//   fast     - mandatory pre-pass + TF-IDF (KeywordExtractor), frequency fallback
+//   local    - mandatory pre-pass + category-aware ReliableExtractor (default)
+//   ai       - extract-keywords-ai edge function (async, needs a session)
+//   ensemble - local + fast (+ ai when credentials are given), merged by vote
+//
+// Every strategy returns the same result schema:
+//   {
+//     strategy, total,
+//     keywords: [{ term, category, priority, weight, evidence: [{ start, end, text }], sources }],
+//     all, highPriority, mediumPriority, lowPriority, categorized   // legacy views
+//   }
+
+(function(global) {
+  'use strict';
+
+  const DEFAULT_STRATEGY = 'local';
+  const DEFAULT_MAX_KEYWORDS = 35;
+  const MAX_EVIDENCE_SPANS = 3;
+  const PRIORITY_WEIGHT = { high: 1.0, medium: 0.6, low: 0.3 };
+
+  // AI structured buckets -> common categories
+  const AI_BUCKET_CATEGORY = {
+    priority_keywords: 'hardSkill',
+    required_skills: 'hardSkill',
+    preferred_skills: 'hardSkill',
+    tools_and_platforms: 'tool',
+    soft_skills: 'softSkill'
+  };
+
+  const FAST_STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'as',
+    'is', 'was', 'are', 'were', 'been', 'be', 'have', 'has', 'had', 'do', 'does', 'will', 'would',
+    'could', 'should', 'may', 'might', 'must', 'this', 'that', 'these', 'those', 'you', 'your',
+    'we', 'our', 'they', 'their', 'he', 'she', 'it', 'who', 'what', 'which', 'about', 'work',
+    'working', 'job', 'role', 'position', 'candidate', 'looking', 'seeking', 'experience',
+    'years', 'year', 'required', 'preferred', 'plus', 'bonus', 'remote', 'hybrid', 'salary',
+    'benefits', 'team', 'company', 'opportunity', 'join'
+  ]);
+
+  const strategies = new Map();
+
+  // ============ HELPERS ============
+
+  function toPlainText(text) {
+    if (!text) return '';
+    if (global.UniversalJDParser) {
+      return global.UniversalJDParser.processAnyJobDescription(text).text || text;
+    }
+    return text.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Locate where a term appears in the JD so the UI can show why it was picked
+   */
+  function findEvidence(term, text) {
+    if (!term || !text) return [];
+    const spans = [];
+    const regex = new RegExp(`(^|[^a-z0-9])(${escapeRegex(term)})(?=$|[^a-z0-9])`, 'gi');
+    let match;
+    while ((match = regex.exec(text)) && spans.length < MAX_EVIDENCE_SPANS) {
+      const start = match.index + match[1].length;
+      const end = start + match[2].length;
+      spans.push({
+        start,
+        end,
+        text: text.slice(Math.max(0, start - 40), Math.min(text.length, end + 40)).trim()
+      });
+      if (regex.lastIndex === match.index) regex.lastIndex++;
+    }
+    return spans;
+  }
+
+  function detectCategory(term) {
+    const reliable = global.ReliableExtractor?.detectCategories?.(term) || [];
+    if (reliable.length) return reliable[0];
+    const mandatory = global.MandatoryKeywords?.getCategoryForKeyword?.(term);
+    if (mandatory && mandatory !== 'other') return mandatory;
+    return 'other';
+  }
+
+  function priorityOf(term, legacy) {
+    const lower = term.toLowerCase();
+    const has = (list) => (list || []).some(k => k.toLowerCase() === lower);
+    if (has(legacy.highPriority)) return 'high';
+    if (has(legacy.mediumPriority)) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Normalize any extractor's legacy { all, highPriority, ... } shape to the common schema
+   */
+  function normalize(legacy, { strategy, text, maxKeywords = DEFAULT_MAX_KEYWORDS, categoryOf = null } = {}) {
+    const seen = new Set();
+    const terms = [];
+    for (const term of [...(legacy.highPriority || []), ...(legacy.all || [])]) {
+      if (!term || typeof term !== 'string') continue;
+      const lower = term.toLowerCase().trim();
+      if (seen.has(lower)) continue;
+      seen.add(lower);
+      terms.push(term.trim());
+    }
+
+    const keywords = terms.slice(0, maxKeywords).map((term, rank, list) => {
+      const priority = priorityOf(term, legacy);
+      // Rank inside the strategy's ordering nudges weight within its priority band
+      const rankFactor = list.length > 1 ? 1 - (rank / (list.length - 1)) * 0.2 : 1;
+      return {
+        term,
+        category: (categoryOf && categoryOf(term)) || detectCategory(term),
+        priority,
+        weight: Math.round(PRIORITY_WEIGHT[priority] * rankFactor * 100) / 100,
+        evidence: findEvidence(term, text),
+        sources: [strategy]
+      };
+    });
+
+    return buildResult(keywords, strategy, legacy);
+  }
+
+  function buildResult(keywords, strategy, extra = {}) {
+    const pick = (priority) => keywords.filter(k => k.priority === priority).map(k => k.term);
+    const categorized = {};
+    keywords.forEach(k => {
+      (categorized[k.category] = categorized[k.category] || []).push(k.term);
+    });
+
+    return {
+      strategy,
+      keywords,
+      all: keywords.map(k => k.term),
+      highPriority: pick('high'),
+      mediumPriority: pick('medium'),
+      lowPriority: pick('low'),
+      total: keywords.length,
+      categorized,
+      ...(extra.structured ? { structured: extra.structured } : {}),
+      ...(extra.mandatoryKeywords ? { mandatoryKeywords: extra.mandatoryKeywords } : {})
+    };
+  }
+
+  function withMandatory(legacy, text) {
+    if (!global.MandatoryKeywords) return legacy;
+    const mandatory = global.MandatoryKeywords.extractMandatoryFromJD(text);
+    return mandatory.length ? global.MandatoryKeywords.mergeWithMandatory(legacy, mandatory) : legacy;
+  }
+
+  function frequencyExtraction(text, maxKeywords) {
+    const freq = {};
+    text.toLowerCase().replace(/[^a-z0-9\-+#/.\s]/g, ' ').split(/\s+/)
+      .map(w => w.replace(/^[.\-/]+|[.\-/]+$/g, ''))
+      .filter(w => w.length >= 3 && !FAST_STOP_WORDS.has(w))
+      .forEach(w => { freq[w] = (freq[w] || 0) + 1; });
+
+    const sorted = Object.entries(freq).sort((a, b) => b[1] - a[1]).slice(0, maxKeywords).map(([w]) => w);
+    const highCount = Math.ceil(sorted.length * 0.4);
+    const mediumCount = Math.ceil(sorted.length * 0.35);
+    return {
+      all: sorted,
+      highPriority: sorted.slice(0, highCount),
+      mediumPriority: sorted.slice(highCount, highCount + mediumCount),
+      lowPriority: sorted.slice(highCount + mediumCount)
+    };
+  }
+
+  // ============ BUILT-IN STRATEGIES ============
+
+  registerStrategy('fast', {
+    extract(text, { maxKeywords }) {
+      const legacy = global.KeywordExtractor?.extractKeywords
+        ? global.KeywordExtractor.extractKeywords(text, maxKeywords)
+        : frequencyExtraction(text, maxKeywords);
+      return withMandatory(legacy, text);
+    }
+  });
+
+  registerStrategy('local', {
+    extract(text, { maxKeywords }) {
+      if (!global.ReliableExtractor) return strategies.get('fast').extract(text, { maxKeywords });
+      return withMandatory(global.ReliableExtractor.extractReliableKeywords(text, maxKeywords), text);
+    }
+  });
+
+  registerStrategy('ai', {
+    async: true,
+    async extract(text, { ai = {} }) {
+      if (!ai.supabaseUrl || !ai.accessToken) {
+        throw new Error('AI keyword extraction requires a signed-in session');
+      }
+
+      const response = await fetch(`${ai.supabaseUrl}/functions/v1/extract-keywords-ai`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${ai.accessToken}`,
+          apikey: ai.anonKey || '',
+        },
+        body: JSON.stringify({
+          jobDescription: text,
+          jobTitle: ai.jobTitle,
+          company: ai.company,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Request failed: ${response.status}`);
+      }
+      return response.json();
+    },
+    categoryOf(result) {
+      const bucketOf = new Map();
+      for (const [bucket, category] of Object.entries(AI_BUCKET_CATEGORY)) {
+        (result.structured?.[bucket] || []).forEach(term => {
+          const lower = String(term).toLowerCase();
+          if (!bucketOf.has(lower)) bucketOf.set(lower, category);
+        });
+      }
+      return (term) => {
+        const detected = detectCategory(term);
+        return detected !== 'other' ? detected : (bucketOf.get(term.toLowerCase()) || 'other');
+      };
+    }
+  });
+
+  // Adapters for the hybrid build's extractors, used when those scripts are loaded
+  registerStrategy('turbo', {
+    async: true,
+    available: () => !!global.TurboPipeline?.turboExtractKeywords,
+    extract(text, { maxKeywords }) {
+      return global.TurboPipeline.turboExtractKeywords(text, { maxKeywords });
+    }
+  });
+
+  registerStrategy('universal', {
+    available: () => !!global.UniversalKeywordStrategy?.extractAndClassifyKeywords,
+    extract(text, { maxKeywords }) {
+      return global.UniversalKeywordStrategy.extractAndClassifyKeywords(text, maxKeywords);
+    }
+  });
+
+  // ============ ENSEMBLE ============
+
+  /**
+   * Merge several normalized results: terms found by more strategies rank higher
+   */
+  function mergeResults(results, maxKeywords) {
+    const byTerm = new Map();
+    results.forEach(result => {
+      result.keywords.forEach(kw => {
+        const lower = kw.term.toLowerCase();
+        const existing = byTerm.get(lower);
+        if (!existing) {
+          byTerm.set(lower, { ...kw, weightSum: kw.weight, votes: 1 });
+          return;
+        }
+        existing.weightSum += kw.weight;
+        existing.votes++;
+        existing.sources = [...new Set([...existing.sources, ...kw.sources])];
+        if (existing.category === 'other') existing.category = kw.category;
+        if (PRIORITY_WEIGHT[kw.priority] > PRIORITY_WEIGHT[existing.priority]) existing.priority = kw.priority;
+        if (!existing.evidence.length) existing.evidence = kw.evidence;
+      });
+    });
+
+    const voters = results.length || 1;
+    const merged = [...byTerm.values()].map(({ weightSum, votes, ...kw }) => ({
+      ...kw,
+      weight: Math.round((weightSum / voters) * 100) / 100,
+      // A term every strategy agrees on is at least medium priority
+      priority: votes === voters && kw.priority === 'low' ? 'medium' : kw.priority
+    }));
+    merged.sort((a, b) => b.weight - a.weight);
+
+    return buildResult(merged.slice(0, maxKeywords), 'ensemble');
+  }
+
+  // ============ PUBLIC API ============
+
+  function registerStrategy(name, strategy) {
+    if (!name || typeof strategy?.extract !== 'function') {
+      throw new Error(`Keyword strategy "${name}" must implement extract()`);
+    }
+    strategies.set(name, strategy);
+  }
+
+  function listStrategies() {
+    return [...strategies.entries()]
+      .filter(([, s]) => !s.available || s.available())
+      .map(([name]) => name)
+      .concat('ensemble');
+  }
+
+  function runStrategy(name, text, plain, options) {
+    const strategy = strategies.get(name);
+    if (!strategy || (strategy.available && !strategy.available())) {
+      throw new Error(`Unknown keyword strategy: ${name}`);
+    }
+    const finish = (legacy) => normalize(legacy || {}, {
+      strategy: name,
+      text: plain,
+      maxKeywords: options.maxKeywords,
+      categoryOf: strategy.categoryOf ? strategy.categoryOf(legacy || {}) : null
+    });
+    const legacy = strategy.extract(text, options);
+    return strategy.async ? Promise.resolve(legacy).then(finish) : finish(legacy);
+  }
+
+  /**
+   * Synchronous extraction for the local strategies (fast, local, turbo, universal, ensemble without AI)
+   */
+  function extractSync(jobDescription, { strategy = DEFAULT_STRATEGY, maxKeywords = DEFAULT_MAX_KEYWORDS } = {}) {
+    if (!jobDescription || typeof jobDescription !== 'string') {
+      return buildResult([], strategy);
+    }
+    const plain = toPlainText(jobDescription);
+    const options = { maxKeywords };
+
+    if (strategy === 'ensemble') {
+      const results = listStrategies()
+        .filter(name => name !== 'ensemble' && !strategies.get(name).async)
+        .map(name => runStrategy(name, jobDescription, plain, options));
+      return mergeResults(results, maxKeywords);
+    }
+    if (strategies.get(strategy)?.async) {
+      throw new Error(`Keyword strategy "${strategy}" is async, use KeywordEngine.extract()`);
+    }
+    return runStrategy(strategy, jobDescription, plain, options);
+  }
+
+  /**
+   * Extract keywords with any strategy. Always resolves to the common result schema.
+   * @param {string} jobDescription - JD text or HTML
+   * @param {Object} options - { strategy, maxKeywords, ai: { supabaseUrl, anonKey, accessToken, jobTitle, company } }
+   */
+  async function extract(jobDescription, { strategy = DEFAULT_STRATEGY, maxKeywords = DEFAULT_MAX_KEYWORDS, ai = null } = {}) {
+    if (!jobDescription || typeof jobDescription !== 'string') {
+      return buildResult([], strategy);
+    }
+    const plain = toPlainText(jobDescription);
+    const options = { maxKeywords, ai: ai || {} };
+
+    if (strategy === 'ensemble') {
+      const local = extractSync(jobDescription, { strategy: 'ensemble', maxKeywords });
+      if (!ai?.accessToken) return local;
+      try {
+        const aiResult = await runStrategy('ai', jobDescription, plain, options);
+        return mergeResults([
+          ...listStrategies()
+            .filter(name => name !== 'ensemble' && !strategies.get(name).async)
+            .map(name => runStrategy(name, jobDescription, plain, options)),
+          aiResult
+        ], maxKeywords);
+      } catch (e) {
+        console.warn('[KeywordEngine] AI strategy failed, using local ensemble:', e.message);
+        return local;
+      }
+    }
+    return runStrategy(strategy, jobDescription, plain, options);
+  }
+
+  /**
+   * Match CV text against an engine result (or a plain term list)
+   */
+  function matchKeywords(cvText, keywords) {
+    const list = Array.isArray(keywords) ? keywords : (keywords?.all || []);
+    if (global.ReliableExtractor) return global.ReliableExtractor.matchKeywords(cvText || '', list);
+
+    const cvLower = (cvText || '').toLowerCase();
+    const matched = [];
+    const missing = [];
+    list.forEach(keyword => {
+      (new RegExp(`\\b${escapeRegex(keyword.toLowerCase())}\\b`, 'i').test(cvLower) ? matched : missing).push(keyword);
+    });
+    return {
+      matched,
+      missing,
+      matchScore: list.length > 0 ? Math.round((matched.length / list.length) * 100) : 0,
+      matchCount: matched.length,
+      totalKeywords: list.length
+    };
+  }
+
+  /**
+   * Full analysis in the shape MatchUI.renderMatchPanel() expects
+   */
+  function analyzeMatch(jobDescription, cvText, options = {}) {
+    const keywords = extractSync(jobDescription, options);
+    const match = matchKeywords(cvText, keywords);
+    const split = (list) => ({
+      high: keywords.highPriority.filter(k => list.includes(k)),
+      medium: keywords.mediumPriority.filter(k => list.includes(k)),
+      low: keywords.lowPriority.filter(k => list.includes(k))
+    });
+
+    return {
+      keywords,
+      match,
+      categorizedMatched: split(match.matched),
+      categorizedMissing: split(match.missing)
+    };
+  }
+
+  global.KeywordEngine = {
+    DEFAULT_STRATEGY,
+    extract,
+    extractSync,
+    analyzeMatch,
+    matchKeywords,
+    registerStrategy,
+    listStrategies,
+    normalize,
+    findEvidence
+  };
+
+})(typeof window !== 'undefined' ? window : global);
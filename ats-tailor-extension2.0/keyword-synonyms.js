@@ -0,0 +1,335 @@
+// keyword-synonyms.js - Synonym/alias graph, stemming and acronym expansion for keyword matching
+// Shared by every matcher (ReliableExtractor, DynamicScore, TailorUniversal, CVTailor, chips)
+// so "K8s" counts for "Kubernetes" and "CI/CD" for "continuous integration"
+
+(function(global) {
+  'use strict';
+
+  // Built-in alias groups: first entry is the canonical form
+  const BUILTIN_GROUPS = [
+    ['Kubernetes', 'k8s'],
+    ['JavaScript', 'js', 'ecmascript', 'es6'],
+    ['Node.js', 'nodejs'],
+    ['React', 'react.js', 'reactjs'],
+    ['Vue.js', 'vue', 'vuejs'],
+    ['Next.js', 'nextjs'],
+    ['Go', 'golang'],
+    ['PostgreSQL', 'postgres', 'psql'],
+    ['SQL Server', 'mssql', 'microsoft sql server'],
+    ['MongoDB', 'mongo'],
+    ['CI/CD', 'cicd', 'ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'],
+    ['AWS', 'amazon web services'],
+    ['GCP', 'google cloud', 'google cloud platform'],
+    ['Azure', 'microsoft azure'],
+    ['Machine Learning', 'ml'],
+    ['Natural Language Processing', 'nlp'],
+    ['Large Language Models', 'llm', 'llms'],
+    ['Deep Learning', 'dl'],
+    ['Site Reliability Engineering', 'sre'],
+    ['Infrastructure as Code', 'iac'],
+    ['REST APIs', 'rest api', 'restful', 'restful apis'],
+    ['Object-Oriented Programming', 'oop', 'object oriented programming'],
+    ['Test-Driven Development', 'tdd', 'test driven development'],
+    ['Quality Assurance', 'qa'],
+    ['User Experience', 'ux'],
+    ['Power BI', 'powerbi'],
+    ['Excel', 'microsoft excel', 'ms excel'],
+    ['A/B Testing', 'ab testing', 'split testing'],
+    ['KPIs', 'kpi', 'key performance indicators'],
+    ['ETL', 'extract transform load'],
+    ['Software as a Service', 'saas'],
+    ['Go-to-Market', 'gtm', 'go to market'],
+    ['Customer Relationship Management', 'crm'],
+    ['Search Engine Optimization', 'seo'],
+    ['Security+', 'comptia security+', 'security plus'],
+    ['Project Management Professional', 'pmp'],
+  ];
+
+  const USER_STORAGE_KEY = 'ats_keyword_synonyms_v1';
+
+  // Words ignored when building or expanding acronyms ("Infrastructure as Code" -> IAC/IC)
+  const ACRONYM_STOPWORDS = new Set(['as', 'a', 'an', 'and', 'of', 'the', 'to', 'for', 'in', 'on', '&']);
+
+  // normalized form -> group id; group id -> Set of normalized forms
+  const formToGroup = new Map();
+  const groups = new Map();
+  // User and learned groups persisted separately from the built-in list
+  let userGroups = {}; // canonical -> [aliases]
+  let nextGroupId = 0;
+
+  function normalizeTerm(term) {
+    return String(term || '')
+      .toLowerCase()
+      .replace(/[‐-―]/g, '-')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Link terms into one alias group, merging any groups they already belong to
+   */
+  function linkTerms(terms) {
+    const forms = terms.map(normalizeTerm).filter(Boolean);
+    if (forms.length < 2) return;
+
+    const existing = [...new Set(forms.map(f => formToGroup.get(f)).filter(id => id !== undefined))];
+    const id = existing.length ? existing[0] : nextGroupId++;
+    const members = groups.get(id) || new Set();
+
+    existing.slice(1).forEach(otherId => {
+      groups.get(otherId).forEach(f => members.add(f));
+      groups.delete(otherId);
+    });
+    forms.forEach(f => members.add(f));
+    members.forEach(f => formToGroup.set(f, id));
+    groups.set(id, members);
+  }
+
+  function rebuildGraph() {
+    formToGroup.clear();
+    groups.clear();
+    nextGroupId = 0;
+    BUILTIN_GROUPS.forEach(linkTerms);
+    Object.entries(userGroups).forEach(([canonical, aliases]) => linkTerms([canonical, ...aliases]));
+  }
+
+  // ============ PERSISTENCE (user-defined and learned aliases) ============
+
+  function loadUserSynonyms() {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        chrome.storage.local.get([USER_STORAGE_KEY], (result) => {
+          if (result[USER_STORAGE_KEY]) {
+            userGroups = result[USER_STORAGE_KEY];
+            rebuildGraph();
+          }
+        });
+      } else if (typeof localStorage !== 'undefined') {
+        const stored = localStorage.getItem(USER_STORAGE_KEY);
+        if (stored) {
+          userGroups = JSON.parse(stored);
+          rebuildGraph();
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load keyword synonyms:', e);
+    }
+  }
+
+  function saveUserSynonyms() {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        chrome.storage.local.set({ [USER_STORAGE_KEY]: userGroups });
+      } else if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(userGroups));
+      }
+    } catch (e) {
+      console.warn('Failed to save keyword synonyms:', e);
+    }
+  }
+
+  /**
+   * Add aliases for a term (user-defined or learned); persisted across sessions
+   * @param {string} term - Canonical term, e.g. "Kubernetes"
+   * @param {Array<string>} aliases - Equivalent forms, e.g. ["k8s", "kube"]
+   */
+  function addSynonyms(term, aliases = []) {
+    const canonical = normalizeTerm(term);
+    const forms = aliases.map(normalizeTerm).filter(a => a && a !== canonical);
+    if (!canonical || forms.length === 0) return;
+
+    userGroups[canonical] = [...new Set([...(userGroups[canonical] || []), ...forms])];
+    linkTerms([canonical, ...forms]);
+    saveUserSynonyms();
+  }
+
+  /**
+   * Remove a user-defined alias group (built-in groups cannot be removed)
+   */
+  function removeSynonyms(term) {
+    const canonical = normalizeTerm(term);
+    if (!userGroups[canonical]) return false;
+    delete userGroups[canonical];
+    rebuildGraph();
+    saveUserSynonyms();
+    return true;
+  }
+
+  /**
+   * All equivalent forms of a term (normalized, including the term itself)
+   */
+  function getSynonyms(term) {
+    const form = normalizeTerm(term);
+    const id = formToGroup.get(form);
+    return id === undefined ? [form] : [...groups.get(id)];
+  }
+
+  function getUserSynonyms() {
+    return { ...userGroups };
+  }
+
+  // ============ STEMMING ============
+
+  // Light suffix stripper: enough to equate plurals, gerunds and -ment/-ation forms
+  const STEM_RULES = [
+    ['izations', 'ize'], ['ization', 'ize'], ['isation', 'ize'],
+    ['ational', 'ate'], ['ations', 'ate'], ['ation', 'ate'],
+    ['ments', ''], ['ment', ''],
+    ['ies', 'y'], ['ied', 'y'],
+    ['ing', ''], ['ed', ''],
+    ['es', ''], ['s', ''],
+  ];
+
+  function stem(word) {
+    let w = word.toLowerCase();
+    if (w.length <= 4 || /[^a-z]/.test(w)) return w;
+    for (const [suffix, replacement] of STEM_RULES) {
+      if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+        // Keep -ss/-is/-us words ("business", "analysis", "status") intact
+        if (suffix === 's' && /(ss|is|us)$/.test(w)) break;
+        w = w.slice(0, -suffix.length) + replacement;
+        break;
+      }
+    }
+    return w.replace(/e$/, '');
+  }
+
+  function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g) || []);
+  }
+
+  function stemPhrase(phrase) {
+    return tokenize(phrase).map(stem).join(' ');
+  }
+
+  // ============ ACRONYMS ============
+
+  /**
+   * "Site Reliability Engineering" -> "sre"; null for single words
+   */
+  function acronymOf(phrase) {
+    const words = normalizeTerm(phrase).split(/[\s-]+/).filter(w => w && !ACRONYM_STOPWORDS.has(w));
+    if (words.length < 2) return null;
+    return words.map(w => w[0]).join('');
+  }
+
+  function isAcronym(term) {
+    return /^[A-Z][A-Z0-9&]{1,5}s?$/.test(String(term).trim());
+  }
+
+  /**
+   * "Site Reliability Engineering (SRE)" definitions found in text -> [{ expansion, acronym }]
+   */
+  function findAcronymDefinitions(text) {
+    const definitions = [];
+    const regex = /((?:[A-Z][\w-]*\s+(?:(?:as|and|of|the|to|for)\s+)?){1,5}[A-Z][\w-]*)\s*\(([A-Z][A-Za-z0-9&]{1,5})\)/g;
+    let match;
+    while ((match = regex.exec(text || '')) !== null) {
+      const acronym = match[2];
+      if ((acronym.match(/[A-Z]/g) || []).length < 2) continue;
+      const words = match[1].trim().split(/\s+/);
+      // "OKRs" spells the initials of "Objectives and Key Results" too
+      const targets = [acronym.toLowerCase(), acronym.toLowerCase().replace(/s$/, '')];
+      // Trim leading words until the initials line up with the acronym ("IaC" keeps "as")
+      for (let i = 0; i < words.length; i++) {
+        const expansion = words.slice(i).join(' ');
+        const initials = words.slice(i).map(w => w[0].toLowerCase()).join('');
+        if (targets.includes(acronymOf(expansion)) || targets.includes(initials)) {
+          definitions.push({ expansion, acronym });
+          break;
+        }
+      }
+    }
+    return definitions;
+  }
+
+  // ============ MATCHING ============
+
+  let preparedCache = { text: null, prepared: null };
+
+  /**
+   * Pre-compute lowercase, stemmed and original-case forms of a text (cached for the last text)
+   */
+  function prepareText(text) {
+    if (preparedCache.text === text) return preparedCache.prepared;
+    const raw = String(text || '');
+    const prepared = {
+      raw,
+      lower: raw.toLowerCase(),
+      stemmed: ` ${stemPhrase(raw)} `,
+      definitions: findAcronymDefinitions(raw),
+    };
+    preparedCache = { text, prepared };
+    return prepared;
+  }
+
+  function containsForm(lowerText, form) {
+    // Word boundaries that also work for forms ending in symbols ("c++", "c#", "ci/cd")
+    const regex = new RegExp(`(^|[^a-z0-9+#])${escapeRegex(form)}(?![a-z0-9+#])`, 'i');
+    return regex.test(lowerText);
+  }
+
+  /**
+   * Find how (if at all) a keyword is present in a text
+   * @param {string} text - CV text (or any text section)
+   * @param {string} keyword - Job keyword
+   * @returns {{ matched: boolean, via: string|null, form: string|null }}
+   *   via is 'exact', 'alias', 'stem' or 'acronym'
+   */
+  function findMatch(text, keyword) {
+    const prepared = typeof text === 'object' && text?.lower !== undefined ? text : prepareText(text);
+    const form = normalizeTerm(keyword);
+    if (!form) return { matched: false, via: null, form: null };
+
+    if (containsForm(prepared.lower, form)) return { matched: true, via: 'exact', form };
+
+    const aliases = getSynonyms(form).filter(a => a !== form);
+    for (const alias of aliases) {
+      if (containsForm(prepared.lower, alias)) return { matched: true, via: 'alias', form: alias };
+    }
+
+    for (const candidate of [form, ...aliases]) {
+      const stemmed = stemPhrase(candidate);
+      if (stemmed && prepared.stemmed.includes(` ${stemmed} `)) return { matched: true, via: 'stem', form: candidate };
+    }
+
+    // Acronym keyword that the text defines inline ("Objectives and Key Results (OKRs)" for "OKR").
+    // Known acronyms are alias groups above; bare initials ("PM", "GA") are too ambiguous to count.
+    if (isAcronym(keyword)) {
+      const acr = form.replace(/s$/, '');
+      const defined = prepared.definitions.find(d => d.acronym.toLowerCase().replace(/s$/, '') === acr);
+      if (defined) return { matched: true, via: 'acronym', form: normalizeTerm(defined.expansion) };
+    }
+
+    return { matched: false, via: null, form: null };
+  }
+
+  function matches(text, keyword) {
+    return findMatch(text, keyword).matched;
+  }
+
+  // Initialize on load
+  rebuildGraph();
+  loadUserSynonyms();
+
+  global.KeywordSynonyms = {
+    BUILTIN_GROUPS,
+    matches,
+    findMatch,
+    prepareText,
+    getSynonyms,
+    addSynonyms,
+    removeSynonyms,
+    getUserSynonyms,
+    stem,
+    stemPhrase,
+    acronymOf,
+    findAcronymDefinitions,
+    normalizeTerm
+  };
+
+})(typeof window !== 'undefined' ? window : global);
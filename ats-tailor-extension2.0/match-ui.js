@@ -191,7 +191,7 @@
 
   /**
    * Create full AI Match Analysis panel
-   * @param {Object} analysisResult - Result from KeywordExtractor.analyzeMatch
+   * @param {Object} analysisResult - Result from KeywordEngine.analyzeMatch (or legacy KeywordExtractor.analyzeMatch)
    * @returns {HTMLElement} The panel element
    */
   function createMatchAnalysisPanel(analysisResult) {
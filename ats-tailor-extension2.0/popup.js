@@ -46,6 +46,12 @@ class ATSTailor {
     this.stats = { today: 0, total: 0, avgTime: 0, times: [] };
     this.currentPreviewTab = 'cv';
     this.autoTailorEnabled = true;
+    // 'raw' shows true profile coverage instead of the post-injection score
+    this.scoringMode = 'calibrated';
+    this.truthGuardMode = 'block';
+    // Base resume library (cvs table) and the base picked for the current job
+    this.cvLibrary = [];
+    this.baseCvSelection = null;
     
     // Performance: Caches for JD text and keywords per job URL
     this.jdCache = new Map(); // url -> { jd, timestamp }
@@ -66,6 +72,8 @@ class ATSTailor {
   }
 
   async init() {
+    // Encrypt any session/credentials an earlier version stored in plaintext
+    await EncryptedStorage.migratePlaintext().catch(e => console.error('[ATS Tailor] Plaintext migration failed', e));
     await this.loadSession();
     this.bindEvents();
     this.updateUI();
@@ -73,7 +81,33 @@ class ATSTailor {
     // Auto-detect job when popup opens (but do NOT auto-tailor)
     if (this.session) {
       await this.refreshSessionIfNeeded();
+      this.syncOutcomeStats();
       await this.detectCurrentJob();
+      await this.loadCvLibrary();
+    }
+  }
+
+  /**
+   * Pull keyword_effectiveness (interview rate per keyword from tracked applications)
+   * into ReliableExtractor so extraction favours keywords that have landed interviews
+   */
+  async syncOutcomeStats() {
+    if (!this.session?.access_token || !window.ReliableExtractor?.setOutcomeStats) return;
+    try {
+      const res = await fetch(
+        `${SUPABASE_URL}/rest/v1/keyword_effectiveness?user_id=eq.${this.session.user.id}&select=keyword,applications,interviews,interview_rate`,
+        {
+          headers: {
+            apikey: SUPABASE_ANON_KEY,
+            Authorization: `Bearer ${this.session.access_token}`,
+          },
+        }
+      );
+      if (!res.ok) return;
+      const rows = await res.json();
+      window.ReliableExtractor.setOutcomeStats(Array.isArray(rows) ? rows : []);
+    } catch (e) {
+      console.warn('[ATS Tailor] outcome stats sync failed', e);
     }
   }
 
@@ -102,7 +136,7 @@ class ATSTailor {
       if (!refreshRes.ok) {
         console.warn('[ATS Tailor] refresh failed; clearing session');
         this.session = null;
-        await chrome.storage.local.remove(['ats_session']);
+        await EncryptedStorage.remove(['ats_session']);
         this.updateUI();
         return;
       }
@@ -121,11 +155,14 @@ class ATSTailor {
 
   async loadSession() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(
-        ['ats_session', 'ats_stats', 'ats_todayDate', 'ats_autoTailorEnabled', 'ats_lastGeneratedDocuments', 'ats_lastJob'],
+      EncryptedStorage.get(
+        ['ats_session', 'ats_stats', 'ats_todayDate', 'ats_autoTailorEnabled', 'ats_scoringMode', 'ats_truthGuardMode', 'ats_lastGeneratedDocuments', 'ats_lastJob']
+      ).then(
         (result) => {
           this.session = result.ats_session || null;
           this.autoTailorEnabled = typeof result.ats_autoTailorEnabled === 'boolean' ? result.ats_autoTailorEnabled : true;
+          this.scoringMode = result.ats_scoringMode === 'raw' ? 'raw' : 'calibrated';
+          this.truthGuardMode = result.ats_truthGuardMode === 'flag' ? 'flag' : 'block';
 
           // Restore last job/documents for preview continuity
           this.currentJob = result.ats_lastJob || this.currentJob;
@@ -150,7 +187,7 @@ class ATSTailor {
   }
 
   async saveSession() {
-    await chrome.storage.local.set({ ats_session: this.session });
+    await EncryptedStorage.set({ ats_session: this.session });
   }
 
   async saveStats() {
@@ -165,6 +202,7 @@ class ATSTailor {
     document.getElementById('logoutBtn')?.addEventListener('click', () => this.logout());
     document.getElementById('tailorBtn')?.addEventListener('click', () => this.tailorDocuments({ force: true }));
     document.getElementById('refreshJob')?.addEventListener('click', () => this.detectCurrentJob());
+    document.getElementById('baseCvSelect')?.addEventListener('change', (e) => this.overrideBaseCv(e.target?.value));
     document.getElementById('downloadCv')?.addEventListener('click', () => this.downloadDocument('cv'));
     document.getElementById('downloadCover')?.addEventListener('click', () => this.downloadDocument('cover'));
     document.getElementById('attachBoth')?.addEventListener('click', () => this.attachBothDocuments());
@@ -180,6 +218,34 @@ class ATSTailor {
       chrome.storage.local.set({ ats_autoTailorEnabled: enabled });
       this.showToast(enabled ? 'Auto tailor enabled' : 'Auto tailor disabled', 'success');
     });
+    document.getElementById('addSynonymBtn')?.addEventListener('click', () => this.addUserSynonyms());
+    document.getElementById('synonymList')?.addEventListener('click', (e) => {
+      const term = e.target?.closest('[data-synonym-term]')?.dataset.synonymTerm;
+      if (term && window.KeywordSynonyms?.removeSynonyms(decodeURIComponent(term))) {
+        this.renderSynonymList();
+        this.updateMatchAnalysisUI();
+      }
+    });
+    document.getElementById('rawScoringToggle')?.addEventListener('change', (e) => {
+      this.scoringMode = e.target?.checked ? 'raw' : 'calibrated';
+      chrome.storage.local.set({ ats_scoringMode: this.scoringMode });
+      this.updateMatchAnalysisUI();
+      this.showToast(this.scoringMode === 'raw' ? 'Raw scoring: showing true profile coverage' : 'Calibrated scoring enabled', 'success');
+    });
+    document.getElementById('truthGuardToggle')?.addEventListener('change', (e) => {
+      this.truthGuardMode = e.target?.checked ? 'block' : 'flag';
+      window.TruthfulnessGuard?.setMode(this.truthGuardMode);
+      this.showToast(this.truthGuardMode === 'block' ? 'Unverified skills will not be added' : 'Unverified skills will be flagged for review', 'success');
+    });
+    document.getElementById('claimsList')?.addEventListener('click', (e) => {
+      const claimId = e.target?.closest('[data-claim-id]')?.dataset.claimId;
+      if (claimId) this.removeClaims([claimId]);
+    });
+    document.getElementById('removeUnverifiedClaimsBtn')?.addEventListener('click', () => {
+      const ids = (this.generatedDocuments.claims?.items || []).filter(c => !c.verified).map(c => c.id);
+      this.removeClaims(ids);
+    });
+    document.getElementById('approveClaimsBtn')?.addEventListener('click', () => this.approveClaims());
     
     // View Extracted Keywords Button (fast local extraction)
     document.getElementById('viewKeywordsBtn')?.addEventListener('click', () => this.viewExtractedKeywords());
@@ -199,6 +265,9 @@ class ATSTailor {
       this.showToast(enabled ? 'Workday automation enabled' : 'Workday automation disabled', 'success');
     });
     document.getElementById('saveWorkdayCreds')?.addEventListener('click', () => this.saveWorkdayCredentials());
+    document.getElementById('storageAudit')?.addEventListener('toggle', (e) => {
+      if (e.target.open) this.loadStorageAudit();
+    });
     
     // Load Workday settings
     this.loadWorkdaySettings();
@@ -206,6 +275,14 @@ class ATSTailor {
     // Preview tabs
     document.getElementById('previewCvTab')?.addEventListener('click', () => this.switchPreviewTab('cv'));
     document.getElementById('previewCoverTab')?.addEventListener('click', () => this.switchPreviewTab('cover'));
+    document.getElementById('previewDiffTab')?.addEventListener('click', () => this.switchPreviewTab('diff'));
+    document.getElementById('previewContent')?.addEventListener('change', (e) => {
+      const changeId = e.target?.dataset?.changeId;
+      if (changeId) this.setDiffDecisions({ [changeId]: !!e.target.checked });
+    });
+    document.getElementById('acceptAllChangesBtn')?.addEventListener('click', () => this.setDiffDecisions(null, true));
+    document.getElementById('rejectAllChangesBtn')?.addEventListener('click', () => this.setDiffDecisions(null, false));
+    document.getElementById('applyChangesBtn')?.addEventListener('click', () => this.applyDiffDecisions());
 
     // Enter key for login
     document.getElementById('password')?.addEventListener('keypress', (e) => {
@@ -306,9 +383,7 @@ class ATSTailor {
   }
 
   async loadWorkdaySettings() {
-    const result = await new Promise(resolve => {
-      chrome.storage.local.get(['workday_email', 'workday_password', 'workday_verify_password', 'workday_auto_enabled'], resolve);
-    });
+    const result = await EncryptedStorage.get(['workday_email', 'workday_password', 'workday_verify_password', 'workday_auto_enabled']);
     
     const emailInput = document.getElementById('workdayEmail');
     const passwordInput = document.getElementById('workdayPassword');
@@ -323,7 +398,7 @@ class ATSTailor {
     if (emailDisplay && result.workday_email) emailDisplay.textContent = result.workday_email;
   }
 
-  saveWorkdayCredentials() {
+  async saveWorkdayCredentials() {
     const email = document.getElementById('workdayEmail')?.value;
     const password = document.getElementById('workdayPassword')?.value;
     const verifyPassword = document.getElementById('workdayVerifyPassword')?.value;
@@ -336,20 +411,40 @@ class ATSTailor {
     const emailDisplay = document.getElementById('workdayEmailDisplay');
     if (emailDisplay) emailDisplay.textContent = email;
     
-    chrome.runtime.sendMessage({
-      action: 'UPDATE_WORKDAY_CREDENTIALS',
-      email: email,
-      password: password,
-      verifyPassword: verifyPassword || password
-    });
-    
-    chrome.storage.local.set({
+    await EncryptedStorage.set({
       workday_email: email,
       workday_password: password,
       workday_verify_password: verifyPassword || password
     });
     
-    this.showToast('Workday credentials saved!', 'success');
+    this.showToast('Workday credentials saved (encrypted)!', 'success');
+  }
+
+  // List every stored key, where it lives and whether it's encrypted
+  async loadStorageAudit() {
+    const summaryEl = document.getElementById('storageAuditSummary');
+    const listEl = document.getElementById('storageAuditList');
+    if (!summaryEl || !listEl) return;
+
+    const labels = { encrypted: '🔒 Encrypted', 'key material': '🔑 Key material', exposed: '⚠️ Plaintext', plaintext: 'Plain' };
+    try {
+      const entries = await EncryptedStorage.audit();
+      const encrypted = entries.filter(entry => entry.protection === 'encrypted').length;
+      const exposed = entries.filter(entry => entry.protection === 'exposed').length;
+      summaryEl.textContent = `${entries.length} item(s) stored, ${encrypted} encrypted.` +
+        (exposed ? ` ${exposed} sensitive item(s) still in plaintext - reopen the popup to encrypt them.` : '');
+
+      listEl.innerHTML = entries.map(entry => `
+        <div class="audit-row">
+          <span class="audit-key">${this.escapeHtml(entry.key)}</span>
+          <span class="audit-area">${this.escapeHtml(entry.area)} · ${entry.bytes} B</span>
+          <span class="audit-badge ${entry.protection.replace(' ', '-')}">${labels[entry.protection]}</span>
+        </div>
+      `).join('');
+    } catch (e) {
+      summaryEl.textContent = `Audit failed: ${e.message}`;
+      listEl.innerHTML = '';
+    }
   }
 
   async runWorkdayFlow() {
@@ -395,9 +490,9 @@ class ATSTailor {
   }
 
   copyCurrentContent() {
-    const content = this.currentPreviewTab === 'cv' 
-      ? this.generatedDocuments.cv 
-      : this.generatedDocuments.coverLetter;
+    const content = this.currentPreviewTab === 'cover' 
+      ? this.generatedDocuments.coverLetter 
+      : this.generatedDocuments.cv;
     
     if (content) {
       navigator.clipboard.writeText(content)
@@ -413,13 +508,142 @@ class ATSTailor {
     
     document.getElementById('previewCvTab')?.classList.toggle('active', tab === 'cv');
     document.getElementById('previewCoverTab')?.classList.toggle('active', tab === 'cover');
+    document.getElementById('previewDiffTab')?.classList.toggle('active', tab === 'diff');
     
     this.updatePreviewContent();
   }
 
+  /**
+   * Changes tab: untailored base CV (library resume or profile) vs tailored CV, per section and per bullet,
+   * with a checkbox per change. Unchecked changes are left out of the CV and its PDF.
+   */
+  renderCvDiff(previewContent) {
+    const actions = document.getElementById('diffActions');
+    const { baseCv, tailoredCv } = this.generatedDocuments;
+
+    if (!window.CVDiff || !baseCv || !tailoredCv) {
+      previewContent.textContent = 'Tailor a CV to review its changes here...';
+      previewContent.classList.add('placeholder');
+      actions?.classList.add('hidden');
+      return;
+    }
+
+    const diff = window.CVDiff.diffCV(baseCv, tailoredCv);
+    const decisions = this.generatedDocuments.diffDecisions || {};
+
+    if (diff.changes.length === 0) {
+      previewContent.textContent = 'Tailoring made no changes to your CV.';
+      previewContent.classList.add('placeholder');
+      actions?.classList.add('hidden');
+      return;
+    }
+
+    const renderSegments = (segments, side) => segments
+      .filter(seg => seg.type === 'same' || seg.type === side)
+      .map(seg => (seg.type === 'same' ? this.escapeHtml(seg.text) : `<mark class="diff-${side}">${this.escapeHtml(seg.text)}</mark>`))
+      .join('');
+
+    const renderChange = (change) => {
+      const before = change.kind === 'modified'
+        ? renderSegments(change.segments, 'del')
+        : change.before !== null ? `<mark class="diff-del">${this.escapeHtml(change.before)}</mark>` : '';
+      const after = change.kind === 'modified'
+        ? renderSegments(change.segments, 'add')
+        : change.after !== null ? `<mark class="diff-add">${this.escapeHtml(change.after)}</mark>` : '';
+      const accepted = decisions[change.id] !== false;
+      return `
+        <label class="diff-row ${change.kind} ${accepted ? '' : 'rejected'}">
+          <input type="checkbox" data-change-id="${this.escapeHtml(change.id)}" ${accepted ? 'checked' : ''} />
+          <span class="diff-before">${before || '<span class="diff-empty">—</span>'}</span>
+          <span class="diff-after">${after || '<span class="diff-empty">—</span>'}</span>
+        </label>`;
+    };
+
+    const byId = new Map(diff.changes.map(c => [c.id, c]));
+    previewContent.innerHTML = `
+      <div class="diff-columns"><span></span><span>Base CV</span><span>Tailored</span></div>
+      ${diff.sections
+        .filter(section => section.ops.some(op => op.type === 'change'))
+        .map(section => `
+          <div class="diff-section">
+            <div class="diff-section-title">${this.escapeHtml(section.label)}</div>
+            ${section.ops.filter(op => op.type === 'change').map(op => renderChange(byId.get(op.id))).join('')}
+          </div>`)
+        .join('')}`;
+    previewContent.classList.remove('placeholder');
+
+    const accepted = window.CVDiff.countAccepted(diff, decisions);
+    document.getElementById('diffCount').textContent = `${accepted}/${diff.changes.length} changes accepted`;
+    actions?.classList.remove('hidden');
+  }
+
+  /**
+   * Record accept/reject decisions and rebuild the CV text from the accepted subset
+   * @param {Object} updates - { [changeId]: boolean }, or null to reset every change to `all`
+   */
+  async setDiffDecisions(updates, all = true) {
+    const { baseCv, tailoredCv } = this.generatedDocuments;
+    if (!window.CVDiff || !baseCv || !tailoredCv) return;
+
+    const diff = window.CVDiff.diffCV(baseCv, tailoredCv);
+    const decisions = updates
+      ? { ...(this.generatedDocuments.diffDecisions || {}), ...updates }
+      : Object.fromEntries(diff.changes.map(c => [c.id, all]));
+
+    this.generatedDocuments.diffDecisions = decisions;
+    this.generatedDocuments.cv = window.CVDiff.applyDecisions(diff, decisions);
+    this.generatedDocuments.diffPdfStale = true;
+
+    // Claims whose keyword left the CV with a rejected change no longer need approval
+    const claims = this.generatedDocuments.claims;
+    if (claims?.items?.length) {
+      const cv = this.generatedDocuments.cv;
+      claims.items = claims.items.filter(c => (window.KeywordSynonyms
+        ? window.KeywordSynonyms.matches(cv, c.keyword)
+        : cv.toLowerCase().includes(c.keyword.toLowerCase())));
+      this.renderClaimsReview();
+    }
+
+    const keywords = this.generatedDocuments.keywords;
+    if (keywords?.all?.length) {
+      const match = this.calculateMatchScore(this.generatedDocuments.cv, keywords);
+      this.generatedDocuments.matchScore = match.matchScore;
+      this.generatedDocuments.matchedKeywords = match.matchedKeywords;
+      this.generatedDocuments.missingKeywords = match.missingKeywords;
+      this.updateMatchAnalysisUI();
+    }
+
+    await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
+    this.updatePreviewContent();
+  }
+
+  /**
+   * Re-render the CV PDF from the accepted changes
+   */
+  async applyDiffDecisions() {
+    if (this.hasPendingClaims()) {
+      this.showToast('Approve the added claims first; the PDF is generated on approval', 'error');
+      return;
+    }
+
+    await this.regeneratePDFAfterBoost();
+    this.generatedDocuments.diffPdfStale = false;
+    await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
+    this.updateDocumentDisplay();
+    this.showToast('CV PDF re-rendered with the accepted changes', 'success');
+  }
+
   updatePreviewContent() {
     const previewContent = document.getElementById('previewContent');
     if (!previewContent) return;
+
+    const isDiff = this.currentPreviewTab === 'diff';
+    document.getElementById('previewContentWrapper')?.classList.toggle('diff-mode', isDiff);
+    if (isDiff) {
+      this.renderCvDiff(previewContent);
+      return;
+    }
+    document.getElementById('diffActions')?.classList.add('hidden');
     
     const content = this.currentPreviewTab === 'cv' 
       ? this.generatedDocuments.cv 
@@ -493,6 +717,18 @@ class ATSTailor {
     if (autoTailorToggle) {
       autoTailorToggle.checked = this.autoTailorEnabled;
     }
+
+    const rawScoringToggle = document.getElementById('rawScoringToggle');
+    if (rawScoringToggle) {
+      rawScoringToggle.checked = this.scoringMode === 'raw';
+    }
+
+    const truthGuardToggle = document.getElementById('truthGuardToggle');
+    if (truthGuardToggle) {
+      truthGuardToggle.checked = this.truthGuardMode === 'block';
+    }
+    window.TruthfulnessGuard?.setMode(this.truthGuardMode);
+    this.renderSynonymList();
     
     const hasDocuments = this.generatedDocuments.cv || 
                          this.generatedDocuments.coverLetter || 
@@ -502,6 +738,7 @@ class ATSTailor {
       document.getElementById('documentsCard')?.classList.remove('hidden');
       this.updateDocumentDisplay();
       this.updatePreviewContent();
+      this.renderClaimsReview();
     }
   }
 
@@ -531,6 +768,16 @@ class ATSTailor {
       const sizeKB = Math.round(this.generatedDocuments.coverPdf.length * 0.75 / 1024);
       coverSize.textContent = `${sizeKB} KB`;
     }
+
+    const cvBase = document.getElementById('cvBaseCv');
+    const choice = this.generatedDocuments.baseCvChoice;
+    if (cvBase) {
+      const tags = choice?.tagHits?.length ? ` · tags: ${choice.tagHits.join(', ')}` : '';
+      cvBase.textContent = choice
+        ? `From ${choice.name} · ${choice.overridden ? 'your pick' : `${choice.coverage}% keyword coverage${tags}`}`
+        : '';
+      cvBase.classList.toggle('hidden', !choice);
+    }
     
     // Update AI Match Analysis Panel
     this.updateMatchAnalysisUI();
@@ -541,17 +788,24 @@ class ATSTailor {
    * Uses batch DOM updates for performance
    */
   updateMatchAnalysisUI() {
-    const matchScore = this.generatedDocuments.matchScore || 0;
-    const matchedKeywords = this.generatedDocuments.matchedKeywords || [];
-    const missingKeywords = this.generatedDocuments.missingKeywords || [];
+    // Raw mode: score the untailored profile strictly, so a poor fit reads as one
+    const rawMatch = this.scoringMode === 'raw' ? this.generatedDocuments.rawMatch : null;
+    const matchScore = rawMatch ? rawMatch.score : (this.generatedDocuments.matchScore || 0);
+    const matchedKeywords = rawMatch ? rawMatch.matched : (this.generatedDocuments.matchedKeywords || []);
+    const missingKeywords = rawMatch ? rawMatch.missing : (this.generatedDocuments.missingKeywords || []);
     const keywords = this.generatedDocuments.keywords || null;
     const totalKeywords = matchedKeywords.length + missingKeywords.length;
     
     // Update gauge
     this.updateMatchGauge(matchScore, matchedKeywords.length, totalKeywords);
+    if (rawMatch?.fit) {
+      const matchSubtitle = document.getElementById('matchSubtitle');
+      if (matchSubtitle) matchSubtitle.textContent = `${rawMatch.fit.label} (raw, before tailoring)`;
+    }
+    this.renderScoreBreakdown(rawMatch);
     
     // Build keywords object if not present
-    const cvText = this.generatedDocuments.cv || '';
+    const cvText = rawMatch ? '' : (this.generatedDocuments.cv || '');
     let keywordsObj = keywords;
     
     if (!keywordsObj || (!keywordsObj.highPriority && !keywordsObj.all)) {
@@ -586,6 +840,175 @@ class ATSTailor {
     }
   }
 
+  /**
+   * Raw-mode breakdown: coverage per keyword priority and per CV section
+   */
+  renderScoreBreakdown(rawMatch) {
+    const container = document.getElementById('scoreBreakdown');
+    if (!container) return;
+    if (!rawMatch) {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      return;
+    }
+
+    const priorityLabels = { high: 'High priority', medium: 'Medium priority', low: 'Low priority', unranked: 'Unranked' };
+    const sectionLabels = { summary: 'Summary', experience: 'Experience', skills: 'Skills', education: 'Education', certifications: 'Certifications', other: 'Other' };
+    const row = (label, value, detail) =>
+      `<div class="breakdown-row"><span>${this.escapeHtml(label)}</span><span>${value}%</span><span class="breakdown-detail">${this.escapeHtml(detail)}</span></div>`;
+
+    const priorityRows = Object.keys(priorityLabels)
+      .filter(id => rawMatch.byPriority[id])
+      .map(id => {
+        const b = rawMatch.byPriority[id];
+        return row(priorityLabels[id], b.score, `${b.matched.length}/${b.total}`);
+      }).join('');
+    const sectionRows = Object.keys(sectionLabels)
+      .filter(id => rawMatch.bySection[id])
+      .map(id => row(sectionLabels[id], rawMatch.bySection[id].score, `${rawMatch.bySection[id].matched.length} keywords`))
+      .join('');
+
+    container.innerHTML = `
+      <div class="breakdown-title">Raw coverage · weighted ${rawMatch.weightedScore}%</div>
+      ${priorityRows}
+      ${sectionRows ? `<div class="breakdown-title">Where keywords appear</div>${sectionRows}` : ''}
+    `;
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Parse "Term = alias1, alias2" and add it to the KeywordSynonyms graph
+   */
+  addUserSynonyms() {
+    const input = document.getElementById('synonymInput');
+    const [term, aliasText] = (input?.value || '').split('=');
+    const aliases = (aliasText || '').split(',').map(a => a.trim()).filter(Boolean);
+
+    if (!window.KeywordSynonyms || !term?.trim() || aliases.length === 0) {
+      this.showToast('Use the format: Kubernetes = k8s, kube', 'error');
+      return;
+    }
+
+    window.KeywordSynonyms.addSynonyms(term.trim(), aliases);
+    input.value = '';
+    this.renderSynonymList();
+    this.updateMatchAnalysisUI();
+    this.showToast(`Added ${aliases.length} synonym${aliases.length === 1 ? '' : 's'} for ${term.trim()}`, 'success');
+  }
+
+  renderSynonymList() {
+    const list = document.getElementById('synonymList');
+    if (!list || !window.KeywordSynonyms) return;
+    const entries = Object.entries(window.KeywordSynonyms.getUserSynonyms());
+    list.innerHTML = entries.map(([term, aliases]) => `
+      <div class="synonym-row">
+        <span><strong>${this.escapeHtml(term)}</strong> = ${this.escapeHtml(aliases.join(', '))}</span>
+        <button class="btn-link" data-synonym-term="${encodeURIComponent(term)}" title="Remove">✕</button>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * True while the tailored CV has added claims the user hasn't approved yet
+   */
+  hasPendingClaims() {
+    return !!window.TruthfulnessGuard?.isAwaitingApproval(this.generatedDocuments.claims);
+  }
+
+  /**
+   * Claims-added review: every keyword the tailored CV asserts that the profile didn't,
+   * tagged verified (in the inventory) or unverified. The CV PDF waits for approval.
+   */
+  renderClaimsReview() {
+    const card = document.getElementById('claimsReview');
+    const list = document.getElementById('claimsList');
+    if (!card || !list) return;
+
+    if (!this.hasPendingClaims()) {
+      card.classList.add('hidden');
+      list.innerHTML = '';
+      return;
+    }
+
+    const items = this.generatedDocuments.claims.items;
+    const summary = window.TruthfulnessGuard.summarizeClaims(items);
+    document.getElementById('claimsSummary').textContent =
+      `${summary.total} claim${summary.total === 1 ? '' : 's'} added (${summary.unverified} unverified). Approve before the CV PDF is generated.`;
+    document.getElementById('removeUnverifiedClaimsBtn')?.classList.toggle('hidden', summary.unverified === 0);
+
+    list.innerHTML = items.map(claim => `
+      <div class="claim-row ${claim.verified ? 'verified' : 'unverified'}">
+        <div class="claim-main">
+          <strong>${this.escapeHtml(claim.keyword)}</strong>
+          <span class="claim-tag">${claim.verified ? 'verified' : 'unverified'} · ${this.escapeHtml(claim.section)}</span>
+        </div>
+        <div class="claim-line">${this.escapeHtml(claim.line)}</div>
+        <button class="btn-link" data-claim-id="${this.escapeHtml(claim.id)}" title="Remove from CV">Remove</button>
+      </div>
+    `).join('');
+    card.classList.remove('hidden');
+  }
+
+  /**
+   * Strip rejected claims from the tailored CV and rescore
+   */
+  async removeClaims(claimIds) {
+    const claims = this.generatedDocuments.claims;
+    if (!claims || !claimIds.length) return;
+
+    const toRemove = claims.items.filter(c => claimIds.includes(c.id));
+    let cv = this.generatedDocuments.cv || '';
+    let tailoredCv = this.generatedDocuments.tailoredCv || cv;
+    toRemove.forEach(claim => {
+      cv = window.TruthfulnessGuard.removeClaim(cv, claim);
+      tailoredCv = window.TruthfulnessGuard.removeClaim(tailoredCv, claim);
+    });
+
+    this.generatedDocuments.cv = cv;
+    this.generatedDocuments.tailoredCv = tailoredCv;
+    claims.items = claims.items.filter(c => !claimIds.includes(c.id));
+    claims.removed = [...(claims.removed || []), ...toRemove.map(c => c.keyword)];
+
+    const keywords = this.generatedDocuments.keywords;
+    if (keywords?.all?.length) {
+      const match = this.calculateMatchScore(cv, keywords);
+      this.generatedDocuments.matchScore = match.matchScore;
+      this.generatedDocuments.matchedKeywords = match.matchedKeywords;
+      this.generatedDocuments.missingKeywords = match.missingKeywords;
+      this.updateMatchAnalysisUI();
+    }
+
+    await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
+    this.updatePreviewContent();
+    this.renderClaimsReview();
+    this.showToast(`Removed ${toRemove.length} claim${toRemove.length === 1 ? '' : 's'}`, 'success');
+  }
+
+  /**
+   * Approve the remaining claims, then generate and attach the CV PDF
+   */
+  async approveClaims() {
+    const claims = this.generatedDocuments.claims;
+    if (!claims) return;
+
+    claims.approved = true;
+    claims.approvedAt = Date.now();
+    this.renderClaimsReview();
+
+    if (this.generatedDocuments.cv) {
+      await this.regeneratePDFAfterBoost();
+    }
+    try {
+      await this.attachDocument('cv');
+    } catch (attachError) {
+      console.warn('[ATS Tailor] Auto-attach failed:', attachError);
+    }
+
+    await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
+    this.updateDocumentDisplay();
+    this.showToast('Claims approved. CV PDF generated.', 'success');
+  }
+
   /**
    * OPTIMIZED: Update match gauge with animation
    */
@@ -642,7 +1065,8 @@ class ATSTailor {
       let matchCount = 0;
       const chipsHtml = keywords.map(kw => {
         const kwLower = kw.toLowerCase();
-        const isMatched = matchedSet.has(kwLower) || cvTextLower.includes(kwLower);
+        const isMatched = matchedSet.has(kwLower) || cvTextLower.includes(kwLower) ||
+                          (cvText !== '' && window.KeywordSynonyms?.matches(cvText, kw));
         if (isMatched) matchCount++;
         
         const escapedKw = this.escapeHtml(kw);
@@ -730,7 +1154,7 @@ class ATSTailor {
 
   async logout() {
     this.session = null;
-    await chrome.storage.local.remove(['ats_session']);
+    await EncryptedStorage.remove(['ats_session']);
     this.showToast('Logged out', 'success');
     this.updateUI();
   }
@@ -788,6 +1212,7 @@ class ATSTailor {
         
         await chrome.storage.local.set({ ats_lastJob: this.currentJob });
         this.updateJobDisplay();
+        await this.refreshBaseCvChoice();
         this.setStatus('Job found!', 'ready');
         return true;
       }
@@ -824,6 +1249,86 @@ class ATSTailor {
     }
   }
 
+  /**
+   * Load the user's base resume library for per-job base CV selection
+   */
+  async loadCvLibrary() {
+    if (!window.CVLibrary || !this.session?.access_token) return;
+    try {
+      this.cvLibrary = await window.CVLibrary.fetchLibrary({
+        supabaseUrl: SUPABASE_URL,
+        anonKey: SUPABASE_ANON_KEY,
+        session: this.session
+      });
+    } catch (e) {
+      console.warn('[ATS Tailor] CV library load failed', e);
+      this.cvLibrary = [];
+    }
+    await this.refreshBaseCvChoice();
+  }
+
+  /**
+   * Pick the base CV for the current job - the user's override for this job, else best keyword coverage
+   * @param {Object} [keywords] - extracted JD keywords; extracted here when omitted
+   */
+  async refreshBaseCvChoice(keywords) {
+    if (!window.CVLibrary || !this.currentJob || this.cvLibrary.length === 0) {
+      this.baseCvSelection = null;
+      this.renderBaseCvChoice();
+      return null;
+    }
+
+    const jobKeywords = keywords || this.extractKeywordsOptimized(this.currentJob.description || '');
+    const overrideId = await window.CVLibrary.getOverride(this.currentJob.url);
+    this.baseCvSelection = window.CVLibrary.selectBaseCV(
+      this.cvLibrary,
+      jobKeywords.all || [],
+      `${this.currentJob.title || ''}\n${this.currentJob.description || ''}`,
+      overrideId
+    );
+    this.renderBaseCvChoice();
+    return this.baseCvSelection;
+  }
+
+  renderBaseCvChoice() {
+    const row = this.getDomRef('baseCvRow');
+    const select = this.getDomRef('baseCvSelect');
+    const reason = this.getDomRef('baseCvReason');
+    const selection = this.baseCvSelection;
+    if (!row || !select || !selection) {
+      row?.classList.add('hidden');
+      return;
+    }
+
+    select.innerHTML = selection.ranked.map(r => `
+      <option value="${this.escapeHtml(r.cv.id)}"${r.cv.id === selection.cv.id ? ' selected' : ''}>
+        ${this.escapeHtml(r.cv.name)} · ${r.coverage}%
+      </option>
+    `).join('');
+
+    const best = selection.ranked[0];
+    const tags = selection.tagHits.length ? ` · tags: ${selection.tagHits.join(', ')}` : '';
+    if (reason) {
+      reason.textContent = selection.overridden
+        ? `Your pick for this job (best match: ${best.cv.name}, ${best.coverage}%)`
+        : `Covers ${selection.matched.length} JD keywords${tags}`;
+    }
+    row.classList.remove('hidden');
+  }
+
+  /**
+   * Use another base CV for the current job; picking the best match clears the override
+   */
+  async overrideBaseCv(cvId) {
+    if (!this.currentJob || !this.baseCvSelection || !cvId) return;
+    const best = this.baseCvSelection.ranked[0]?.cv.id;
+    await window.CVLibrary.setOverride(this.currentJob.url, cvId === best ? null : cvId);
+    await this.refreshBaseCvChoice();
+    if (this.baseCvSelection) {
+      this.showToast(`Base resume: ${this.baseCvSelection.cv.name}`, 'success');
+    }
+  }
+
   /**
    * OPTIMIZED: Extract keywords with mandatory pre-pass, caching, and parallel processing
    * 1. Mandatory pre-pass: Find all known important keywords
@@ -846,6 +1351,16 @@ class ATSTailor {
     
     const startTime = performance.now();
     
+    // Unified engine: same keyword list as the content script, bulk apply and match UI
+    if (window.KeywordEngine) {
+      const keywords = window.KeywordEngine.extractSync(jobDescription, { strategy: 'local', maxKeywords: 35 });
+      console.log(`[ATS Tailor] Keyword extraction completed in ${(performance.now() - startTime).toFixed(1)}ms, total: ${keywords.total}`);
+      if (jobUrl) {
+        this.keywordCache.set(jobUrl, { keywords, timestamp: Date.now() });
+      }
+      return keywords;
+    }
+    
     // STEP 1: MANDATORY PRE-PASS - Find all known important keywords FIRST
     let mandatoryFromJD = [];
     if (window.MandatoryKeywords) {
@@ -971,41 +1486,26 @@ class ATSTailor {
         return;
       }
       
-      // Call the AI extraction endpoint
-      const response = await fetch(`${SUPABASE_URL}/functions/v1/extract-keywords-ai`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${this.session.access_token}`,
-          apikey: SUPABASE_ANON_KEY,
-        },
-        body: JSON.stringify({
-          jobDescription: this.currentJob.description,
+      // Call the AI extraction endpoint through the unified engine (common keyword schema)
+      const result = await window.KeywordEngine.extract(this.currentJob.description, {
+        strategy: 'ai',
+        maxKeywords: 50,
+        ai: {
+          supabaseUrl: SUPABASE_URL,
+          anonKey: SUPABASE_ANON_KEY,
+          accessToken: this.session.access_token,
           jobTitle: this.currentJob.title,
           company: this.currentJob.company,
-        }),
+        },
       });
       
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `Request failed: ${response.status}`);
-      }
-      
-      const result = await response.json();
-      
       if (!result.all || result.all.length === 0) {
         this.showToast('AI could not extract keywords from this job description.', 'error');
         return;
       }
       
-      // Store structured keywords for UI display
-      const keywords = {
-        all: result.all,
-        highPriority: result.highPriority || [],
-        mediumPriority: result.mediumPriority || [],
-        lowPriority: result.lowPriority || [],
-        structured: result.structured, // Full Resume-Matcher style breakdown
-      };
+      // Store structured keywords for UI display (result.structured is the full Resume-Matcher style breakdown)
+      const keywords = result;
       
       this.generatedDocuments.structuredKeywords = keywords;
       this.generatedDocuments.keywords = keywords;
@@ -1091,7 +1591,7 @@ class ATSTailor {
     const missing = [];
     
     for (const kw of keywords.all) {
-      if (cvTextLower.includes(kw.toLowerCase())) {
+      if (cvTextLower.includes(kw.toLowerCase()) || window.KeywordSynonyms?.matches(cvText, kw)) {
         matched.push(kw);
       } else {
         missing.push(kw);
@@ -1175,12 +1675,20 @@ class ATSTailor {
    */
   fastKeywordInjection(cvText, keywords, missingKeywords) {
     if (!missingKeywords || missingKeywords.length === 0) {
-      return { tailoredCV: cvText, injectedKeywords: [] };
+      return { tailoredCV: cvText, injectedKeywords: [], blockedKeywords: [] };
+    }
+
+    // Truthfulness guard: only skills in the verified inventory (or already in the CV) get injected
+    const screened = window.TruthfulnessGuard
+      ? window.TruthfulnessGuard.screenKeywords(missingKeywords, { evidence: cvText })
+      : { allowed: missingKeywords, blocked: [] };
+    if (screened.allowed.length === 0) {
+      return { tailoredCV: cvText, injectedKeywords: [], blockedKeywords: screened.blocked };
     }
     
     let tailoredCV = cvText;
     let injectedKeywords = [];
-    let remaining = [...missingKeywords];
+    let remaining = [...screened.allowed];
     
     // STEP 1: Inject 8 keywords into Summary
     const summaryMatch = tailoredCV.match(/(PROFESSIONAL SUMMARY|SUMMARY|PROFILE)\s*\n([\s\S]*?)(?=\n[A-Z]{3,}|\n\n|$)/i);
@@ -1275,7 +1783,7 @@ class ATSTailor {
       injectedKeywords.push(...remaining);
     }
     
-    return { tailoredCV, injectedKeywords };
+    return { tailoredCV, injectedKeywords, blockedKeywords: screened.blocked };
   }
 
   /**
@@ -1343,7 +1851,7 @@ class ATSTailor {
         
         // Task 2: Fetch user profile (API call)
         fetch(
-          `${SUPABASE_URL}/rest/v1/profiles?user_id=eq.${this.session.user.id}&select=first_name,last_name,email,phone,linkedin,github,portfolio,cover_letter,work_experience,education,skills,certifications,achievements,ats_strategy,city,country,address,state,zip_code`,
+          `${SUPABASE_URL}/rest/v1/profiles?user_id=eq.${this.session.user.id}&select=first_name,last_name,email,phone,linkedin,github,portfolio,cover_letter,work_experience,education,skills,certifications,verified_skills,achievements,ats_strategy,city,country,address,state,zip_code`,
           {
             headers: {
               apikey: SUPABASE_ANON_KEY,
@@ -1381,6 +1889,14 @@ class ATSTailor {
       const profileRows = await profileRes.json();
       const p = profileRows?.[0] || {};
 
+      // Base CV for this job from the library (the user's override or best keyword coverage)
+      const baseCv = await this.refreshBaseCvChoice(keywords);
+      const baseCvText = baseCv ? window.CVLibrary.cvToText(baseCv.cv) : '';
+
+      // Verified-skills inventory: the only skills tailoring may add that the CV doesn't show
+      const profileText = baseCvText || window.TruthfulnessGuard?.buildProfileText(p) || '';
+      window.TruthfulnessGuard?.setInventory(window.TruthfulnessGuard.buildInventory(p));
+
       updateProgress(35, 'Step 2/3: AI generating tailored documents...');
 
       const response = await fetch(`${SUPABASE_URL}/functions/v1/tailor-application`, {
@@ -1396,6 +1912,7 @@ class ATSTailor {
           location: this.currentJob.location || '',
           description: this.currentJob.description || '',
           requirements: [],
+          cvId: baseCv?.cv.id,
           userProfile: {
             firstName: p.first_name || '',
             lastName: p.last_name || '',
@@ -1445,7 +1962,13 @@ class ATSTailor {
         matchScore: result.matchScore || 0,
         matchedKeywords: result.keywordsMatched || result.matchedKeywords || [],
         missingKeywords: result.keywordsMissing || result.missingKeywords || [],
-        keywords: keywords
+        keywords: keywords,
+        // Which library resume the server tailored from, and why ({ name, coverage, tagHits, overridden })
+        baseCvChoice: result.baseCv || null,
+        // Strict coverage of the base CV (or profile) before any tailoring (shown in raw scoring mode)
+        rawMatch: window.DynamicScore?.calculateRawMatch
+          ? window.DynamicScore.calculateRawMatch(profileText, keywords)
+          : null
       };
 
       // Calculate initial match score against extracted keywords
@@ -1459,6 +1982,10 @@ class ATSTailor {
         this.updateMatchAnalysisUI();
       }
 
+      // Base CV for the Changes tab: the untailored base resume (or profile) the server tailored,
+      // so the server's rewrites show up as changes alongside the keyword boost
+      this.generatedDocuments.baseCv = profileText || null;
+
       console.log('[ATS Tailor] Step 2 - Initial match score:', this.generatedDocuments.matchScore + '%');
       updateStep(2, 'complete');
 
@@ -1533,27 +2060,45 @@ class ATSTailor {
         console.log('[ATS Tailor] Step 3 - Already at 100%');
       }
 
-      updateProgress(80, 'Step 3/3: Regenerating PDF with boosted CV...');
+      // Tailored CV as produced; the Changes tab rebuilds generatedDocuments.cv from accepted changes
+      this.generatedDocuments.tailoredCv = this.generatedDocuments.cv;
+      this.generatedDocuments.diffDecisions = {};
+
+      // Claims added vs the candidate's own profile; the PDF waits until the user approves them
+      const claimItems = window.TruthfulnessGuard && this.generatedDocuments.cv
+        ? window.TruthfulnessGuard.diffClaims(profileText, this.generatedDocuments.cv, { keywords: keywords.all || [] })
+        : [];
+      this.generatedDocuments.claims = { items: claimItems, approved: claimItems.length === 0, removed: [] };
+      const awaitingApproval = this.hasPendingClaims();
+
+      if (awaitingApproval) {
+        // Backend PDF was rendered from the unreviewed CV
+        this.generatedDocuments.cvPdf = null;
+        updateStep(3, 'complete');
+        updateProgress(100, `Review ${claimItems.length} added claim${claimItems.length === 1 ? '' : 's'} before the CV PDF is generated.`);
+      } else {
+        updateProgress(80, 'Step 3/3: Regenerating PDF with boosted CV...');
 
-      // Regenerate PDF with boosted CV and dynamic location
-      if (this.generatedDocuments.cv) {
-        await this.regeneratePDFAfterBoost();
-      }
+        // Regenerate PDF with boosted CV and dynamic location
+        if (this.generatedDocuments.cv) {
+          await this.regeneratePDFAfterBoost();
+        }
 
-      updateStep(3, 'complete');
+        updateStep(3, 'complete');
 
-      // ============ FINAL: Attach CV & Update UI ============
-      updateProgress(90, 'Attaching tailored CV to application...');
+        // ============ FINAL: Attach CV & Update UI ============
+        updateProgress(90, 'Attaching tailored CV to application...');
 
-      // Auto-attach CV to the page
-      try {
-        await this.attachDocument('cv');
-      } catch (attachError) {
-        console.warn('[ATS Tailor] Auto-attach failed:', attachError);
-        // Don't throw - document generation was successful
-      }
+        // Auto-attach CV to the page
+        try {
+          await this.attachDocument('cv');
+        } catch (attachError) {
+          console.warn('[ATS Tailor] Auto-attach failed:', attachError);
+          // Don't throw - document generation was successful
+        }
 
-      updateProgress(100, 'Complete! 100% keyword match achieved.');
+        updateProgress(100, 'Complete! 100% keyword match achieved.');
+      }
 
       await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
 
@@ -1570,10 +2115,16 @@ class ATSTailor {
       document.getElementById('documentsCard')?.classList.remove('hidden');
       this.updateDocumentDisplay();
       this.updatePreviewContent();
+      this.renderClaimsReview();
       
       const finalScore = this.generatedDocuments.matchScore;
+      const rawMatch = this.scoringMode === 'raw' ? this.generatedDocuments.rawMatch : null;
       this.showToast(
-        `Done in ${elapsed.toFixed(1)}s! ${finalScore}% keyword match.`, 
+        awaitingApproval
+          ? `Done in ${elapsed.toFixed(1)}s! Review ${claimItems.length} added claim${claimItems.length === 1 ? '' : 's'} to generate the CV PDF.`
+          : rawMatch
+          ? `Done in ${elapsed.toFixed(1)}s! ${rawMatch.fit.label}: profile covers ${rawMatch.score}% of keywords (tailored CV: ${finalScore}%).`
+          : `Done in ${elapsed.toFixed(1)}s! ${finalScore}% keyword match.`, 
         'success'
       );
       this.setStatus('Complete', 'ready');
@@ -1715,6 +2266,10 @@ class ATSTailor {
   }
 
   downloadDocument(type) {
+    if (type === 'cv' && this.hasPendingClaims()) {
+      this.showToast('Review the added claims before downloading the CV', 'error');
+      return;
+    }
     const doc = type === 'cv' ? this.generatedDocuments.cvPdf : this.generatedDocuments.coverPdf;
     const textDoc = type === 'cv' ? this.generatedDocuments.cv : this.generatedDocuments.coverLetter;
     const filename = type === 'cv' 
@@ -1754,6 +2309,10 @@ class ATSTailor {
   }
 
   async attachDocument(type) {
+    if (type === 'cv' && this.hasPendingClaims()) {
+      this.showToast('Review the added claims before attaching the CV', 'error');
+      return;
+    }
     const doc = type === 'cv' ? this.generatedDocuments.cvPdf : this.generatedDocuments.coverPdf;
     const textDoc = type === 'cv' ? this.generatedDocuments.cv : this.generatedDocuments.coverLetter;
     const filename =
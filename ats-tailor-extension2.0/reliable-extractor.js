@@ -248,7 +248,11 @@
     }
   }
 
-  function learnKeyword(keyword, categories = []) {
+  /**
+   * Record a keyword seen in a JD; aliases (e.g. an acronym defined in the JD)
+   * are added to the KeywordSynonyms graph so every matcher accepts them
+   */
+  function learnKeyword(keyword, categories = [], aliases = []) {
     const lower = keyword.toLowerCase().trim();
     if (lower.length < 3 || lower.length > 35 || NOISE_BLACKLIST.has(lower)) return;
     
@@ -257,6 +261,10 @@
     existing.lastSeen = Date.now();
     existing.categories = [...new Set([...existing.categories, ...categories])];
     LEARNED_KEYWORDS.set(lower, existing);
+
+    if (aliases.length && global.KeywordSynonyms) {
+      global.KeywordSynonyms.addSynonyms(keyword, aliases);
+    }
   }
 
   function getLearnedBoost(keyword) {
@@ -266,8 +274,78 @@
     return Math.min(2.0, 1.0 + (data.frequency * 0.1));
   }
 
+  // ============ OUTCOME FEEDBACK ============
+  // keyword_effectiveness rows synced from the web app: how often applications
+  // that used a keyword reached interview/offer
+
+  const OUTCOME_STORAGE_KEY = 'ats_keyword_outcomes';
+  const OUTCOME_MIN_SAMPLE = 2;   // applications before a keyword's outcome counts
+  const OUTCOME_PRIOR_WEIGHT = 3; // pseudo-applications at the baseline rate (shrinks small samples)
+  let OUTCOME_STATS = new Map();  // keyword -> { applications, interviews }
+  let OUTCOME_BASELINE = 0;       // interview rate across all keyword uses
+
+  function applyOutcomeRows(rows) {
+    OUTCOME_STATS = new Map();
+    let applications = 0;
+    let interviews = 0;
+    (rows || []).forEach(row => {
+      if (!row?.keyword) return;
+      const stat = { applications: Number(row.applications) || 0, interviews: Number(row.interviews) || 0 };
+      OUTCOME_STATS.set(row.keyword.toLowerCase(), stat);
+      applications += stat.applications;
+      interviews += stat.interviews;
+    });
+    OUTCOME_BASELINE = applications > 0 ? interviews / applications : 0;
+  }
+
+  /**
+   * Replace outcome stats with fresh keyword_effectiveness rows
+   * @param {Array<{keyword, applications, interviews}>} rows
+   */
+  function setOutcomeStats(rows, { persist = true } = {}) {
+    applyOutcomeRows(rows);
+    if (!persist) return;
+    try {
+      const payload = { rows: rows || [], syncedAt: Date.now() };
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        chrome.storage.local.set({ [OUTCOME_STORAGE_KEY]: payload });
+      } else if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(OUTCOME_STORAGE_KEY, JSON.stringify(payload));
+      }
+    } catch (e) {
+      console.warn('Failed to save keyword outcomes:', e);
+    }
+  }
+
+  function loadOutcomeStats() {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        chrome.storage.local.get([OUTCOME_STORAGE_KEY], (result) => {
+          if (result[OUTCOME_STORAGE_KEY]) applyOutcomeRows(result[OUTCOME_STORAGE_KEY].rows);
+        });
+      } else if (typeof localStorage !== 'undefined') {
+        const stored = localStorage.getItem(OUTCOME_STORAGE_KEY);
+        if (stored) applyOutcomeRows(JSON.parse(stored).rows);
+      }
+    } catch (e) {
+      console.warn('Failed to load keyword outcomes:', e);
+    }
+  }
+
+  /**
+   * Multiplier from past outcomes: keywords on applications that got interviews
+   * rank higher, keywords only ever on rejected ones lower (0.8x - 1.25x)
+   */
+  function getOutcomeBoost(keyword) {
+    const stat = OUTCOME_STATS.get(keyword.toLowerCase());
+    if (!stat || stat.applications < OUTCOME_MIN_SAMPLE || OUTCOME_BASELINE <= 0) return 1.0;
+    const smoothed = (stat.interviews + OUTCOME_BASELINE * OUTCOME_PRIOR_WEIGHT) / (stat.applications + OUTCOME_PRIOR_WEIGHT);
+    return Math.max(0.8, Math.min(1.25, smoothed / OUTCOME_BASELINE));
+  }
+
   // Initialize on load
   loadLearnedKeywords();
+  loadOutcomeStats();
 
   // ============ DE-CLUSTERING LOGIC ============
 
@@ -552,8 +630,9 @@
       const sectionFactor = data.sectionWeight || 1.0;
       const categoryBoost = getCategoryBoost(data.categories);
       const learnedBoost = getLearnedBoost(data.term);
+      const outcomeBoost = getOutcomeBoost(data.term);
       
-      const score = baseFreq * sectionFactor * categoryBoost * learnedBoost;
+      const score = baseFreq * sectionFactor * categoryBoost * learnedBoost * outcomeBoost;
       
       scored.push({
         term: data.term,
@@ -642,6 +721,12 @@
     topKeywords.slice(0, 20).forEach(kw => {
       learnKeyword(kw.term, kw.categories);
     });
+    // "Site Reliability Engineering (SRE)" in the JD teaches the SRE alias
+    if (global.KeywordSynonyms) {
+      global.KeywordSynonyms.findAcronymDefinitions(rawText).forEach(({ expansion, acronym }) => {
+        learnKeyword(expansion, [], [acronym]);
+      });
+    }
     if (Math.random() < 0.1) saveLearnedKeywords();
     
     // Build priority lists
@@ -680,10 +765,24 @@
 
     const kwList = Array.isArray(keywords) ? keywords : (keywords.all || []);
     const cvLower = cvText.toLowerCase();
+    const synonyms = global.KeywordSynonyms;
+    const prepared = synonyms ? synonyms.prepareText(cvText) : null;
     const matched = [];
     const missing = [];
+    const matchedVia = {}; // keyword -> 'exact' | 'alias' | 'stem' | 'acronym'
 
     kwList.forEach(keyword => {
+      if (synonyms) {
+        const result = synonyms.findMatch(prepared, keyword);
+        if (result.matched) {
+          matched.push(keyword);
+          matchedVia[keyword] = result.via;
+        } else {
+          missing.push(keyword);
+        }
+        return;
+      }
+
       const keywordLower = keyword.toLowerCase();
       const regex = new RegExp(`\\b${escapeRegex(keywordLower)}\\b`, 'i');
       
@@ -697,6 +796,7 @@
     return {
       matched,
       missing,
+      matchedVia,
       matchScore: kwList.length > 0 ? Math.round((matched.length / kwList.length) * 100) : 0,
       matchCount: matched.length,
       totalKeywords: kwList.length
@@ -744,6 +844,11 @@
     getLearnedKeywords: () => [...LEARNED_KEYWORDS.entries()],
     getLearnedBoost,
     
+    // Outcome feedback
+    setOutcomeStats,
+    loadOutcomeStats,
+    getOutcomeBoost,
+    
     // JD constraint
     buildJDTokenSet
   };
@@ -112,24 +112,25 @@
    * Inject keywords into summary section
    * @param {string} summary - Summary text
    * @param {Array<string>} keywords - Keywords to inject
+   * @param {string} evidence - Original CV text for the truthfulness guard
    * @returns {Object} Enhanced summary and injected keywords
    */
-  function enhanceSummary(summary, keywords) {
+  function enhanceSummary(summary, keywords, evidence = '') {
     if (!summary || !keywords || keywords.length === 0) {
-      return { enhanced: summary || '', injected: [] };
+      return { enhanced: summary || '', injected: [], blocked: [] };
     }
 
     const injected = [];
     let enhanced = summary;
-    const summaryLower = summary.toLowerCase();
 
     // Get keywords not already present
-    const missingKeywords = keywords.filter(kw => 
-      !new RegExp(`\\b${escapeRegex(kw)}\\b`, 'i').test(summaryLower)
-    ).slice(0, CONFIG.MAX_KEYWORDS_SUMMARY);
+    const { allowed, blocked } = screenInjections(keywords.filter(kw => 
+      !hasKeyword(summary, kw)
+    ), evidence);
+    const missingKeywords = allowed.slice(0, CONFIG.MAX_KEYWORDS_SUMMARY);
 
     if (missingKeywords.length === 0) {
-      return { enhanced: summary, injected: [] };
+      return { enhanced: summary, injected: [], blocked };
     }
 
     // Strategy 1: Find a good injection point (after first sentence)
@@ -147,30 +148,31 @@
       injected.push(...missingKeywords.slice(0, 5));
     }
 
-    return { enhanced: enhanced.trim(), injected };
+    return { enhanced: enhanced.trim(), injected, blocked };
   }
 
   /**
    * Inject keywords into experience section
    * @param {string} experience - Experience text
    * @param {Array<string>} keywords - Keywords to inject
+   * @param {string} evidence - Original CV text for the truthfulness guard
    * @returns {Object} Enhanced experience and injected keywords
    */
-  function enhanceExperience(experience, keywords) {
+  function enhanceExperience(experience, keywords, evidence = '') {
     if (!experience || !keywords || keywords.length === 0) {
-      return { enhanced: experience || '', injected: [] };
+      return { enhanced: experience || '', injected: [], blocked: [] };
     }
 
     const injected = [];
-    const experienceLower = experience.toLowerCase();
     
     // Get missing keywords
-    const missingKeywords = keywords.filter(kw => 
-      !new RegExp(`\\b${escapeRegex(kw)}\\b`, 'i').test(experienceLower)
-    ).slice(0, CONFIG.MAX_KEYWORDS_EXPERIENCE);
+    const { allowed, blocked } = screenInjections(keywords.filter(kw => 
+      !hasKeyword(experience, kw)
+    ), evidence);
+    const missingKeywords = allowed.slice(0, CONFIG.MAX_KEYWORDS_EXPERIENCE);
 
     if (missingKeywords.length === 0) {
-      return { enhanced: experience, injected: [] };
+      return { enhanced: experience, injected: [], blocked };
     }
 
     // Split into lines and enhance bullet points
@@ -185,7 +187,7 @@
         const bulletText = match[2];
         const keyword = missingKeywords[keywordIndex];
         
-        if (!new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i').test(bulletText)) {
+        if (!hasKeyword(bulletText, keyword)) {
           // Inject keyword naturally
           const injectionPoint = bulletText.length > 50 
             ? bulletText.lastIndexOf(',') 
@@ -207,41 +209,40 @@
       return line;
     });
 
-    return { enhanced: enhancedLines.join('\n'), injected };
+    return { enhanced: enhancedLines.join('\n'), injected, blocked };
   }
 
   /**
    * Inject keywords into or create skills section
    * @param {string} skills - Skills text (may be empty)
    * @param {Array<string>} keywords - Keywords to inject
+   * @param {string} evidence - Original CV text for the truthfulness guard
    * @returns {Object} Enhanced skills and injected keywords
    */
-  function enhanceSkills(skills, keywords) {
+  function enhanceSkills(skills, keywords, evidence = '') {
     if (!keywords || keywords.length === 0) {
-      return { enhanced: skills || '', injected: [], created: false };
+      return { enhanced: skills || '', injected: [], blocked: [], created: false };
     }
 
-    const injected = [];
-    const skillsLower = (skills || '').toLowerCase();
-    
     // Get missing keywords
-    const missingKeywords = keywords.filter(kw => 
-      !new RegExp(`\\b${escapeRegex(kw)}\\b`, 'i').test(skillsLower)
-    ).slice(0, CONFIG.MAX_KEYWORDS_SKILLS);
+    const { allowed, blocked } = screenInjections(keywords.filter(kw => 
+      !hasKeyword(skills, kw)
+    ), evidence);
+    const missingKeywords = allowed.slice(0, CONFIG.MAX_KEYWORDS_SKILLS);
 
     if (missingKeywords.length === 0) {
-      return { enhanced: skills || '', injected: [], created: false };
+      return { enhanced: skills || '', injected: [], blocked, created: false };
     }
 
     if (!skills || skills.trim().length < 20) {
       // Create new skills section
       const newSkills = `Skills\n${missingKeywords.join(' • ')}`;
-      return { enhanced: newSkills, injected: missingKeywords, created: true };
+      return { enhanced: newSkills, injected: missingKeywords, blocked, created: true };
     }
 
     // Append to existing skills section
     const enhanced = skills.trim() + ' • ' + missingKeywords.join(' • ');
-    return { enhanced, injected: missingKeywords, created: false };
+    return { enhanced, injected: missingKeywords, blocked, created: false };
   }
 
   /**
@@ -295,6 +296,8 @@
         tailoredCV: cvText,
         originalCV: cvText,
         injectedKeywords: [],
+        blockedKeywords: [],
+        claimsAdded: [],
         stats: { summary: 0, experience: 0, skills: 0, total: 0 }
       };
     }
@@ -314,6 +317,8 @@
         tailoredCV: cvText,
         originalCV: cvText,
         injectedKeywords: [],
+        blockedKeywords: [],
+        claimsAdded: [],
         initialScore: initialMatch.matchScore,
         finalScore: initialMatch.matchScore,
         stats: { summary: 0, experience: 0, skills: 0, total: 0 }
@@ -324,16 +329,19 @@
     const enhancedSections = { ...parsed.sections };
     const stats = { summary: 0, experience: 0, skills: 0, total: 0 };
     const allInjected = [];
+    const allBlocked = new Set();
 
     // Enhance summary (high-priority keywords)
     await yieldToUI();
     const summaryResult = enhanceSummary(
       parsed.sections.summary || '',
-      keywords.highPriority || keywordList.slice(0, 8)
+      keywords.highPriority || keywordList.slice(0, 8),
+      cvText
     );
     enhancedSections.summary = summaryResult.enhanced;
     stats.summary = summaryResult.injected.length;
     allInjected.push(...summaryResult.injected);
+    summaryResult.blocked.forEach(kw => allBlocked.add(kw));
 
     // Enhance experience (medium + remaining high priority)
     await yieldToUI();
@@ -343,22 +351,26 @@
     ];
     const experienceResult = enhanceExperience(
       parsed.sections.experience || '',
-      experienceKeywords.filter(k => !allInjected.includes(k))
+      experienceKeywords.filter(k => !allInjected.includes(k)),
+      cvText
     );
     enhancedSections.experience = experienceResult.enhanced;
     stats.experience = experienceResult.injected.length;
     allInjected.push(...experienceResult.injected);
+    experienceResult.blocked.forEach(kw => allBlocked.add(kw));
 
     // Enhance skills (remaining missing keywords)
     await yieldToUI();
     const remainingKeywords = keywordList.filter(k => !allInjected.includes(k));
     const skillsResult = enhanceSkills(
       parsed.sections.skills || '',
-      remainingKeywords
+      remainingKeywords,
+      cvText
     );
     enhancedSections.skills = skillsResult.enhanced;
     stats.skills = skillsResult.injected.length;
     allInjected.push(...skillsResult.injected);
+    skillsResult.blocked.forEach(kw => allBlocked.add(kw));
 
     // Reconstruct CV
     const tailoredCV = reconstructCV(parsed, enhancedSections);
@@ -370,10 +382,17 @@
 
     stats.total = allInjected.length;
 
+    // "Claims added" diff for user approval before the PDF is generated
+    const claimsAdded = global.TruthfulnessGuard
+      ? global.TruthfulnessGuard.diffClaims(cvText, tailoredCV, { keywords: allInjected })
+      : [];
+
     return {
       tailoredCV,
       originalCV: cvText,
       injectedKeywords: allInjected,
+      blockedKeywords: [...allBlocked],
+      claimsAdded,
       initialScore: initialMatch.matchScore,
       finalScore: finalMatch.matchScore,
       matchedKeywords: finalMatch.matched || [],
@@ -412,6 +431,26 @@
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
+  /**
+   * Keyword already covered by the text; synonym/stem/acronym-aware when
+   * KeywordSynonyms is loaded, so "K8s" in the CV stops "Kubernetes" being injected
+   */
+  function hasKeyword(text, keyword) {
+    if (!text || !keyword) return false;
+    if (global.KeywordSynonyms) return global.KeywordSynonyms.matches(text, keyword);
+    return new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i').test(text);
+  }
+
+  /**
+   * Split candidate injections into allowed/blocked via TruthfulnessGuard
+   * (verified inventory or original CV); everything passes when the guard isn't loaded
+   */
+  function screenInjections(keywords, evidence = '') {
+    if (!global.TruthfulnessGuard) return { allowed: keywords, blocked: [] };
+    const { allowed, blocked } = global.TruthfulnessGuard.screenKeywords(keywords, { evidence });
+    return { allowed, blocked };
+  }
+
   // ============ VALIDATION ============
 
   /**
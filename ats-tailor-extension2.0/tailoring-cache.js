@@ -0,0 +1,72 @@
+// tailoring-cache.js - Tailored documents kept per job URL, so tabs tailoring at the same time
+// (bulk apply runs several) each attach and score their own CV instead of whichever tab wrote
+// the shared cvPDF / ats_lastGeneratedDocuments keys last.
+// Each entry is its own chrome.storage.local key, written once by the tab that tailored it;
+// the background worker keeps the index and drops the oldest entries past MAX_ENTRIES.
+
+(function(global) {
+  'use strict';
+
+  const KEY_PREFIX = 'ats_docs:';
+  const INDEX_KEY = 'ats_docs_index';
+  const MAX_ENTRIES = 20;
+
+  let indexWrites = Promise.resolve();
+
+  function keyFor(url) {
+    try {
+      const parsed = new URL(url);
+      // Query kept: some boards identify the job there (?gh_jid=123)
+      return `${KEY_PREFIX}${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch (e) {
+      return `${KEY_PREFIX}${url}`;
+    }
+  }
+
+  /**
+   * Documents tailored for a job URL
+   * @returns {Promise<Object|null>} { cvPDF, coverPDF, coverLetterText, cvFileName, coverFileName, cv, keywords, matchScore, savedAt }
+   */
+  async function get(url) {
+    const key = keyFor(url);
+    const data = await chrome.storage.local.get([key]);
+    return data[key] || null;
+  }
+
+  async function put(url, docs) {
+    await chrome.storage.local.set({ [keyFor(url)]: { ...docs, savedAt: Date.now() } });
+  }
+
+  async function remove(url) {
+    await chrome.storage.local.remove(keyFor(url));
+  }
+
+  /**
+   * Background worker only: index entries as tabs write them and prune the oldest.
+   * Pass chrome.storage.onChanged's changes straight through.
+   */
+  function trackWrites(changes) {
+    const written = Object.keys(changes).filter(key => key.startsWith(KEY_PREFIX) && changes[key].newValue);
+    if (written.length === 0) return indexWrites;
+
+    indexWrites = indexWrites.then(async () => {
+      const data = await chrome.storage.local.get([INDEX_KEY]);
+      const index = (data[INDEX_KEY] || []).filter(key => !written.includes(key)).concat(written);
+      const evicted = index.splice(0, Math.max(0, index.length - MAX_ENTRIES));
+
+      if (evicted.length) await chrome.storage.local.remove(evicted);
+      await chrome.storage.local.set({ [INDEX_KEY]: index });
+    }).catch(e => console.error('[ATS Tailor] Tailoring cache index update failed', e));
+    return indexWrites;
+  }
+
+  global.TailoringCache = {
+    KEY_PREFIX,
+    keyFor,
+    get,
+    put,
+    remove,
+    trackWrites
+  };
+
+})(typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : global);
@@ -0,0 +1,271 @@
+// truthfulness-guard.js - Blocks or flags injection of skills the candidate never claimed
+// Builds a verified-skills inventory from the profile (verified_skills, skills, certifications,
+// experience) and produces the "claims added" diff the user approves before PDF/attach
+
+(function(global) {
+  'use strict';
+
+  const MODES = { BLOCK: 'block', FLAG: 'flag' };
+  const INVENTORY_STORAGE_KEY = 'ats_verified_inventory';
+  const MODE_STORAGE_KEY = 'ats_truthGuardMode';
+
+  let activeInventory = null; // { terms: [], evidenceText: '', builtAt }
+  let activeMode = MODES.BLOCK;
+
+  function normalizeTerm(term) {
+    return String(term || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function textContains(text, keyword) {
+    if (!text || !keyword) return false;
+    if (global.KeywordSynonyms) return global.KeywordSynonyms.matches(text, keyword);
+    return new RegExp(`(^|[^a-z0-9+#])${escapeRegex(normalizeTerm(keyword))}(?![a-z0-9+#])`, 'i').test(text);
+  }
+
+  const nameOf = (item) => (typeof item === 'string' ? item : item?.name || item?.title || '');
+
+  /**
+   * Plain-text CV built from profile fields (the candidate's own material, before tailoring)
+   * Headings match DynamicScore.splitSections() so raw scoring can break it down by section
+   */
+  function buildProfileText(profile = {}) {
+    const lines = [];
+    const experience = Array.isArray(profile.work_experience) ? profile.work_experience : [];
+    const education = Array.isArray(profile.education) ? profile.education : [];
+    const skills = (Array.isArray(profile.skills) ? profile.skills : []).map(nameOf).filter(Boolean);
+    const certifications = (Array.isArray(profile.certifications) ? profile.certifications : []).map(nameOf).filter(Boolean);
+
+    if (experience.length) {
+      lines.push('EXPERIENCE');
+      experience.forEach(exp => {
+        lines.push([exp.title, exp.company].filter(Boolean).join(' - '));
+        if (exp.description) lines.push(exp.description);
+        if (Array.isArray(exp.bullets)) lines.push(...exp.bullets);
+        if (Array.isArray(exp.skills)) lines.push(exp.skills.join(', '));
+      });
+    }
+    if (skills.length) lines.push('SKILLS', skills.join(', '));
+    if (education.length) {
+      lines.push('EDUCATION');
+      education.forEach(edu => lines.push([edu.degree, edu.field, edu.institution || edu.school].filter(Boolean).join(', ')));
+    }
+    if (certifications.length) lines.push('CERTIFICATIONS', ...certifications);
+    if (Array.isArray(profile.achievements) && profile.achievements.length) {
+      lines.push(...profile.achievements.map(a => (typeof a === 'string' ? a : a?.description || a?.title || '')));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Verified-skills inventory: explicit verified_skills plus everything the profile already states
+   * @param {Object} profile - profiles row (snake_case)
+   * @returns {{ terms: Array<string>, evidenceText: string, builtAt: number }}
+   */
+  function buildInventory(profile = {}) {
+    const verified = Array.isArray(profile.verified_skills) ? profile.verified_skills : [];
+    const skills = (Array.isArray(profile.skills) ? profile.skills : []).map(nameOf);
+    const certifications = (Array.isArray(profile.certifications) ? profile.certifications : []).map(nameOf);
+
+    const terms = [...new Set([...verified, ...skills, ...certifications].map(normalizeTerm).filter(Boolean))];
+    return {
+      terms,
+      evidenceText: [verified.join(', '), buildProfileText(profile)].filter(Boolean).join('\n'),
+      builtAt: Date.now()
+    };
+  }
+
+  function hasInventory(inventory = activeInventory) {
+    return !!inventory && (inventory.terms.length > 0 || inventory.evidenceText.length > 0);
+  }
+
+  /**
+   * True when the keyword (or a synonym/stem/acronym of it) is in the inventory
+   */
+  function isVerified(keyword, inventory = activeInventory) {
+    if (!hasInventory(inventory) || !keyword) return false;
+    const form = normalizeTerm(keyword);
+    const forms = global.KeywordSynonyms ? global.KeywordSynonyms.getSynonyms(form) : [form];
+    if (forms.some(f => inventory.terms.includes(f))) return true;
+    return textContains(inventory.evidenceText, keyword);
+  }
+
+  /**
+   * Split keywords a tailoring path wants to inject into allowed / blocked / flagged
+   * - verified (inventory, or already in the evidence text) -> allowed
+   * - unverified, mode 'block' -> blocked (not injected)
+   * - unverified, mode 'flag'  -> allowed but flagged as an unverified claim
+   * Without an inventory nothing can be verified, so everything is flagged rather than blocked.
+   * @param {Array<string>} keywords - Candidate injections
+   * @param {Object} options - { evidence: original CV/section text, inventory, mode }
+   */
+  function screenKeywords(keywords, { evidence = '', inventory = activeInventory, mode = activeMode } = {}) {
+    const allowed = [];
+    const blocked = [];
+    const flagged = [];
+    const effectiveMode = hasInventory(inventory) ? mode : MODES.FLAG;
+
+    (keywords || []).forEach(kw => {
+      if (isVerified(kw, inventory) || textContains(evidence, kw)) {
+        allowed.push(kw);
+      } else if (effectiveMode === MODES.FLAG) {
+        allowed.push(kw);
+        flagged.push(kw);
+      } else {
+        blocked.push(kw);
+      }
+    });
+
+    return { allowed, blocked, flagged };
+  }
+
+  /**
+   * Which section heading a line falls under
+   */
+  function sectionAt(lines, index) {
+    for (let i = index; i >= 0; i--) {
+      const heading = lines[i].trim().replace(/[:\s]+$/, '');
+      if (/^[A-Z][A-Za-z &]{2,40}$/.test(heading) && (heading === heading.toUpperCase() || i !== index)) {
+        if (/summary|profile|objective/i.test(heading)) return 'summary';
+        if (/experience|employment|work history/i.test(heading)) return 'experience';
+        if (/skills|competencies|technologies|proficiencies/i.test(heading)) return 'skills';
+        if (/education|academic/i.test(heading)) return 'education';
+        if (/certification|licen[cs]e/i.test(heading)) return 'certifications';
+      }
+    }
+    return 'other';
+  }
+
+  /**
+   * "Claims added" diff: job keywords the tailored CV asserts that the original did not
+   * @param {string} originalText - Candidate's own CV/profile text
+   * @param {string} tailoredText - Tailored CV text
+   * @param {Object} options - { keywords: Array<string>, inventory }
+   * @returns {Array<{ id, keyword, section, line, verified }>}
+   */
+  function diffClaims(originalText, tailoredText, { keywords = [], inventory = activeInventory } = {}) {
+    const lines = String(tailoredText || '').split('\n');
+    const claims = [];
+
+    keywords.forEach(keyword => {
+      if (!textContains(tailoredText, keyword) || textContains(originalText, keyword)) return;
+      const index = lines.findIndex(line => textContains(line, keyword));
+      claims.push({
+        id: `claim-${claims.length}`,
+        keyword,
+        section: index >= 0 ? sectionAt(lines, index) : 'other',
+        line: index >= 0 ? lines[index].trim() : '',
+        verified: isVerified(keyword, inventory)
+      });
+    });
+
+    return claims;
+  }
+
+  /**
+   * Remove a claimed keyword from the CV text along with the phrase that introduced it
+   * ("utilizing X", "and X", ", X"); lines left empty by the removal are dropped
+   */
+  function removeClaim(cvText, claim) {
+    const keyword = escapeRegex(claim.keyword);
+    const joiners = '(?:,\\s*including|,?\\s*utilizing|,?\\s*leveraging|\\s+using|\\s+with|\\s+and|,)?';
+    // Keyword heading a list ("Rust and Go", "Rust, Go") goes with its trailing separator
+    const leading = new RegExp(`(?<![A-Za-z0-9])${keyword}(?:,\\s*|\\s+and\\s+)(?=[A-Za-z0-9])`, 'gi');
+    const pattern = new RegExp(`${joiners}\\s*(?<![A-Za-z0-9])${keyword}(?![A-Za-z0-9+#])`, 'gi');
+
+    return String(cvText || '')
+      .split('\n')
+      .map(line => {
+        if (!pattern.test(line)) return line;
+        pattern.lastIndex = 0;
+        const cleaned = line
+          .replace(leading, '')
+          .replace(pattern, '')
+          .replace(/\s+([.,;])/g, '$1')
+          .replace(/,\s*,/g, ',')
+          .replace(/(:|•)\s*,\s*/g, '$1 ')
+          .replace(/,\s*$/, '')
+          .replace(/\s{2,}/g, ' ');
+        // Bullet or "Label:" lines emptied by the removal disappear entirely
+        return /^\s*([-•*]|[A-Za-z ]+:)?\s*\.?$/.test(cleaned) ? null : cleaned;
+      })
+      .filter(line => line !== null)
+      .join('\n');
+  }
+
+  /**
+   * True while a tailored CV has added claims the user hasn't approved yet; until then neither the
+   * popup nor the content script generates, downloads or attaches the CV PDF
+   * @param {Object} claims - generatedDocuments.claims ({ items, approved, removed })
+   */
+  function isAwaitingApproval(claims) {
+    return !!claims && !claims.approved && Array.isArray(claims.items) && claims.items.length > 0;
+  }
+
+  function summarizeClaims(claims = []) {
+    const unverified = claims.filter(c => !c.verified);
+    return { total: claims.length, verified: claims.length - unverified.length, unverified: unverified.length };
+  }
+
+  // ============ ACTIVE INVENTORY / MODE ============
+
+  function setInventory(inventory, { persist = true } = {}) {
+    activeInventory = inventory;
+    if (persist && typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.set({ [INVENTORY_STORAGE_KEY]: inventory });
+    }
+  }
+
+  function getInventory() {
+    return activeInventory;
+  }
+
+  function setMode(mode) {
+    activeMode = mode === MODES.FLAG ? MODES.FLAG : MODES.BLOCK;
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.set({ [MODE_STORAGE_KEY]: activeMode });
+    }
+  }
+
+  function getMode() {
+    return activeMode;
+  }
+
+  function loadInventory() {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        chrome.storage.local.get([INVENTORY_STORAGE_KEY, MODE_STORAGE_KEY], (result) => {
+          if (result[INVENTORY_STORAGE_KEY]) activeInventory = result[INVENTORY_STORAGE_KEY];
+          if (result[MODE_STORAGE_KEY]) activeMode = result[MODE_STORAGE_KEY];
+        });
+      }
+    } catch (e) {
+      console.warn('Failed to load verified skills inventory:', e);
+    }
+  }
+
+  // Initialize on load
+  loadInventory();
+
+  global.TruthfulnessGuard = {
+    MODES,
+    buildProfileText,
+    buildInventory,
+    setInventory,
+    getInventory,
+    hasInventory,
+    setMode,
+    getMode,
+    isVerified,
+    screenKeywords,
+    diffClaims,
+    removeClaim,
+    isAwaitingApproval,
+    summarizeClaims
+  };
+
+})(typeof window !== 'undefined' ? window : global);
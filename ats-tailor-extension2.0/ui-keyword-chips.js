@@ -24,7 +24,7 @@
     let matchCount = 0;
 
     keywords.forEach(keyword => {
-      const isMatched = checkKeywordMatch(cvLower, keyword);
+      const isMatched = checkKeywordMatch(cvLower, keyword, cvText);
       if (isMatched) matchCount++;
 
       const chip = createChipElement(keyword, isMatched, options.priority || 'medium');
@@ -52,8 +52,11 @@
   /**
    * Check if keyword is matched in CV text
    */
-  function checkKeywordMatch(cvLower, keyword) {
+  function checkKeywordMatch(cvLower, keyword, cvText = cvLower) {
     const keywordLower = keyword.toLowerCase();
+
+    // Synonyms, stems and acronyms ("k8s" for Kubernetes) count as matches
+    if (global.KeywordSynonyms?.matches(cvText || '', keyword)) return true;
     
     // Try exact word boundary match first
     try {
@@ -2,7 +2,21 @@
 (function(global) {
   'use strict';
 
-  function validateTailoring(cvText, jobKeywords) {
+  /**
+   * Validate a tailored CV against the job keywords
+   * mode 'raw' reports strict coverage with a priority/section breakdown instead of the
+   * 90%+ reliability gate, so a poor fit is reported as one
+   */
+  function validateTailoring(cvText, jobKeywords, { mode = 'calibrated' } = {}) {
+    if (mode === 'raw' && global.DynamicScore?.calculateRawMatch) {
+      const raw = global.DynamicScore.calculateRawMatch(cvText, jobKeywords);
+      return {
+        ...raw,
+        keywordCount: raw.matchCount,
+        reliable: raw.totalKeywords >= 10
+      };
+    }
+
     const keywords = Array.isArray(jobKeywords) ? jobKeywords : (jobKeywords?.all || []);
     const match = global.ReliableExtractor?.matchKeywords(cvText, keywords) || { matchScore: 0, matched: [], missing: keywords };
     
@@ -0,0 +1,168 @@
+// QuantumHire AI - Typing Calibration Page
+// Records keystroke and click timing, builds a typing profile from it and assigns profiles to speeds
+
+const PASSAGE = 'I am excited to apply for this position. Over the past five years I have built reliable ' +
+  'systems with small teams, shipped features quickly, and learned to explain technical decisions ' +
+  'clearly. I would welcome the chance to bring that experience to your team, and I am available ' +
+  'to start after a two-week notice period.';
+
+const SPEED_LABELS = { 1: '1x', 1.5: '1.5x', 2: '2x', 3: '3x' };
+const CLICK_TARGETS = 8;
+
+let keyEvents = [];
+let clickSamples = [];
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  document.getElementById('passage').textContent = PASSAGE;
+
+  const typingArea = document.getElementById('typing-area');
+  typingArea.addEventListener('keydown', (e) => {
+    // Printable keys and corrections only; modifiers and navigation aren't rhythm
+    if (e.key.length !== 1 && e.key !== 'Backspace') return;
+    if (e.repeat) return;
+    keyEvents.push({ key: e.key, t: e.timeStamp });
+    updateTypingCount();
+  });
+  // Pasted text has no timing
+  typingArea.addEventListener('paste', (e) => e.preventDefault());
+
+  document.getElementById('typing-reset-btn').addEventListener('click', () => {
+    keyEvents = [];
+    typingArea.value = '';
+    typingArea.focus();
+    updateTypingCount();
+  });
+
+  document.getElementById('click-start-btn').addEventListener('click', startClickTest);
+  document.getElementById('save-profile-btn').addEventListener('click', saveProfile);
+
+  await renderProfiles();
+}
+
+function updateTypingCount() {
+  const printable = keyEvents.filter(k => k.key.length === 1).length;
+  const needed = TypingProfiles.minRecordedKeys;
+  document.getElementById('typing-count').textContent = printable >= needed
+    ? `${printable} keys recorded`
+    : `${printable} keys recorded (${needed - printable} more needed)`;
+}
+
+// ============ CLICK TEST ============
+
+function startClickTest() {
+  const arena = document.getElementById('click-arena');
+  clickSamples = [];
+  arena.innerHTML = '';
+  showNextTarget(arena);
+}
+
+function showNextTarget(arena) {
+  if (clickSamples.length >= CLICK_TARGETS) {
+    arena.innerHTML = '<span class="note">Done - thanks!</span>';
+    return;
+  }
+
+  const target = document.createElement('button');
+  target.className = 'click-target';
+  target.style.left = `${10 + Math.random() * 80}%`;
+  target.style.top = `${10 + Math.random() * 75}%`;
+
+  let enteredAt = null;
+  let downAt = null;
+  target.addEventListener('pointerenter', (e) => { enteredAt = e.timeStamp; });
+  target.addEventListener('pointerdown', (e) => { downAt = e.timeStamp; });
+  target.addEventListener('pointerup', (e) => {
+    if (enteredAt !== null && downAt !== null) {
+      clickSamples.push({ hover: downAt - enteredAt, press: e.timeStamp - downAt });
+      document.getElementById('click-count').textContent = `${clickSamples.length} clicks recorded`;
+    }
+    target.remove();
+    showNextTarget(arena);
+  });
+
+  arena.appendChild(target);
+}
+
+// ============ SAVE ============
+
+async function saveProfile() {
+  const status = document.getElementById('save-status');
+  const name = document.getElementById('profile-name').value.trim() || 'My typing';
+
+  try {
+    const profile = TypingProfiles.buildProfile({ keys: keyEvents, clicks: clickSamples, name });
+    await TypingProfiles.saveProfile(profile);
+
+    status.textContent = `Saved "${profile.name}" - ${describeProfile(profile)}. Pick it for a speed below.`;
+    status.className = 'status success';
+    await renderProfiles();
+  } catch (error) {
+    status.textContent = error.message;
+    status.className = 'status error';
+  }
+}
+
+// Rough words per minute from the median inter-key delay (5 characters per word)
+function describeProfile(profile) {
+  const wpm = Math.round(60000 / (profile.key.median * 5));
+  const typos = (profile.correction.rate * 100).toFixed(1);
+  return `~${wpm} wpm, ${typos}% corrected keys, ${Object.keys(profile.digraphs).length} recorded digraphs`;
+}
+
+// ============ PROFILES ============
+
+async function renderProfiles() {
+  const profiles = await TypingProfiles.list();
+  const assignments = await TypingProfiles.getAssignments();
+
+  const assignmentsEl = document.getElementById('assignments');
+  assignmentsEl.innerHTML = '';
+  for (const [speed, assignedId] of Object.entries(assignments)) {
+    const wrapper = document.createElement('div');
+    const label = document.createElement('label');
+    label.textContent = `${SPEED_LABELS[speed] || `${speed}x`} speed`;
+
+    const select = document.createElement('select');
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      option.selected = profile.id === assignedId;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => TypingProfiles.assign(speed, select.value));
+
+    wrapper.append(label, select);
+    assignmentsEl.appendChild(wrapper);
+  }
+
+  const listEl = document.getElementById('profile-list');
+  listEl.innerHTML = '';
+  profiles.forEach(profile => {
+    const row = document.createElement('div');
+    row.className = 'profile-row';
+
+    const name = document.createElement('span');
+    name.className = 'profile-name';
+    name.textContent = profile.source === 'recorded' ? `⌨️ ${profile.name}` : profile.name;
+    const stats = document.createElement('span');
+    stats.className = 'profile-stats';
+    stats.textContent = describeProfile(profile);
+    row.append(name, stats);
+
+    if (profile.source === 'recorded') {
+      const remove = document.createElement('button');
+      remove.className = 'btn ghost';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', async () => {
+        await TypingProfiles.deleteProfile(profile.id);
+        await renderProfiles();
+      });
+      row.appendChild(remove);
+    }
+
+    listEl.appendChild(row);
+  });
+}
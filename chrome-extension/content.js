@@ -42,7 +42,7 @@ window.addEventListener('message', async (event) => {
       if (data?.jobUrl) {
         try {
           // Get profile and tailored data from storage
-          const storageData = await chrome.storage.local.get(['userProfile', 'accessToken', 'autofillEnabled']);
+          const storageData = await EncryptedStorage.getItems(['userProfile', 'accessToken', 'autofillEnabled']);
           
           // Auto-show the control panel
           autoShowControlPanel(data);
@@ -521,16 +521,8 @@ async function fillWorkdayDropdown(dropdownButton, answerValue) {
     const options = Array.from(listbox.querySelectorAll('[role="option"], [data-automation-id*="promptOption"], li, div'))
       .filter(o => o.offsetParent !== null && o.innerText?.trim());
     
-    // Try exact match
-    let match = options.find(o => o.innerText.toLowerCase().trim() === answerLower);
-    
-    // Try partial match
-    if (!match) {
-      match = options.find(o => {
-        const optText = o.innerText.toLowerCase().trim();
-        return optText.includes(answerLower) || answerLower.includes(optText);
-      });
-    }
+    // Try exact match, then whole words (see findOptionIndex)
+    let match = options[findOptionIndex(options.map(o => o.innerText), answerValue)];
     
     // Yes/No variations
     if (!match && (answerLower === 'yes' || answerLower === 'no')) {
@@ -614,8 +606,8 @@ function skipCurrentStep() {
   }
 }
 
-// Speed multiplier configuration - uses SPEED_CONFIGS from humanTyping.js
-// Extended config with page load delays (humanTyping.js has the base config)
+// Page load delays per speed setting; key and click timing come from the typing profile
+// assigned to the speed (utils/typingProfiles.js)
 const SPEED_CONFIGS_EXTENDED = {
   1: { loadMin: 1000, loadMax: 2000, label: 'Normal (Safest)' },
   1.5: { loadMin: 700, loadMax: 1500, label: 'Fast' },
@@ -633,28 +625,26 @@ async function getSpeedMultiplier() {
   }
 }
 
-// Get delay configuration for current speed (merges with humanTyping config)
+// Get delay configuration for current speed
 async function getSpeedConfig() {
   const multiplier = await getSpeedMultiplier();
-  const baseConfig = (typeof SPEED_CONFIGS !== 'undefined' ? SPEED_CONFIGS[multiplier] : null) || 
-    { typeMin: 300, typeMax: 600, clickMin: 400, clickMax: 600 };
-  const extendedConfig = SPEED_CONFIGS_EXTENDED[multiplier] || SPEED_CONFIGS_EXTENDED[1];
-  return { ...baseConfig, ...extendedConfig };
+  return SPEED_CONFIGS_EXTENDED[multiplier] || SPEED_CONFIGS_EXTENDED[1];
 }
 
-// Get typing delay with jitter for human-like behavior
-async function getTypingDelay() {
-  const config = await getSpeedConfig();
-  const base = config.typeMin + Math.random() * (config.typeMax - config.typeMin);
-  // Add jitter (±20%) for realism
-  return Math.floor(base * (0.8 + Math.random() * 0.4));
+// Typing profile assigned to the current speed (built-in or calibrated)
+async function getTypingProfile() {
+  return TypingProfiles.getProfile(await getSpeedMultiplier());
 }
 
-// Get click delay with jitter
+// Delay before typing `char` after `prev`, from the profile's digraph timing
+async function getTypingDelay(prev = null, char = 'a') {
+  return TypingProfiles.keyDelay(await getTypingProfile(), prev, char);
+}
+
+// Time to move onto and press a control: the profile's settle, hover and press timing
 async function getClickDelay() {
-  const config = await getSpeedConfig();
-  const base = config.clickMin + Math.random() * (config.clickMax - config.clickMin);
-  return Math.floor(base * (0.8 + Math.random() * 0.4));
+  const { settle, hover, press } = TypingProfiles.mouseTiming(await getTypingProfile());
+  return settle + hover + press;
 }
 
 // Get page load/transition delay with jitter
@@ -713,394 +703,28 @@ async function checkControls() {
   if (automationState.shouldQuit) throw new Error('QUIT');
 }
 
-// ============= COMPREHENSIVE KNOCKOUT QUESTION ANSWER BANK =============
-
-const KNOCKOUT_ANSWER_BANK = {
-  // WORK AUTHORIZATION
-  'legal documentation.*identity.*eligibility|legally authorized|eligib.*employed|right to work|authorization to work|authorised to work': { answer: 'Yes', selectValue: 'yes' },
-  'authorized.*work.*united states|authorized.*work.*us|work.*authorization.*us|legally.*work.*us|eligible.*work.*us|can you work.*us': { answer: 'Yes', selectValue: 'yes' },
-  'authorized.*work.*canada|authorized.*work.*uk|authorized.*work.*europe|work.*authorization': { answer: 'Yes', selectValue: 'yes' },
-  
-  // VISA SPONSORSHIP
-  'require.*sponsorship|need.*sponsorship|sponsorship.*required|sponsor.*visa|visa.*sponsor|future.*sponsorship|now or.*future.*sponsor|employment.*sponsorship': { answer: 'No', selectValue: 'no' },
-  'sponsor.*h1b|h-1b.*sponsor|h1-b.*sponsor|need.*h1b|require.*h1b|tn.*visa|l1.*visa|o1.*visa': { answer: 'No', selectValue: 'no' },
-  'work.*without.*sponsorship|employment.*without.*sponsorship': { answer: 'Yes', selectValue: 'yes' },
-  
-  // AGE VERIFICATION
-  'age 18|over 18|18 years|eighteen|at least 18|older than 18|minimum age|legal age|are you.*18|21 years|over 21|at least 21': { answer: 'Yes', selectValue: 'yes' },
-  
-  // BACKGROUND & DRUG SCREENING
-  'background check|criminal background|background investigation|submit.*background|consent.*background|background screening|pre-employment.*background': { answer: 'Yes', selectValue: 'yes' },
-  'drug screen|drug test|substance test|submit.*drug|pre-employment.*drug|toxicology|controlled substance': { answer: 'Yes', selectValue: 'yes' },
-  'motor vehicle|mvr.*check|driving record.*check': { answer: 'Yes', selectValue: 'yes' },
-  'credit check|credit history|financial background': { answer: 'Yes', selectValue: 'yes' },
-  
-  // DRIVER'S LICENSE
-  'driver.*license|driving license|valid license|valid driver|possess.*license|current.*license|unrestricted.*license': { answer: 'Yes', selectValue: 'yes' },
-  'good driving|driving history|driving record|clean driving|safe driving': { answer: 'Yes', selectValue: 'yes' },
-  'own.*vehicle|reliable.*transportation|access.*vehicle|means.*transportation|personal.*transportation': { answer: 'Yes', selectValue: 'yes' },
-  
-  // RELOCATION & AVAILABILITY
-  'willing.*relocate|open.*relocation|relocate.*position|able.*relocate|consider.*relocating|move.*location': { answer: 'Yes', selectValue: 'yes' },
-  'available.*start|start date|earliest.*start|when.*start|how soon|soonest.*start|when.*begin': { answer: 'Immediately', selectValue: 'immediately' },
-  'immediate.*start|start immediately|available immediately': { answer: 'Yes', selectValue: 'yes' },
-  'notice period|current.*notice|weeks.*notice|days.*notice|resignation.*period': { answer: '2 weeks' },
-  'currently employed|presently working|actively working': { answer: 'Yes', selectValue: 'yes' },
-  
-  // JOB FUNCTIONS & PHYSICAL REQUIREMENTS
-  'essential functions|perform.*duties|physical requirements|able to perform|perform.*job|job.*functions': { answer: 'Yes', selectValue: 'yes' },
-  'reasonable accommodation|disability accommodation|with or without.*accommodation|request.*accommodation': { answer: 'Yes', selectValue: 'yes' },
-  'lift.*pounds|carry.*lbs|physical demands|standing.*hours|sitting.*hours|walk.*hours|bend.*lift|push.*pull': { answer: 'Yes', selectValue: 'yes' },
-  'work.*environment|outdoor.*work|indoor.*work|office.*environment|warehouse.*environment|manufacturing.*environment': { answer: 'Yes', selectValue: 'yes' },
-  
-  // TRAVEL & SCHEDULE
-  'willing.*travel|travel.*required|travel.*percent|overnight.*travel|domestic.*travel|international.*travel|business.*travel': { answer: 'Yes', selectValue: 'yes' },
-  'travel.*frequency|how much.*travel|percentage.*travel|amount.*travel': { answer: 'Up to 50%' },
-  'work.*weekends|weekend.*availability|weekend.*work|saturday.*sunday': { answer: 'Yes', selectValue: 'yes' },
-  'work.*shifts|shift.*work|rotating.*shifts|night.*shift|evening.*shift|flexible.*hours': { answer: 'Yes', selectValue: 'yes' },
-  'overtime|extra.*hours|additional.*hours|extended.*hours': { answer: 'Yes', selectValue: 'yes' },
-  'on-call|on call|standby|pager.*duty|after.*hours.*support': { answer: 'Yes', selectValue: 'yes' },
-  'flexible.*schedule|flexible.*working|hybrid.*work|remote.*work|work.*from.*home': { answer: 'Yes', selectValue: 'yes' },
-  'full-time|full time|permanent.*position|permanent.*role': { answer: 'Yes', selectValue: 'yes' },
-  
-  // PREVIOUS EMPLOYMENT
-  'employed by.*llc|employed by.*company|worked.*before|previous.*employee|ever been employed|formerly employed|worked.*previously': { answer: 'No', selectValue: 'no' },
-  'referred by|employee referral|know anyone|current employee.*refer|referral.*source': { answer: 'No', selectValue: 'no' },
-  'applied.*before|previously.*applied|past.*application|former.*applicant': { answer: 'No', selectValue: 'no' },
-  'interview.*before|interviewed.*previously': { answer: 'No', selectValue: 'no' },
-  
-  // LEGAL & AGREEMENTS
-  'terms and conditions|agree.*terms|certification|certify|read and agree|responding.*yes.*certify|acknowledge|attestation': { answer: 'Yes', selectValue: 'yes' },
-  'non-compete|non-disclosure|nda|confidentiality|confidential.*agreement|proprietary.*agreement': { answer: 'Yes', selectValue: 'yes' },
-  'agree.*policy|accept.*terms|consent.*processing|consent.*data|privacy.*consent|gdpr.*consent': { answer: 'Yes', selectValue: 'yes' },
-  'truthful.*information|accurate.*information|certify.*accurate|information.*true': { answer: 'Yes', selectValue: 'yes' },
-  'at-will.*employment|at will.*employment|employment.*at-will': { answer: 'Yes', selectValue: 'yes' },
-  
-  // CRIMINAL HISTORY
-  'convicted.*felony|criminal.*conviction|been convicted|pleaded guilty|pending.*charges|criminal.*record|arrest.*record': { answer: 'No', selectValue: 'no' },
-  'misdemeanor|criminal.*offense|criminal.*history': { answer: 'No', selectValue: 'no' },
-  
-  // SECURITY CLEARANCE
-  'security clearance|clearance.*level|active.*clearance|current.*clearance|secret.*clearance|top secret|ts/sci|public trust': { answerFromProfile: 'security_clearance', defaultAnswer: 'No, but willing to obtain' },
-  'obtain.*clearance|eligible.*clearance|pass.*clearance|clearance.*investigation': { answer: 'Yes', selectValue: 'yes' },
-  
-  // EEO & DEMOGRAPHICS - with profile-based answers
-  'veteran status|military service|protected veteran|veteran.*self|served.*military|us.*veteran|armed forces|vevraa': { answerFromProfile: 'veteran_status', defaultAnswer: 'I am not a protected veteran', selectValue: 'i am not a protected veteran' },
-  'disability status|disabled|have.*disability|disability.*self|individual.*disability|form cc-305|voluntary.*disability': { answerFromProfile: 'disability', defaultAnswer: 'I do not wish to answer', selectValue: 'i do not wish to answer' },
-  'race|ethnicity|ethnic background|race.*ethnicity|racial.*identity|racial.*ethnic|african.*american|asian|caucasian|hispanic.*latino|white|black': { answerFromProfile: 'race_ethnicity', defaultAnswer: 'Decline to self-identify', selectValue: 'decline' },
-  'gender|sex|male.*female|gender.*identity|what is your gender|your gender': { answerFromProfile: 'gender', defaultAnswer: 'Male', selectValue: 'male' },
-  'hispanic.*latino|latino.*hispanic|are you hispanic|hispanic or latino': { answerFromProfile: 'hispanic_latino', defaultAnswer: 'No', selectValue: 'no' },
-  'sexual orientation|lgbtq|lgbtqia': { answer: 'Prefer not to answer', selectValue: 'prefer not to answer' },
-  
-  // COMPANY-SPECIFIC QUESTIONS
-  'worked.*microsoft|ever worked for microsoft|microsoft.*employee|microsoft.*vendor|employee or vendor.*microsoft': { answer: 'No', selectValue: 'no' },
-  'worked.*google|ever worked.*google|google.*employee': { answer: 'No', selectValue: 'no' },
-  'worked.*amazon|ever worked.*amazon|amazon.*employee': { answer: 'No', selectValue: 'no' },
-  'worked.*apple|ever worked.*apple|apple.*employee': { answer: 'No', selectValue: 'no' },
-  'worked.*meta|worked.*facebook|ever worked.*meta|meta.*employee': { answer: 'No', selectValue: 'no' },
-
-  // LOCATION & IDENTITY (auto-fill from profile)
-  '^country$|choose.*country|country.*located|country.*residence|current.*country|please choose the country': { answerFromProfile: 'country', defaultAnswer: 'United States' },
-  '^location \(city\)$|city of residence|current city|location \(city\)': { answerFromProfile: 'city', defaultAnswer: 'Remote' },
-  'pronouns|what pronouns': { customHandler: 'pronouns', defaultAnswer: 'They/Them' },
-
-  // REGION / LANGUAGE ELIGIBILITY
-  'are you based in europe|based in europe|located in europe': { customHandler: 'basedInEurope', defaultAnswer: 'No' },
-  'do you speak german|speak german|german language': { customHandler: 'speakGerman', defaultAnswer: 'No' },
-
-  // CONSENT / ACKNOWLEDGEMENTS (short labels often used by ATS)
-  '^privacy notice$|privacy notice|privacy policy': { answer: 'Yes', selectValue: 'yes' },
-  'transparency|committed to transparency|committed to innovation': { answer: 'Yes', selectValue: 'yes' },
-
-  // WORK ELIGIBILITY (short labels)
-  'work eligibility': { answer: 'Yes', selectValue: 'yes' },
-
-  // ROLE-SPECIFIC SCREENERS (best-effort automation)
-  'high growth b2b tech saas|high-growth b2b|b2b saas': { customHandler: 'b2bSaas', defaultAnswer: 'Yes' },
-  'solutions consulting|solution consulting': { customHandler: 'solutionsConsulting', defaultAnswer: 'Yes' },
-
-  // U.S. CITIZENSHIP - Security Requirements
-  'u\\.s\\. citizen|us citizen|united states citizen|american citizen|citizenship.*u\\.s|require.*u\\.s\\. citizenship|security requirements.*u\\.s': { answer: 'No', selectValue: 'no' },
-
-  // GREENHOUSE SPECIFIC
-  'are you legally.*18|confirm.*legal age|minimum.*working age': { answer: 'Yes', selectValue: 'yes' },
-  'linkedin.*profile|linkedin url|linkedin.*url': { answerFromProfile: 'linkedin' },
-  'github.*profile|github url|github.*url': { answerFromProfile: 'github' },
-  'portfolio.*url|website.*url|personal.*website': { answerFromProfile: 'portfolio' },
-  
-  // GREENHOUSE LOCATION QUESTIONS
-  'where would you like to be based|where.*based|prefer.*location|preferred.*office|work.*location.*preference|which.*location|office.*location': { answerFromProfile: 'city', defaultAnswer: 'Remote' },
-  
-  // US PERSON QUESTION (Monzo-style)
-  'are you a us person|us person|born.*united states|parent.*born.*us|naturalised citizen.*us|green card.*holder|us tax resident': { answer: 'No', selectValue: 'no' },
-  
-  // UK RIGHT TO WORK
-  'uk right to work|right to work.*uk|right to work status|confirm.*uk.*right.*work|uk work.*status|work.*uk.*status': { answer: 'Require sponsorship - Skilled Worker', selectValue: 'require sponsorship' },
-  
-  // UK/EU SPECIFIC WORK AUTHORIZATION
-  'settled status|pre-settled status|share code|biometric residence': { answer: 'Require sponsorship - Skilled Worker', selectValue: 'require sponsorship' },
-  'uk.*citizen|british citizen|irish citizen|eu citizen.*uk': { answer: 'No', selectValue: 'no' },
-  
-  // NEURODIVERGENT / DIVERSITY QUESTIONS
-  'neurodivergent|neurodiverse|adhd|autism|dyslexia|consider yourself.*neurodivergent': { answer: 'I do not wish to answer', selectValue: 'i do not wish to answer' },
-  'transgender|identify as transgender|gender identity.*transgender': { answer: 'I do not wish to answer', selectValue: 'i do not wish to answer' },
-  
-  // CANDIDATE DATA PRIVACY
-  'candidate data privacy|data privacy notice|keeping.*data safe|privacy.*notice.*confirm|looked at.*privacy': { answer: 'Yes', selectValue: 'yes' },
-  
-  // PRONUNCIATION / NAME
-  'spell out your name|name.*pronounced|pronunciation|how.*say.*name': { answer: '' },
-
-  // WORKDAY SPECIFIC
-  'have you ever worked for|previously.*employed.*by|past.*employment.*with': { answer: 'No', selectValue: 'no' },
-  'current.*employment.*status|employment.*status|work.*status': { answer: 'Currently Employed', selectValue: 'employed' },
-
-  // LEVER SPECIFIC
-  'how did you hear|where did you find|source.*application|how.*learn.*position': { answer: 'Company Website', selectValue: 'company website' },
-  'why.*interested|interest.*role|interest.*position|attracted.*role': { answer: 'I am passionate about this opportunity and believe my skills align perfectly with the requirements.' },
-
-  // iCIMS SPECIFIC
-  'shift.*preference|preferred.*shift|work.*schedule.*preference': { answer: 'Flexible/Any', selectValue: 'flexible' },
-
-  // TALEO SPECIFIC
-  'country.*residence|residing.*country|current.*country': { answerFromProfile: 'country', defaultAnswer: 'United States' },
-  
-  // EDUCATION
-  'highest.*degree|degree.*obtained|education.*level|completed.*degree|highest.*education': { answerFromProfile: 'highest_education', defaultAnswer: "Bachelor's Degree" },
-  'bachelor.*degree|undergraduate.*degree|college.*degree|university.*degree': { answer: 'Yes', selectValue: 'yes' },
-  'master.*degree|graduate.*degree|advanced.*degree|mba|ms degree|ma degree': { answer: 'No', selectValue: 'no' },
-  'gpa|grade point|academic.*average': { answer: '3.5' },
-  
-  // CERTIFICATIONS
-  'certification.*required|required.*certification|professional.*certification|industry.*certification': { answer: 'Yes', selectValue: 'yes' },
-  'license.*required|professional.*license|state.*license': { answer: 'Yes', selectValue: 'yes' },
-  
-  // SKILLS
-  'proficiency.*level|skill.*level|expertise.*level|experience.*level': { answer: 'Expert', selectValue: 'expert' },
-  'years.*total.*experience|total.*years.*experience|overall.*experience': { answerFromProfile: 'total_experience', defaultAnswer: '8' },
-  
-  // SALARY
-  'salary.*expectation|expected.*salary|desired.*salary|salary.*requirement|compensation.*expectation|pay.*expectation|desired.*pay|pay.*range|salary.*range': { answerFromProfile: 'expected_salary', defaultAnswer: '$75,000 - $95,000' },
-  'current.*salary|present.*salary|current.*compensation|base.*salary': { answerFromProfile: 'current_salary', defaultAnswer: 'Prefer not to disclose' },
-  'hourly.*rate|rate.*per hour|hourly.*expectation': { answer: 'Negotiable based on total compensation' },
-  'bonus.*eligible|variable.*compensation|commission': { answer: 'Yes', selectValue: 'yes' },
-  
-  // LANGUAGE
-  'english.*proficiency|speak.*english|english.*fluent|english.*language': { answer: 'Fluent/Native', selectValue: 'fluent' },
-  'spanish.*proficiency|speak.*spanish|spanish.*language': { answer: 'Intermediate', selectValue: 'intermediate' },
-  'language.*proficiency|fluent.*language|speak.*language': { answer: 'English (Fluent)' },
-  
-  // CONTACT PREFERENCES
-  'contact.*method|preferred.*contact|best way.*reach|how.*contact': { answer: 'Email', selectValue: 'email' },
-  'best.*time.*call|call.*time|when.*call': { answer: 'Anytime during business hours' },
-  
-  // ADDITIONAL
-  'conflict.*interest|competing.*interest|outside.*employment': { answer: 'No', selectValue: 'no' },
-  'relative.*employee|family.*works|related.*anyone': { answer: 'No', selectValue: 'no' },
-  'government.*employee|public.*sector|federal.*employee': { answer: 'No', selectValue: 'no' },
-  'union.*member|belong.*union|represented.*union': { answer: 'No', selectValue: 'no' },
-  'equipment.*use|tools.*own|required.*equipment|personal.*tools': { answer: 'Yes', selectValue: 'yes' },
-  'computer.*proficient|technology.*skills|software.*skills': { answer: 'Yes', selectValue: 'yes' },
-  
-  // OVERTIME & SHIFT AVAILABILITY
-  'willing.*overtime|work.*overtime|overtime.*available|extra.*hours|additional.*hours|extended.*hours|long.*hours': { answer: 'Yes', selectValue: 'yes' },
-  'shift.*availability|available.*shifts|work.*any.*shift|all.*shifts|shift.*preference': { answer: 'Flexible/Any Shift', selectValue: 'flexible' },
-  'night.*shift.*available|evening.*shift|graveyard.*shift|swing.*shift': { answer: 'Yes', selectValue: 'yes' },
-  'weekend.*availability|work.*saturdays|work.*sundays|available.*weekends|saturday.*sunday': { answer: 'Yes', selectValue: 'yes' },
-  'holiday.*work|work.*holidays|available.*holidays': { answer: 'Yes', selectValue: 'yes' },
-  'flexible.*hours|flexible.*schedule|varied.*schedule|irregular.*hours': { answer: 'Yes', selectValue: 'yes' },
-  'rotating.*shift|rotating.*schedule': { answer: 'Yes', selectValue: 'yes' },
-  'on-call.*availability|standby.*duty|emergency.*call|after.*hours.*availability': { answer: 'Yes', selectValue: 'yes' },
-  
-  // CERTIFICATIONS REQUIRED
-  'certification.*required|required.*certification|hold.*certification|possess.*certification|valid.*certification': { answer: 'Yes', selectValue: 'yes' },
-  'willing.*obtain.*certification|obtain.*required.*certification|get.*certified': { answer: 'Yes', selectValue: 'yes' },
-  'professional.*license|state.*license|license.*required|licensed.*professional': { answer: 'Yes', selectValue: 'yes' },
-  'aws.*certified|azure.*certified|google.*certified|cloud.*certified': { answer: 'Yes', selectValue: 'yes' },
-  'pmp.*certified|scrum.*master|agile.*certified|itil.*certified': { answer: 'Yes', selectValue: 'yes' },
-  'cpa.*certified|cfa.*chartered|series.*7|finra|licensed.*broker': { answer: 'Yes, if applicable', selectValue: 'yes' },
-  'first.*aid|cpr.*certified|safety.*training|osha.*certified': { answer: 'Yes', selectValue: 'yes' },
-  
-  // PHYSICAL REQUIREMENTS
-  'lift.*25.*pounds|lift.*50.*pounds|lift.*75.*pounds|heavy.*lifting|physically.*demanding': { answer: 'Yes', selectValue: 'yes' },
-  'stand.*extended|stand.*long.*periods|standing.*hours|prolonged.*standing': { answer: 'Yes', selectValue: 'yes' },
-  'sit.*extended|sit.*long.*periods|desk.*work|sedentary.*work': { answer: 'Yes', selectValue: 'yes' },
-  'climb.*ladders|work.*heights|height.*comfortable|elevated.*platforms': { answer: 'Yes', selectValue: 'yes' },
-  'outdoor.*weather|inclement.*weather|outdoor.*conditions|work.*outside': { answer: 'Yes', selectValue: 'yes' },
-  'repetitive.*motion|repetitive.*tasks|manual.*dexterity': { answer: 'Yes', selectValue: 'yes' },
-  
-  // TEAM & ENVIRONMENT
-  'team.*environment|work.*team|collaborative.*environment|teamwork': { answer: 'Yes', selectValue: 'yes' },
-  'independent.*work|work.*independently|self-directed|autonomous.*work|minimal.*supervision': { answer: 'Yes', selectValue: 'yes' },
-  'fast-paced.*environment|high.*pressure|deadline.*driven|time.*sensitive': { answer: 'Yes', selectValue: 'yes' },
-  'customer.*facing|client.*interaction|public.*contact|customer.*service': { answer: 'Yes', selectValue: 'yes' },
-  'remote.*work.*capable|work.*from.*home|virtual.*work|telecommute': { answer: 'Yes', selectValue: 'yes' },
-  'hybrid.*work|in-office.*days|office.*attendance': { answer: 'Yes', selectValue: 'yes' },
-  
-  // ADDITIONAL COMMON QUESTIONS
-  'emergency.*contact|emergency.*situation|available.*emergency': { answer: 'Yes', selectValue: 'yes' },
-  'social.*media.*presence|professional.*social|online.*presence': { answer: 'Yes', selectValue: 'yes' },
-  'public.*speaking|presentation.*skills|speak.*groups': { answer: 'Yes', selectValue: 'yes' },
-  'training.*others|mentor.*others|coach.*team|train.*new.*employees': { answer: 'Yes', selectValue: 'yes' },
-  'feedback.*receptive|accept.*feedback|constructive.*criticism': { answer: 'Yes', selectValue: 'yes' },
-  'multi-task|multitask|multiple.*priorities|juggle.*tasks': { answer: 'Yes', selectValue: 'yes' },
-  'attention.*detail|detail.*oriented|meticulous|accuracy': { answer: 'Yes', selectValue: 'yes' },
-  'problem.*solving|analytical.*thinking|critical.*thinking': { answer: 'Yes', selectValue: 'yes' },
-  'leadership.*experience|lead.*team|supervisory.*experience|management.*experience': { answer: 'Yes', selectValue: 'yes' }
-};
+// ============= SCREENING RULES (OFFLINE ANSWERS) =============
+// Work authorization, sponsorship, relocation, salary, notice period, EEO... are answered by the
+// shared rule packs in utils/screeningRules.js, with no network call; only questions no rule
+// covers are sent to answer-questions. EEO, criminal history and prior employment follow the
+// profile's disclosure_policy: a category the user hasn't chosen for comes back `withheld` and
+// is left blank for them - never filled from a default, never sent to the AI.
 
-// Match knockout question with profile-aware answers
-function matchKnockoutQuestion(questionText, userProfile = null) {
-  const lowerQuestion = questionText.toLowerCase().trim();
-  
-  for (const [pattern, response] of Object.entries(KNOCKOUT_ANSWER_BANK)) {
-    const regex = new RegExp(pattern, 'i');
-    if (regex.test(lowerQuestion)) {
-      // Custom handlers (derived from profile)
-      if (response.customHandler) {
-        const handler = response.customHandler;
-
-        const gender = (userProfile?.gender || '').toString().toLowerCase();
-        const country = (userProfile?.country || '').toString();
-        const city = (userProfile?.city || '').toString();
-        const languagesRaw = userProfile?.languages;
-        const languages = Array.isArray(languagesRaw)
-          ? languagesRaw.map((l) => (typeof l === 'string' ? l : l?.name || l?.language || '')).join(', ')
-          : (languagesRaw ? String(languagesRaw) : '');
-        const languagesLower = languages.toLowerCase();
-
-        const workExpText = Array.isArray(userProfile?.work_experience)
-          ? userProfile.work_experience
-              .map((e) => `${e?.title || ''} ${e?.company || ''} ${e?.description || ''} ${(e?.bullets || []).join(' ')}`)
-              .join(' ')
-              .toLowerCase()
-          : '';
-
-        if (handler === 'pronouns') {
-          if (gender.includes('male')) return { answer: 'He/Him', selectValue: 'he/him' };
-          if (gender.includes('female')) return { answer: 'She/Her', selectValue: 'she/her' };
-          return { answer: 'They/Them', selectValue: 'they/them' };
-        }
-
-        if (handler === 'basedInEurope') {
-          const euCountries = [
-            'ireland','united kingdom','uk','germany','france','spain','italy','netherlands','belgium','sweden','norway','denmark','finland','switzerland','austria','portugal','poland','czech','czech republic','romania','bulgaria','greece','hungary','slovakia','slovenia','croatia','serbia','bosnia','estonia','latvia','lithuania'
-          ];
-          const c = country.toLowerCase();
-          const isEu = !!c && euCountries.some((x) => c.includes(x));
-          return { answer: isEu ? 'Yes' : (response.defaultAnswer || 'No'), selectValue: isEu ? 'yes' : 'no' };
-        }
-
-        if (handler === 'speakGerman') {
-          const speaks = languagesLower.includes('german') || languagesLower.includes('deutsch');
-          return { answer: speaks ? 'Yes' : (response.defaultAnswer || 'No'), selectValue: speaks ? 'yes' : 'no' };
-        }
-
-        if (handler === 'b2bSaas') {
-          const has = /saas|b2b|enterprise/.test(workExpText);
-          return { answer: has ? 'Yes' : (response.defaultAnswer || 'Yes'), selectValue: 'yes' };
-        }
-
-        if (handler === 'solutionsConsulting') {
-          const has = /solutions consult|solution consult|consultant|pre-sales|presales|sales engineer|sales engineering/.test(workExpText);
-          return { answer: has ? 'Yes' : (response.defaultAnswer || 'Yes'), selectValue: 'yes' };
-        }
-
-        return { answer: response.defaultAnswer || 'Yes', selectValue: (response.defaultAnswer || 'yes').toLowerCase() };
-      }
-
-      if (response.answerFromProfile && userProfile) {
-        const profileField = response.answerFromProfile;
-
-        // Try multiple field name formats
-        let profileValue = userProfile[profileField]
-          || userProfile[profileField.replace(/_/g, '')]
-          || userProfile[toCamelCase(profileField)]
-          || userProfile[profileField.toLowerCase()];
-
-        // Special handling for EEO fields with specific value mapping
-        if (profileValue !== null && profileValue !== undefined && profileValue !== '') {
-          // Handle boolean fields
-          if (typeof profileValue === 'boolean') {
-            // Special mapping for veteran status
-            if (profileField === 'veteran_status') {
-              return {
-                answer: profileValue ? 'I identify as one or more of the classifications of protected veteran' : 'I am not a protected veteran',
-                selectValue: profileValue ? 'protected veteran' : 'i am not a protected veteran'
-              };
-            }
-            // Special mapping for disability
-            if (profileField === 'disability') {
-              return {
-                answer: profileValue ? 'Yes, I have a disability' : 'No, I do not have a disability',
-                selectValue: profileValue ? 'yes' : 'no'
-              };
-            }
-            // Special mapping for hispanic/latino
-            if (profileField === 'hispanic_latino') {
-              return {
-                answer: profileValue ? 'Yes' : 'No',
-                selectValue: profileValue ? 'yes' : 'no'
-              };
-            }
-            // Generic boolean
-            return { answer: profileValue ? 'Yes' : 'No', selectValue: profileValue ? 'yes' : 'no' };
-          }
-
-          // Handle string values with smart matching for dropdown values
-          const stringValue = String(profileValue);
-          const lowerValue = stringValue.toLowerCase();
-
-          // Special handling for race/ethnicity to match common dropdown options
-          if (profileField === 'race_ethnicity') {
-            const raceMapping = {
-              'black or african american': { answer: 'Black or African American', selectValue: 'black' },
-              'black': { answer: 'Black or African American', selectValue: 'black' },
-              'african american': { answer: 'Black or African American', selectValue: 'black' },
-              'white': { answer: 'White', selectValue: 'white' },
-              'caucasian': { answer: 'White', selectValue: 'white' },
-              'asian': { answer: 'Asian', selectValue: 'asian' },
-              'hispanic': { answer: 'Hispanic or Latino', selectValue: 'hispanic' },
-              'latino': { answer: 'Hispanic or Latino', selectValue: 'hispanic' },
-              'two or more races': { answer: 'Two or More Races', selectValue: 'two or more' },
-              'native american': { answer: 'American Indian or Alaska Native', selectValue: 'native american' },
-              'pacific islander': { answer: 'Native Hawaiian or Other Pacific Islander', selectValue: 'pacific islander' },
-              'decline': { answer: 'Decline to self-identify', selectValue: 'decline' }
-            };
-            const mapped = Object.entries(raceMapping).find(([key]) => lowerValue.includes(key));
-            if (mapped) return mapped[1];
-          }
-
-          // Special handling for gender
-          if (profileField === 'gender') {
-            const genderMapping = {
-              'male': { answer: 'Male', selectValue: 'male' },
-              'm': { answer: 'Male', selectValue: 'male' },
-              'female': { answer: 'Female', selectValue: 'female' },
-              'f': { answer: 'Female', selectValue: 'female' },
-              'non-binary': { answer: 'Non-binary', selectValue: 'non-binary' },
-              'other': { answer: 'Other', selectValue: 'other' },
-              'prefer not': { answer: 'Prefer not to answer', selectValue: 'prefer not to answer' },
-              'decline': { answer: 'Decline to self-identify', selectValue: 'decline' }
-            };
-            const mapped = Object.entries(genderMapping).find(([key]) => lowerValue.includes(key));
-            if (mapped) return mapped[1];
-          }
-
-          return { answer: stringValue, selectValue: lowerValue };
-        }
+function getPageLocale() {
+  return document.documentElement.lang || navigator.language || 'en';
+}
 
-        // Use default answer if no profile value
-        return { answer: response.defaultAnswer || 'Yes', selectValue: (response.defaultAnswer || 'yes').toLowerCase() };
-      }
-      return { answer: response.answer, selectValue: response.selectValue || (response.answer ? response.answer.toLowerCase() : 'yes') };
-    }
-  }
-  return null;
+// Option texts of a select or radio group, so a rule can pick the form's own wording (e.g. its decline option)
+function getQuestionOptions(q) {
+  if (q.type === 'select') return Array.from(q.element?.options || []).map(o => o.text.trim()).filter(t => t);
+  if (q.type === 'radio') return (q.elements || []).map(r => findLabelForInput(r) || r.value).filter(t => t);
+  return undefined;
 }
 
-function toCamelCase(str) {
-  return str.replace(/_([a-z])/g, (g) => g[1].toUpperCase());
+// Rule answer for a question label, or null when answer-questions should handle it
+function matchKnockoutQuestion(questionText, userProfile = null, options = undefined, company = undefined) {
+  if (!window.QuantumHireRules) return null;
+  return QuantumHireRules.answer({ label: questionText || '', options }, userProfile, { locale: getPageLocale(), company });
 }
 
 function getExperienceYears(skillName, userProfile) {
@@ -1141,10 +765,17 @@ let applicationState = {
 // ============= UTILITY FUNCTIONS =============
 
 function detectPlatform() {
+  const handler = getPlatformHandler();
   for (const [name, config] of Object.entries(PLATFORM_CONFIG)) {
-    if (config.detect()) return { name, config };
+    if (config.detect()) return { name, config, handler };
   }
-  return { name: 'generic', config: null };
+  return { name: 'generic', config: null, handler };
+}
+
+// Registered platform handler for this page (platforms/registry.js), if any
+function getPlatformHandler() {
+  if (typeof PlatformRegistry === 'undefined') return null;
+  return PlatformRegistry.detect();
 }
 
 function detectLoginPage() {
@@ -1168,29 +799,29 @@ function capitalizeWords(str) {
 
 // ============= JOB EXTRACTION =============
 
+// Platform-specific job selectors live on the handlers in platforms/; these are the generic fallback
 const JOB_EXTRACTION_SELECTORS = {
-  workday: { title: '[data-automation-id="jobPostingHeader"] h1, .job-title, h1', company: '[data-automation-id="companyName"], .company-name', description: '[data-automation-id="jobPostingDescription"], .job-description, main', location: '[data-automation-id="locations"], .location' },
-  greenhouse: { title: '.app-title, h1.heading', company: '.company-name, .logo-container img[alt]', description: '#content, .job-description', location: '.location, .job-location' },
-  lever: { title: '.posting-headline h2, h1.posting-title', company: '.main-header-logo img[alt]', description: '.posting-description', location: '.location' },
-  workable: { 
-    title: 'h1[data-ui="job-title"], h1.job-title, h1, [data-ui="job-title"]', 
-    company: '[data-ui="company-name"], header a[href="/"], .company-logo img[alt], a[data-ui="company-link"]', 
-    description: '[data-ui="job-description"], .job-description, section[data-ui="description"], [data-ui="description"], main article', 
-    location: '[data-ui="job-location"], [data-ui="job-info"] span, .job-location, [data-testid="job-location"]' 
-  },
   generic: { title: 'h1, [class*="job-title"]', company: '[class*="company"], [class*="employer"]', description: '[class*="job-description"], [class*="description"], article, main', location: '[class*="location"]' }
 };
 
 function extractJobDetails() {
   const platform = detectPlatform();
-  const selectors = JOB_EXTRACTION_SELECTORS[platform.name] || JOB_EXTRACTION_SELECTORS.generic;
+  const selectors = JOB_EXTRACTION_SELECTORS.generic;
   
   let title = '', company = '', description = '', location = '';
   
-  for (const sel of (selectors.title || '').split(', ')) { title = extractText(sel); if (title) break; }
-  for (const sel of (selectors.company || '').split(', ')) { company = extractText(sel); if (company) break; }
-  for (const sel of (selectors.description || '').split(', ')) { description = extractText(sel); if (description && description.length > 100) break; }
-  for (const sel of (selectors.location || '').split(', ')) { location = extractText(sel); if (location) break; }
+  if (platform.handler) {
+    try {
+      ({ title = '', company = '', description = '', location = '' } = platform.handler.extractJob() || {});
+    } catch (e) {
+      console.log(`QuantumHire AI: ${platform.handler.id} extractJob() failed`, e);
+    }
+  }
+  
+  if (!title) for (const sel of selectors.title.split(', ')) { title = extractText(sel); if (title) break; }
+  if (!company) for (const sel of selectors.company.split(', ')) { company = extractText(sel); if (company) break; }
+  if (!description) for (const sel of selectors.description.split(', ')) { description = extractText(sel); if (description && description.length > 100) break; }
+  if (!location) for (const sel of selectors.location.split(', ')) { location = extractText(sel); if (location) break; }
   
   if (!title) { const match = document.title.match(/^(.+?)(?:\s*[-|–]\s*|\s+at\s+)/); if (match) title = match[1].trim(); }
   if (!company) { const match = window.location.hostname.match(/^([^.]+)\.(workday|greenhouse|lever)/); if (match) company = capitalizeWords(match[1].replace(/-/g, ' ')); }
@@ -1348,7 +979,16 @@ const FIELD_MAPPINGS = {
   coverLetter: ['cover_letter', 'coverletter', 'cover', 'letter', 'message']
 };
 
-function findField(fieldType, platformConfig = null) {
+// platform: detectPlatform() result. Fields SelectorManager knows for the platform go through it
+// first (overrides, learned and remote-pack selectors, then self-healing)
+function findField(fieldType, platform = null) {
+  const platformId = platform?.handler?.id || platform?.name;
+  if (platformId && SelectorManager.getSelectorList(platformId, fieldType).length > 0) {
+    const element = SelectorManager.findElement(platformId, fieldType, { optional: true });
+    if (element) return element;
+  }
+  
+  const platformConfig = platform?.config;
   if (platformConfig?.selectors?.[fieldType]) {
     const element = document.querySelector(platformConfig.selectors[fieldType]);
     if (element && element.offsetParent !== null) return element;
@@ -1426,29 +1066,62 @@ function fillField(element, value) {
   }
 }
 
+// Values up to this length are typed key by key; longer ones (cover letters, essays) are
+// pasted in one go, as a person would
+const MAX_TYPED_LENGTH = 80;
+
+// The offline replay harness fills without human pacing
+function isPacingEnabled() {
+  return !window.__QH_REPLAY__;
+}
+
+// Wait as long as reaching for the next control takes with the current typing profile
+async function pauseBeforeControl() {
+  if (!isPacingEnabled()) return;
+  const delay = await getClickDelay();
+  await new Promise(r => setTimeout(r, delay));
+}
+
+/**
+ * fillField() with the current typing profile's timing: short values are typed with
+ * humanTypeText(), long ones set at once after moving to the field
+ */
+async function typeIntoField(element, value) {
+  if (!element || !value) return false;
+  if (element.value && element.value.trim() !== '') return false;
+  
+  const text = String(value);
+  const typeable = ['INPUT', 'TEXTAREA'].includes(element.tagName) && text.length <= MAX_TYPED_LENGTH;
+  if (!isPacingEnabled() || !typeable) {
+    await pauseBeforeControl();
+    return fillField(element, text);
+  }
+  
+  return humanTypeText(element, text, { profile: await getTypingProfile() });
+}
+
 // ============= ENHANCED DROPDOWN / CHECKBOX / RADIO FILLING =============
 
+// Index of the option an answer picks: an exact label or value anywhere in the group first, then
+// whole words (QuantumHireRules.matchOption). Never a substring, so "Male" can't pick "Female".
+function findOptionIndex(texts, answerValue, selectValue) {
+  const answer = String(answerValue || '');
+  if (window.QuantumHireRules?.matchOption) return QuantumHireRules.matchOption(texts, answer, selectValue);
+  const wanted = [answer, selectValue].filter(Boolean).map((v) => String(v).toLowerCase().trim());
+  return texts.findIndex((alternatives) =>
+    [].concat(alternatives).some((t) => wanted.includes(String(t || '').toLowerCase().trim()))
+  );
+}
+
 function fillDropdown(selectElement, answerValue) {
   if (!selectElement || selectElement.tagName !== 'SELECT') return false;
 
   const options = Array.from(selectElement.options);
   const answerLower = String(answerValue).toLowerCase().trim();
 
-  // Strategy 1: Exact match
-  let match = options.find((o) => {
-    const optText = o.text.toLowerCase().trim();
-    const optVal = String(o.value || '').toLowerCase().trim();
-    return optText === answerLower || optVal === answerLower;
-  });
-
-  // Strategy 2: Partial match
-  if (!match) {
-    match = options.find((o) => {
-      const optText = o.text.toLowerCase().trim();
-      const optVal = String(o.value || '').toLowerCase().trim();
-      return optText.includes(answerLower) || answerLower.includes(optText) || optVal.includes(answerLower);
-    });
-  }
+  // Strategies 1-2: Exact match, then whole words (placeholders without a value are skipped)
+  const candidates = options.filter((o) => o.value !== '' && o.text.trim());
+  let match = candidates[findOptionIndex(candidates.map((o) => [o.text, o.value]), answerValue)];
 
   // Strategy 3: Yes/No variations
   if (!match && (answerLower === 'yes' || answerLower === 'no')) {
@@ -1533,9 +1206,8 @@ async function fillComboBox(comboboxEl, answerValue) {
     const optionEls = Array.from((listRoot || document).querySelectorAll('[role="option"], [role="menuitem"], li, div'))
       .filter((o) => (o.offsetParent !== null) && (o.innerText || '').trim().length > 0);
 
-    // Try exact then partial
-    let option = optionEls.find((o) => o.innerText.toLowerCase().trim() === answerLower);
-    if (!option) option = optionEls.find((o) => o.innerText.toLowerCase().includes(answerLower) || answerLower.includes(o.innerText.toLowerCase().trim()));
+    // Try exact then whole words
+    let option = optionEls[findOptionIndex(optionEls.map((o) => o.innerText), answerValue)];
 
     // Yes/No normalization
     if (!option && (answerLower === 'yes' || answerLower === 'no')) {
@@ -1609,33 +1281,32 @@ function fillAriaCheckbox(ariaCheckboxEl, shouldCheck = true) {
   }
 }
 
-function fillRadioButton(radioGroup, answerValue) {
+function fillRadioButton(radioGroup, answerValue, selectValue) {
   if (!radioGroup || radioGroup.length === 0) return false;
 
   const answerLower = String(answerValue).toLowerCase().trim();
-
-  for (const radio of radioGroup) {
+  const radios = Array.from(radioGroup);
+  const radioTexts = radios.map((radio) => {
     const label = document.querySelector(`label[for="${radio.id}"]`);
-    const radioText = (label?.innerText?.trim() || radio.value).toLowerCase();
-
-    if (
-      radioText.includes(answerLower) ||
-      answerLower.includes(radioText) ||
-      (answerLower === 'yes' && (radioText === 'yes' || radioText.includes('i agree'))) ||
-      (answerLower === 'no' && radioText === 'no')
-    ) {
-      radio.focus();
-      radio.checked = true;
-      radio.dispatchEvent(new Event('change', { bubbles: true }));
-      radio.dispatchEvent(new Event('input', { bubbles: true }));
-      radio.dispatchEvent(new MouseEvent('click', { bubbles: true }));
-
-      console.log(`QuantumHire AI: Radio selected: "${radioText}"`);
-      radio.classList.add('quantumhire-filled');
-      return true;
-    }
-  }
-  return false;
+    return (label?.innerText?.trim() || radio.value).toLowerCase();
+  });
+
+  // The whole group is compared at once, so an exact "Male" wins over an earlier "Female"
+  let index = findOptionIndex(radios.map((radio, i) => [radioTexts[i], radio.value]), answerValue, selectValue);
+  if (index === -1 && answerLower === 'yes') index = radioTexts.findIndex((t) => t === 'yes' || t.includes('i agree'));
+  if (index === -1 && answerLower === 'no') index = radioTexts.indexOf('no');
+  if (index === -1) return false;
+
+  const radio = radios[index];
+  radio.focus();
+  radio.checked = true;
+  radio.dispatchEvent(new Event('change', { bubbles: true }));
+  radio.dispatchEvent(new Event('input', { bubbles: true }));
+  radio.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+  console.log(`QuantumHire AI: Radio selected: "${radioTexts[index]}"`);
+  radio.classList.add('quantumhire-filled');
+  return true;
 }
 
 // ============= DETECT ALL FORM QUESTIONS =============
@@ -1789,6 +1460,8 @@ async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
   const questions = detectAllQuestions();
   let filledCount = 0;
   const errors = [];
+  // Per-question record of where each written answer came from (used by the replay harness)
+  const filled = [];
 
   const isRequiredEl = (el) => {
     if (!el) return false;
@@ -1804,15 +1477,32 @@ async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
     return !isRequiredEl(q.element);
   };
 
+  // A required question left blank goes in the review ledger at zero confidence, so the submit gate
+  // holds the form for it instead of sending it half-filled
+  const recordUnanswered = (q, reasoning) => {
+    const elements = q.elements || [q.element];
+    if (!elements.some(isRequiredEl)) return;
+    SubmitReview.record({ element: elements[0], label: q.label, value: '', source: 'unanswered', reasoning });
+  };
+
   for (const q of questions) {
     try {
       const labelLower = (q.label || '').toLowerCase();
       const qId = q.id || q.label;
 
-      // First try knockout answer bank
-      const knockoutMatch = matchKnockoutQuestion(q.label, userProfile);
+      // Screening rules first (offline, from the profile or a pack default)
+      const knockoutMatch = matchKnockoutQuestion(q.label, userProfile, getQuestionOptions(q), jobData?.company);
+      if (knockoutMatch?.withheld) {
+        console.log(`QuantumHire AI: Left "${q.label}" for you - no ${knockoutMatch.disclosure} disclosure choice in your profile`);
+        recordUnanswered(q, knockoutMatch.reasoning);
+        continue;
+      }
       let answer = knockoutMatch?.answer;
       let selectValue = knockoutMatch?.selectValue;
+      let source = answer ? (knockoutMatch.fromProfile ? 'profile' : 'knockout') : null;
+      let confidence = answer ? SubmitReview.ruleConfidence(source, knockoutMatch.confidence) : null;
+      let needsReview = false;
+      let reasoning = '';
 
       // Check AI answers - handle both object and string formats
       if (!answer && aiAnswers) {
@@ -1825,7 +1515,12 @@ async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
           } else if (aiAnswer.answer) {
             answer = aiAnswer.answer;
             selectValue = aiAnswer.selectValue || aiAnswer.answer.toLowerCase();
+            confidence = aiAnswer.confidence || null;
+            needsReview = !!aiAnswer.needsReview;
+            reasoning = aiAnswer.reasoning || '';
           }
+          // The answer service serves profile matches and remembered answers alongside generated ones
+          if (answer) source = aiAnswer.directAnswer ? 'profile' : aiAnswer.fromMemory ? 'memory' : 'ai';
         }
       }
 
@@ -1834,48 +1529,68 @@ async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
         // Salary questions
         if (labelLower.match(/salary|pay range|compensation|expected.*pay|desired pay/)) {
           answer = getSalaryAnswer(q.label, jobData, userProfile);
+          source = 'salary';
         }
         // Years of experience
         else if (labelLower.match(/years.*experience|how many years|experience.*years/i)) {
           const skillMatch = q.label.match(/experience\s+(?:in|with|using)?\s*([a-zA-Z+#.\s]+)/i);
           answer = skillMatch ? String(getExperienceYears(skillMatch[1].trim(), userProfile)) : (userProfile?.total_experience || '8');
+          source = 'experience';
         }
         // Profile-based answers
-        else if (labelLower.match(/linkedin/)) answer = userProfile?.linkedin || '';
-        else if (labelLower.match(/github/)) answer = userProfile?.github || '';
-        else if (labelLower.match(/portfolio|website/)) answer = userProfile?.portfolio || '';
-        else if (labelLower.match(/highest.*education|education.*level/)) answer = userProfile?.highest_education || "Bachelor's Degree";
+        else if (labelLower.match(/linkedin/)) { answer = userProfile?.linkedin || ''; source = 'profile'; }
+        else if (labelLower.match(/github/)) { answer = userProfile?.github || ''; source = 'profile'; }
+        else if (labelLower.match(/portfolio|website/)) { answer = userProfile?.portfolio || ''; source = 'profile'; }
+        else if (labelLower.match(/highest.*education|education.*level/)) { answer = userProfile?.highest_education || "Bachelor's Degree"; source = 'profile'; }
         // Non-essential questions: auto N/A
-        else if (shouldAutoNA(q)) answer = 'N/A';
+        else if (shouldAutoNA(q)) { answer = 'N/A'; source = 'auto_na'; }
       }
 
-      if (!answer) continue;
+      if (!answer) {
+        recordUnanswered(q, 'No rule, profile field or AI answer for this question');
+        continue;
+      }
 
       // Fill based on question type
+      let ok = false;
+      if (q.type !== 'text') await pauseBeforeControl();
       if (q.type === 'select') {
-        const ok = fillDropdown(q.element, selectValue || answer);
-        if (ok) filledCount++;
-        else errors.push({ question: q.label, error: 'No matching dropdown option' });
+        ok = fillDropdown(q.element, selectValue || answer);
+        if (!ok) errors.push({ question: q.label, error: 'No matching dropdown option' });
       } else if (q.type === 'workday-dropdown') {
         // Use Workday-specific dropdown filler
-        const ok = await fillWorkdayDropdown(q.element, selectValue || answer);
-        if (ok) filledCount++;
-        else errors.push({ question: q.label, error: 'No matching Workday dropdown option' });
+        ok = await fillWorkdayDropdown(q.element, selectValue || answer);
+        if (!ok) errors.push({ question: q.label, error: 'No matching Workday dropdown option' });
       } else if (q.type === 'combobox') {
-        const ok = await fillComboBox(q.element, selectValue || answer);
-        if (ok) filledCount++;
-        else errors.push({ question: q.label, error: 'No matching combobox option' });
+        ok = await fillComboBox(q.element, selectValue || answer);
+        if (!ok) errors.push({ question: q.label, error: 'No matching combobox option' });
       } else if (q.type === 'checkbox') {
         const shouldCheck = ['yes', 'true', 'agree', 'i agree', 'accept', 'confirm'].some((v) => String(answer).toLowerCase().includes(v));
-        if (fillCheckbox(q.element, shouldCheck)) filledCount++;
+        ok = fillCheckbox(q.element, shouldCheck);
       } else if (q.type === 'aria-checkbox') {
         const shouldCheck = ['yes', 'true', 'agree', 'i agree', 'accept', 'confirm'].some((v) => String(answer).toLowerCase().includes(v));
-        if (fillAriaCheckbox(q.element, shouldCheck)) filledCount++;
+        ok = fillAriaCheckbox(q.element, shouldCheck);
       } else if (q.type === 'radio') {
-        if (fillRadioButton(q.elements, answer)) filledCount++;
-        else errors.push({ question: q.label, error: 'No matching radio option' });
+        ok = fillRadioButton(q.elements, answer, selectValue);
+        if (!ok) errors.push({ question: q.label, error: 'No matching radio option' });
       } else if (q.type === 'text') {
-        if (fillField(q.element, answer)) filledCount++;
+        ok = await typeIntoField(q.element, answer);
+      }
+
+      if (ok) {
+        filledCount++;
+        filled.push({ id: qId, label: q.label, type: q.type, source, answer, selectValue: selectValue || null });
+        SubmitReview.record({
+          element: q.element || q.elements?.[0],
+          label: q.label,
+          value: answer,
+          source,
+          confidence,
+          needsReview,
+          reasoning
+        });
+      } else {
+        recordUnanswered(q, `Could not fill in "${answer}"`);
       }
     } catch (error) {
       console.error(`QuantumHire AI: Error filling "${q.label}"`, error);
@@ -1884,7 +1599,7 @@ async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
   }
 
   console.log(`QuantumHire AI: Filled ${filledCount}/${questions.length} questions. Errors:`, errors);
-  return { filledCount, totalQuestions: questions.length, errors };
+  return { filledCount, totalQuestions: questions.length, errors, filled };
 }
 
 // ============= PDF GENERATION =============
@@ -1952,7 +1667,7 @@ async function generatePDF(type, profileData, jobData, tailoredData) {
     console.log('QuantumHire AI: Sending PDF request for:', type, requestBody.personalInfo.name);
     
     // Get access token for authenticated request
-    const authData = await chrome.storage.local.get(['accessToken']);
+    const authData = await EncryptedStorage.getItems(['accessToken']);
     const headers = {
       'Content-Type': 'application/json',
       'apikey': SUPABASE_KEY
@@ -2674,6 +2389,13 @@ function isPageComplete() {
 async function navigateToNextPage() {
   const platform = detectPlatform();
   
+  // Registered platform handler knows its own step navigation
+  if (platform.handler && await platform.handler.next()) {
+    console.log(`QuantumHire AI: ${platform.handler.name} handler advanced to next step`);
+    showToast('➡️ Moving to next page...', 'info');
+    return true;
+  }
+  
   // Try platform-specific next button
   const nextSelectors = [
     platform.config?.nextButton,
@@ -2718,6 +2440,12 @@ async function navigateToNextPage() {
 // ============= CHECK IF THIS IS FINAL PAGE =============
 
 function isFinalPage() {
+  const handler = getPlatformHandler();
+  if (handler) {
+    const activeStep = handler.listSteps().find(step => step.active);
+    if (activeStep?.final) return true;
+  }
+  
   const buttons = document.querySelectorAll('button, input[type="submit"]');
   for (const btn of buttons) {
     const text = (btn.innerText?.toLowerCase() || btn.value?.toLowerCase() || '').trim();
@@ -2741,6 +2469,29 @@ function isFinalPage() {
 async function autoSubmitApplication() {
   console.log('QuantumHire AI: Attempting auto-submit...');
   
+  // Review-before-submit: the checklist of everything filled, unless the settings let it through
+  const review = await SubmitReview.gate();
+  if (!review.approved) {
+    showToast('📝 Not submitted - finish your review and submit when ready', 'info');
+    return { success: false, message: 'Held for review', heldForReview: true, belowThreshold: review.belowThreshold };
+  }
+  
+  const result = await clickSubmitButton();
+  if (result.success) SubmitReview.clear();
+  return result;
+}
+
+async function clickSubmitButton() {
+  const handler = getPlatformHandler();
+  if (handler) {
+    const handlerResult = await handler.submit();
+    if (handlerResult?.success) {
+      console.log(`QuantumHire AI: Submitted via ${handler.name} handler`);
+      showToast('🎉 Application submitted!', 'success');
+      return { success: true, message: 'Application submitted' };
+    }
+  }
+  
   // Find submit button
   const submitSelectors = [
     '[data-automation-id="bottom-navigation-submit-button"]',
@@ -2801,6 +2552,8 @@ async function runSmartApplyWorkflow(options = {}) {
   let currentPage = 0;
   let completed = false;
   
+  const handler = getPlatformHandler();
+  
   while (!completed && currentPage < maxPages && !automationState.shouldQuit) {
     currentPage++;
     console.log(`QuantumHire AI: Processing page ${currentPage}...`);
@@ -2808,6 +2561,11 @@ async function runSmartApplyWorkflow(options = {}) {
     // Wait for page to stabilize
     await new Promise(r => setTimeout(r, 1500));
     
+    // Confirmation page means the application already went through
+    if (handler?.isComplete()) {
+      return { success: true, message: 'Application submitted successfully!', pagesProcessed: currentPage };
+    }
+    
     // Check if this is the final page
     const isFinal = isFinalPage();
     
@@ -2822,6 +2580,9 @@ async function runSmartApplyWorkflow(options = {}) {
         if (completed) {
           return { success: true, message: 'Application submitted successfully!', pagesProcessed: currentPage };
         }
+        if (submitResult.heldForReview) {
+          return { success: true, message: 'Application ready - held for your review', pagesProcessed: currentPage, needsManualSubmit: true, heldForReview: true };
+        }
       } else {
         // Just notify user
         showToast('🎉 Application ready! Click Submit when ready.', 'success');
@@ -2848,6 +2609,9 @@ async function runSmartApplyWorkflow(options = {}) {
             if (autoSubmit) {
               const submitResult = await autoSubmitApplication();
               completed = submitResult.success;
+              if (submitResult.heldForReview) {
+                return { success: true, message: 'Application ready - held for your review', pagesProcessed: currentPage, needsManualSubmit: true, heldForReview: true };
+              }
             }
           }
           
@@ -2890,7 +2654,7 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
   }
   
   // Get user profile + access token
-  const data = await chrome.storage.local.get(['userProfile', 'accessToken']);
+  const data = await EncryptedStorage.getItems(['userProfile', 'accessToken']);
   const profile = data.userProfile;
   if (!profile) return { success: false, message: 'No profile found. Please connect your account.' };
   
@@ -2916,10 +2680,11 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
   
   for (const [fieldType, value] of Object.entries(fieldValues)) {
     if (!value) continue;
-    const field = findField(fieldType, platform.config);
-    if (field && fillField(field, value)) {
+    const field = findField(fieldType, platform);
+    if (field && await typeIntoField(field, value)) {
       field.classList.add('quantumhire-filled');
       results.fields++;
+      SubmitReview.record({ element: field, label: findLabelForInput(field) || fieldType, value, source: 'profile' });
     }
   }
   
@@ -2962,6 +2727,8 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
           jobTitle: jobData.title || 'Position',
           company: jobData.company || 'Company',
           jobDescription: jobData.description || '',
+          jobUrl: jobData.url || window.location.href,
+          locale: getPageLocale(),
           userProfile: {
             firstName: profile.first_name,
             lastName: profile.last_name,
@@ -2982,6 +2749,8 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
             raceEthnicity: profile.race_ethnicity,
             gender: profile.gender,
             hispanicLatino: profile.hispanic_latino,
+            criminalRecord: profile.criminal_record,
+            disclosurePolicy: profile.disclosure_policy || {},
             drivingLicense: profile.driving_license,
             securityClearance: profile.security_clearance,
             expectedSalary: profile.expected_salary,
@@ -3008,7 +2777,9 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
               confidence: a.confidence,
               atsScore: a.atsScore,
               needsReview: a.needsReview,
-              reasoning: a.reasoning
+              reasoning: a.reasoning,
+              fromMemory: a.fromMemory,
+              directAnswer: a.directAnswer
             };
           });
           console.log(`QuantumHire AI: Received ${Object.keys(aiAnswers).length} AI answers`);
@@ -3030,6 +2801,21 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
   const questionResults = await fillAllQuestions(profile, jobData, aiAnswers);
   results.questions = questionResults.filledCount;
   
+  // Step 2c: Platform handler fills anything specific to its current step
+  if (platform.handler) {
+    try {
+      const recordingFillField = (element, value) => {
+        const ok = fillField(element, value);
+        if (ok) SubmitReview.record({ element, label: findLabelForInput(element) || element.name || 'Field', value, source: 'profile' });
+        return ok;
+      };
+      const stepResult = await platform.handler.fillStep({ profile, jobData, tailoredData, aiAnswers, fillField: recordingFillField });
+      results.fields += stepResult?.filled || 0;
+    } catch (e) {
+      console.log(`QuantumHire AI: ${platform.handler.id} fillStep() failed`, e);
+    }
+  }
+  
   // Step 3: Handle file uploads - detect button-based AND input-based upload sections
   // Generate PDFs if we have tailored data
   let resumePdfResult = null;
@@ -3062,6 +2848,13 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
     results.resumeUploaded = uploadResults.resumeUploaded;
     results.coverUploaded = uploadResults.coverUploaded;
     
+    if (uploadResults.resumeUploaded) {
+      SubmitReview.record({ label: 'Resume', value: resumePdfResult.fileName || 'Tailored resume (PDF)', source: 'document' });
+    }
+    if (uploadResults.coverUploaded) {
+      SubmitReview.record({ label: 'Cover letter', value: coverPdfResult.fileName || 'Tailored cover letter (PDF)', source: 'document' });
+    }
+    
     if (uploadResults.filesUploaded > 0) {
       showToast(`📄 ${uploadResults.filesUploaded} PDF(s) attached`, 'success');
     }
@@ -3701,7 +3494,7 @@ function setupPanelEvents(panel) {
       const jobData = extractJobDetails();
       
       // Get user profile and tokens
-      const profileData = await chrome.storage.local.get(['userProfile', 'accessToken']);
+      const profileData = await EncryptedStorage.getItems(['userProfile', 'accessToken']);
       const profile = profileData.userProfile || {};
       
       if (!profile.first_name) {
@@ -3941,8 +3734,8 @@ function setupPanelEvents(panel) {
       
       for (const [fieldType, value] of Object.entries(fieldValues)) {
         if (!value) continue;
-        const field = findField(fieldType, platform.config);
-        if (field && !field.classList.contains('quantumhire-filled') && fillField(field, value)) {
+        const field = findField(fieldType, platform);
+        if (field && !field.classList.contains('quantumhire-filled') && await typeIntoField(field, value)) {
           field.classList.add('quantumhire-filled');
           basicFieldsCount++;
         }
@@ -3958,17 +3751,18 @@ function setupPanelEvents(panel) {
       let overallAtsScore = matchScore;
       let knockoutRisks = [];
       
-      if (questions.length > 0 && profileData.accessToken) {
+      // Screening rules answer what they cover offline; only the rest goes to answer-questions
+      const questionsForAI = questions.map((q, i) => ({
+        id: q.id || `q_${i}`,
+        label: q.label,
+        type: q.type,
+        options: q.type === 'select' ? Array.from(q.element?.options || []).map(o => o.text).filter(t => t) : undefined,
+        required: q.element?.required || q.element?.getAttribute('aria-required') === 'true' || false
+      })).filter(q => !matchKnockoutQuestion(q.label, profile));
+      
+      if (questionsForAI.length > 0 && profileData.accessToken) {
         try {
-          updateStatus(statusEl, '🤖', `Analyzing ${questions.length} questions with AI...`);
-          
-          const questionsForAI = questions.map((q, i) => ({
-            id: q.id || `q_${i}`,
-            label: q.label,
-            type: q.type,
-            options: q.type === 'select' ? Array.from(q.element?.options || []).map(o => o.text).filter(t => t) : undefined,
-            required: q.element?.required || q.element?.getAttribute('aria-required') === 'true' || false
-          }));
+          updateStatus(statusEl, '🤖', `Analyzing ${questionsForAI.length} questions with AI...`);
           
           const aiResponse = await fetch(`${SUPABASE_URL}/functions/v1/answer-questions`, {
             method: 'POST',
@@ -3982,6 +3776,8 @@ function setupPanelEvents(panel) {
               jobTitle: jobData.title,
               company: jobData.company,
               jobDescription: jobData.description,
+              jobUrl: jobData.url || window.location.href,
+              locale: getPageLocale(),
               userProfile: {
                 firstName: profile.first_name,
                 lastName: profile.last_name,
@@ -4002,6 +3798,8 @@ function setupPanelEvents(panel) {
                 raceEthnicity: profile.race_ethnicity,
                 gender: profile.gender,
                 hispanicLatino: profile.hispanic_latino,
+                criminalRecord: profile.criminal_record,
+                disclosurePolicy: profile.disclosure_policy || {},
                 drivingLicense: profile.driving_license,
                 securityClearance: profile.security_clearance,
                 expectedSalary: profile.expected_salary,
@@ -4057,7 +3855,10 @@ function setupPanelEvents(panel) {
         // Check knockout bank first (highest priority)
         const knockoutMatch = matchKnockoutQuestion(q.label, profile);
         
-        if (knockoutMatch) {
+        if (knockoutMatch?.withheld) {
+          // Voluntary disclosure the profile leaves to the user
+          needsReviewCount++;
+        } else if (knockoutMatch) {
           autoFilledCount++;
           reviewedAnswers[qId] = {
             answer: knockoutMatch.answer,
@@ -4253,7 +4054,7 @@ function setupPanelEvents(panel) {
       }
       
       updateStatus(statusEl, '📝', 'Quick filling...');
-      const atsData = await chrome.storage.local.get(['atsCredentials']);
+      const atsData = await EncryptedStorage.getItems(['atsCredentials']);
       const result = await autofillForm(null, atsData.atsCredentials);
       
       updateStatus(statusEl, result.success ? '✅' : '⚠️', result.message);
@@ -4289,18 +4090,18 @@ function setupPanelEvents(panel) {
       updateStatus(statusEl, '🤖', `Found ${questions.length} questions, analyzing with AI...`);
       
       // Get user profile and job data
-      const profileData = await chrome.storage.local.get(['userProfile', 'accessToken']);
+      const profileData = await EncryptedStorage.getItems(['userProfile', 'accessToken']);
       const profile = profileData.userProfile || {};
       const jobData = extractJobDetails();
       
-      // Prepare questions for AI analysis
+      // Prepare questions for AI analysis - screening rules answer the rest offline
       const questionsForAI = questions.map((q, i) => ({
         id: q.id || `q_${i}`,
         label: q.label,
         type: q.type,
         options: q.type === 'select' ? Array.from(q.element?.options || []).map(o => o.text).filter(t => t) : undefined,
         required: q.element?.required || q.element?.getAttribute('aria-required') === 'true' || false
-      }));
+      })).filter(q => !matchKnockoutQuestion(q.label, profile));
       
       // Call AI to analyze and answer questions
       let aiAnswers = {};
@@ -4308,7 +4109,7 @@ function setupPanelEvents(panel) {
       let reviewRecommendations = [];
       let knockoutRisks = [];
       
-      if (profileData.accessToken) {
+      if (questionsForAI.length > 0 && profileData.accessToken) {
         const maxRetries = 3;
         let retryCount = 0;
         let success = false;
@@ -4329,6 +4130,8 @@ function setupPanelEvents(panel) {
                 jobTitle: jobData.title,
                 company: jobData.company,
                 jobDescription: jobData.description,
+                jobUrl: jobData.url || window.location.href,
+                locale: getPageLocale(),
                 userProfile: {
                   firstName: profile.first_name,
                   lastName: profile.last_name,
@@ -4347,6 +4150,10 @@ function setupPanelEvents(panel) {
                   veteranStatus: profile.veteran_status,
                   disability: profile.disability,
                   raceEthnicity: profile.race_ethnicity,
+                  gender: profile.gender,
+                  hispanicLatino: profile.hispanic_latino,
+                  criminalRecord: profile.criminal_record,
+                  disclosurePolicy: profile.disclosure_policy || {},
                   drivingLicense: profile.driving_license,
                   securityClearance: profile.security_clearance,
                   expectedSalary: profile.expected_salary,
@@ -4439,7 +4246,11 @@ function setupPanelEvents(panel) {
         
         // Check knockout bank first
         const knockoutMatch = matchKnockoutQuestion(q.label, profile);
-        if (knockoutMatch) {
+        if (knockoutMatch?.withheld) {
+          reasoning = knockoutMatch.reasoning;
+          answerClass = 'needs-review';
+          needsReviewCount++;
+        } else if (knockoutMatch) {
           answer = knockoutMatch.answer;
           confidence = 'high';
           atsScore = 95;
@@ -4829,6 +4640,51 @@ function updateStatus(statusEl, icon, text) {
   statusEl.innerHTML = `<span class="qh-status-icon">${icon}</span><span class="qh-status-text">${text}</span>`;
 }
 
+// ============= SNAPSHOT CAPTURE (OFFLINE REPLAY) =============
+// Serializes the current application page so it can be replayed offline with
+// chrome-extension/replay/replay.mjs. Elements that are not rendered at capture time
+// are tagged with data-qh-hidden so the replay can honour offsetParent checks.
+
+function captureFormSnapshot() {
+  const liveEls = Array.from(document.documentElement.querySelectorAll('*'));
+  const clone = document.documentElement.cloneNode(true);
+  const cloneEls = Array.from(clone.querySelectorAll('*'));
+
+  liveEls.forEach((el, i) => {
+    const copy = cloneEls[i];
+    if (!copy) return;
+    if (el instanceof HTMLElement && el.offsetParent === null && getComputedStyle(el).position !== 'fixed') {
+      copy.setAttribute('data-qh-hidden', 'true');
+    }
+    // Persist live form state, which cloneNode does not carry over as attributes
+    if (el.tagName === 'INPUT') {
+      if (el.type === 'checkbox' || el.type === 'radio') {
+        if (el.checked) copy.setAttribute('checked', '');
+        else copy.removeAttribute('checked');
+      } else if (el.type !== 'file' && el.type !== 'password') {
+        copy.setAttribute('value', el.value || '');
+      }
+    } else if (el.tagName === 'TEXTAREA') {
+      copy.textContent = el.value || '';
+    } else if (el.tagName === 'SELECT') {
+      Array.from(copy.options).forEach((opt, idx) => {
+        if (idx === el.selectedIndex) opt.setAttribute('selected', '');
+        else opt.removeAttribute('selected');
+      });
+    }
+  });
+
+  // Strip scripts and our own injected UI
+  clone.querySelectorAll('script, noscript, #quantumhire-panel, #qh-control-panel, #quantumhire-extension-marker, .quantumhire-toast')
+    .forEach(el => el.remove());
+
+  const platform = detectPlatform().name;
+  const meta = { url: window.location.href, platform, capturedAt: new Date().toISOString() };
+  const html = `<!-- qh-snapshot ${JSON.stringify(meta)} -->\n<!DOCTYPE html>\n${clone.outerHTML}`;
+
+  return { ...meta, html, fileName: `${platform}-${Date.now()}.html` };
+}
+
 // ============= MESSAGE LISTENER =============
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -4841,10 +4697,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         const tailoredData = message.tailoredData || {};
         const atsCredentials = message.atsCredentials;
         
+        // Let the rate limiter learn from how the site treated this load; in bulk runs,
+        // back off instead of filling a form the site is already pushing back on
+        const pacingSignals = RateLimiter.checkPage().filter(type => type !== 'slowLoad');
+        if (options.batchMode && pacingSignals.length > 0) {
+          console.log('QuantumHire AI: Site is throttling, skipping autofill:', pacingSignals.join(', '));
+          sendResponse({ success: false, error: `Throttled by site (${pacingSignals.join(', ')})`, pacingSignals });
+          return;
+        }
+        
         // If generatePdfs is requested, generate PDFs first
         if (options.generatePdfs && tailoredData) {
           console.log('QuantumHire AI: Generating PDFs from autofill message...');
-          const profileData = await chrome.storage.local.get(['userProfile']);
+          const profileData = await EncryptedStorage.getItems(['userProfile']);
           const profile = profileData.userProfile || {};
           const jobData = extractJobDetails();
           
@@ -4870,6 +4735,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           console.log('QuantumHire AI: Uploading generated PDFs...');
           const uploadResults = await uploadPDFsToAllSections(tailoredData.resumePdf, tailoredData.coverPdf);
           result.pdfUploads = uploadResults;
+          if (uploadResults.resumeUploaded) {
+            SubmitReview.record({ label: 'Resume', value: tailoredData.resumePdf.fileName, source: 'document' });
+          }
+          if (uploadResults.coverUploaded) {
+            SubmitReview.record({ label: 'Cover letter', value: tailoredData.coverPdf.fileName, source: 'document' });
+          }
         }
         
         sendResponse(result);
@@ -4886,6 +4757,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message.action === 'captureSnapshot') {
+    sendResponse(captureFormSnapshot());
+    return true;
+  }
+  
   if (message.action === 'showPanel') {
     createFloatingPanel();
     sendResponse({ success: true });
@@ -4900,7 +4776,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'generateAndUploadPdfs') {
     (async () => {
       try {
-        const profileData = await chrome.storage.local.get(['userProfile']);
+        const profileData = await EncryptedStorage.getItems(['userProfile']);
         const profile = profileData.userProfile || {};
         const jobData = extractJobDetails();
         const tailoredData = message.tailoredData || {};
@@ -4936,6 +4812,12 @@ async function initialize() {
   // Add extension marker for web app detection
   addExtensionMarkerToPage();
   
+  // Count 429s on the page's own API calls toward this employer's learned pacing
+  RateLimiter.watchResponses();
+  
+  // Install any newer signed selector packs (throttled; lookups use the stored packs meanwhile)
+  SelectorManager.checkForUpdates();
+  
   // Check if this was opened from the web app (auto-apply mode)
   const isFromWebApp = document.referrer.includes('lovable.dev') || 
                        document.referrer.includes('localhost') ||
@@ -5017,7 +4899,7 @@ async function initialize() {
     await new Promise(r => setTimeout(r, 1500));
     
     // Get stored settings
-    const data = await chrome.storage.local.get([
+    const data = await EncryptedStorage.getItems([
       'userProfile', 
       'autofillEnabled', 
       'smartApplyEnabled',
@@ -5132,7 +5014,10 @@ function addExtensionMarkerToPage() {
   console.log('QuantumHire AI: Extension marker added');
 }
 
-if (document.readyState === 'loading') {
+// The offline replay harness loads this script into jsdom and drives it directly
+if (window.__QH_REPLAY__) {
+  console.log('QuantumHire AI: Replay mode, skipping initialization');
+} else if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initialize);
 } else {
   initialize();
@@ -92,6 +92,22 @@ function createFloatingControlPanel() {
         </div>
       </div>
       
+      <!-- Batch run: every application tab the pool has open -->
+      <div class="qh-batch-section" id="qh-batch-section" style="display: none;">
+        <div class="qh-batch-header">
+          <span class="qh-batch-label">Batch Run</span>
+          <span class="qh-batch-count" id="qh-batch-count">0/0 done</span>
+        </div>
+        <div class="qh-batch-tabs">
+          <span class="qh-batch-tabs-label">Parallel tabs</span>
+          <button class="qh-batch-tabs-btn" data-tabs="1">1</button>
+          <button class="qh-batch-tabs-btn active" data-tabs="2">2</button>
+          <button class="qh-batch-tabs-btn" data-tabs="3">3</button>
+          <button class="qh-batch-tabs-btn" data-tabs="4">4</button>
+        </div>
+        <div class="qh-batch-jobs" id="qh-batch-jobs"></div>
+      </div>
+      
       <!-- Current Job (hidden by default) -->
       <div class="qh-current-job" id="qh-current-job" style="display: none;">
         <div class="qh-current-job-label">Currently Processing</div>
@@ -99,6 +115,16 @@ function createFloatingControlPanel() {
         <div class="qh-current-job-company" id="qh-job-company">-</div>
       </div>
       
+      <!-- Pacing: what the rate limiter has learned per employer domain -->
+      <div class="qh-pacing-section" id="qh-pacing-section">
+        <div class="qh-pacing-header">
+          <span class="qh-pacing-label">Pacing</span>
+          <button class="qh-pacing-reset" id="qh-pacing-reset" title="Forget what this site has taught the rate limiter">Reset site</button>
+        </div>
+        <div class="qh-pacing-current" id="qh-pacing-current">-</div>
+        <div class="qh-pacing-list" id="qh-pacing-list"></div>
+      </div>
+      
       <!-- Log Area -->
       <div class="qh-log-area" id="qh-log-area"></div>
     </div>
@@ -110,6 +136,7 @@ function createFloatingControlPanel() {
   initPanelControls(panel);
   initDragFunctionality(panel);
   initStateListener();
+  initPacingDisplay(panel);
   detectAndDisplayPlatform();
   
   return panel;
@@ -148,6 +175,21 @@ function initPanelControls(panel) {
     });
   });
   
+  // Parallel tab count for batch runs
+  panel.querySelectorAll('.qh-batch-tabs-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const tabs = parseInt(btn.dataset.tabs, 10);
+      chrome.runtime.sendMessage({ action: 'setConcurrency', tabs }, (response) => {
+        if (response?.success) {
+          panel.querySelectorAll('.qh-batch-tabs-btn').forEach(b => {
+            b.classList.toggle('active', parseInt(b.dataset.tabs, 10) === response.tabs);
+          });
+          addLogEntry(`Batch runs use up to ${response.tabs} tab${response.tabs === 1 ? '' : 's'}`, 'info');
+        }
+      });
+    });
+  });
+  
   // Apply button
   panel.querySelector('#qh-apply-btn').addEventListener('click', async () => {
     const applyBtn = panel.querySelector('#qh-apply-btn');
@@ -323,10 +365,149 @@ function initStateListener() {
       if (message.isProcessing !== undefined) {
         showRunningState(message.isProcessing);
       }
+      
+      renderBatchJobs(panel, message);
     }
   });
 }
 
+const BATCH_STEP_LABELS = {
+  tailoring: 'Tailoring',
+  opening: 'Filling',
+  submitting: 'Submitting',
+};
+
+/**
+ * Consolidated view of a batch run: overall progress and one row per open application tab
+ */
+function renderBatchJobs(panel, state) {
+  if (state.maxConcurrentTabs) {
+    panel.querySelectorAll('.qh-batch-tabs-btn').forEach(btn => {
+      btn.classList.toggle('active', parseInt(btn.dataset.tabs, 10) === state.maxConcurrentTabs);
+    });
+  }
+  
+  const section = panel.querySelector('#qh-batch-section');
+  section.style.display = state.isProcessing && state.queueLength > 0 ? 'block' : 'none';
+  if (!state.isProcessing) return;
+  
+  const activeJobs = state.activeJobs || [];
+  panel.querySelector('#qh-batch-count').textContent =
+    `${state.currentIndex || 0}/${state.queueLength || 0} done · ${activeJobs.length} open`;
+  
+  const list = panel.querySelector('#qh-batch-jobs');
+  list.innerHTML = '';
+  activeJobs.forEach(job => {
+    const row = document.createElement('div');
+    row.className = 'qh-batch-job';
+    
+    const info = document.createElement('div');
+    info.className = 'qh-batch-job-info';
+    const title = document.createElement('div');
+    title.className = 'qh-batch-job-title';
+    title.textContent = job.title || 'Untitled role';
+    const meta = document.createElement('div');
+    meta.className = 'qh-batch-job-meta';
+    const elapsed = job.startedAt ? ` · ${Math.max(0, Math.round((Date.now() - job.startedAt) / 1000))}s` : '';
+    meta.textContent = `${job.company || 'Unknown company'} · ${job.platform}${elapsed}`;
+    info.append(title, meta);
+    
+    const step = document.createElement('span');
+    step.className = `qh-batch-job-step ${job.step || ''}`;
+    step.textContent = BATCH_STEP_LABELS[job.step] || 'Starting';
+    
+    row.append(info, step);
+    list.appendChild(row);
+  });
+  
+  if (activeJobs.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'qh-batch-empty';
+    empty.textContent = state.isPaused ? 'Paused - open tabs have finished' : 'Waiting for the next free slot...';
+    list.appendChild(empty);
+  }
+}
+
+function initPacingDisplay(panel) {
+  const limiter = window.QuantumHireRateLimiter;
+  if (!limiter) {
+    panel.querySelector('#qh-pacing-section').style.display = 'none';
+    return;
+  }
+  
+  panel.querySelector('#qh-pacing-reset').addEventListener('click', async () => {
+    const domainKey = limiter.getDomainKey(window.location.href);
+    await limiter.resetLearned(domainKey);
+    addLogEntry(`Pacing reset for ${domainKey}`, 'info');
+    renderPacing();
+  });
+  
+  // Learned limits change in other tabs during bulk runs; the limiter merges them in on storage change
+  const onChanged = (changes, area) => {
+    if (area !== 'local' || !changes[limiter.storageKey]) return;
+    if (!document.getElementById('qh-control-panel')) {
+      chrome.storage.onChanged.removeListener(onChanged);
+      return;
+    }
+    setTimeout(renderPacing, 0);
+  };
+  chrome.storage.onChanged.addListener(onChanged);
+  
+  // Back-off countdowns
+  const timer = setInterval(() => {
+    if (!document.getElementById('qh-control-panel')) return clearInterval(timer);
+    renderPacing();
+  }, 5000);
+  
+  limiter.loadDomains().then(renderPacing);
+}
+
+function renderPacing() {
+  const panel = document.getElementById('qh-control-panel');
+  const limiter = window.QuantumHireRateLimiter;
+  if (!panel || !limiter) return;
+  
+  const formatWait = (seconds) => seconds >= 60 ? `${Math.ceil(seconds / 60)}m` : `${seconds}s`;
+  const describe = (entry) => {
+    const { limits } = entry;
+    const pace = `${entry.slowdown.toFixed(1)}x · ${limits.requestsPerMinute}/min · ${Math.round(limits.minDelay / 1000)}-${Math.round(limits.maxDelay / 1000)}s`;
+    return entry.blockedSeconds > 0 ? `${pace} · paused ${formatWait(entry.blockedSeconds)}` : pace;
+  };
+  
+  const domainKey = limiter.getDomainKey(window.location.href);
+  const summary = limiter.getDomainSummary();
+  const current = summary.find(entry => entry.domain === domainKey) ||
+                  { domain: domainKey, slowdown: 1, limits: limiter.getLimits(domainKey), blockedSeconds: 0 };
+  
+  const currentEl = panel.querySelector('#qh-pacing-current');
+  currentEl.textContent = `This site: ${describe(current)}`;
+  currentEl.classList.toggle('slowed', current.slowdown > 1 || current.blockedSeconds > 0);
+  if (current.lastSignal) {
+    currentEl.title = `Last signal: ${current.lastSignal} at ${new Date(current.lastSignalAt).toLocaleString()}`;
+  }
+  
+  const list = panel.querySelector('#qh-pacing-list');
+  list.innerHTML = '';
+  summary
+    .filter(entry => entry.domain !== domainKey && (entry.slowdown > 1.05 || entry.blockedSeconds > 0))
+    .slice(0, 4)
+    .forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'qh-pacing-row';
+      row.title = Object.entries(entry.signals).map(([type, count]) => `${type}: ${count}`).join(', ');
+      
+      const domain = document.createElement('span');
+      domain.className = 'qh-pacing-domain';
+      domain.textContent = entry.domain;
+      const pace = document.createElement('span');
+      pace.className = 'qh-pacing-value';
+      pace.textContent = describe(entry);
+      
+      row.append(domain, pace);
+      list.appendChild(row);
+    });
+}
+
 function detectAndDisplayPlatform() {
   const panel = document.getElementById('qh-control-panel');
   if (!panel) return;
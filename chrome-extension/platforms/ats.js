@@ -0,0 +1,165 @@
+// QuantumHire AI - ATS Platform Handlers
+// Declarative handlers for company ATS platforms (Greenhouse, Lever, Workday, ...)
+// Behaviour not declared here is derived by PlatformRegistry.createDefaults()
+
+const ATS_PLATFORM_HANDLERS = [
+  {
+    id: 'workday',
+    name: 'Workday',
+    hosts: ['workday.com', 'myworkdayjobs.com'],
+    job: {
+      title: ['[data-automation-id="jobPostingHeader"] h1', '.job-title', 'h1'],
+      company: ['[data-automation-id="companyName"]', '.company-name'],
+      description: ['[data-automation-id="jobPostingDescription"]', '.job-description', 'main'],
+      location: ['[data-automation-id="locations"]', '.location'],
+    },
+    activeStepSelector: ['[data-automation-id="progressBarActiveStep"]', '[aria-current="step"]'],
+    steps: [
+      { id: 'my_information', label: 'My Information', pattern: 'my information|personal information' },
+      { id: 'my_experience', label: 'My Experience', pattern: 'my experience|experience' },
+      { id: 'application_questions', label: 'Application Questions', pattern: 'application questions|questions' },
+      { id: 'voluntary_disclosures', label: 'Voluntary Disclosures', pattern: 'voluntary disclosures' },
+      { id: 'self_identify', label: 'Self Identify', pattern: 'self identify|self-identify' },
+      { id: 'review', label: 'Review', pattern: 'review', final: true },
+    ],
+    buttons: {
+      next: ['[data-automation-id="bottom-navigation-next-button"]', 'button[data-automation-id="nextButton"]', 'button[data-automation-id="continueButton"]'],
+      submit: ['[data-automation-id="bottom-navigation-submit-button"]'],
+    },
+    complete: {
+      selector: '[data-automation-id="congratulationsPopup"], [data-automation-id="applicationSubmitted"]',
+      pattern: 'application (has been )?submitted|thank you for applying',
+    },
+  },
+  {
+    id: 'greenhouse',
+    name: 'Greenhouse',
+    hosts: ['greenhouse.io'],
+    job: {
+      title: ['.app-title', 'h1.heading'],
+      company: ['.company-name', '.logo-container img[alt]'],
+      description: ['#content', '.job-description'],
+      location: ['.location', '.job-location'],
+    },
+    buttons: {
+      submit: ['#submit_app'],
+    },
+    complete: {
+      selector: '#application_confirmation, .application-confirmation',
+      pattern: 'thank you for applying|application (has been )?(received|submitted)',
+    },
+  },
+  {
+    id: 'lever',
+    name: 'Lever',
+    hosts: ['lever.co'],
+    job: {
+      title: ['.posting-headline h2', 'h1.posting-title'],
+      company: ['.main-header-logo img[alt]'],
+      description: ['.posting-description'],
+      location: ['.location', '.posting-categories .location'],
+    },
+    buttons: {
+      submit: ['#btn-submit'],
+    },
+    complete: {
+      selector: '.application-confirmation, [data-qa="msg-submit-success"]',
+      pattern: 'application submitted|thanks for applying',
+    },
+  },
+  {
+    id: 'smartrecruiters',
+    name: 'SmartRecruiters',
+    hosts: ['smartrecruiters.com'],
+    job: {
+      title: ['h1.job-title', '[itemprop="title"]', 'h1'],
+      company: ['[itemprop="hiringOrganization"] [itemprop="name"]', '.company-name'],
+      description: ['[itemprop="description"]', '.job-sections', 'main'],
+      location: ['[itemprop="jobLocation"]', '.job-location'],
+    },
+    buttons: {
+      next: ['button[data-test="footer-next"]', 'button[data-test="next-step"]'],
+      submit: ['button[data-test="footer-submit"]'],
+    },
+    complete: {
+      selector: '[data-test="application-confirmation"]',
+      pattern: 'application (has been )?sent|thank you for (your application|applying)',
+    },
+  },
+  {
+    id: 'icims',
+    name: 'iCIMS',
+    hosts: ['icims.com'],
+    job: {
+      title: ['.iCIMS_Header h1', 'h1.iCIMS_Header', 'h1'],
+      company: ['.iCIMS_Logo img[alt]', '.iCIMS_CompanyName'],
+      description: ['.iCIMS_JobContent', '.iCIMS_InfoMsg_Job', 'main'],
+      location: ['.iCIMS_JobHeaderField .header-location', '.iCIMS_JobHeaderData'],
+    },
+    buttons: {
+      next: ['button.next', 'input[value="Next"]', '#iCIMS_Continue'],
+      submit: ['button.submit', 'input[value="Submit"]', '#iCIMS_SubmitApplication'],
+    },
+    complete: {
+      pattern: 'thank you for (your interest|applying)|application (is )?complete',
+    },
+  },
+  {
+    id: 'ashby',
+    name: 'Ashby',
+    hosts: ['ashbyhq.com'],
+    job: {
+      title: ['h1[class*="title"]', 'h1'],
+      company: ['img[class*="logo"][alt]'],
+      description: ['[class*="descriptionText"]', '[class*="description"]', 'main'],
+      location: ['[class*="location"]'],
+    },
+    buttons: {
+      submit: ['button[class*="submit"]'],
+    },
+    complete: {
+      selector: '[class*="success"]',
+      pattern: 'application (was )?submitted|thanks for applying',
+    },
+  },
+  {
+    id: 'workable',
+    name: 'Workable',
+    hosts: ['workable.com'],
+    job: {
+      title: ['h1[data-ui="job-title"]', 'h1.job-title', 'h1', '[data-ui="job-title"]'],
+      company: ['[data-ui="company-name"]', 'header a[href="/"]', '.company-logo img[alt]', 'a[data-ui="company-link"]'],
+      description: ['[data-ui="job-description"]', '.job-description', 'section[data-ui="description"]', '[data-ui="description"]', 'main article'],
+      location: ['[data-ui="job-location"]', '[data-ui="job-info"] span', '.job-location', '[data-testid="job-location"]'],
+    },
+    buttons: {
+      next: ['button[data-ui="overview-apply-now"]'],
+      submit: ['button[data-ui="submit"]'],
+    },
+    complete: {
+      selector: '[data-ui="application-success"]',
+      pattern: 'application (has been )?submitted|thank you for applying',
+    },
+  },
+  {
+    id: 'taleo',
+    name: 'Taleo',
+    hosts: ['taleo.net'],
+    job: {
+      title: ['.titlepage', 'h1'],
+      description: ['#requisitionDescriptionInterface', '.editablesection'],
+      location: ['[id*="location"]'],
+    },
+    buttons: {
+      next: ['input[type="submit"][value*="Next"]', 'input[type="submit"][value*="Save and Continue"]'],
+      submit: ['input[type="submit"][value*="Submit"]'],
+    },
+    complete: {
+      pattern: 'thank you for applying|application has been submitted',
+    },
+  },
+];
+
+for (const spec of ATS_PLATFORM_HANDLERS) {
+  PlatformRegistry.register(spec);
+}
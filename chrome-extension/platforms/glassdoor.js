@@ -2,6 +2,7 @@
 // Handles Glassdoor Easy Apply and external job applications
 
 const GlassdoorHandler = {
+  id: 'glassdoor',
   name: 'Glassdoor',
   
   detect() {
@@ -71,40 +72,42 @@ const GlassdoorHandler = {
     let filledCount = 0;
     const modal = document.querySelector('[data-test="applicationModal"], .modal-content, [role="dialog"], body');
     
+    if (!modal) return { filled: 0 };
+    
+    // Selectors from SelectorManager, which self-heals when they miss
     const fieldMappings = [
-      { selector: 'input[name="firstName"], input[id*="firstName"]', value: profileData.first_name },
-      { selector: 'input[name="lastName"], input[id*="lastName"]', value: profileData.last_name },
-      { selector: 'input[name="email"], input[type="email"]', value: profileData.email },
-      { selector: 'input[name="phone"], input[type="tel"]', value: profileData.phone },
-      { selector: 'input[name="currentCompany"], input[id*="company"]', value: profileData.work_experience?.[0]?.company || '' },
-      { selector: 'input[name="currentTitle"], input[id*="title"]', value: profileData.work_experience?.[0]?.title || '' },
+      { field: 'firstName', value: profileData.first_name },
+      { field: 'lastName', value: profileData.last_name },
+      { field: 'email', value: profileData.email },
+      { field: 'phone', value: profileData.phone },
+      { field: 'currentCompany', value: profileData.work_experience?.[0]?.company || '' },
+      { field: 'currentTitle', value: profileData.work_experience?.[0]?.title || '' },
     ];
     
     for (const mapping of fieldMappings) {
-      const inputs = modal?.querySelectorAll(mapping.selector) || [];
-      for (const input of inputs) {
-        if (input && mapping.value && !input.value && input.offsetParent !== null) {
-          await this.fillInput(input, mapping.value);
-          filledCount++;
-        }
+      if (!mapping.value) continue;
+      const input = SelectorManager.findElement(this.id, mapping.field, { root: modal, optional: true });
+      if (input && !input.value) {
+        await this.fillInput(input, mapping.value);
+        filledCount++;
       }
     }
     
     // Handle resume upload
-    const fileInput = modal?.querySelector('input[type="file"]');
+    const fileInput = SelectorManager.findElement(this.id, 'resume', { root: modal, optional: true });
     if (fileInput) {
       console.log('QuantumHire: Resume upload field found');
     }
     
     // Handle cover letter textarea
-    const coverLetterTextarea = modal?.querySelector('textarea[name*="cover"], textarea[id*="cover"]');
+    const coverLetterTextarea = SelectorManager.findElement(this.id, 'coverLetter', { root: modal, optional: true });
     if (coverLetterTextarea && tailoredData?.coverLetter && !coverLetterTextarea.value) {
       await this.fillInput(coverLetterTextarea, tailoredData.coverLetter);
       filledCount++;
     }
     
     // Handle common dropdown questions
-    const selects = modal?.querySelectorAll('select') || [];
+    const selects = modal.querySelectorAll('select');
     for (const select of selects) {
       if (select.value) continue;
       const label = select.closest('.form-group, .field-wrapper')?.querySelector('label')?.innerText?.toLowerCase() || '';
@@ -159,6 +162,24 @@ const GlassdoorHandler = {
     return { success: false };
   },
   
+  // Platform handler interface (see platforms/registry.js)
+  async fillStep(ctx = {}) {
+    return this.fillForm(ctx.profile || {}, ctx.tailoredData);
+  },
+  
+  async next() {
+    const result = await this.navigateForm();
+    return !!result.advanced;
+  },
+  
+  async submit() {
+    return this.submitApplication();
+  },
+  
+  isComplete() {
+    return !!document.querySelector('[data-test="success"], .application-success, .thank-you');
+  },
+  
   // Utility methods
   async wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -195,6 +216,10 @@ const GlassdoorHandler = {
   }
 };
 
+if (typeof PlatformRegistry !== 'undefined') {
+  PlatformRegistry.register(GlassdoorHandler);
+}
+
 // Export for use in content script
 if (typeof window !== 'undefined') {
   window.QuantumHireGlassdoor = GlassdoorHandler;
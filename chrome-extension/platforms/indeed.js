@@ -2,6 +2,7 @@
 // Handles Indeed Easy Apply and external job applications
 
 const IndeedHandler = {
+  id: 'indeed',
   name: 'Indeed',
   
   detect() {
@@ -78,22 +79,22 @@ const IndeedHandler = {
     let filledCount = 0;
     const container = document.querySelector('.ia-Modal, [role="dialog"], body');
     
+    // Selectors from SelectorManager, which self-heals when they miss
     const fieldMappings = [
-      { selector: 'input[name="firstName"], input[id*="firstName"], input[placeholder*="First"]', value: profileData.first_name },
-      { selector: 'input[name="lastName"], input[id*="lastName"], input[placeholder*="Last"]', value: profileData.last_name },
-      { selector: 'input[name="email"], input[type="email"], input[id*="email"]', value: profileData.email },
-      { selector: 'input[name="phone"], input[type="tel"], input[id*="phone"]', value: profileData.phone },
-      { selector: 'input[name="city"], input[id*="city"]', value: profileData.city },
-      { selector: 'input[name="zip"], input[id*="zip"], input[id*="postal"]', value: profileData.zip_code },
+      { field: 'firstName', value: profileData.first_name },
+      { field: 'lastName', value: profileData.last_name },
+      { field: 'email', value: profileData.email },
+      { field: 'phone', value: profileData.phone },
+      { field: 'city', value: profileData.city },
+      { field: 'zipCode', value: profileData.zip_code },
     ];
     
     for (const mapping of fieldMappings) {
-      const inputs = container.querySelectorAll(mapping.selector);
-      for (const input of inputs) {
-        if (input && mapping.value && !input.value && input.offsetParent !== null) {
-          await this.fillInput(input, mapping.value);
-          filledCount++;
-        }
+      if (!mapping.value) continue;
+      const input = SelectorManager.findElement(this.id, mapping.field, { root: container, optional: true });
+      if (input && !input.value) {
+        await this.fillInput(input, mapping.value);
+        filledCount++;
       }
     }
     
@@ -171,6 +172,24 @@ const IndeedHandler = {
     return { success: false };
   },
   
+  // Platform handler interface (see platforms/registry.js)
+  async fillStep(ctx = {}) {
+    return this.fillForm(ctx.profile || {}, ctx.tailoredData);
+  },
+  
+  async next() {
+    const result = await this.navigateForm();
+    return !!result.advanced;
+  },
+  
+  async submit() {
+    return this.submitApplication();
+  },
+  
+  isComplete() {
+    return !!document.querySelector('.ia-success, [data-testid="success"], .jobsearch-ApplicationSuccess');
+  },
+  
   // Utility methods
   async wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -186,6 +205,10 @@ const IndeedHandler = {
   }
 };
 
+if (typeof PlatformRegistry !== 'undefined') {
+  PlatformRegistry.register(IndeedHandler);
+}
+
 // Export for use in content script
 if (typeof window !== 'undefined') {
   window.QuantumHireIndeed = IndeedHandler;
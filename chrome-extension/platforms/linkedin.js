@@ -2,6 +2,7 @@
 // Handles LinkedIn Easy Apply and external job applications
 
 const LinkedInHandler = {
+  id: 'linkedin',
   name: 'LinkedIn',
   
   detect() {
@@ -65,25 +66,26 @@ const LinkedInHandler = {
     
     let filledCount = 0;
     
-    // Fill basic fields
+    // Fill basic fields (selectors from SelectorManager, which self-heals when they miss)
     const fieldMappings = [
-      { selector: 'input[name="firstName"], input[id*="first-name"]', value: profileData.first_name },
-      { selector: 'input[name="lastName"], input[id*="last-name"]', value: profileData.last_name },
-      { selector: 'input[name="email"], input[type="email"]', value: profileData.email },
-      { selector: 'input[name="phone"], input[type="tel"]', value: profileData.phone },
-      { selector: 'input[name="city"], input[id*="city"]', value: profileData.city },
+      { field: 'firstName', value: profileData.first_name },
+      { field: 'lastName', value: profileData.last_name },
+      { field: 'email', value: profileData.email },
+      { field: 'phone', value: profileData.phone },
+      { field: 'city', value: profileData.city },
     ];
     
     for (const mapping of fieldMappings) {
-      const input = modal.querySelector(mapping.selector);
-      if (input && mapping.value && !input.value) {
+      if (!mapping.value) continue;
+      const input = SelectorManager.findElement(this.id, mapping.field, { root: modal, optional: true });
+      if (input && !input.value) {
         await this.fillInput(input, mapping.value);
         filledCount++;
       }
     }
     
     // Handle file upload (resume)
-    const fileInput = modal.querySelector('input[type="file"]');
+    const fileInput = SelectorManager.findElement(this.id, 'resume', { root: modal, optional: true });
     if (fileInput && tailoredData?.resumeBlob) {
       // Resume upload would be handled here
       console.log('QuantumHire: Resume upload available');
@@ -150,6 +152,24 @@ const LinkedInHandler = {
     return { success: false };
   },
   
+  // Platform handler interface (see platforms/registry.js)
+  async fillStep(ctx = {}) {
+    return this.fillEasyApplyForm(ctx.profile || {}, ctx.tailoredData);
+  },
+  
+  async next() {
+    const result = await this.navigateEasyApply();
+    return !!result.advanced;
+  },
+  
+  async submit() {
+    return this.submitApplication();
+  },
+  
+  isComplete() {
+    return !!document.querySelector('.artdeco-inline-feedback--success, .jobs-apply-success');
+  },
+  
   // Utility methods
   async wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -186,6 +206,10 @@ const LinkedInHandler = {
   }
 };
 
+if (typeof PlatformRegistry !== 'undefined') {
+  PlatformRegistry.register(LinkedInHandler);
+}
+
 // Export for use in content script
 if (typeof window !== 'undefined') {
   window.QuantumHireLinkedIn = LinkedInHandler;
@@ -0,0 +1,181 @@
+// QuantumHire AI - Platform Handler Registry
+// Declarative per-platform handlers that content.js dispatches through
+//
+// Every handler implements the same interface:
+//   detect()            -> boolean, true when the current page belongs to the platform
+//   extractJob()        -> { title, company, location, description, url, platform }
+//   listSteps()         -> [{ id, label, active, final }] application steps on this page
+//   fillStep(ctx)       -> { filled } fill the current step (ctx carries content.js fillers)
+//   next()              -> boolean, true when the handler advanced to the next step
+//   submit()            -> { success } click the platform's submit control
+//   isComplete()        -> boolean, true once the confirmation page is showing
+//
+// Handlers may implement any method directly; missing ones are derived from the
+// declarative spec (hosts, job, steps, fields, buttons, complete).
+
+const PlatformRegistry = {
+  handlers: [],
+
+  // Interface every registered handler exposes after registration
+  interfaceMethods: ['detect', 'extractJob', 'listSteps', 'fillStep', 'next', 'submit', 'isComplete'],
+
+  /**
+   * Register a handler, deriving any interface methods it does not implement
+   */
+  register(handler) {
+    if (!handler || !handler.id) {
+      throw new Error('QuantumHire AI: Platform handler requires an id');
+    }
+
+    const defaults = this.createDefaults(handler);
+    for (const method of this.interfaceMethods) {
+      if (typeof handler[method] !== 'function') {
+        handler[method] = defaults[method];
+      }
+    }
+    handler.name = handler.name || handler.id;
+    handler.priority = handler.priority || 0;
+
+    // Re-registering replaces the previous handler (e.g. hot reload in dev)
+    this.handlers = this.handlers.filter(h => h.id !== handler.id);
+    this.handlers.push(handler);
+    this.handlers.sort((a, b) => b.priority - a.priority);
+
+    return handler;
+  },
+
+  /**
+   * Handler for the current page, or null when no platform matches
+   */
+  detect() {
+    for (const handler of this.handlers) {
+      try {
+        if (handler.detect()) return handler;
+      } catch (e) {
+        console.debug(`QuantumHire AI: ${handler.id} detect() failed`, e);
+      }
+    }
+    return null;
+  },
+
+  get(id) {
+    return this.handlers.find(h => h.id === id) || null;
+  },
+
+  list() {
+    return this.handlers.map(h => h.id);
+  },
+
+  /**
+   * Build default interface methods from a declarative spec
+   */
+  createDefaults(spec) {
+    const isVisible = (el) => el && el.offsetParent !== null && !el.disabled;
+
+    const queryVisible = (selectors) => {
+      for (const selector of [].concat(selectors || [])) {
+        try {
+          const el = Array.from(document.querySelectorAll(selector)).find(isVisible);
+          if (el) return el;
+        } catch (e) {
+          // Invalid selector, skip
+        }
+      }
+      return null;
+    };
+
+    const textOf = (selectors, minLength = 1) => {
+      for (const selector of [].concat(selectors || [])) {
+        try {
+          const el = document.querySelector(selector);
+          if (!el) continue;
+          const text = el.tagName === 'IMG' ? (el.alt || '') : (el.innerText?.trim() || el.textContent?.trim() || '');
+          if (text.length >= minLength) return text;
+        } catch (e) {
+          // Invalid selector, skip
+        }
+      }
+      return '';
+    };
+
+    const matchesStep = (step) => {
+      if (typeof step.match === 'function') return !!step.match();
+      if (step.selector) return !!queryVisible(step.selector);
+      if (step.pattern) {
+        const active = textOf(spec.activeStepSelector || []);
+        return new RegExp(step.pattern, 'i').test(active);
+      }
+      return false;
+    };
+
+    return {
+      detect() {
+        const hostname = window.location.hostname.toLowerCase();
+        return (spec.hosts || []).some(host => hostname.includes(host));
+      },
+
+      extractJob() {
+        const job = spec.job || {};
+        return {
+          title: textOf(job.title),
+          company: textOf(job.company),
+          location: textOf(job.location),
+          description: textOf(job.description, 100),
+          url: window.location.href,
+          platform: spec.name || spec.id,
+        };
+      },
+
+      listSteps() {
+        if (!spec.steps?.length) {
+          return [{ id: 'application', label: 'Application', active: true, final: false }];
+        }
+        return spec.steps.map((step, i) => ({
+          id: step.id,
+          label: step.label,
+          active: matchesStep(step),
+          final: step.final === true || (step.final !== false && i === spec.steps.length - 1),
+        }));
+      },
+
+      async fillStep(ctx = {}) {
+        let filled = 0;
+        for (const [profileKey, selectors] of Object.entries(spec.fields || {})) {
+          const value = ctx.profile?.[profileKey];
+          if (!value) continue;
+          const el = queryVisible(selectors);
+          if (el && ctx.fillField?.(el, value)) filled++;
+        }
+        return { filled };
+      },
+
+      async next() {
+        const btn = queryVisible(spec.buttons?.next);
+        if (!btn) return false;
+        btn.click();
+        return true;
+      },
+
+      async submit() {
+        const btn = queryVisible(spec.buttons?.submit);
+        if (!btn) return { success: false };
+        btn.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+        btn.click();
+        return { success: true };
+      },
+
+      isComplete() {
+        if (spec.complete?.selector && queryVisible(spec.complete.selector)) return true;
+        if (spec.complete?.pattern) {
+          return new RegExp(spec.complete.pattern, 'i').test(document.body?.innerText || '');
+        }
+        return false;
+      },
+    };
+  },
+};
+
+// Export for use in extension
+if (typeof window !== 'undefined') {
+  window.QuantumHirePlatformRegistry = PlatformRegistry;
+}
@@ -0,0 +1,350 @@
+// QuantumHire AI - Offline Replay Harness
+// Replays content.js form detection & filling against saved ATS page snapshots in jsdom
+//
+// Capture a snapshot from the popup (Settings → Capture Page Snapshot), drop the .html
+// file into replay/snapshots/, then run:
+//
+//   npm run replay:extension                                   # every snapshot
+//   npm run replay:extension -- snapshots/greenhouse-x.html    # one snapshot
+//   npm run replay:extension -- --profile my-profile.json --ai-answers answers.json
+//   npm run replay:extension -- --save baseline.json           # record a baseline
+//   npm run replay:extension -- --compare baseline.json        # exit 1 on any drift
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const REPLAY_DIR = path.dirname(fileURLToPath(import.meta.url));
+const EXTENSION_DIR = path.resolve(REPLAY_DIR, '..');
+const DEFAULT_SNAPSHOT_DIR = path.join(REPLAY_DIR, 'snapshots');
+const DEFAULT_PROFILE = path.join(REPLAY_DIR, 'profile.sample.json');
+
+const SNAPSHOT_META_PATTERN = /^<!--\s*qh-snapshot\s+(\{.*?\})\s*-->/;
+
+/**
+ * Content scripts in manifest order - the replay loads exactly what Chrome injects
+ */
+function getContentScripts() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+  return manifest.content_scripts[0].js.map(file => path.join(EXTENSION_DIR, file));
+}
+
+/**
+ * Read a snapshot file and its capture metadata
+ */
+function readSnapshot(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  const match = html.match(SNAPSHOT_META_PATTERN);
+  let meta = {};
+  if (match) {
+    try {
+      meta = JSON.parse(match[1]);
+    } catch (e) {
+      // Hand-written snapshots may carry no metadata
+    }
+  }
+  return { html, meta };
+}
+
+/**
+ * Minimal chrome.* surface used by the content scripts, backed by an in-memory store
+ */
+function createChromeStub(initialStorage) {
+  const store = { ...initialStorage };
+
+  const pick = (keys) => {
+    if (keys == null) return { ...store };
+    const list = Array.isArray(keys) ? keys : typeof keys === 'string' ? [keys] : Object.keys(keys);
+    const result = {};
+    for (const key of list) {
+      if (key in store) result[key] = store[key];
+      else if (keys && typeof keys === 'object' && !Array.isArray(keys)) result[key] = keys[key];
+    }
+    return result;
+  };
+
+  return {
+    runtime: {
+      id: 'quantumhire-replay',
+      lastError: undefined,
+      onMessage: { addListener() {} },
+      sendMessage(message, callback) {
+        if (typeof callback === 'function') callback(undefined);
+        return Promise.resolve(undefined);
+      },
+      getURL: (p) => `chrome-extension://quantumhire-replay/${p}`,
+    },
+    storage: {
+      local: {
+        async get(keys) { return pick(keys); },
+        async set(items) { Object.assign(store, items); },
+        async remove(keys) { for (const key of [].concat(keys)) delete store[key]; },
+      },
+      onChanged: { addListener() {} },
+    },
+  };
+}
+
+/**
+ * jsdom has no layout engine: emulate the bits of rendering the content script relies on
+ */
+function installLayoutPolyfills(window) {
+  const { HTMLElement, Element } = window;
+
+  const isHidden = (el) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      if (node.hasAttribute('data-qh-hidden') || node.hasAttribute('hidden')) return true;
+      const style = node.getAttribute('style') || '';
+      if (/display\s*:\s*none/i.test(style) || /visibility\s*:\s*hidden/i.test(style)) return true;
+      if (node.tagName === 'INPUT' && node.type === 'hidden') return true;
+    }
+    return false;
+  };
+
+  Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+    configurable: true,
+    get() {
+      if (!this.isConnected || isHidden(this)) return null;
+      return this.parentElement || this.ownerDocument.body;
+    },
+  });
+
+  Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return isHidden(this) ? '' : (this.textContent || '').replace(/\s+\n/g, '\n').trim(); },
+    set(value) { this.textContent = value; },
+  });
+
+  Element.prototype.scrollIntoView = function scrollIntoView() {};
+}
+
+/**
+ * Load a snapshot into jsdom with the extension's content scripts evaluated in page context
+ */
+export function loadSnapshot(html, { url, profile, verbose = false } = {}) {
+  const virtualConsole = new VirtualConsole();
+  if (verbose) virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+  const dom = new JSDOM(html, {
+    url: url || 'https://replay.quantumhire.local/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+
+  installLayoutPolyfills(window);
+  window.chrome = createChromeStub({ userProfile: profile, autofillEnabled: false });
+  window.__QH_REPLAY__ = true;
+
+  // Content scripts share one global lexical scope in Chrome (top-level const/let
+  // declared in one file are visible to the next), so evaluate them as one script
+  const source = getContentScripts()
+    .map(script => `// ---- ${path.relative(EXTENSION_DIR, script)}\n${fs.readFileSync(script, 'utf8')}`)
+    .join('\n;\n');
+  window.eval(`${source}\n//# sourceURL=content-scripts.js`);
+
+  return dom;
+}
+
+function describeWrittenValue(question) {
+  if (question.type === 'radio') {
+    const checked = question.elements.find(r => r.checked);
+    if (!checked) return null;
+    const label = checked.ownerDocument.querySelector(`label[for="${checked.id}"]`);
+    return label?.textContent?.trim() || checked.value;
+  }
+  const el = question.element;
+  if (!el) return null;
+  if (el.tagName === 'SELECT') return el.options[el.selectedIndex]?.text?.trim() || null;
+  if (el.type === 'checkbox') return el.checked ? 'checked' : 'unchecked';
+  if (el.getAttribute('role') === 'checkbox') return el.getAttribute('aria-checked');
+  if ('value' in el) return el.value || null;
+  return el.textContent?.trim() || null;
+}
+
+/**
+ * Run detectAllQuestions(), fillAllQuestions() and findFileUploadSections() on one snapshot
+ */
+export async function replaySnapshot(file, { profile, aiAnswers = null, verbose = false } = {}) {
+  const { html, meta } = readSnapshot(file);
+  const dom = loadSnapshot(html, { url: meta.url, profile, verbose });
+  const { window } = dom;
+
+  try {
+    const detected = window.detectAllQuestions();
+    const uploads = window.findFileUploadSections();
+    const jobData = window.extractJobDetails();
+    const fillResult = await window.fillAllQuestions(profile, jobData, aiAnswers);
+
+    const filledById = new Map(fillResult.filled.map(f => [f.id, f]));
+    const fields = detected.map(q => {
+      const id = q.id || q.label;
+      const fill = filledById.get(id);
+      return {
+        id,
+        label: q.label,
+        type: q.type,
+        filled: !!fill,
+        source: fill?.source || null,
+        answer: fill?.answer ?? null,
+        written: fill ? describeWrittenValue(q) : null,
+      };
+    });
+
+    return {
+      file: path.basename(file),
+      url: window.location.href,
+      platform: window.detectPlatform().name,
+      fields,
+      uploads: uploads.map(s => ({
+        type: s.type,
+        target: s.input ? 'input' : 'button',
+        label: (s.label || '').replace(/\s+/g, ' ').trim(),
+      })),
+      errors: fillResult.errors,
+      summary: {
+        detected: fields.length,
+        filled: fields.filter(f => f.filled).length,
+        uploads: uploads.length,
+        errors: fillResult.errors.length,
+      },
+    };
+  } finally {
+    window.close();
+  }
+}
+
+/**
+ * Compare two reports field-by-field; returns human-readable differences
+ */
+export function diffReports(baseline, current) {
+  const diffs = [];
+  const key = (f) => `${f.type}:${f.id}`;
+
+  for (const report of current) {
+    const base = baseline.find(b => b.file === report.file);
+    if (!base) {
+      diffs.push(`${report.file}: new snapshot (no baseline)`);
+      continue;
+    }
+
+    const baseFields = new Map(base.fields.map(f => [key(f), f]));
+    const currentFields = new Map(report.fields.map(f => [key(f), f]));
+
+    for (const [k, f] of baseFields) {
+      const now = currentFields.get(k);
+      if (!now) {
+        diffs.push(`${report.file}: no longer detected "${f.label}" (${f.type})`);
+        continue;
+      }
+      for (const prop of ['filled', 'source', 'written']) {
+        if (f[prop] !== now[prop]) {
+          diffs.push(`${report.file}: "${f.label}" ${prop} ${JSON.stringify(f[prop])} → ${JSON.stringify(now[prop])}`);
+        }
+      }
+    }
+    for (const [k, f] of currentFields) {
+      if (!baseFields.has(k)) diffs.push(`${report.file}: newly detected "${f.label}" (${f.type})`);
+    }
+
+    const baseUploads = base.uploads.map(u => `${u.type}/${u.target}`).sort().join(',');
+    const currentUploads = report.uploads.map(u => `${u.type}/${u.target}`).sort().join(',');
+    if (baseUploads !== currentUploads) {
+      diffs.push(`${report.file}: upload sections [${baseUploads}] → [${currentUploads}]`);
+    }
+  }
+
+  return diffs;
+}
+
+function formatReport(report) {
+  const lines = [];
+  const { summary } = report;
+  lines.push(`\n${report.file}  [${report.platform}]  ${report.url}`);
+  lines.push(`  ${summary.filled}/${summary.detected} questions filled, ${summary.uploads} upload sections, ${summary.errors} errors`);
+
+  for (const f of report.fields) {
+    const status = f.filled ? '✓' : '·';
+    const detail = f.filled ? `${f.source} → ${JSON.stringify(f.written)}` : 'not filled';
+    lines.push(`  ${status} [${f.type}] ${f.label.substring(0, 70)} — ${detail}`);
+  }
+  for (const u of report.uploads) {
+    lines.push(`  📎 ${u.type} (${u.target}) ${u.label.substring(0, 60)}`);
+  }
+  for (const e of report.errors) {
+    lines.push(`  ⚠️ ${e.question}: ${e.error}`);
+  }
+  return lines.join('\n');
+}
+
+function parseArgs(argv) {
+  const args = { files: [], profile: DEFAULT_PROFILE, aiAnswers: null, json: false, save: null, compare: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--profile') args.profile = argv[++i];
+    else if (arg === '--ai-answers') args.aiAnswers = argv[++i];
+    else if (arg === '--save') args.save = argv[++i];
+    else if (arg === '--compare') args.compare = argv[++i];
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else args.files.push(arg);
+  }
+  return args;
+}
+
+function resolveSnapshots(inputs) {
+  const targets = inputs.length ? inputs : [DEFAULT_SNAPSHOT_DIR];
+  return targets.flatMap(target => {
+    const resolved = fs.existsSync(target) ? target : path.join(REPLAY_DIR, target);
+    if (fs.statSync(resolved).isDirectory()) {
+      return fs.readdirSync(resolved)
+        .filter(f => f.endsWith('.html'))
+        .sort()
+        .map(f => path.join(resolved, f));
+    }
+    return [resolved];
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const profile = JSON.parse(fs.readFileSync(args.profile, 'utf8'));
+  const aiAnswers = args.aiAnswers ? JSON.parse(fs.readFileSync(args.aiAnswers, 'utf8')) : null;
+
+  const reports = [];
+  for (const file of resolveSnapshots(args.files)) {
+    reports.push(await replaySnapshot(file, { profile, aiAnswers, verbose: args.verbose }));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(r => console.log(formatReport(r)));
+  }
+
+  if (args.save) {
+    fs.writeFileSync(args.save, JSON.stringify(reports, null, 2));
+    console.log(`\nSaved replay baseline to ${args.save}`);
+  }
+
+  if (args.compare) {
+    const baseline = JSON.parse(fs.readFileSync(args.compare, 'utf8'));
+    const diffs = diffReports(baseline, reports);
+    if (diffs.length) {
+      console.log(`\n${diffs.length} difference(s) against ${args.compare}:`);
+      diffs.forEach(d => console.log(`  - ${d}`));
+      process.exitCode = 1;
+    } else {
+      console.log(`\nNo differences against ${args.compare}`);
+    }
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('QuantumHire AI: Replay failed:', error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,124 @@
+// QuantumHire AI - Screening Rules Builder
+// Compiles the shared screening rule engine and its JSON rule packs
+// (supabase/functions/_shared/screening-rules) into utils/screeningRules.js, a classic script
+// the content scripts and the service worker load. answer-questions imports the same sources,
+// so a question a rule covers is answered in the browser and never reaches the edge function.
+//
+//   npm run build:rules             # regenerate utils/screeningRules.js
+//   npm run build:rules -- --check  # exit 1 when it is out of date with the packs or engine
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ts from 'typescript';
+
+const TOOLS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const EXTENSION_DIR = path.resolve(TOOLS_DIR, '..');
+const RULES_DIR = path.resolve(EXTENSION_DIR, '../supabase/functions/_shared/screening-rules');
+const PACKS_DIR = path.join(RULES_DIR, 'packs');
+const OUTPUT = path.join(EXTENSION_DIR, 'utils/screeningRules.js');
+
+// The categories engine.ts knows, read from its source so the two can't disagree
+function disclosureCategories(source) {
+  const list = source.match(/DISCLOSURE_CATEGORIES = \[([^\]]*)\]/);
+  return list ? [...list[1].matchAll(/'([a-z_]+)'/g)].map(m => m[1]) : [];
+}
+
+function loadPacks(categories) {
+  return fs.readdirSync(PACKS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const pack = JSON.parse(fs.readFileSync(path.join(PACKS_DIR, file), 'utf8'));
+      if (!pack.id || !pack.locale || !pack.decline || !Array.isArray(pack.declineOptions) || !Array.isArray(pack.rules)) {
+        throw new Error(`${file}: a pack needs "id", "locale", "decline", "declineOptions" and "rules"`);
+      }
+      pack.rules.forEach((rule, i) => {
+        try {
+          new RegExp(rule.pattern, 'i');
+          if (rule.exclude) new RegExp(rule.exclude, 'i');
+        } catch (error) {
+          throw new Error(`${file}: rule ${i} (${rule.topic}): ${error.message}`);
+        }
+        // No voluntary disclosure is ever answered from a pack default
+        if (rule.disclosure && !categories.includes(rule.disclosure)) {
+          throw new Error(`${file}: rule ${i} (${rule.topic}): unknown disclosure "${rule.disclosure}"`);
+        }
+        if (rule.disclosure && (rule.default !== undefined || rule.answer !== undefined)) {
+          throw new Error(`${file}: rule ${i} (${rule.topic}): a disclosure rule can't have "default" or "answer"`);
+        }
+      });
+      return pack;
+    });
+}
+
+// One rule per line keeps diffs of the generated file readable
+function formatPacks(packs) {
+  const formatted = packs.map(({ rules, ...header }) => {
+    const head = JSON.stringify(header).slice(0, -1);
+    return `    ${head},"rules":[\n${rules.map(rule => `      ${JSON.stringify(rule)}`).join(',\n')}\n    ]}`;
+  });
+  return `[\n${formatted.join(',\n')}\n  ]`;
+}
+
+function build() {
+  const source = fs.readFileSync(path.join(RULES_DIR, 'engine.ts'), 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, removeComments: false },
+  });
+  const engine = outputText
+    .replace(/^"use strict";\n/, '')
+    .replace(/^Object\.defineProperty\(exports, "__esModule".*\n/m, '')
+    .trim()
+    .split('\n')
+    .map(line => (line ? `  ${line}` : line))
+    .join('\n');
+
+  const packs = loadPacks(disclosureCategories(source));
+
+  return `// QuantumHire AI - Screening Rules
+// GENERATED by \`npm run build:rules\` from supabase/functions/_shared/screening-rules - edit the
+// engine and packs there, not this file.
+//
+// Answers common screening questions from the profile, offline:
+//   QuantumHireRules.answer({ label, options }, profile, { locale, company })
+//     -> { answer, selectValue, option, confidence, atsScore, reasoning, fromProfile, rule, topic } or null
+//   QuantumHireRules.matchOption(options, answer, selectValue)
+//     -> index of the option to pick (exact label/value, then whole words - never a substring) or -1
+//   A disclosure question the profile's disclosure_policy leaves to the user comes back
+//   { withheld: true, answer: '' }: don't fill it and don't send it to answer-questions.
+
+(function (global) {
+  'use strict';
+  const exports = {};
+
+${engine}
+
+  const RULE_PACKS = ${formatPacks(packs)};
+
+  global.QuantumHireRules = {
+    packs: RULE_PACKS,
+    locales: RULE_PACKS.map(pack => pack.locale),
+    normalizeLocale: exports.normalizeLocale,
+    matchOption: exports.matchOption,
+    answer: (question, profile, context) => exports.answerQuestion(RULE_PACKS, question, profile, context),
+    answerAll: (questions, profile, context) => exports.answerQuestions(RULE_PACKS, questions, profile, context),
+  };
+})(typeof window !== 'undefined' ? window : self);
+`;
+}
+
+const check = process.argv.includes('--check');
+const output = build();
+
+if (check) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (current !== output) {
+    console.error(`${path.relative(process.cwd(), OUTPUT)} is out of date - run npm run build:rules`);
+    process.exit(1);
+  }
+  console.log(`${path.relative(process.cwd(), OUTPUT)} is up to date`);
+} else {
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
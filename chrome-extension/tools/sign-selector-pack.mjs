@@ -0,0 +1,82 @@
+// QuantumHire AI - Selector Pack Signer
+// Produces the signed selectors.json envelope SelectorManager.loadRemoteUpdates() accepts
+//
+//   npm run sign:selectors -- --generate-key keys/selectors-2026-01   # writes <name>.private.jwk.json,
+//                                                                     # prints the public JWK for trustedKeys
+//   npm run sign:selectors -- pack.json --key keys/selectors-2026-01.private.jwk.json --key-id selectors-2026-01
+//   npm run sign:selectors -- pack.json --key ... --key-id ... --out selectors.json
+//
+// pack.json: { "schema": 1, "packs": { "<platform>": { "version": "2026.1.0", "rollout": 0.25, "selectors": { "<field>": ["..."] } } } }
+// Keep private keys out of the repo.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { webcrypto as crypto } from 'node:crypto';
+
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+function parseArgs(argv) {
+  const args = { input: null, key: null, keyId: null, out: null, generateKey: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--key') args.key = argv[++i];
+    else if (arg === '--key-id') args.keyId = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--generate-key') args.generateKey = argv[++i];
+    else args.input = arg;
+  }
+  return args;
+}
+
+async function generateKey(basePath) {
+  const pair = await crypto.subtle.generateKey(ALGORITHM, true, ['sign', 'verify']);
+  const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+  const publicJwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+
+  const privatePath = `${basePath}.private.jwk.json`;
+  fs.mkdirSync(path.dirname(privatePath), { recursive: true });
+  fs.writeFileSync(privatePath, JSON.stringify(privateJwk, null, 2), { mode: 0o600 });
+
+  console.log(`Private key written to ${privatePath}`);
+  console.log(`Add to SelectorManager.trustedKeys as '${path.basename(basePath)}':`);
+  console.log(JSON.stringify({ kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y }));
+}
+
+async function sign({ input, key, keyId, out }) {
+  if (!input || !key || !keyId) {
+    console.error('Usage: sign-selector-pack.mjs <pack.json> --key <private.jwk.json> --key-id <id> [--out selectors.json]');
+    process.exit(1);
+  }
+
+  const pack = JSON.parse(fs.readFileSync(input, 'utf8'));
+  if (pack.schema !== 1 || !pack.packs) {
+    console.error('Pack must have "schema": 1 and a "packs" object');
+    process.exit(1);
+  }
+
+  const payload = JSON.stringify({ ...pack, issuedAt: new Date().toISOString() });
+  const privateKey = await crypto.subtle.importKey(
+    'jwk',
+    JSON.parse(fs.readFileSync(key, 'utf8')),
+    ALGORITHM,
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign(SIGN_PARAMS, privateKey, new TextEncoder().encode(payload));
+
+  const envelope = JSON.stringify({ keyId, payload, signature: Buffer.from(signature).toString('base64') }, null, 2);
+  if (out) {
+    fs.writeFileSync(out, envelope);
+    console.log(`Signed ${Object.keys(pack.packs).length} platform pack(s) -> ${out}`);
+  } else {
+    console.log(envelope);
+  }
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.generateKey) {
+  await generateKey(args.generateKey);
+} else {
+  await sign(args);
+}
@@ -1,10 +1,51 @@
 // QuantumHire AI - Encrypted Storage Manager
 // Securely stores sensitive profile data with encryption
+//
+// Two key modes:
+// - device (default): key derived from a random deviceId kept in chrome.storage.local.
+//   Protects against casual reads only - the deviceId sits next to the ciphertext.
+// - passphrase (opt-in): key derived from a passphrase the user types. Nothing that can
+//   decrypt is written to disk; while unlocked the key lives in chrome.storage.session
+//   (memory only, trusted extension pages) and is dropped after the auto-lock timeout.
 
 const EncryptedStorage = {
   // Encryption key derivation salt (per-installation unique)
   saltKey: 'quantumhire_salt_v1',
   
+  // { mode: 'device'|'passphrase', keyVersion, autoLockMinutes, verifier }
+  metaKey: 'encryptionMeta',
+  
+  // chrome.storage.session entry holding the unlocked passphrase key
+  sessionKey: 'encryptionSession',
+  
+  // chrome.storage.local keys holding a blob from encrypt(), besides the per-setting entries below;
+  // all of them are re-encrypted on rotation (see storedBlobKeys())
+  encryptedKeys: ['secureProfile', 'secureCredentials'],
+
+  // Settings that must never sit in chrome.storage.local as plaintext. getItems/setItems/removeItems
+  // encrypt each into its own 'secure:<name>' entry, so the popup, background and content scripts
+  // can write different settings at once without one overwriting another's; every other key
+  // passes straight through.
+  entryPrefix: 'secure:',
+  sensitiveKeys: ['userProfile', 'accessToken', 'refreshToken', 'atsCredentials', 'supabaseKey'],
+
+  // Earlier builds kept every sensitive setting in this one blob; migratePlaintext() splits it up
+  legacyVaultKey: 'secureVault',
+
+  iterations: 100000,
+  defaultAutoLockMinutes: 15,
+  
+  // Known plaintext encrypted with the passphrase key, to tell a wrong passphrase from corrupt data
+  verifierText: 'quantumhire-passphrase-check',
+  
+  exportFormat: 'quantumhire-secure-export',
+  
+  // Per-context cache: { key, keyVersion }
+  cachedKey: null,
+
+  // Writes of encrypted data in this context, chained so a key rotation never runs alongside one
+  vaultWrites: Promise.resolve(),
+
   /**
    * Generate or retrieve installation-specific salt
    */
@@ -24,9 +65,11 @@ const EncryptedStorage = {
 
   /**
    * Derive encryption key from a passphrase
+   * @param {Uint8Array} [salt] - Defaults to the installation salt
+   * @param {boolean} [extractable] - Passphrase keys are exported to the session store
    */
-  async deriveKey(passphrase) {
-    const salt = await this.getSalt();
+  async deriveKey(passphrase, salt = null, extractable = false) {
+    const keySalt = salt || await this.getSalt();
     
     const encoder = new TextEncoder();
     const keyMaterial = await crypto.subtle.importKey(
@@ -40,13 +83,13 @@ const EncryptedStorage = {
     return crypto.subtle.deriveKey(
       {
         name: 'PBKDF2',
-        salt: salt,
-        iterations: 100000,
+        salt: keySalt,
+        iterations: this.iterations,
         hash: 'SHA-256',
       },
       keyMaterial,
       { name: 'AES-GCM', length: 256 },
-      false,
+      extractable,
       ['encrypt', 'decrypt']
     );
   },
@@ -69,13 +112,83 @@ const EncryptedStorage = {
     return deviceId;
   },
 
+  async getMeta() {
+    const data = await chrome.storage.local.get([this.metaKey]);
+    return {
+      mode: 'device',
+      keyVersion: 1,
+      autoLockMinutes: this.defaultAutoLockMinutes,
+      ...(data[this.metaKey] || {}),
+    };
+  },
+
+  async usesPassphrase() {
+    return (await this.getMeta()).mode === 'passphrase';
+  },
+
+  /**
+   * True when a passphrase is set and this session hasn't unlocked it (or it auto-locked)
+   */
+  async isLocked() {
+    const meta = await this.getMeta();
+    if (meta.mode !== 'passphrase') return false;
+    return !(await this.getSessionKey(meta));
+  },
+
+  /**
+   * Unlocked passphrase key from the session store, or null; each use slides the auto-lock deadline
+   */
+  async getSessionKey(meta) {
+    if (!chrome.storage.session) return null;
+    
+    let session;
+    try {
+      session = (await chrome.storage.session.get([this.sessionKey]))[this.sessionKey];
+    } catch (e) {
+      // Content scripts can't read the session store: passphrase data stays locked there
+      return null;
+    }
+    
+    if (!session || session.keyVersion !== meta.keyVersion || Date.now() > session.lockAt) {
+      if (session) await this.lock();
+      return null;
+    }
+    
+    await chrome.storage.session.set({
+      [this.sessionKey]: { ...session, lockAt: Date.now() + meta.autoLockMinutes * 60 * 1000 },
+    });
+    return crypto.subtle.importKey('raw', this.fromBase64(session.rawKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  },
+
+  /**
+   * Key for the current mode; throws while passphrase storage is locked
+   */
+  async getKey() {
+    const meta = await this.getMeta();
+    
+    if (meta.mode === 'passphrase') {
+      const key = await this.getSessionKey(meta);
+      if (!key) {
+        throw new Error('Encrypted storage is locked - unlock it with your passphrase');
+      }
+      return key;
+    }
+    
+    if (this.cachedKey?.keyVersion === meta.keyVersion) {
+      return this.cachedKey.key;
+    }
+    const key = await this.deriveKey(await this.getDevicePassphrase());
+    this.cachedKey = { key, keyVersion: meta.keyVersion };
+    return key;
+  },
+
   /**
    * Encrypt data
+   * @param {CryptoKey} [key] - Defaults to the current storage key
    */
-  async encrypt(data) {
+  async encrypt(data, key = null) {
     try {
-      const passphrase = await this.getDevicePassphrase();
-      const key = await this.deriveKey(passphrase);
+      const encryptionKey = key || await this.getKey();
       
       const encoder = new TextEncoder();
       const plaintext = encoder.encode(JSON.stringify(data));
@@ -85,7 +198,7 @@ const EncryptedStorage = {
       
       const ciphertext = await crypto.subtle.encrypt(
         { name: 'AES-GCM', iv },
-        key,
+        encryptionKey,
         plaintext
       );
       
@@ -95,7 +208,7 @@ const EncryptedStorage = {
       combined.set(new Uint8Array(ciphertext), iv.length);
       
       // Convert to base64 for storage
-      return btoa(String.fromCharCode(...combined));
+      return this.toBase64(combined);
     } catch (error) {
       console.error('QuantumHire AI: Encryption error', error);
       throw error;
@@ -104,16 +217,14 @@ const EncryptedStorage = {
 
   /**
    * Decrypt data
+   * @param {CryptoKey} [key] - Defaults to the current storage key
    */
-  async decrypt(encryptedBase64) {
+  async decrypt(encryptedBase64, key = null) {
     try {
-      const passphrase = await this.getDevicePassphrase();
-      const key = await this.deriveKey(passphrase);
+      const decryptionKey = key || await this.getKey();
       
       // Decode from base64
-      const combined = new Uint8Array(
-        atob(encryptedBase64).split('').map(c => c.charCodeAt(0))
-      );
+      const combined = this.fromBase64(encryptedBase64);
       
       // Extract IV and ciphertext
       const iv = combined.slice(0, 12);
@@ -121,7 +232,7 @@ const EncryptedStorage = {
       
       const plaintext = await crypto.subtle.decrypt(
         { name: 'AES-GCM', iv },
-        key,
+        decryptionKey,
         ciphertext
       );
       
@@ -133,6 +244,455 @@ const EncryptedStorage = {
     }
   },
 
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+
+  fromBase64(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  },
+
+  // ============ PASSPHRASE / SESSION ============
+  
+  /**
+   * Unlock passphrase-protected storage for this browser session
+   * @returns {boolean} false when the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    const meta = await this.getMeta();
+    if (meta.mode !== 'passphrase') return true;
+    
+    const key = await this.deriveKey(passphrase, this.fromBase64(meta.salt), true);
+    try {
+      if (await this.decrypt(meta.verifier, key) !== this.verifierText) return false;
+    } catch (e) {
+      return false;
+    }
+    
+    await this.startSession(key, meta);
+    console.log('QuantumHire AI: Secure storage unlocked');
+    await this.migratePlaintext();
+    return true;
+  },
+
+  async startSession(key, meta) {
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({
+      [this.sessionKey]: {
+        rawKey: this.toBase64(rawKey),
+        keyVersion: meta.keyVersion,
+        lockAt: Date.now() + meta.autoLockMinutes * 60 * 1000,
+      },
+    });
+  },
+
+  /**
+   * Forget the unlocked key; passphrase-protected data needs unlock() again
+   */
+  async lock() {
+    this.cachedKey = null;
+    if (chrome.storage.session) {
+      await chrome.storage.session.remove([this.sessionKey]);
+    }
+  },
+
+  async setAutoLockMinutes(minutes) {
+    const meta = await this.getMeta();
+    const autoLockMinutes = Math.max(1, Math.min(24 * 60, Math.round(minutes) || this.defaultAutoLockMinutes));
+    await chrome.storage.local.set({ [this.metaKey]: { ...meta, autoLockMinutes } });
+  },
+
+  // ============ KEY ROTATION ============
+  
+  /**
+   * Re-encrypt every stored blob under a new key
+   * - { mode: 'passphrase', passphrase } enables or changes the passphrase
+   * - { mode: 'device' } removes the passphrase (back to the device key)
+   * Passphrase storage must be unlocked first. Without a mode change this rotates the key in place
+   * (fresh salt, same passphrase/device ID).
+   * Runs after this context's pending writes, so none of them lands under the old key.
+   */
+  rotateKey(options = {}) {
+    return this.queueWrite(() => this.reencryptAll(options));
+  },
+
+  async reencryptAll({ mode = null, passphrase = null } = {}) {
+    const meta = await this.getMeta();
+    const targetMode = mode || meta.mode;
+    if (targetMode === 'passphrase' && !passphrase) {
+      throw new Error('A passphrase is required');
+    }
+    
+    // Decrypt everything with the current key before anything is overwritten
+    const oldKey = await this.getKey();
+    const blobKeys = this.blobKeys();
+    const stored = await chrome.storage.local.get(blobKeys);
+    const plaintext = {};
+    for (const name of blobKeys) {
+      if (stored[name]) plaintext[name] = await this.decrypt(stored[name], oldKey);
+    }
+    
+    const keyVersion = meta.keyVersion + 1;
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const updates = {};
+    let newKey;
+    let newMeta;
+    
+    if (targetMode === 'passphrase') {
+      newKey = await this.deriveKey(passphrase, salt, true);
+      newMeta = {
+        mode: 'passphrase',
+        keyVersion,
+        autoLockMinutes: meta.autoLockMinutes,
+        salt: this.toBase64(salt),
+        verifier: await this.encrypt(this.verifierText, newKey),
+        rotatedAt: Date.now(),
+      };
+    } else {
+      updates[this.saltKey] = Array.from(salt);
+      updates.deviceId = `qh_${Date.now()}_${crypto.randomUUID()}`;
+      newKey = await this.deriveKey(updates.deviceId, salt);
+      newMeta = { mode: 'device', keyVersion, autoLockMinutes: meta.autoLockMinutes, rotatedAt: Date.now() };
+    }
+    
+    for (const [name, value] of Object.entries(plaintext)) {
+      updates[name] = await this.encrypt(value, newKey);
+    }
+    updates[this.metaKey] = newMeta;
+    
+    // One write: blobs and the meta describing their key change together
+    await chrome.storage.local.set(updates);
+    
+    await this.lock();
+    if (targetMode === 'passphrase') {
+      await this.startSession(newKey, newMeta);
+    } else {
+      this.cachedKey = { key: newKey, keyVersion };
+    }
+    
+    console.log(`QuantumHire AI: Re-encrypted ${Object.keys(plaintext).length} item(s) with key v${keyVersion} (${targetMode})`);
+    return { keyVersion, reencrypted: Object.keys(plaintext) };
+  },
+
+  enablePassphrase(passphrase) {
+    return this.rotateKey({ mode: 'passphrase', passphrase });
+  },
+
+  changePassphrase(passphrase) {
+    return this.rotateKey({ mode: 'passphrase', passphrase });
+  },
+
+  disablePassphrase() {
+    return this.rotateKey({ mode: 'device' });
+  },
+
+  // ============ EXPORT / IMPORT ============
+  
+  /**
+   * Encrypted bundle of every stored secret, protected by its own export passphrase
+   * (independent of this machine's key), for moving a profile to another install
+   * @returns {string} Bundle JSON
+   */
+  async exportBundle(exportPassphrase) {
+    if (!exportPassphrase) throw new Error('An export passphrase is required');
+    
+    const blobKeys = this.blobKeys();
+    const stored = await chrome.storage.local.get([...blobKeys, 'profileMeta']);
+    const items = {};
+    for (const name of blobKeys) {
+      if (stored[name]) items[name] = await this.decrypt(stored[name]);
+    }
+    
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(exportPassphrase, salt);
+    
+    return JSON.stringify({
+      format: this.exportFormat,
+      version: 1,
+      createdAt: new Date().toISOString(),
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.iterations, salt: this.toBase64(salt) },
+      profileMeta: stored.profileMeta || null,
+      data: await this.encrypt(items, key),
+    });
+  },
+
+  /**
+   * Restore an exportBundle() bundle, re-encrypting it under this install's key
+   * @returns {string[]} Names of the imported items
+   */
+  async importBundle(bundleText, exportPassphrase) {
+    let bundle;
+    try {
+      bundle = typeof bundleText === 'string' ? JSON.parse(bundleText) : bundleText;
+    } catch (e) {
+      throw new Error('Not a QuantumHire export file');
+    }
+    if (bundle?.format !== this.exportFormat || bundle.version !== 1 || !bundle.kdf?.salt || !bundle.data) {
+      throw new Error('Not a QuantumHire export file');
+    }
+    
+    const key = await this.deriveKey(exportPassphrase, this.fromBase64(bundle.kdf.salt));
+    let items;
+    try {
+      items = await this.decrypt(bundle.data, key);
+    } catch (e) {
+      throw new Error('Wrong export passphrase or damaged file');
+    }
+    
+    await this.queueWrite(async () => {
+      const updates = {};
+      for (const name of this.blobKeys()) {
+        if (items[name] !== undefined) updates[name] = await this.encrypt(items[name]);
+      }
+      if (bundle.profileMeta) {
+        updates.profileMeta = { ...bundle.profileMeta, importedAt: Date.now() };
+      }
+      await chrome.storage.local.set(updates);
+    });
+    // Bundles exported before per-setting entries carry the single vault blob
+    await this.migratePlaintext();
+    
+    console.log(`QuantumHire AI: Imported ${Object.keys(items).length} secure item(s)`);
+    return Object.keys(items);
+  },
+
+  // ============ SENSITIVE SETTINGS ============
+
+  isSensitive(name) {
+    return this.sensitiveKeys.includes(name);
+  },
+
+  entryKey(name) {
+    return this.entryPrefix + name;
+  },
+
+  /**
+   * Every chrome.storage.local key that may hold an encrypt() blob
+   */
+  blobKeys() {
+    return [...this.encryptedKeys, this.legacyVaultKey, ...this.sensitiveKeys.map(name => this.entryKey(name))];
+  },
+
+  isContentScript() {
+    return typeof window !== 'undefined' && window.location?.protocol !== 'chrome-extension:';
+  },
+
+  /**
+   * Run write() after this context's earlier encrypted writes (and any key rotation) finish
+   */
+  queueWrite(write) {
+    const result = this.vaultWrites.then(write);
+    this.vaultWrites = result.catch(() => {});
+    return result;
+  },
+
+  /**
+   * Decrypted values of the named sensitive settings that are stored; throws while passphrase
+   * storage is locked. Content scripts can't reach the session store, so with a passphrase set
+   * they ask the background worker for the keys they need.
+   */
+  async readEntries(names) {
+    const data = await chrome.storage.local.get(names.map(name => this.entryKey(name)));
+    const present = names.filter(name => data[this.entryKey(name)]);
+    if (present.length === 0) return {};
+
+    if (this.isContentScript() && await this.usesPassphrase()) {
+      return this.requestFromBackground(present);
+    }
+    if (await this.isLocked()) {
+      throw new Error('Encrypted storage is locked - unlock it with your passphrase');
+    }
+
+    const values = {};
+    for (const name of present) {
+      try {
+        values[name] = await this.decrypt(data[this.entryKey(name)]);
+      } catch (error) {
+        console.warn(`QuantumHire AI: Encrypted setting ${name} could not be read`);
+      }
+    }
+    return values;
+  },
+
+  async encryptEntries(items) {
+    const entries = {};
+    for (const [name, value] of Object.entries(items)) {
+      entries[this.entryKey(name)] = await this.encrypt(value);
+    }
+    return entries;
+  },
+
+  requestFromBackground(names) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getSecureItems', keys: names }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          resolve({});
+          return;
+        }
+        resolve(response.items || {});
+      });
+    });
+  },
+
+  /**
+   * Background side of requestFromBackground(); only this extension's own scripts get an answer
+   */
+  async handleItemsRequest(message, sender) {
+    if (sender.id !== chrome.runtime.id) return { items: {} };
+
+    const names = (message.keys || []).filter(name => this.isSensitive(name));
+    try {
+      return { items: await this.getItems(names) };
+    } catch (error) {
+      return { items: {}, error: error.message };
+    }
+  },
+
+  /**
+   * Drop-in for chrome.storage.local.get(keys) - sensitive keys are read from their encrypted entries.
+   * While passphrase storage is locked they are absent, as if signed out.
+   */
+  async getItems(keys) {
+    const names = Array.isArray(keys) ? keys : [keys];
+    const plainNames = names.filter(name => !this.isSensitive(name));
+    const secretNames = names.filter(name => this.isSensitive(name));
+
+    const result = plainNames.length ? await chrome.storage.local.get(plainNames) : {};
+    if (secretNames.length) {
+      try {
+        Object.assign(result, await this.readEntries(secretNames));
+      } catch (error) {
+        console.warn('QuantumHire AI: Sensitive settings unavailable -', error.message);
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Drop-in for chrome.storage.local.set(items) - each sensitive key is written to its own encrypted entry
+   */
+  async setItems(items) {
+    const plain = {};
+    const secret = {};
+    for (const [name, value] of Object.entries(items)) {
+      (this.isSensitive(name) ? secret : plain)[name] = value;
+    }
+
+    if (Object.keys(secret).length === 0) {
+      await chrome.storage.local.set(plain);
+      return;
+    }
+    await this.queueWrite(async () => {
+      await chrome.storage.local.set({ ...plain, ...(await this.encryptEntries(secret)) });
+    });
+  },
+
+  /**
+   * Drop-in for chrome.storage.local.remove(keys)
+   */
+  async removeItems(keys) {
+    const names = Array.isArray(keys) ? keys : [keys];
+    const entryKeys = names.filter(name => this.isSensitive(name)).map(name => this.entryKey(name));
+    // Plaintext copies too, in case one was never migrated
+    await chrome.storage.local.remove([...names, ...entryKeys]);
+  },
+
+  /**
+   * Move sensitive keys that earlier versions wrote in plaintext, or into the single vault blob,
+   * into their own encrypted entries.
+   * Cheap to call on every start: it only acts while plaintext copies or the blob exist, and
+   * leaves them in place (to retry after unlock) while passphrase storage is locked.
+   * @returns {string[]} Keys migrated
+   */
+  migratePlaintext() {
+    return this.queueWrite(async () => {
+      const stored = await chrome.storage.local.get([...this.sensitiveKeys, this.legacyVaultKey]);
+      const plainNames = this.sensitiveKeys.filter(name => stored[name] !== undefined);
+      if (plainNames.length === 0 && !stored[this.legacyVaultKey]) return [];
+
+      if (await this.isLocked()) {
+        console.log('QuantumHire AI: Plaintext settings will be encrypted after unlock');
+        return [];
+      }
+
+      let legacy = {};
+      if (stored[this.legacyVaultKey]) {
+        try {
+          legacy = await this.decrypt(stored[this.legacyVaultKey]);
+        } catch (error) {
+          console.warn('QuantumHire AI: Old encrypted settings could not be read');
+        }
+      }
+      // Plaintext copies are newer than anything in the blob
+      plainNames.forEach(name => {
+        legacy[name] = stored[name];
+      });
+      const names = Object.keys(legacy).filter(name => this.isSensitive(name));
+
+      // Settings already written to their own entry are newer still
+      const current = await chrome.storage.local.get(names.map(name => this.entryKey(name)));
+      const pending = Object.fromEntries(
+        names.filter(name => !current[this.entryKey(name)]).map(name => [name, legacy[name]])
+      );
+      await chrome.storage.local.set(await this.encryptEntries(pending));
+      await chrome.storage.local.remove([...plainNames, this.legacyVaultKey]);
+      await chrome.storage.local.set({ secureMigration: { migratedAt: Date.now(), keys: names } });
+
+      if (names.length) console.log(`QuantumHire AI: Moved ${names.join(', ')} into encrypted storage`);
+      return names;
+    });
+  },
+
+  // ============ AUDIT ============
+
+  /**
+   * Everything the extension keeps in chrome.storage, for the audit screen
+   * protection: 'encrypted' | 'key material' | 'plaintext' | 'exposed' (a sensitive key left in plaintext)
+   * @returns {{ mode, keyVersion, locked, entries: Array<{ key, area, protection, bytes }> }}
+   */
+  async audit() {
+    const meta = await this.getMeta();
+    const locked = await this.isLocked();
+    const keyMaterial = [this.saltKey, 'deviceId', this.sessionKey];
+    const size = (value) => (JSON.stringify(value) || '').length;
+    const classify = (key) => {
+      if (this.encryptedKeys.includes(key) || key === this.legacyVaultKey) return 'encrypted';
+      if (keyMaterial.includes(key)) return 'key material';
+      if (this.isSensitive(key)) return 'exposed';
+      return 'plaintext';
+    };
+
+    const entries = [];
+    const local = await chrome.storage.local.get(null);
+    for (const [key, value] of Object.entries(local)) {
+      if (key.startsWith(this.entryPrefix)) {
+        entries.push({ key: key.slice(this.entryPrefix.length), area: 'local › encrypted entry', protection: 'encrypted', bytes: size(value) });
+      } else {
+        entries.push({ key, area: 'local', protection: classify(key), bytes: size(value) });
+      }
+    }
+
+    if (chrome.storage.session) {
+      try {
+        const session = await chrome.storage.session.get(null);
+        for (const [key, value] of Object.entries(session)) {
+          entries.push({ key, area: 'session', protection: classify(key), bytes: size(value) });
+        }
+      } catch (e) {
+        // Session store isn't readable from this context
+      }
+    }
+
+    entries.sort((a, b) => a.area.localeCompare(b.area) || a.key.localeCompare(b.key));
+    return { mode: meta.mode, keyVersion: meta.keyVersion, locked, entries };
+  },
+
+  // ============ PROFILE / CREDENTIALS ============
+
   /**
    * Securely store profile data
    */
@@ -216,8 +776,7 @@ const EncryptedStorage = {
    */
   async clearAll() {
     await chrome.storage.local.remove([
-      'secureProfile',
-      'secureCredentials',
+      ...this.blobKeys(),
       'profileMeta',
       'profileUpdatedAt',
     ]);
@@ -1,13 +1,7 @@
 // QuantumHire AI - Human-like Typing Simulation
 // Mimics natural human typing patterns to evade bot detection
 
-// Speed multiplier configuration (synced with content.js)
-const SPEED_CONFIGS = {
-  1: { typeMin: 300, typeMax: 600, clickMin: 400, clickMax: 600 },
-  1.5: { typeMin: 200, typeMax: 400, clickMin: 280, clickMax: 450 },
-  2: { typeMin: 150, typeMax: 300, clickMin: 200, clickMax: 350 },
-  3: { typeMin: 100, typeMax: 200, clickMin: 130, clickMax: 250 }
-};
+// Timing comes from the typing profile assigned to the current speed (utils/typingProfiles.js)
 
 // Get current speed multiplier from storage
 async function getSpeedMultiplierLocal() {
@@ -34,20 +28,15 @@ function randomDelay(min, max) {
  * @param {HTMLElement} element - Input element to type into
  * @param {string} text - Text to type
  * @param {Object} options - Typing options
+ * @param {Object} [options.profile] - Typing profile; defaults to the one assigned to the current speed
+ * @param {number} [options.typoChance] - Overrides the profile's correction rate
+ * @param {boolean} [options.clearFirst] - Empty the field before typing
  * @returns {Promise<boolean>} Success status
  */
 async function humanTypeText(element, text, options = {}) {
-  // Get speed config
-  const multiplier = await getSpeedMultiplierLocal();
-  const speedConfig = SPEED_CONFIGS[multiplier] || SPEED_CONFIGS[1];
-  
   const {
-    baseDelay = (speedConfig.typeMin + speedConfig.typeMax) / 2,  // Dynamic based on speed
-    variance = (speedConfig.typeMax - speedConfig.typeMin) / 2,   // Variance range
-    pauseAfterPunctuation = Math.floor(150 / multiplier),         // Scale with speed
-    pauseChance = 0.05 / multiplier,    // Reduce thinking pauses at higher speeds
-    pauseDuration = Math.floor(300 / multiplier),
-    typoChance = multiplier === 1 ? 0.02 : 0,  // Only typos at 1x for realism
+    profile = await TypingProfiles.getProfile(await getSpeedMultiplierLocal()),
+    typoChance = profile.correction.rate,
     clearFirst = false,
   } = options;
 
@@ -68,42 +57,38 @@ async function humanTypeText(element, text, options = {}) {
       return true;
     }
 
+    const rhythm = TypingProfiles.createRhythm(profile);
+    const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
     // Type character by character
     for (let i = 0; i < text.length; i++) {
       const char = text[i];
-      
-      // Random pause (simulates thinking)
-      if (Math.random() < pauseChance) {
-        await new Promise(r => setTimeout(r, randomDelay(pauseDuration, pauseDuration * 2)));
-      }
-
-      // Simulate typo and correction
-      if (Math.random() < typoChance && i < text.length - 1) {
-        const typoChar = getRandomTypoChar(char);
-        await typeChar(element, typoChar);
-        await new Promise(r => setTimeout(r, randomDelay(100, 200)));
+      const prev = i > 0 ? text[i - 1] : null;
+
+      // Simulate typo and correction - sometimes a key or two goes by before it's noticed
+      const typo = i < text.length - 1 ? TypingProfiles.planTypo(profile, typoChance) : null;
+      if (typo) {
+        const fumbled = [getRandomTypoChar(char), ...text.slice(i + 1, i + 1 + typo.lookahead)];
+        for (let j = 0; j < fumbled.length; j++) {
+          await typeChar(element, fumbled[j]);
+          await wait(j < fumbled.length - 1
+            ? TypingProfiles.keyDelay(profile, fumbled[j], fumbled[j + 1])
+            : TypingProfiles.sample(profile.correction.noticeMedian, 0.4));
+        }
         // Backspace to correct
-        await simulateBackspace(element);
-        await new Promise(r => setTimeout(r, randomDelay(50, 100)));
+        for (let j = 0; j < fumbled.length; j++) {
+          await simulateBackspace(element);
+          await wait(TypingProfiles.sample(profile.correction.backspaceMedian, 0.3));
+        }
       }
 
       // Type the actual character
       await typeChar(element, char);
 
-      // Calculate delay for next character
-      let delay = randomDelay(baseDelay - variance, baseDelay + variance);
-
-      // Extra pause after punctuation
-      if (['.', ',', '!', '?', ';', ':'].includes(char)) {
-        delay += randomDelay(pauseAfterPunctuation / 2, pauseAfterPunctuation);
-      }
-
-      // Slightly longer delay at word boundaries
-      if (char === ' ') {
-        delay += randomDelay(20, 50);
-      }
-
-      await new Promise(r => setTimeout(r, delay));
+      // Delay for the next key depends on the digraph it forms; bursts end in a short pause
+      const next = text[i + 1];
+      const delay = (next ? TypingProfiles.keyDelay(profile, char, next) : 0) + rhythm.next(char);
+      await wait(delay);
     }
 
     // Final blur event
@@ -270,24 +255,22 @@ function getRandomTypoChar(original) {
  * Human-like click with slight position variance
  */
 async function humanClick(element, options = {}) {
-  const { delay = true } = options;
-  
-  // Get speed config for click delays
-  const multiplier = await getSpeedMultiplierLocal();
-  const speedConfig = SPEED_CONFIGS[multiplier] || SPEED_CONFIGS[1];
+  const {
+    delay = true,
+    profile = await TypingProfiles.getProfile(await getSpeedMultiplierLocal()),
+  } = options;
   
   if (!element) return false;
 
+  // Mouse timing from the same profile as typing
+  const timing = TypingProfiles.mouseTiming(profile);
+
   try {
     // Scroll into view smoothly
     element.scrollIntoView({ block: 'center', behavior: 'smooth' });
     
-    // Wait for scroll - scaled by speed
-    const scrollWait = randomDelay(
-      Math.floor(200 / multiplier), 
-      Math.floor(400 / multiplier)
-    );
-    await new Promise(r => setTimeout(r, scrollWait));
+    // Wait for scroll to settle
+    await new Promise(r => setTimeout(r, timing.settle));
 
     // Get element bounds
     const rect = element.getBoundingClientRect();
@@ -305,13 +288,9 @@ async function humanClick(element, options = {}) {
       clientY: y,
     }));
 
-    // Small delay before click (like real hover-then-click) - scaled by speed
+    // Small delay before click (like real hover-then-click)
     if (delay) {
-      const hoverDelay = randomDelay(
-        Math.floor(speedConfig.clickMin / 4),
-        Math.floor(speedConfig.clickMax / 4)
-      );
-      await new Promise(r => setTimeout(r, hoverDelay));
+      await new Promise(r => setTimeout(r, timing.hover));
     }
 
     // Mousedown
@@ -324,8 +303,8 @@ async function humanClick(element, options = {}) {
       clientY: y,
     }));
 
-    // Tiny delay between down and up
-    await new Promise(r => setTimeout(r, randomDelay(30, 80)));
+    // Press duration between down and up
+    await new Promise(r => setTimeout(r, timing.press));
 
     // Mouseup
     element.dispatchEvent(new MouseEvent('mouseup', {
@@ -363,10 +342,15 @@ async function humanClick(element, options = {}) {
 async function humanSelectDropdown(selectElement, value, options = {}) {
   if (!selectElement) return false;
   
+  const {
+    profile = await TypingProfiles.getProfile(await getSpeedMultiplierLocal()),
+  } = options;
+  
   try {
-    // Click to focus
-    await humanClick(selectElement);
-    await new Promise(r => setTimeout(r, randomDelay(150, 300)));
+    // Click to focus, then scan the open list - about as long as moving onto a target and a bit
+    await humanClick(selectElement, { profile });
+    const { hover, press } = TypingProfiles.mouseTiming(profile);
+    await new Promise(r => setTimeout(r, hover + press + TypingProfiles.sample(profile.mouse.settleMedian / 2, 0.4)));
 
     // Find matching option
     const optionsList = Array.from(selectElement.options);
@@ -400,7 +384,7 @@ async function humanSelectDropdown(selectElement, value, options = {}) {
       selectElement.dispatchEvent(new Event('change', { bubbles: true }));
       selectElement.dispatchEvent(new Event('input', { bubbles: true }));
       
-      await new Promise(r => setTimeout(r, randomDelay(50, 150)));
+      await new Promise(r => setTimeout(r, TypingProfiles.mouseTiming(profile).press));
       selectElement.dispatchEvent(new FocusEvent('blur', { bubbles: true }));
 
       return true;
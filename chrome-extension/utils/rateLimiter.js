@@ -1,5 +1,11 @@
 // QuantumHire AI - Rate Limiter
 // Prevents detection by throttling requests and adding natural delays
+//
+// The per-platform tables below are starting points. Each employer domain learns a slowdown
+// factor from what the site does back - HTTP 429s, CAPTCHA challenges, "too many applications"
+// banners, slow loads - which stretches its delays and cooldowns and shrinks its per-minute cap.
+// Learned state is kept in chrome.storage.local so it survives restarts and is shared by every
+// tab of a bulk run; quiet domains drift back to the table values.
 
 const RateLimiter = {
   // Rate limit configuration per platform
@@ -10,6 +16,7 @@ const RateLimiter = {
       maxDelay: 8000,      // 8 seconds max random delay
       cooldownAfter: 20,   // Cooldown after 20 applications
       cooldownDuration: 300000, // 5 minute cooldown
+      maxConcurrent: 1,    // Tabs of this platform open at once in a bulk run
     },
     indeed: {
       requestsPerMinute: 15,
@@ -17,6 +24,7 @@ const RateLimiter = {
       maxDelay: 5000,
       cooldownAfter: 30,
       cooldownDuration: 180000,
+      maxConcurrent: 2,
     },
     greenhouse: {
       requestsPerMinute: 20,
@@ -24,6 +32,7 @@ const RateLimiter = {
       maxDelay: 4000,
       cooldownAfter: 50,
       cooldownDuration: 120000,
+      maxConcurrent: 3,
     },
     lever: {
       requestsPerMinute: 20,
@@ -31,6 +40,7 @@ const RateLimiter = {
       maxDelay: 4000,
       cooldownAfter: 50,
       cooldownDuration: 120000,
+      maxConcurrent: 3,
     },
     workday: {
       requestsPerMinute: 8,
@@ -38,6 +48,7 @@ const RateLimiter = {
       maxDelay: 10000,
       cooldownAfter: 15,
       cooldownDuration: 600000, // 10 minute cooldown
+      maxConcurrent: 1,
     },
     default: {
       requestsPerMinute: 12,
@@ -45,12 +56,64 @@ const RateLimiter = {
       maxDelay: 6000,
       cooldownAfter: 25,
       cooldownDuration: 240000,
+      maxConcurrent: 2,
     },
   },
 
-  // Track request history per platform
+  // Track request history per platform / domain
   history: new Map(),
 
+  // ============ ADAPTIVE PACING CONFIG ============
+
+  storageKey: 'rateLimiterDomains',
+
+  adaptive: {
+    // slowdown: multiplier applied per signal; block: pause the domain for at least one cooldown
+    signals: {
+      http429: { slowdown: 2, block: true },
+      captcha: { slowdown: 1.75, block: true },
+      banner: { slowdown: 2.5, block: true, minBlockMs: 60 * 60 * 1000 },
+      slowLoad: { slowdown: 1.15, block: false },
+    },
+    maxSlowdown: 8,
+    slowLoadMs: 8000,
+    recoverAfter: 10,     // clean requests in a row before easing off
+    recoveryStep: 0.85,
+    halfLifeHours: 24,    // untouched slowdowns halve their excess over 1x this often
+    maxDomains: 200,
+  },
+
+  // Visible interactive challenges only - invisible reCAPTCHA v3 sits on most ATS forms
+  captchaSelectors: [
+    'iframe[src*="recaptcha"][src*="bframe"]',
+    'iframe[src*="recaptcha"][src*="anchor"]:not([src*="size=invisible"])',
+    'iframe[src*="hcaptcha"]:not([src*="size=invisible"])',
+    'iframe[src*="challenges.cloudflare.com"]',
+    '.cf-turnstile',
+    '#px-captcha',
+  ],
+
+  captchaText: /verify (that )?you('re| are) (a )?human|are you a robot|complete the security check/i,
+
+  bannerPatterns: [
+    /too many (applications|requests|attempts)/i,
+    /(reached|exceeded) (the |your )?(daily |maximum )?(application |submission )?limit/i,
+    /unusual (activity|traffic)/i,
+    /rate limit/i,
+    /please (try again|wait) (later|a few minutes)/i,
+  ],
+
+  // Where sites put throttling notices; the whole body is only read on short (error) pages
+  bannerSelectors: '[role="alert"], .alert, .banner, .notice, [class*="error" i], [class*="alert" i], [class*="toast" i]',
+
+  // { [domainKey]: { platform, slowdown, slowdownAt, signals, lastSignal, lastSignalAt, blockedUntil, cleanStreak, updatedAt } }
+  domains: {},
+
+  // Signal types already recorded for the current page (content scripts)
+  pageSignals: new Set(),
+
+  domainWrites: Promise.resolve(),
+
   // Track session state
   sessionState: {
     totalApplications: 0,
@@ -60,10 +123,50 @@ const RateLimiter = {
   },
 
   /**
-   * Get limits for a platform
+   * Get limits for a platform, or for an employer domain (its platform's limits scaled by what it has taught us)
    */
   getLimits(platform) {
-    return this.limits[platform] || this.limits.default;
+    if (this.limits[platform]) return this.limits[platform];
+
+    const base = this.limits[this.platformForDomain(platform)] || this.limits.default;
+    const slowdown = this.getSlowdown(platform);
+    if (slowdown <= 1) return base;
+
+    return {
+      requestsPerMinute: Math.max(1, Math.floor(base.requestsPerMinute / slowdown)),
+      minDelay: Math.round(base.minDelay * slowdown),
+      maxDelay: Math.round(base.maxDelay * slowdown),
+      cooldownAfter: Math.max(3, Math.floor(base.cooldownAfter / slowdown)),
+      cooldownDuration: Math.round(base.cooldownDuration * slowdown),
+      maxConcurrent: Math.max(1, Math.floor(base.maxConcurrent / slowdown)),
+    };
+  },
+
+  /**
+   * Employer key for a URL: the hostname, plus the company slug on shared ATS hosts
+   * (boards.greenhouse.io/acme, jobs.lever.co/acme) where one host serves every employer
+   */
+  getDomainKey(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      const host = hostname.replace(/^www\./, '');
+      if (/(^|\.)(greenhouse\.io|lever\.co|ashbyhq\.com|smartrecruiters\.com|workable\.com)$/.test(host)) {
+        const tenant = pathname.split('/').filter(Boolean)[0];
+        if (tenant) return `${host}/${tenant.toLowerCase()}`;
+      }
+      return host;
+    } catch (e) {
+      return 'default';
+    }
+  },
+
+  platformForDomain(domainKey) {
+    if (/linkedin\.com/.test(domainKey)) return 'linkedin';
+    if (/indeed\.com/.test(domainKey)) return 'indeed';
+    if (/greenhouse\.io/.test(domainKey)) return 'greenhouse';
+    if (/lever\.co/.test(domainKey)) return 'lever';
+    if (/workday\.com|myworkdayjobs\.com/.test(domainKey)) return 'workday';
+    return 'default';
   },
 
   /**
@@ -93,15 +196,25 @@ const RateLimiter = {
 
   /**
    * Check if we're rate limited
+   * @param {Object} [options] - quiet: skip logging (schedulers polling several domains)
    */
-  isRateLimited(platform) {
+  isRateLimited(platform, { quiet = false } = {}) {
+    const log = (message) => { if (!quiet) console.log(message); };
     const limits = this.getLimits(platform);
     const history = this.getHistory(platform);
     
+    // Back-off the site asked for (429, CAPTCHA, limit banner)
+    const blockedUntil = this.domains[platform]?.blockedUntil;
+    if (blockedUntil > Date.now()) {
+      const remaining = Math.ceil((blockedUntil - Date.now()) / 1000);
+      log(`QuantumHire AI: ${platform} backing off for ${remaining}s after ${this.domains[platform].lastSignal}`);
+      return { limited: true, reason: 'backoff', remainingSeconds: remaining };
+    }
+    
     // Check cooldown
     if (history.inCooldown && history.cooldownEnds > Date.now()) {
       const remaining = Math.ceil((history.cooldownEnds - Date.now()) / 1000);
-      console.log(`QuantumHire AI: ${platform} in cooldown for ${remaining}s`);
+      log(`QuantumHire AI: ${platform} in cooldown for ${remaining}s`);
       return { limited: true, reason: 'cooldown', remainingSeconds: remaining };
     } else if (history.inCooldown) {
       // Cooldown ended
@@ -118,7 +231,7 @@ const RateLimiter = {
       const oldestRequest = history.requests[0];
       const waitTime = oldestRequest + 60000 - Date.now();
       if (waitTime > 0) {
-        console.log(`QuantumHire AI: ${platform} rate limited, wait ${Math.ceil(waitTime/1000)}s`);
+        log(`QuantumHire AI: ${platform} rate limited, wait ${Math.ceil(waitTime/1000)}s`);
         return { limited: true, reason: 'rate_limit', waitMs: waitTime };
       }
     }
@@ -127,7 +240,7 @@ const RateLimiter = {
     if (history.consecutiveCount >= limits.cooldownAfter) {
       history.inCooldown = true;
       history.cooldownEnds = Date.now() + limits.cooldownDuration;
-      console.log(`QuantumHire AI: ${platform} cooldown triggered for ${limits.cooldownDuration/1000}s`);
+      log(`QuantumHire AI: ${platform} cooldown triggered for ${limits.cooldownDuration/1000}s`);
       return { 
         limited: true, 
         reason: 'cooldown_triggered', 
@@ -138,6 +251,13 @@ const RateLimiter = {
     return { limited: false };
   },
 
+  /**
+   * How many tabs a bulk run may have open at once on this domain's platform
+   */
+  getConcurrency(domainKey) {
+    return this.getLimits(domainKey).maxConcurrent;
+  },
+
   /**
    * Calculate delay before next request
    */
@@ -186,14 +306,19 @@ const RateLimiter = {
 
   /**
    * Wait for rate limit if needed
+   * @param {Object} [options]
+   * @param {Function} [options.isCancelled] - Checked every second; returning true ends the wait early
    */
-  async waitIfLimited(platform) {
+  async waitIfLimited(platform, { isCancelled = null } = {}) {
     const status = this.isRateLimited(platform);
     
     if (status.limited) {
       const waitTime = status.waitMs || (status.remainingSeconds * 1000) || 30000;
       console.log(`QuantumHire AI: Waiting ${waitTime/1000}s due to rate limit`);
-      await new Promise(r => setTimeout(r, waitTime));
+      const waitUntil = Date.now() + waitTime;
+      while (Date.now() < waitUntil && !isCancelled?.()) {
+        await new Promise(r => setTimeout(r, Math.min(1000, waitUntil - Date.now())));
+      }
       return true;
     }
     
@@ -223,7 +348,235 @@ const RateLimiter = {
     this.recordRequest(platform);
     
     // Execute
-    return fn();
+    const result = await fn();
+    this.recordSuccess(platform);
+    return result;
+  },
+
+  // ============ ADAPTIVE PACING ============
+
+  getDomainState(domainKey) {
+    if (!this.domains[domainKey]) {
+      this.domains[domainKey] = {
+        platform: this.platformForDomain(domainKey),
+        slowdown: 1,
+        slowdownAt: Date.now(),
+        signals: {},
+        lastSignal: null,
+        lastSignalAt: null,
+        blockedUntil: null,
+        cleanStreak: 0,
+        updatedAt: Date.now(),
+      };
+    }
+    return this.domains[domainKey];
+  },
+
+  /**
+   * Current slowdown factor for a domain (1 = table limits), decayed toward 1 since it was last set
+   */
+  getSlowdown(domainKey) {
+    const state = this.domains[domainKey];
+    if (!state || state.slowdown <= 1) return 1;
+    const hours = (Date.now() - state.slowdownAt) / 3600000;
+    return 1 + (state.slowdown - 1) * Math.pow(0.5, hours / this.adaptive.halfLifeHours);
+  },
+
+  setSlowdown(state, domainKey, slowdown) {
+    state.slowdown = Math.max(1, Math.min(this.adaptive.maxSlowdown, slowdown));
+    state.slowdownAt = Date.now();
+    state.updatedAt = Date.now();
+  },
+
+  /**
+   * Record a throttling signal from a domain: slows it down, and for hard signals pauses it
+   * @param {string} type - 'http429' | 'captcha' | 'banner' | 'slowLoad'
+   * @param {Object} [detail]
+   * @param {number} [detail.retryAfterMs] - From a Retry-After header, when known
+   */
+  recordSignal(domainKey, type, { retryAfterMs = null } = {}) {
+    const rule = this.adaptive.signals[type];
+    if (!rule) return null;
+
+    const state = this.getDomainState(domainKey);
+    this.setSlowdown(state, domainKey, this.getSlowdown(domainKey) * rule.slowdown);
+    state.signals[type] = (state.signals[type] || 0) + 1;
+    state.lastSignal = type;
+    state.lastSignalAt = Date.now();
+    state.cleanStreak = 0;
+
+    if (rule.block) {
+      const blockMs = Math.max(retryAfterMs || 0, this.getLimits(domainKey).cooldownDuration, rule.minBlockMs || 0);
+      state.blockedUntil = Math.max(state.blockedUntil || 0, Date.now() + blockMs);
+    }
+
+    console.log(`QuantumHire AI: ${domainKey} sent ${type} - pacing ${state.slowdown.toFixed(2)}x` +
+                (rule.block ? `, paused until ${new Date(state.blockedUntil).toLocaleTimeString()}` : ''));
+    this.saveDomains();
+    return state;
+  },
+
+  /**
+   * Record a request that went through cleanly; a run of them eases a learned slowdown
+   * @param {Object} [detail]
+   * @param {number} [detail.loadMs] - Page load time; over adaptive.slowLoadMs counts as a slowLoad signal
+   */
+  recordSuccess(domainKey, { loadMs = null } = {}) {
+    if (loadMs > this.adaptive.slowLoadMs) {
+      this.recordSignal(domainKey, 'slowLoad');
+      return;
+    }
+
+    const state = this.domains[domainKey];
+    if (!state || state.slowdown <= 1) return;
+
+    state.cleanStreak++;
+    if (state.cleanStreak >= this.adaptive.recoverAfter) {
+      this.setSlowdown(state, domainKey, this.getSlowdown(domainKey) * this.adaptive.recoveryStep);
+      state.cleanStreak = 0;
+      console.log(`QuantumHire AI: ${domainKey} clean for ${this.adaptive.recoverAfter} requests - pacing ${state.slowdown.toFixed(2)}x`);
+    }
+    state.updatedAt = Date.now();
+    this.saveDomains();
+  },
+
+  /**
+   * Look at the current page for throttling signals and record them against its domain.
+   * Call once per page, after it has loaded.
+   * @returns {string[]} Signal types seen
+   */
+  checkPage() {
+    const domainKey = this.getDomainKey(location.href);
+    const seen = [];
+    const navigation = performance.getEntriesByType?.('navigation')?.[0];
+
+    if (navigation?.responseStatus === 429) seen.push('http429');
+
+    const visible = (el) => el && el.offsetParent !== null && el.getBoundingClientRect().width > 0;
+    if (this.captchaSelectors.some(selector => visible(document.querySelector(selector))) ||
+        this.captchaText.test(document.title)) {
+      seen.push('captcha');
+    }
+
+    const bodyText = document.body?.innerText || '';
+    const noticeText = [
+      document.title,
+      ...[...document.querySelectorAll(this.bannerSelectors)].filter(visible).map(el => el.innerText),
+      bodyText.length < 2000 ? bodyText : '',
+    ].join('\n');
+    if (this.bannerPatterns.some(pattern => pattern.test(noticeText))) seen.push('banner');
+    if (!seen.includes('captcha') && bodyText.length < 2000 && this.captchaText.test(bodyText)) seen.push('captcha');
+
+    const fresh = seen.filter(type => !this.pageSignals.has(type));
+    fresh.forEach(type => {
+      this.pageSignals.add(type);
+      this.recordSignal(domainKey, type);
+    });
+
+    if (seen.length === 0) {
+      this.recordSuccess(domainKey, { loadMs: navigation?.loadEventEnd || null });
+    }
+    return seen;
+  },
+
+  /**
+   * Record 429s on the page's own API calls (e.g. Workday's XHRs) as they happen
+   */
+  watchResponses() {
+    if (typeof PerformanceObserver === 'undefined' || this.responseObserver) return;
+
+    const domainKey = this.getDomainKey(location.href);
+    this.responseObserver = new PerformanceObserver((list) => {
+      if (this.pageSignals.has('http429')) return;
+      if (list.getEntries().some(entry => entry.responseStatus === 429)) {
+        this.pageSignals.add('http429');
+        this.recordSignal(domainKey, 'http429');
+      }
+    });
+    try {
+      this.responseObserver.observe({ type: 'resource', buffered: true });
+    } catch (e) {
+      this.responseObserver = null;
+    }
+  },
+
+  /**
+   * Learned pacing for display, most slowed first
+   */
+  getDomainSummary() {
+    return Object.entries(this.domains)
+      .map(([domain, state]) => ({
+        domain,
+        platform: state.platform,
+        slowdown: Number(this.getSlowdown(domain).toFixed(2)),
+        limits: this.getLimits(domain),
+        signals: state.signals,
+        lastSignal: state.lastSignal,
+        lastSignalAt: state.lastSignalAt,
+        blockedSeconds: state.blockedUntil > Date.now() ? Math.ceil((state.blockedUntil - Date.now()) / 1000) : 0,
+      }))
+      .sort((a, b) => b.blockedSeconds - a.blockedSeconds || b.slowdown - a.slowdown);
+  },
+
+  /**
+   * Newer entry per domain wins, so tabs writing at once don't undo each other
+   */
+  mergeDomains(current, incoming) {
+    const merged = { ...current };
+    for (const [domain, state] of Object.entries(incoming || {})) {
+      if (!merged[domain] || state.updatedAt >= merged[domain].updatedAt) merged[domain] = state;
+    }
+    return merged;
+  },
+
+  async loadDomains() {
+    try {
+      const data = await chrome.storage.local.get([this.storageKey]);
+      this.domains = this.mergeDomains(this.domains, data[this.storageKey]);
+    } catch (error) {
+      console.error('QuantumHire AI: Could not load learned rate limits:', error);
+    }
+
+    if (!this.storageListener && chrome.storage.onChanged) {
+      this.storageListener = (changes, area) => {
+        if (area === 'local' && changes[this.storageKey]) {
+          this.domains = this.mergeDomains(this.domains, changes[this.storageKey].newValue);
+        }
+      };
+      chrome.storage.onChanged.addListener(this.storageListener);
+    }
+  },
+
+  saveDomains() {
+    this.domainWrites = this.domainWrites.then(async () => {
+      const data = await chrome.storage.local.get([this.storageKey]);
+      const merged = this.mergeDomains(data[this.storageKey] || {}, this.domains);
+      // Forget the least recently touched domains past the cap
+      const kept = Object.entries(merged)
+        .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+        .slice(0, this.adaptive.maxDomains);
+      this.domains = Object.fromEntries(kept);
+      await chrome.storage.local.set({ [this.storageKey]: this.domains });
+    }).catch(error => console.error('QuantumHire AI: Could not save learned rate limits:', error));
+    return this.domainWrites;
+  },
+
+  /**
+   * Forget what a domain (or, without an argument, every domain) has taught us
+   */
+  async resetLearned(domainKey = null) {
+    if (domainKey) {
+      delete this.domains[domainKey];
+      this.history.delete(domainKey);
+    } else {
+      this.domains = {};
+    }
+    await this.domainWrites;
+    const data = await chrome.storage.local.get([this.storageKey]);
+    const stored = data[this.storageKey] || {};
+    if (domainKey) delete stored[domainKey];
+    await chrome.storage.local.set({ [this.storageKey]: domainKey ? stored : {} });
+    console.log(`QuantumHire AI: Learned rate limits cleared for ${domainKey || 'all domains'}`);
   },
 
   /**
@@ -255,6 +608,7 @@ const RateLimiter = {
     const stats = {
       ...this.sessionState,
       platformStats: {},
+      domains: this.getDomainSummary(),
     };
     
     for (const [platform, history] of this.history) {
@@ -293,3 +647,5 @@ const RateLimiter = {
 if (typeof window !== 'undefined') {
   window.QuantumHireRateLimiter = RateLimiter;
 }
+
+RateLimiter.loadDomains();
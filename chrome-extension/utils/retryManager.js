@@ -1,5 +1,10 @@
 // QuantumHire AI - Retry Manager with Exponential Backoff
 // Handles failed applications with intelligent retry logic
+//
+// Failed applications are classified (transient network, selector miss, CAPTCHA, login required,
+// job closed) and retried on that class's schedule. State lives in chrome.storage.local and the
+// background wakes itself with chrome.alarms, so scheduled retries survive service-worker restarts.
+// Whatever can't be retried automatically waits in the popup's Failed Applications list.
 
 const RetryManager = {
   // Retry configuration
@@ -11,61 +16,59 @@ const RetryManager = {
     jitterRange: 0.25,     // 25% random jitter
   },
 
+  storageKey: 'retryQueue',
+  ALARM_NAME: 'qh-retry-queue',
+
+  // Per-class retry policies; backoff doubles from baseDelay up to maxDelay
+  policies: {
+    transient: { retry: true, maxRetries: 5, baseDelay: 60 * 1000, maxDelay: 60 * 60 * 1000 },
+    // Give selector packs and healing time to catch up with the changed page
+    selector_miss: { retry: true, maxRetries: 2, baseDelay: 6 * 60 * 60 * 1000, maxDelay: 24 * 60 * 60 * 1000 },
+    captcha: { retry: true, maxRetries: 1, baseDelay: 2 * 60 * 60 * 1000, maxDelay: 2 * 60 * 60 * 1000 },
+    login_required: { retry: false },
+    job_closed: { retry: false },
+    // The worker stopped after the form may have been submitted - never re-run blind
+    interrupted: { retry: false },
+    unknown: { retry: true, maxRetries: 3, baseDelay: 5 * 60 * 1000, maxDelay: 60 * 60 * 1000 },
+  },
+
+  // First match wins - order matters ("Apply Manually option not found" is a selector miss, not a closed job)
+  classifiers: [
+    { failureClass: 'captcha', pattern: /captcha|verify (that )?you('re| are) (a )?human|are you a robot/i },
+    { failureClass: 'login_required', pattern: /login|log in|sign in|authenticat|unauthori[sz]ed|\b401\b|session expired|account_locked|no profile found|profile_incomplete|connect your account/i },
+    { failureClass: 'selector_miss', pattern: /element_not_found|dom_changed|selector|not found|no matching|could not (find|locate)|missing input|no (form|fields)/i },
+    { failureClass: 'job_closed', pattern: /job_closed|no longer (accepting|available)|(position|role|job) (has been |was )?(filled|closed|removed)|job (is )?closed|posting (has )?expired|already_applied|already applied|region_restricted|\b404\b|\b410\b/i },
+    { failureClass: 'transient', pattern: /network|fetch|timeout|timed out|\b5\d\d\b|temporar|unavailable|rate.?limit|throttl|\b429\b|could not communicate|page_load|server_error/i },
+  ],
+
   // Track retry state per job
+  // { attempts, lastError, lastAttempt, nextRetryTime, failureClass, status, job, history }
+  // status: 'scheduled' | 'retrying' | 'needs_attention' | 'closed' | 'abandoned'
   retryState: new Map(),
 
-  // Errors that shouldn't be retried
-  nonRetryableErrors: [
-    'CAPTCHA',
-    'account_locked',
-    'job_closed',
-    'already_applied',
-    'authentication_required',
-    'profile_incomplete',
-    'region_restricted',
-  ],
+  writes: Promise.resolve(),
 
-  // Errors that should be retried
-  retryableErrors: [
-    'network_error',
-    'timeout',
-    'rate_limited',
-    'server_error',
-    'page_load_failed',
-    'element_not_found',
-    'dom_changed',
-  ],
+  // Set by load(); until then (e.g. in content scripts) state stays in memory and never overwrites the stored queue
+  persistent: false,
 
   /**
-   * Check if an error is retryable
+   * Sort an error into one of the policy classes
    */
-  isRetryable(error) {
-    const errorStr = String(error).toLowerCase();
-    
-    // Check for non-retryable errors first
-    if (this.nonRetryableErrors.some(e => errorStr.includes(e.toLowerCase()))) {
-      return false;
-    }
-
-    // Check for retryable errors
-    if (this.retryableErrors.some(e => errorStr.includes(e.toLowerCase()))) {
-      return true;
-    }
-
-    // Network errors are retryable
-    if (errorStr.includes('network') || errorStr.includes('fetch')) {
-      return true;
-    }
+  classify(error) {
+    const errorStr = String(error?.message || error || '');
+    const match = this.classifiers.find(({ pattern }) => pattern.test(errorStr));
+    return match ? match.failureClass : 'unknown';
+  },
 
-    // 5xx server errors are retryable
-    if (errorStr.match(/5\d\d/)) {
-      return true;
-    }
+  getPolicy(failureClass) {
+    return this.policies[failureClass] || this.policies.unknown;
+  },
 
-    // Default: retry transient-looking errors
-    return errorStr.includes('timeout') || 
-           errorStr.includes('temporary') ||
-           errorStr.includes('unavailable');
+  /**
+   * Check if an error is retryable
+   */
+  isRetryable(error) {
+    return this.getPolicy(this.classify(error)).retry;
   },
 
   /**
@@ -78,6 +81,10 @@ const RetryManager = {
         lastError: null,
         lastAttempt: null,
         nextRetryTime: null,
+        failureClass: null,
+        status: null,
+        job: null,
+        history: [],
       });
     }
     return this.retryState.get(jobId);
@@ -85,9 +92,11 @@ const RetryManager = {
 
   /**
    * Calculate delay with exponential backoff and jitter
+   * @param {Object} [policy] - A class policy; defaults to the inline config
    */
-  calculateDelay(attempt) {
-    const { baseDelay, maxDelay, backoffMultiplier, jitterRange } = this.config;
+  calculateDelay(attempt, policy = this.config) {
+    const { baseDelay, maxDelay } = policy;
+    const { backoffMultiplier, jitterRange } = this.config;
     
     // Exponential backoff
     let delay = baseDelay * Math.pow(backoffMultiplier, attempt);
@@ -105,18 +114,19 @@ const RetryManager = {
   /**
    * Should we retry this job?
    */
-  shouldRetry(jobId, error) {
+  shouldRetry(jobId, error, failureClass = this.classify(error)) {
     const state = this.getState(jobId);
-    
-    // Check max retries
-    if (state.attempts >= this.config.maxRetries) {
-      console.log(`QuantumHire AI: Max retries (${this.config.maxRetries}) reached for job ${jobId}`);
+    const policy = this.getPolicy(failureClass);
+
+    // Check if error is retryable
+    if (!policy.retry) {
+      console.log(`QuantumHire AI: Non-retryable ${failureClass} error for job ${jobId}:`, error);
       return false;
     }
 
-    // Check if error is retryable
-    if (!this.isRetryable(error)) {
-      console.log(`QuantumHire AI: Non-retryable error for job ${jobId}:`, error);
+    // Check max retries
+    if (state.attempts >= policy.maxRetries) {
+      console.log(`QuantumHire AI: Max retries (${policy.maxRetries}) reached for ${failureClass} job ${jobId}`);
       return false;
     }
 
@@ -125,33 +135,50 @@ const RetryManager = {
 
   /**
    * Record a failed attempt
+   * @param {Object} [job] - The queued job ({ url, title, company, ... }) so it can be re-run later
+   * @param {Object} [options]
+   * @param {string} [options.failureClass] - Skip classification when the caller already knows the class
    */
-  recordFailure(jobId, error) {
+  recordFailure(jobId, error, job = null, { failureClass = this.classify(error) } = {}) {
     const state = this.getState(jobId);
     
     state.attempts++;
-    state.lastError = String(error);
+    state.lastError = String(error?.message || error || 'Unknown error');
     state.lastAttempt = Date.now();
+    state.failureClass = failureClass;
+    if (job) {
+      const { status, error: jobError, ...rest } = job;
+      state.job = rest;
+    }
+    state.history = [...(state.history || []), { at: state.lastAttempt, failureClass, error: state.lastError }].slice(-10);
     
-    if (this.shouldRetry(jobId, error)) {
-      const delay = this.calculateDelay(state.attempts);
+    if (this.shouldRetry(jobId, error, failureClass)) {
+      const delay = this.calculateDelay(state.attempts - 1, this.getPolicy(failureClass));
       state.nextRetryTime = Date.now() + delay;
+      state.status = 'scheduled';
       
-      console.log(`QuantumHire AI: Job ${jobId} failed (attempt ${state.attempts}). ` +
-                  `Retry in ${delay/1000}s`);
+      console.log(`QuantumHire AI: Job ${jobId} failed with ${failureClass} (attempt ${state.attempts}). ` +
+                  `Retry in ${Math.round(delay/1000)}s`);
+      this.save();
       
       return {
         shouldRetry: true,
         delay,
         nextRetryTime: state.nextRetryTime,
         attempts: state.attempts,
+        failureClass,
       };
     }
 
+    state.nextRetryTime = null;
+    state.status = failureClass === 'job_closed' ? 'closed' : 'needs_attention';
+    this.save();
+
     return {
       shouldRetry: false,
       attempts: state.attempts,
-      reason: state.attempts >= this.config.maxRetries ? 'max_retries' : 'non_retryable',
+      failureClass,
+      reason: this.getPolicy(failureClass).retry ? 'max_retries' : 'non_retryable',
     };
   },
 
@@ -159,7 +186,9 @@ const RetryManager = {
    * Record a successful attempt
    */
   recordSuccess(jobId) {
+    if (!this.retryState.has(jobId)) return;
     this.retryState.delete(jobId);
+    this.save();
     console.log(`QuantumHire AI: Job ${jobId} succeeded, cleared retry state`);
   },
 
@@ -168,6 +197,7 @@ const RetryManager = {
    */
   clear(jobId) {
     this.retryState.delete(jobId);
+    this.save();
   },
 
   /**
@@ -175,6 +205,7 @@ const RetryManager = {
    */
   clearAll() {
     this.retryState.clear();
+    this.save();
   },
 
   /**
@@ -185,7 +216,7 @@ const RetryManager = {
     const ready = [];
     
     for (const [jobId, state] of this.retryState) {
-      if (state.nextRetryTime && state.nextRetryTime <= now) {
+      if (state.status === 'scheduled' && state.nextRetryTime && state.nextRetryTime <= now) {
         ready.push({ jobId, ...state });
       }
     }
@@ -193,6 +224,133 @@ const RetryManager = {
     return ready;
   },
 
+  // ============ PERSISTENCE & WAKEUPS ============
+
+  async load() {
+    try {
+      const data = await chrome.storage.local.get([this.storageKey]);
+      this.retryState = new Map(Object.entries(data[this.storageKey] || {}));
+
+      // A worker that died mid-retry never reported back; put those back on the schedule
+      for (const state of this.retryState.values()) {
+        if (state.status === 'retrying') {
+          state.status = 'scheduled';
+          state.nextRetryTime = Date.now();
+        }
+      }
+      this.persistent = true;
+    } catch (error) {
+      console.error('QuantumHire AI: Could not load retry queue:', error);
+    }
+    this.scheduleAlarm();
+    return this.retryState;
+  },
+
+  save() {
+    if (!this.persistent) return this.writes;
+
+    // Abandoned entries are kept a month so the same job isn't silently re-queued
+    const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    for (const [jobId, state] of this.retryState) {
+      if (state.status === 'abandoned' && state.lastAttempt < cutoff) this.retryState.delete(jobId);
+    }
+
+    const snapshot = Object.fromEntries(this.retryState);
+    this.writes = this.writes
+      .then(() => chrome.storage.local.set({ [this.storageKey]: snapshot }))
+      .catch(error => console.error('QuantumHire AI: Could not save retry queue:', error));
+    this.scheduleAlarm();
+    return this.writes;
+  },
+
+  /**
+   * Point the wakeup alarm at the next scheduled retry (background only - content scripts have no alarms API)
+   * @param {number} [at] - Override the wake time, e.g. to look again after a bulk run
+   */
+  scheduleAlarm(at = null) {
+    if (typeof chrome === 'undefined' || !chrome.alarms) return;
+
+    const next = at || Math.min(...[...this.retryState.values()]
+      .filter(state => state.status === 'scheduled' && state.nextRetryTime)
+      .map(state => state.nextRetryTime));
+
+    if (!Number.isFinite(next)) {
+      chrome.alarms.clear(this.ALARM_NAME);
+      return;
+    }
+    // Chrome won't fire alarms sooner than 30s out
+    chrome.alarms.create(this.ALARM_NAME, { when: Math.max(next, Date.now() + 30000) });
+  },
+
+  /**
+   * Claim every due retry; they stay 'retrying' until recordFailure/recordSuccess reports back
+   */
+  takeDue() {
+    const due = this.getReadyForRetry().filter(entry => entry.job);
+    due.forEach(({ jobId }) => { this.retryState.get(jobId).status = 'retrying'; });
+    if (due.length) this.save();
+    return due;
+  },
+
+  /**
+   * Put claimed retries that never ran (the run was stopped) back on the schedule
+   */
+  releaseUnfinished(jobIds, delay = 0) {
+    const unfinished = jobIds.filter(jobId => this.retryState.get(jobId)?.status === 'retrying');
+    unfinished.forEach(jobId => {
+      const state = this.retryState.get(jobId);
+      state.status = 'scheduled';
+      state.nextRetryTime = Date.now() + delay;
+    });
+    if (unfinished.length) this.save();
+    return unfinished;
+  },
+
+  // ============ FAILED APPLICATIONS VIEW ============
+
+  /**
+   * Failed applications for display, most recent first
+   */
+  list({ includeAbandoned = false } = {}) {
+    return [...this.retryState.entries()]
+      .filter(([, state]) => state.job && (includeAbandoned || state.status !== 'abandoned'))
+      .map(([jobId, state]) => ({ jobId, ...state }))
+      .sort((a, b) => b.lastAttempt - a.lastAttempt);
+  },
+
+  /**
+   * Update the stored job (URL, title, company, ...) without retrying it
+   */
+  edit(jobId, changes = {}) {
+    const state = this.retryState.get(jobId);
+    if (!state) return null;
+    state.job = { ...state.job, ...changes };
+    this.save();
+    return state;
+  },
+
+  /**
+   * Queue a failed application to run at the next wakeup, whatever its class's policy says
+   */
+  retryNow(jobId, changes = null) {
+    const state = this.retryState.get(jobId);
+    if (!state) return null;
+    if (changes) state.job = { ...state.job, ...changes };
+    state.status = 'scheduled';
+    state.nextRetryTime = Date.now();
+    this.save();
+    return state;
+  },
+
+  abandon(jobId) {
+    const state = this.retryState.get(jobId);
+    if (!state) return null;
+    state.status = 'abandoned';
+    state.nextRetryTime = null;
+    this.save();
+    return state;
+  },
+
   /**
    * Wait for retry delay
    */
@@ -222,7 +380,8 @@ const RetryManager = {
       } catch (error) {
         const retryInfo = this.recordFailure(jobId, error);
         
-        if (retryInfo.shouldRetry) {
+        // Long class backoffs are left to the alarm rather than held in memory
+        if (retryInfo.shouldRetry && retryInfo.delay <= this.config.maxDelay) {
           if (onRetry) {
             onRetry(retryInfo);
           }
@@ -238,6 +397,9 @@ const RetryManager = {
           success: false,
           error: String(error),
           attempts: retryInfo.attempts,
+          failureClass: retryInfo.failureClass,
+          scheduled: retryInfo.shouldRetry,
+          nextRetryTime: retryInfo.nextRetryTime,
           reason: retryInfo.reason,
         };
       }
@@ -252,6 +414,8 @@ const RetryManager = {
       totalTracked: this.retryState.size,
       pendingRetries: 0,
       byAttempts: {},
+      byClass: {},
+      byStatus: {},
     };
 
     for (const [, state] of this.retryState) {
@@ -260,6 +424,8 @@ const RetryManager = {
       }
       const key = `attempt_${state.attempts}`;
       stats.byAttempts[key] = (stats.byAttempts[key] || 0) + 1;
+      if (state.failureClass) stats.byClass[state.failureClass] = (stats.byClass[state.failureClass] || 0) + 1;
+      if (state.status) stats.byStatus[state.status] = (stats.byStatus[state.status] || 0) + 1;
     }
 
     return stats;
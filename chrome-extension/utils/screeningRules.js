@@ -0,0 +1,570 @@
+// QuantumHire AI - Screening Rules
+// GENERATED by `npm run build:rules` from supabase/functions/_shared/screening-rules - edit the
+// engine and packs there, not this file.
+//
+// Answers common screening questions from the profile, offline:
+//   QuantumHireRules.answer({ label, options }, profile, { locale, company })
+//     -> { answer, selectValue, option, confidence, atsScore, reasoning, fromProfile, rule, topic } or null
+//   QuantumHireRules.matchOption(options, answer, selectValue)
+//     -> index of the option to pick (exact label/value, then whole words - never a substring) or -1
+//   A disclosure question the profile's disclosure_policy leaves to the user comes back
+//   { withheld: true, answer: '' }: don't fill it and don't send it to answer-questions.
+
+(function (global) {
+  'use strict';
+  const exports = {};
+
+  // Screening rule engine shared by answer-questions and the QuantumHire extension.
+  // Rule packs (packs/*.json) answer the common screening questions - work authorization,
+  // sponsorship, relocation, salary, notice period, EEO, contact details - from the profile,
+  // without a model call. Voluntary disclosures (EEO, criminal history, prior employment) only
+  // ever follow the profile's disclosure_policy, see answerDisclosure(). Kept free of Deno and DOM APIs: the extension runs a transpiled
+  // copy (npm run build:rules) and eval/rules.mjs runs it in Node.
+  exports.FALLBACK_LOCALE = exports.DISCLOSURE_CATEGORIES = void 0;
+  exports.matchOption = matchOption;
+  exports.normalizeLocale = normalizeLocale;
+  exports.resolvePacks = resolvePacks;
+  exports.answerQuestion = answerQuestion;
+  exports.answerQuestions = answerQuestions;
+  // Voluntary-disclosure categories, each with its own choice in profiles.disclosure_policy
+  exports.DISCLOSURE_CATEGORIES = [
+      'gender',
+      'ethnicity',
+      'veteran',
+      'disability',
+      'criminal_history',
+      'prior_employment',
+  ];
+  exports.FALLBACK_LOCALE = 'en';
+  const DEFAULT_ATS_SCORE = 95;
+  const EUROPEAN_COUNTRIES = [
+      'ireland', 'united kingdom', 'uk', 'germany', 'france', 'spain', 'italy', 'netherlands', 'belgium', 'sweden',
+      'norway', 'denmark', 'finland', 'switzerland', 'austria', 'portugal', 'poland', 'czech', 'czech republic',
+      'romania', 'bulgaria', 'greece', 'hungary', 'slovakia', 'slovenia', 'croatia', 'serbia', 'bosnia', 'estonia',
+      'latvia', 'lithuania',
+  ];
+  const regexCache = new Map();
+  function compile(pattern) {
+      let regex = regexCache.get(pattern);
+      if (!regex) {
+          regex = new RegExp(pattern, 'i');
+          regexCache.set(pattern, regex);
+      }
+      return regex;
+  }
+  function normalizeText(text) {
+      return String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+  // phrase as whole words of text: "male" is in "Male (he/him)" but not in "Female"
+  function containsPhrase(text, phrase) {
+      const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(text);
+  }
+  /**
+   * Index of the option an answer picks, or -1. An exact label or value anywhere in the group
+   * wins; then an option containing the answer as whole words; then, only when exactly one option
+   * qualifies, an option named in a longer answer ("Yes, I am authorized" picks "Yes").
+   * Never a bare substring, so the answer "Male" doesn't pick a "Female" listed first.
+   */
+  function matchOption(options, answer, selectValue) {
+      const wanted = [answer, selectValue].map(normalizeText).filter(Boolean);
+      if (!wanted.length)
+          return -1;
+      const texts = options.map(option => (Array.isArray(option) ? option : [option]).map(normalizeText).filter(Boolean));
+      const exact = texts.findIndex(alternatives => alternatives.some(text => wanted.includes(text)));
+      if (exact !== -1)
+          return exact;
+      const containing = texts.findIndex(alternatives => alternatives.some(text => wanted.some(phrase => containsPhrase(text, phrase))));
+      if (containing !== -1)
+          return containing;
+      const named = texts
+          .map((alternatives, i) => (alternatives.some(text => wanted.some(phrase => containsPhrase(phrase, text))) ? i : -1))
+          .filter(i => i !== -1);
+      return named.length === 1 ? named[0] : -1;
+  }
+  /**
+   * "de_de", "DE-de" and "de-DE" all become "de-DE"; empty becomes the fallback locale
+   */
+  function normalizeLocale(locale) {
+      const [language, region] = (locale || '').trim().replace(/_/g, '-').split('-');
+      if (!language)
+          return exports.FALLBACK_LOCALE;
+      return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+  }
+  /**
+   * Packs consulted for a locale, most specific first: en-GB → [en-GB, en], de-AT → [de, en].
+   * English is always last because multinational ATS forms ask in English whatever the page language.
+   */
+  function resolvePacks(packs, locale) {
+      const normalized = normalizeLocale(locale);
+      const language = normalized.split('-')[0];
+      const order = [normalized, language, exports.FALLBACK_LOCALE];
+      const resolved = [];
+      for (const code of order) {
+          const pack = packs.find(p => normalizeLocale(p.locale) === code);
+          if (pack && !resolved.includes(pack))
+              resolved.push(pack);
+      }
+      return resolved;
+  }
+  function toCamelCase(field) {
+      return field.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+  }
+  function isPresent(value) {
+      return value !== null && value !== undefined && value !== '';
+  }
+  /**
+   * Read a profile field whichever convention the caller uses: the extension stores the
+   * profiles row (expected_salary), answer-questions receives camelCase (expectedSalary)
+   */
+  function readProfile(profile, field, keepFalse = false) {
+      for (const key of [field, field.replace(/_/g, ''), toCamelCase(field), field.toLowerCase()]) {
+          const value = profile[key];
+          if (isPresent(value) && (keepFalse || value !== false))
+              return value;
+      }
+      return undefined;
+  }
+  function profileText(profile, field) {
+      const value = readProfile(profile, field);
+      return value === undefined ? '' : String(value);
+  }
+  function fromText(answer) {
+      return { answer, selectValue: answer.toLowerCase() };
+  }
+  function yesNo(pack, value) {
+      return fromText(value ? pack.yes : pack.no);
+  }
+  function workExperienceText(profile) {
+      const experience = readProfile(profile, 'work_experience');
+      if (!Array.isArray(experience))
+          return '';
+      return experience
+          .map((e) => `${e?.title || ''} ${e?.company || ''} ${e?.description || ''} ${(e?.bullets || []).join(' ')}`)
+          .join(' ')
+          .toLowerCase();
+  }
+  const HANDLERS = {
+      pronouns(profile) {
+          const gender = profileText(profile, 'gender').toLowerCase();
+          if (gender.includes('female'))
+              return { answer: 'She/Her', selectValue: 'she/her', fromProfile: true };
+          if (gender.includes('male'))
+              return { answer: 'He/Him', selectValue: 'he/him', fromProfile: true };
+          if (gender.includes('non-binary'))
+              return { answer: 'They/Them', selectValue: 'they/them', fromProfile: true };
+          return null;
+      },
+      // Yes when a work_experience company is the one asked about; without any experience we can't say
+      priorEmployment(profile, rule, pack, context) {
+          const applyingTo = (context.company || '').toLowerCase().trim();
+          const experience = readProfile(profile, 'work_experience');
+          if ((!rule.employer && !applyingTo) || !Array.isArray(experience) || experience.length === 0)
+              return null;
+          const worked = experience.some((e) => {
+              const company = String(e?.company || '').toLowerCase().trim();
+              if (!company)
+                  return false;
+              if (rule.employer)
+                  return compile(rule.employer).test(company);
+              return company.includes(applyingTo) || applyingTo.includes(company);
+          });
+          return { ...yesNo(pack, worked), fromProfile: true };
+      },
+      basedInEurope(profile, rule, pack) {
+          const country = profileText(profile, 'country').toLowerCase();
+          const inEurope = !!country && EUROPEAN_COUNTRIES.some(c => country.includes(c));
+          return inEurope ? yesNo(pack, true) : fromText(rule.default || pack.no);
+      },
+      speakGerman(profile, rule, pack) {
+          const raw = readProfile(profile, 'languages');
+          const languages = (Array.isArray(raw)
+              ? raw.map((l) => (typeof l === 'string' ? l : l?.name || l?.language || '')).join(', ')
+              : raw ? String(raw) : '').toLowerCase();
+          const speaks = languages.includes('german') || languages.includes('deutsch');
+          return speaks ? yesNo(pack, true) : fromText(rule.default || pack.no);
+      },
+      b2bSaas(profile, rule, pack) {
+          const has = /saas|b2b|enterprise/.test(workExperienceText(profile));
+          return fromText(has ? pack.yes : (rule.default || pack.yes));
+      },
+      solutionsConsulting(profile, rule, pack) {
+          const has = /solutions consult|solution consult|consultant|pre-sales|presales|sales engineer|sales engineering/
+              .test(workExperienceText(profile));
+          return fromText(has ? pack.yes : (rule.default || pack.yes));
+      },
+      startDate(profile) {
+          const notice = profileText(profile, 'notice_period') || '2 weeks';
+          return {
+              answer: notice === 'Immediate' ? 'Immediately' : `Within ${notice}`,
+              selectValue: 'immediately',
+          };
+      },
+      fullName(profile) {
+          const fullName = `${profileText(profile, 'first_name')} ${profileText(profile, 'last_name')}`.trim();
+          return fullName ? { ...fromText(fullName), fromProfile: true } : null;
+      },
+  };
+  function fillTemplate(text, context) {
+      return text
+          .replace(/\{company\}/g, context.company || 'this company')
+          .replace(/\{jobTitle\}/g, context.jobTitle || 'this role');
+  }
+  function resolveFromProfile(rule, pack, profile) {
+      const fields = [rule.profileField, ...(rule.fallbackFields || [])];
+      const keepFalse = !!rule.disclosure;
+      let value;
+      for (const field of fields) {
+          value = readProfile(profile, field, keepFalse);
+          if (value !== undefined)
+              break;
+      }
+      if (value === undefined) {
+          return rule.default !== undefined && !rule.disclosure ? fromText(rule.default) : null;
+      }
+      if (value === true) {
+          return { ...(rule.booleanAnswers?.true || yesNo(pack, true)), fromProfile: true };
+      }
+      if (value === false) {
+          return { ...(rule.booleanAnswers?.false || yesNo(pack, false)), fromProfile: true };
+      }
+      const text = String(value);
+      const lower = text.toLowerCase();
+      const mapped = rule.valueMap?.find(entry => (entry.exact ? lower === entry.match : lower.includes(entry.match)));
+      if (mapped)
+          return { answer: mapped.answer, selectValue: mapped.selectValue, fromProfile: true };
+      return { answer: text, selectValue: lower, fromProfile: true };
+  }
+  function resolveRule(rule, pack, question, profile, context) {
+      if (rule.preferOptions && question.options?.length) {
+          // In preference order, so "Not important" never wins over "Very important"
+          for (const preferred of rule.preferOptions) {
+              const option = question.options.find(o => o.toLowerCase().includes(preferred));
+              if (option)
+                  return fromText(option);
+          }
+      }
+      if (rule.handler) {
+          const handler = HANDLERS[rule.handler];
+          return handler ? handler(profile, rule, pack, context) : null;
+      }
+      if (rule.profileField)
+          return resolveFromProfile(rule, pack, profile);
+      // An empty literal answer claims the question without answering it (e.g. name pronunciation)
+      if (!rule.answer)
+          return null;
+      return { answer: rule.answer, selectValue: rule.selectValue ?? rule.answer.toLowerCase() };
+  }
+  function disclosurePolicy(profile) {
+      const policy = readProfile(profile, 'disclosure_policy');
+      return policy && typeof policy === 'object' ? policy : {};
+  }
+  /**
+   * A disclosure question is answered only the way the user chose for its category: from their
+   * profile, or declined - with the form's own decline option when it has one, else in the wording
+   * of the page's country (en-GB "Prefer not to say" for a rule from the en pack).
+   * Without a choice, or a profile value to disclose, the answer is withheld - never a default.
+   */
+  function answerDisclosure(rule, pack, localePack, question, profile, context) {
+      const choice = disclosurePolicy(profile)[rule.disclosure];
+      if (choice === 'decline') {
+          const declineOptions = [...localePack.declineOptions, ...pack.declineOptions];
+          const option = question.options?.find(o => declineOptions.some(d => o.toLowerCase().includes(d)));
+          const sameLanguage = localePack.locale.split('-')[0] === pack.locale.split('-')[0];
+          return { ...fromText(option || rule.decline || (sameLanguage ? localePack : pack).decline), fromProfile: true };
+      }
+      if (choice === 'disclose') {
+          if (rule.handler)
+              return HANDLERS[rule.handler]?.(profile, rule, pack, context) || null;
+          if (rule.profileField)
+              return resolveFromProfile(rule, pack, profile);
+      }
+      return null;
+  }
+  function withOption(match, question) {
+      if (!question.options?.length)
+          return match;
+      const index = matchOption(question.options, match.answer, match.selectValue);
+      return index === -1 ? match : { ...match, option: question.options[index] };
+  }
+  /**
+   * Answer one question from the rule packs for the context's locale. The first rule whose
+   * pattern matches decides: its answer, or null when it needs profile data the user hasn't
+   * given - those questions are for answer-questions, never a later, looser rule. Disclosure
+   * questions always get a match, `withheld` when the policy leaves them to the user.
+   */
+  function answerQuestion(packs, question, profile, context = {}) {
+      const label = (question.label || '').toLowerCase().trim();
+      if (!label)
+          return null;
+      const localePacks = resolvePacks(packs, context.locale);
+      for (const pack of localePacks) {
+          for (const rule of pack.rules) {
+              if (!compile(rule.pattern).test(label))
+                  continue;
+              if (rule.exclude && compile(rule.exclude).test(label))
+                  continue;
+              if (rule.disclosure) {
+                  const disclosed = answerDisclosure(rule, pack, localePacks[0], question, profile || {}, context);
+                  if (!disclosed) {
+                      return {
+                          answer: '',
+                          selectValue: '',
+                          confidence: 'low',
+                          atsScore: 0,
+                          reasoning: `Voluntary disclosure (${rule.disclosure}) - not answered without a choice in your profile`,
+                          fromProfile: false,
+                          rule: `${pack.id}/${rule.topic}`,
+                          topic: rule.topic,
+                          disclosure: rule.disclosure,
+                          withheld: true,
+                      };
+                  }
+                  return withOption({
+                      answer: disclosed.answer,
+                      selectValue: disclosed.selectValue ?? disclosed.answer.toLowerCase(),
+                      confidence: 'high',
+                      atsScore: rule.atsScore ?? DEFAULT_ATS_SCORE,
+                      reasoning: rule.reasoning || `Disclosure policy ${pack.id}/${rule.topic}`,
+                      fromProfile: true,
+                      rule: `${pack.id}/${rule.topic}`,
+                      topic: rule.topic,
+                      disclosure: rule.disclosure,
+                  }, question);
+              }
+              const resolved = resolveRule(rule, pack, question, profile || {}, context);
+              if (!resolved)
+                  return null;
+              const answer = fillTemplate(resolved.answer, context);
+              return withOption({
+                  answer,
+                  selectValue: resolved.selectValue !== undefined ? fillTemplate(resolved.selectValue, context) : answer.toLowerCase(),
+                  confidence: rule.confidence || 'high',
+                  atsScore: rule.atsScore ?? DEFAULT_ATS_SCORE,
+                  reasoning: rule.reasoning || `Screening rule ${pack.id}/${rule.topic}`,
+                  fromProfile: !!resolved.fromProfile,
+                  rule: `${pack.id}/${rule.topic}`,
+                  topic: rule.topic,
+              }, question);
+          }
+      }
+      return null;
+  }
+  /**
+   * Answer every question a rule covers, keyed by question id (withheld disclosures included)
+   */
+  function answerQuestions(packs, questions, profile, context = {}) {
+      const answers = new Map();
+      for (const question of questions) {
+          const match = answerQuestion(packs, question, profile, context);
+          if (match)
+              answers.set(question.id, match);
+      }
+      return answers;
+  }
+
+  const RULE_PACKS = [
+    {"id":"de","locale":"de","description":"German-language screening questions (DACH job boards and ATS forms).","yes":"Ja","no":"Nein","decline":"Keine Angabe","declineOptions":["keine angabe","ohne angabe","nicht angeben","möchte ich nicht"],"rules":[
+      {"topic":"work-authorization","pattern":"arbeitserlaubnis|arbeitsgenehmigung|arbeitsberechtigung|berechtigt.*(zu )?arbeiten","answer":"Ja"},
+      {"topic":"sponsorship","pattern":"visum|blaue karte|aufenthaltstitel","profileField":"visa_required","default":"Nein"},
+      {"topic":"relocation","pattern":"umzug|umzuziehen|umziehen|standortwechsel","profileField":"willing_to_relocate","default":"Ja"},
+      {"topic":"expected-salary","pattern":"gehaltsvorstellung|gehaltswunsch|gehaltserwartung|jahresgehalt|gehalt","profileField":"expected_salary","confidence":"medium","atsScore":85},
+      {"topic":"notice-period","pattern":"kündigungsfrist|kuendigungsfrist","profileField":"notice_period","default":"3 Monate"},
+      {"topic":"start-date","pattern":"eintrittstermin|eintrittsdatum|frühest.*(eintritt|beginn|start)|verfügbar ab|starttermin","profileField":"available_from"},
+      {"topic":"driving-license","pattern":"führerschein|fuehrerschein|fahrerlaubnis","profileField":"driving_license","default":"Ja"},
+      {"topic":"german-language","pattern":"deutschkenntnisse|sprechen sie deutsch|deutsch.*(niveau|kenntnisse)","handler":"speakGerman","default":"Nein"},
+      {"topic":"source","pattern":"wie.*(aufmerksam|erfahren)|über welchen kanal","answer":"Unternehmenswebsite","preferOptions":["website","webseite","linkedin","xing","stepstone"],"atsScore":90},
+      {"topic":"privacy-notice","pattern":"datenschutz|einwilligung","answer":"Ja"},
+      {"topic":"gender","pattern":"geschlecht","disclosure":"gender","profileField":"gender","valueMap":[{"match":"female","answer":"Weiblich","selectValue":"weiblich"},{"match":"f","exact":true,"answer":"Weiblich","selectValue":"weiblich"},{"match":"non-binary","answer":"Divers","selectValue":"divers"},{"match":"prefer not","answer":"Keine Angabe","selectValue":"keine angabe"},{"match":"decline","answer":"Keine Angabe","selectValue":"keine angabe"},{"match":"male","answer":"Männlich","selectValue":"männlich"},{"match":"m","exact":true,"answer":"Männlich","selectValue":"männlich"}]},
+      {"topic":"disability","pattern":"schwerbehinder|behinderung|gleichgestellt","disclosure":"disability","profileField":"disability"},
+      {"topic":"criminal-conviction","pattern":"vorstrafe|vorbestraft|strafrechtlich|ermittlungsverfahren","disclosure":"criminal_history","profileField":"criminal_record"},
+      {"topic":"former-employee","pattern":"bereits (bei|für) .*(beschäftigt|tätig|gearbeitet)|ehemalige[rn]? (mitarbeiter|beschäftigte)|früher bei uns","disclosure":"prior_employment","handler":"priorEmployment"}
+    ]},
+    {"id":"en-GB","locale":"en-GB","description":"British spellings and conventions. Checked before the en pack on en-GB pages.","yes":"Yes","no":"No","decline":"Prefer not to say","declineOptions":["prefer not","decline","not wish","don't wish","not want to","rather not","choose not"],"rules":[
+      {"topic":"driving-license","pattern":"driving licen[cs]e|driver.*licence|full.*licence|clean licence|valid licence","profileField":"driving_license","default":"Yes"},
+      {"topic":"notice-period","pattern":"notice period|current.*notice|weeks.*notice|months.*notice|resignation.*period","profileField":"notice_period","default":"1 month"},
+      {"topic":"expected-salary","pattern":"salary.*expectation|expected.*salary|desired.*salary|salary.*requirement|salary.*range|pay.*expectation","profileField":"expected_salary","confidence":"medium","atsScore":85,"reasoning":"Expected salary from profile - no dollar default on UK forms"},
+      {"topic":"relocation","pattern":"willing.*relocate|open.*relocation|able.*relocate|consider.*relocating","profileField":"willing_to_relocate","default":"Yes"},
+      {"topic":"postcode","pattern":"^post ?code$|postal code","profileField":"zip_code"},
+      {"topic":"county","pattern":"^county$","profileField":"state"},
+      {"topic":"veteran","pattern":"armed forces|veteran|served in the (british|uk) (army|military|forces)|military service","disclosure":"veteran","profileField":"veteran_status"},
+      {"topic":"disability","pattern":"disability|disabled|long-term (health )?condition|equality act","disclosure":"disability","profileField":"disability"},
+      {"topic":"ethnicity","pattern":"ethnic group|ethnic origin|ethnicity|race","disclosure":"ethnicity","profileField":"race_ethnicity","valueMap":[{"match":"decline","answer":"Prefer not to say","selectValue":"prefer not"},{"match":"two or more","answer":"Mixed or multiple ethnic groups","selectValue":"mixed"},{"match":"white","answer":"White","selectValue":"white"},{"match":"black","answer":"Black, Black British, Caribbean or African","selectValue":"black"},{"match":"asian","answer":"Asian or Asian British","selectValue":"asian"}]},
+      {"topic":"criminal-conviction","pattern":"unspent.*conviction|criminal.*(conviction|record)|been convicted|rehabilitation of offenders","disclosure":"criminal_history","profileField":"criminal_record"}
+    ]},
+    {"id":"en","locale":"en","description":"Common English screening, knockout and profile questions. Every locale falls back to this pack.","yes":"Yes","no":"No","decline":"Decline to self-identify","declineOptions":["decline","prefer not","not wish","don't wish","not want to","rather not","choose not"],"rules":[
+      {"topic":"work-authorization","pattern":"legal documentation.*identity.*eligibility|legally authorized|eligib.*employed|right to work|authorization to work|authorised to work","exclude":"sponsor","answer":"Yes","selectValue":"yes"},
+      {"topic":"work-authorization","pattern":"authorized.*work.*united states|authorized.*work.*us|work.*authorization.*us|legally.*work.*us|eligible.*work.*us|can you work.*us","exclude":"sponsor","answer":"Yes","selectValue":"yes"},
+      {"topic":"work-authorization","pattern":"authorized.*work.*canada|authorized.*work.*uk|authorized.*work.*europe|work.*authorization|authorized.*work","exclude":"sponsor","answer":"Yes","selectValue":"yes"},
+      {"topic":"sponsorship","pattern":"require.*sponsorship|need.*sponsorship|sponsorship.*required|sponsor.*visa|visa.*sponsor|future.*sponsorship|now or.*future.*sponsor|employment.*sponsorship","profileField":"visa_required","default":"No"},
+      {"topic":"sponsorship","pattern":"sponsor.*h1b|h-1b.*sponsor|h1-b.*sponsor|need.*h1b|require.*h1b|tn.*visa|l1.*visa|o1.*visa|h1b|h-1b","profileField":"visa_required","default":"No"},
+      {"topic":"work-without-sponsorship","pattern":"work.*without.*sponsorship|employment.*without.*sponsorship","profileField":"visa_required","default":"Yes","booleanAnswers":{"true":{"answer":"No","selectValue":"no"}}},
+      {"topic":"age","pattern":"age 18|over 18|18 years|eighteen|at least 18|older than 18|minimum age|legal age|are you.*18|21 years|over 21|at least 21","answer":"Yes","selectValue":"yes"},
+      {"topic":"background-check","pattern":"background check|criminal background|background investigation|submit.*background|consent.*background|background screening|pre-employment.*background","answer":"Yes","selectValue":"yes"},
+      {"topic":"drug-screening","pattern":"drug screen|drug test|substance test|submit.*drug|pre-employment.*drug|toxicology|controlled substance","answer":"Yes","selectValue":"yes"},
+      {"topic":"driving-record-check","pattern":"motor vehicle|mvr.*check|driving record.*check","answer":"Yes","selectValue":"yes"},
+      {"topic":"credit-check","pattern":"credit check|credit history|financial background","answer":"Yes","selectValue":"yes"},
+      {"topic":"driving-license","pattern":"driver.*license|driving license|valid license|valid driver|possess.*license|current.*license|unrestricted.*license","profileField":"driving_license","default":"Yes"},
+      {"topic":"driving-record","pattern":"good driving|driving history|driving record|clean driving|safe driving","answer":"Yes","selectValue":"yes"},
+      {"topic":"transportation","pattern":"own.*vehicle|reliable.*transportation|access.*vehicle|means.*transportation|personal.*transportation","answer":"Yes","selectValue":"yes"},
+      {"topic":"relocation","pattern":"willing.*relocate|open.*relocation|relocate.*position|able.*relocate|consider.*relocating|move.*location","profileField":"willing_to_relocate","default":"Yes"},
+      {"topic":"start-date","pattern":"available.*start|start date|earliest.*start|when.*start|how soon|soonest.*start|when.*begin","answer":"Immediately","selectValue":"immediately"},
+      {"topic":"immediate-start","pattern":"immediate.*start|start immediately|available immediately","answer":"Yes","selectValue":"yes"},
+      {"topic":"notice-period","pattern":"notice period|current.*notice|weeks.*notice|days.*notice|resignation.*period","profileField":"notice_period","default":"2 weeks"},
+      {"topic":"currently-employed","pattern":"currently employed|presently working|actively working","answer":"Yes","selectValue":"yes"},
+      {"topic":"essential-functions","pattern":"essential functions|perform.*duties|physical requirements|able to perform|perform.*job|job.*functions","answer":"Yes","selectValue":"yes"},
+      {"topic":"accommodation","pattern":"reasonable accommodation|disability accommodation|with or without.*accommodation|request.*accommodation","answer":"Yes","selectValue":"yes"},
+      {"topic":"physical-demands","pattern":"lift.*pounds|carry.*lbs|physical demands|standing.*hours|sitting.*hours|walk.*hours|bend.*lift|push.*pull","answer":"Yes","selectValue":"yes"},
+      {"topic":"work-environment","pattern":"work.*environment|outdoor.*work|indoor.*work|office.*environment|warehouse.*environment|manufacturing.*environment","answer":"Yes","selectValue":"yes"},
+      {"topic":"travel","pattern":"willing.*travel|travel.*required|travel.*percent|overnight.*travel|domestic.*travel|international.*travel|business.*travel","answer":"Yes","selectValue":"yes"},
+      {"topic":"travel-percentage","pattern":"travel.*frequency|how much.*travel|percentage.*travel|amount.*travel","answer":"Up to 50%"},
+      {"topic":"weekends","pattern":"work.*weekends|weekend.*availability|weekend.*work|saturday.*sunday","answer":"Yes","selectValue":"yes"},
+      {"topic":"shifts","pattern":"work.*shifts|shift.*work|rotating.*shifts|night.*shift|evening.*shift|flexible.*hours","answer":"Yes","selectValue":"yes"},
+      {"topic":"overtime","pattern":"overtime|extra.*hours|additional.*hours|extended.*hours","answer":"Yes","selectValue":"yes"},
+      {"topic":"on-call","pattern":"on-call|on call|standby|pager.*duty|after.*hours.*support","answer":"Yes","selectValue":"yes"},
+      {"topic":"flexible-working","pattern":"flexible.*schedule|flexible.*working|hybrid.*work|remote.*work|work.*from.*home","answer":"Yes","selectValue":"yes"},
+      {"topic":"full-time","pattern":"full-time|full time|permanent.*position|permanent.*role","answer":"Yes","selectValue":"yes"},
+      {"topic":"former-employee","pattern":"employed by.*llc|employed by.*company|worked.*before|previous.*employee|ever been employed|formerly employed|worked.*previously|employed by.*before","disclosure":"prior_employment","handler":"priorEmployment"},
+      {"topic":"referral","pattern":"referred by|employee referral|know anyone|current employee.*refer|referral.*source","answer":"No","selectValue":"no"},
+      {"topic":"applied-before","pattern":"applied.*before|previously.*applied|past.*application|former.*applicant","answer":"No","selectValue":"no"},
+      {"topic":"interviewed-before","pattern":"interview.*before|interviewed.*previously","answer":"No","selectValue":"no"},
+      {"topic":"terms","pattern":"terms and conditions|agree.*terms|certification|certify|read and agree|responding.*yes.*certify|acknowledge|attestation","answer":"Yes","selectValue":"yes"},
+      {"topic":"confidentiality","pattern":"non-compete|non-disclosure|nda|confidentiality|confidential.*agreement|proprietary.*agreement","answer":"Yes","selectValue":"yes"},
+      {"topic":"data-consent","pattern":"agree.*policy|accept.*terms|consent.*processing|consent.*data|privacy.*consent|gdpr.*consent","answer":"Yes","selectValue":"yes"},
+      {"topic":"accuracy-certification","pattern":"truthful.*information|accurate.*information|certify.*accurate|information.*true","answer":"Yes","selectValue":"yes"},
+      {"topic":"at-will","pattern":"at-will.*employment|at will.*employment|employment.*at-will","answer":"Yes","selectValue":"yes"},
+      {"topic":"criminal-conviction","pattern":"convicted.*felony|criminal.*conviction|been convicted|pleaded guilty|pending.*charges|criminal.*record|arrest.*record","disclosure":"criminal_history","profileField":"criminal_record"},
+      {"topic":"criminal-history","pattern":"misdemeanor|criminal.*offense|criminal.*history","disclosure":"criminal_history","profileField":"criminal_record"},
+      {"topic":"security-clearance","pattern":"security clearance|clearance.*level|active.*clearance|current.*clearance|secret.*clearance|top secret|ts/sci|public trust","profileField":"security_clearance","default":"No, but willing to obtain"},
+      {"topic":"clearance-eligibility","pattern":"obtain.*clearance|eligible.*clearance|pass.*clearance|clearance.*investigation","answer":"Yes","selectValue":"yes"},
+      {"topic":"veteran","pattern":"veteran status|military service|protected veteran|veteran.*self|served.*military|us.*veteran|armed forces|vevraa","disclosure":"veteran","profileField":"veteran_status","booleanAnswers":{"true":{"answer":"I identify as one or more of the classifications of protected veteran","selectValue":"protected veteran"},"false":{"answer":"I am not a protected veteran"}}},
+      {"topic":"disability","pattern":"disability status|disabled|have.*disability|disability.*self|individual.*disability|form cc-305|voluntary.*disability","disclosure":"disability","profileField":"disability","decline":"I do not want to answer","booleanAnswers":{"true":{"answer":"Yes, I have a disability","selectValue":"yes"},"false":{"answer":"No, I don't have a disability"}}},
+      {"topic":"hispanic-latino","pattern":"hispanic.*latino|latino.*hispanic|are you hispanic|hispanic or latino","disclosure":"ethnicity","profileField":"hispanic_latino"},
+      {"topic":"race-ethnicity","pattern":"race|ethnicity|ethnic background|race.*ethnicity|racial.*identity|racial.*ethnic|african.*american|asian|caucasian|hispanic.*latino|white|black","disclosure":"ethnicity","profileField":"race_ethnicity","valueMap":[{"match":"black or african american","answer":"Black or African American","selectValue":"black"},{"match":"black","answer":"Black or African American","selectValue":"black"},{"match":"african american","answer":"Black or African American","selectValue":"black"},{"match":"white","answer":"White","selectValue":"white"},{"match":"caucasian","answer":"White","selectValue":"white"},{"match":"asian","answer":"Asian","selectValue":"asian"},{"match":"hispanic","answer":"Hispanic or Latino","selectValue":"hispanic"},{"match":"latino","answer":"Hispanic or Latino","selectValue":"hispanic"},{"match":"two or more races","answer":"Two or More Races","selectValue":"two or more"},{"match":"native american","answer":"American Indian or Alaska Native","selectValue":"native american"},{"match":"pacific islander","answer":"Native Hawaiian or Other Pacific Islander","selectValue":"pacific islander"},{"match":"decline","answer":"Decline to self-identify","selectValue":"decline"}]},
+      {"topic":"gender","pattern":"gender|sex|male.*female|gender.*identity|what is your gender|your gender","exclude":"transgender|sexual orientation|pronoun","disclosure":"gender","profileField":"gender","valueMap":[{"match":"female","answer":"Female","selectValue":"female"},{"match":"f","exact":true,"answer":"Female","selectValue":"female"},{"match":"non-binary","answer":"Non-binary","selectValue":"non-binary"},{"match":"prefer not","answer":"Prefer not to answer","selectValue":"prefer not to answer"},{"match":"decline","answer":"Decline to self-identify","selectValue":"decline"},{"match":"other","answer":"Other","selectValue":"other"},{"match":"male","answer":"Male","selectValue":"male"},{"match":"m","exact":true,"answer":"Male","selectValue":"male"}]},
+      {"topic":"sexual-orientation","pattern":"sexual orientation|lgbtq|lgbtqia","disclosure":"gender"},
+      {"topic":"former-employee","pattern":"worked.*microsoft|ever worked for microsoft|microsoft.*employee|microsoft.*vendor|employee or vendor.*microsoft","disclosure":"prior_employment","employer":"microsoft","handler":"priorEmployment"},
+      {"topic":"former-employee","pattern":"worked.*google|ever worked.*google|google.*employee","disclosure":"prior_employment","employer":"google","handler":"priorEmployment"},
+      {"topic":"former-employee","pattern":"worked.*amazon|ever worked.*amazon|amazon.*employee","disclosure":"prior_employment","employer":"amazon","handler":"priorEmployment"},
+      {"topic":"former-employee","pattern":"worked.*apple|ever worked.*apple|apple.*employee","disclosure":"prior_employment","employer":"apple","handler":"priorEmployment"},
+      {"topic":"former-employee","pattern":"worked.*meta|worked.*facebook|ever worked.*meta|meta.*employee","disclosure":"prior_employment","employer":"meta|facebook","handler":"priorEmployment"},
+      {"topic":"former-employee","pattern":"former.*motive|motive.*employee","disclosure":"prior_employment","employer":"motive","handler":"priorEmployment"},
+      {"topic":"country","pattern":"^country$|choose.*country|country.*located|country.*residence|current.*country|please choose the country","profileField":"country","default":"United States"},
+      {"topic":"city","pattern":"^location \\(city\\)$|city of residence|current city|location \\(city\\)","profileField":"city","default":"Remote"},
+      {"topic":"pronouns","pattern":"pronouns|what pronouns","disclosure":"gender","handler":"pronouns"},
+      {"topic":"based-in-europe","pattern":"are you based in europe|based in europe|located in europe","handler":"basedInEurope","default":"No"},
+      {"topic":"german-language","pattern":"do you speak german|speak german|german language","handler":"speakGerman","default":"No"},
+      {"topic":"privacy-notice","pattern":"^privacy notice$|privacy notice|privacy policy","answer":"Yes","selectValue":"yes"},
+      {"topic":"company-values","pattern":"transparency|committed to transparency|committed to innovation","answer":"Yes","selectValue":"yes"},
+      {"topic":"work-authorization","pattern":"work eligibility","answer":"Yes","selectValue":"yes"},
+      {"topic":"b2b-saas-experience","pattern":"high growth b2b tech saas|high-growth b2b|b2b saas","handler":"b2bSaas","default":"Yes"},
+      {"topic":"solutions-consulting-experience","pattern":"solutions consulting|solution consulting","handler":"solutionsConsulting","default":"Yes"},
+      {"topic":"us-citizenship","pattern":"u\\.s\\. citizen|us citizen|united states citizen|american citizen|citizenship.*u\\.s|require.*u\\.s\\. citizenship|security requirements.*u\\.s","answer":"No","selectValue":"no"},
+      {"topic":"age","pattern":"are you legally.*18|confirm.*legal age|minimum.*working age","answer":"Yes","selectValue":"yes"},
+      {"topic":"linkedin","pattern":"linkedin.*profile|linkedin url|linkedin.*url","profileField":"linkedin"},
+      {"topic":"github","pattern":"github.*profile|github url|github.*url","profileField":"github"},
+      {"topic":"portfolio","pattern":"portfolio.*url|website.*url|personal.*website","profileField":"portfolio"},
+      {"topic":"preferred-location","pattern":"where would you like to be based|where.*based|prefer.*location|preferred.*office|work.*location.*preference|which.*location|office.*location","profileField":"city","default":"Remote"},
+      {"topic":"us-person","pattern":"are you a us person|us person|born.*united states|parent.*born.*us|naturalised citizen.*us|green card.*holder|us tax resident","answer":"No","selectValue":"no"},
+      {"topic":"uk-right-to-work","pattern":"uk right to work|right to work.*uk|right to work status|confirm.*uk.*right.*work|uk work.*status|work.*uk.*status","answer":"Require sponsorship - Skilled Worker","selectValue":"require sponsorship"},
+      {"topic":"uk-right-to-work","pattern":"settled status|pre-settled status|share code|biometric residence","answer":"Require sponsorship - Skilled Worker","selectValue":"require sponsorship"},
+      {"topic":"uk-citizenship","pattern":"uk.*citizen|british citizen|irish citizen|eu citizen.*uk","answer":"No","selectValue":"no"},
+      {"topic":"neurodivergence","pattern":"neurodivergent|neurodiverse|adhd|autism|dyslexia|consider yourself.*neurodivergent","disclosure":"disability","decline":"I do not wish to answer"},
+      {"topic":"transgender","pattern":"transgender|identify as transgender|gender identity.*transgender","disclosure":"gender"},
+      {"topic":"privacy-notice","pattern":"candidate data privacy|data privacy notice|keeping.*data safe|privacy.*notice.*confirm|looked at.*privacy","answer":"Yes","selectValue":"yes"},
+      {"topic":"name-pronunciation","pattern":"spell out your name|name.*pronounced|pronunciation|how.*pronounce|how.*say.*name","answer":""},
+      {"topic":"former-employee","pattern":"have you ever worked for|previously.*employed.*by|past.*employment.*with","disclosure":"prior_employment","handler":"priorEmployment"},
+      {"topic":"employment-status","pattern":"current.*employment.*status|employment.*status|work.*status","answer":"Currently Employed","selectValue":"employed"},
+      {"topic":"source","pattern":"how did you hear|where did you find|source.*application|how.*learn.*position","answer":"Company Website","selectValue":"company website"},
+      {"topic":"motivation","pattern":"why.*interested|interest.*role|interest.*position|attracted.*role","answer":"I am passionate about this opportunity and believe my skills align perfectly with the requirements."},
+      {"topic":"shift-preference","pattern":"shift.*preference|preferred.*shift|work.*schedule.*preference","answer":"Flexible/Any","selectValue":"flexible"},
+      {"topic":"country","pattern":"country.*residence|residing.*country|current.*country","profileField":"country","default":"United States"},
+      {"topic":"highest-education","pattern":"highest.*degree|degree.*obtained|education.*level|completed.*degree|highest.*education","profileField":"highest_education","default":"Bachelor's Degree"},
+      {"topic":"bachelors-degree","pattern":"bachelor.*degree|undergraduate.*degree|college.*degree|university.*degree","answer":"Yes","selectValue":"yes"},
+      {"topic":"masters-degree","pattern":"master.*degree|graduate.*degree|advanced.*degree|mba|ms degree|ma degree","answer":"No","selectValue":"no"},
+      {"topic":"gpa","pattern":"gpa|grade point|academic.*average","answer":"3.5"},
+      {"topic":"certification","pattern":"certification.*required|required.*certification|professional.*certification|industry.*certification","answer":"Yes","selectValue":"yes"},
+      {"topic":"professional-license","pattern":"license.*required|professional.*license|state.*license","answer":"Yes","selectValue":"yes"},
+      {"topic":"proficiency-level","pattern":"proficiency.*level|skill.*level|expertise.*level|experience.*level","answer":"Expert","selectValue":"expert"},
+      {"topic":"total-experience","pattern":"years.*total.*experience|total.*years.*experience|overall.*experience","profileField":"total_experience","default":"8"},
+      {"topic":"expected-salary","pattern":"salary.*expectation|expected.*salary|desired.*salary|salary.*requirement|compensation.*expectation|pay.*expectation|desired.*pay|pay.*range|salary.*range","profileField":"expected_salary","default":"$75,000 - $95,000"},
+      {"topic":"current-salary","pattern":"current.*salary|present.*salary|current.*compensation|base.*salary","profileField":"current_salary","default":"Prefer not to disclose"},
+      {"topic":"hourly-rate","pattern":"hourly.*rate|rate.*per hour|hourly.*expectation","answer":"Negotiable based on total compensation"},
+      {"topic":"variable-compensation","pattern":"bonus.*eligible|variable.*compensation|commission","answer":"Yes","selectValue":"yes"},
+      {"topic":"english","pattern":"english.*proficiency|speak.*english|english.*fluent|english.*language","answer":"Fluent/Native","selectValue":"fluent"},
+      {"topic":"spanish","pattern":"spanish.*proficiency|speak.*spanish|spanish.*language","answer":"Intermediate","selectValue":"intermediate"},
+      {"topic":"languages","pattern":"language.*proficiency|fluent.*language|speak.*language","answer":"English (Fluent)"},
+      {"topic":"contact-method","pattern":"contact.*method|preferred.*contact|best way.*reach|how.*contact","answer":"Email","selectValue":"email"},
+      {"topic":"call-time","pattern":"best.*time.*call|call.*time|when.*call","answer":"Anytime during business hours"},
+      {"topic":"conflict-of-interest","pattern":"conflict.*interest|competing.*interest|outside.*employment","answer":"No","selectValue":"no"},
+      {"topic":"relatives-at-company","pattern":"relative.*employee|family.*works|related.*anyone","answer":"No","selectValue":"no"},
+      {"topic":"government-employee","pattern":"government.*employee|public.*sector|federal.*employee","answer":"No","selectValue":"no"},
+      {"topic":"union-membership","pattern":"union.*member|belong.*union|represented.*union","answer":"No","selectValue":"no"},
+      {"topic":"equipment","pattern":"equipment.*use|tools.*own|required.*equipment|personal.*tools","answer":"Yes","selectValue":"yes"},
+      {"topic":"computer-skills","pattern":"computer.*proficient|technology.*skills|software.*skills","answer":"Yes","selectValue":"yes"},
+      {"topic":"overtime","pattern":"willing.*overtime|work.*overtime|overtime.*available|extra.*hours|additional.*hours|extended.*hours|long.*hours","answer":"Yes","selectValue":"yes"},
+      {"topic":"shift-availability","pattern":"shift.*availability|available.*shifts|work.*any.*shift|all.*shifts|shift.*preference","answer":"Flexible/Any Shift","selectValue":"flexible"},
+      {"topic":"night-shifts","pattern":"night.*shift.*available|evening.*shift|graveyard.*shift|swing.*shift","answer":"Yes","selectValue":"yes"},
+      {"topic":"weekends","pattern":"weekend.*availability|work.*saturdays|work.*sundays|available.*weekends|saturday.*sunday","answer":"Yes","selectValue":"yes"},
+      {"topic":"holidays","pattern":"holiday.*work|work.*holidays|available.*holidays","answer":"Yes","selectValue":"yes"},
+      {"topic":"flexible-hours","pattern":"flexible.*hours|flexible.*schedule|varied.*schedule|irregular.*hours","answer":"Yes","selectValue":"yes"},
+      {"topic":"rotating-shifts","pattern":"rotating.*shift|rotating.*schedule","answer":"Yes","selectValue":"yes"},
+      {"topic":"on-call","pattern":"on-call.*availability|standby.*duty|emergency.*call|after.*hours.*availability","answer":"Yes","selectValue":"yes"},
+      {"topic":"certification","pattern":"certification.*required|required.*certification|hold.*certification|possess.*certification|valid.*certification","answer":"Yes","selectValue":"yes"},
+      {"topic":"obtain-certification","pattern":"willing.*obtain.*certification|obtain.*required.*certification|get.*certified","answer":"Yes","selectValue":"yes"},
+      {"topic":"professional-license","pattern":"professional.*license|state.*license|license.*required|licensed.*professional","answer":"Yes","selectValue":"yes"},
+      {"topic":"cloud-certification","pattern":"aws.*certified|azure.*certified|google.*certified|cloud.*certified","answer":"Yes","selectValue":"yes"},
+      {"topic":"agile-certification","pattern":"pmp.*certified|scrum.*master|agile.*certified|itil.*certified","answer":"Yes","selectValue":"yes"},
+      {"topic":"financial-license","pattern":"cpa.*certified|cfa.*chartered|series.*7|finra|licensed.*broker","answer":"Yes, if applicable","selectValue":"yes"},
+      {"topic":"safety-training","pattern":"first.*aid|cpr.*certified|safety.*training|osha.*certified","answer":"Yes","selectValue":"yes"},
+      {"topic":"lifting","pattern":"lift.*25.*pounds|lift.*50.*pounds|lift.*75.*pounds|heavy.*lifting|physically.*demanding","answer":"Yes","selectValue":"yes"},
+      {"topic":"standing","pattern":"stand.*extended|stand.*long.*periods|standing.*hours|prolonged.*standing","answer":"Yes","selectValue":"yes"},
+      {"topic":"sitting","pattern":"sit.*extended|sit.*long.*periods|desk.*work|sedentary.*work","answer":"Yes","selectValue":"yes"},
+      {"topic":"heights","pattern":"climb.*ladders|work.*heights|height.*comfortable|elevated.*platforms","answer":"Yes","selectValue":"yes"},
+      {"topic":"outdoor-work","pattern":"outdoor.*weather|inclement.*weather|outdoor.*conditions|work.*outside","answer":"Yes","selectValue":"yes"},
+      {"topic":"manual-dexterity","pattern":"repetitive.*motion|repetitive.*tasks|manual.*dexterity","answer":"Yes","selectValue":"yes"},
+      {"topic":"teamwork","pattern":"team.*environment|work.*team|collaborative.*environment|teamwork","answer":"Yes","selectValue":"yes"},
+      {"topic":"independent-work","pattern":"independent.*work|work.*independently|self-directed|autonomous.*work|minimal.*supervision","answer":"Yes","selectValue":"yes"},
+      {"topic":"fast-paced","pattern":"fast-paced.*environment|high.*pressure|deadline.*driven|time.*sensitive","answer":"Yes","selectValue":"yes"},
+      {"topic":"customer-facing","pattern":"customer.*facing|client.*interaction|public.*contact|customer.*service","answer":"Yes","selectValue":"yes"},
+      {"topic":"remote-work","pattern":"remote.*work.*capable|work.*from.*home|virtual.*work|telecommute","answer":"Yes","selectValue":"yes"},
+      {"topic":"hybrid-work","pattern":"hybrid.*work|in-office.*days|office.*attendance","answer":"Yes","selectValue":"yes"},
+      {"topic":"emergency-availability","pattern":"emergency.*contact|emergency.*situation|available.*emergency","answer":"Yes","selectValue":"yes"},
+      {"topic":"online-presence","pattern":"social.*media.*presence|professional.*social|online.*presence","answer":"Yes","selectValue":"yes"},
+      {"topic":"public-speaking","pattern":"public.*speaking|presentation.*skills|speak.*groups","answer":"Yes","selectValue":"yes"},
+      {"topic":"mentoring","pattern":"training.*others|mentor.*others|coach.*team|train.*new.*employees","answer":"Yes","selectValue":"yes"},
+      {"topic":"feedback","pattern":"feedback.*receptive|accept.*feedback|constructive.*criticism","answer":"Yes","selectValue":"yes"},
+      {"topic":"multitasking","pattern":"multi-task|multitask|multiple.*priorities|juggle.*tasks","answer":"Yes","selectValue":"yes"},
+      {"topic":"attention-to-detail","pattern":"attention.*detail|detail.*oriented|meticulous|accuracy","answer":"Yes","selectValue":"yes"},
+      {"topic":"problem-solving","pattern":"problem.*solving|analytical.*thinking|critical.*thinking","answer":"Yes","selectValue":"yes"},
+      {"topic":"leadership","pattern":"leadership.*experience|lead.*team|supervisory.*experience|management.*experience","answer":"Yes","selectValue":"yes"},
+      {"topic":"former-employee","pattern":"former.*(employee|worked)|(employee|worked).*former","disclosure":"prior_employment","handler":"priorEmployment"},
+      {"topic":"country","pattern":"country","exclude":"authorized","profileField":"country","fallbackFields":["citizenship"]},
+      {"topic":"workplace-priorities","pattern":"career growth|work-life|work life|leadership|compensation|benefits|pto|career stability|culture|company outlook","answer":"Important","preferOptions":["very important","important","somewhat important","high","medium"],"atsScore":90},
+      {"topic":"portfolio","pattern":"^website$|portfolio|^(?=.{0,29}$).*website","profileField":"portfolio","fallbackFields":["linkedin","github"],"default":"N/A","atsScore":90},
+      {"topic":"motivation","pattern":"appealing|why.*(company|role|interested)|(company|role|interested).*why","answer":"I'm excited about the opportunity to contribute to {company} because of the innovative work being done, the company's strong reputation, and the chance to grow professionally while making a meaningful impact.","atsScore":85},
+      {"topic":"linkedin","pattern":"linkedin","profileField":"linkedin","default":"N/A","atsScore":85},
+      {"topic":"github","pattern":"github","profileField":"github","default":"N/A","atsScore":85},
+      {"topic":"source","pattern":"how did you hear|how did you find|source","answer":"LinkedIn","preferOptions":["linkedin","job board","online search","company website","internet"],"atsScore":90},
+      {"topic":"referral","pattern":"refer.*employee|employee.*refer","answer":"No","selectValue":"no","atsScore":90},
+      {"topic":"expected-salary","pattern":"salary|compensation.*expect|expect.*compensation","profileField":"expected_salary","default":"$80,000 - $120,000","confidence":"medium","atsScore":85},
+      {"topic":"start-date","pattern":"start date|when can you|availability|earliest","handler":"startDate"},
+      {"topic":"city","pattern":"^city$|location \\(city|city.*locat|locat.*city|^(?=.{0,39}$).*city","profileField":"city"},
+      {"topic":"state","pattern":"^state$|^province$|^(?=.{0,19}$).*state","profileField":"state"},
+      {"topic":"phone","pattern":"^phone$|phone number|mobile","profileField":"phone"},
+      {"topic":"email","pattern":"^email$|email address","profileField":"email"},
+      {"topic":"first-name","pattern":"first name|^given name$","profileField":"first_name"},
+      {"topic":"last-name","pattern":"last name|^family name$|^surname$","profileField":"last_name"},
+      {"topic":"full-name","pattern":"^name$|^full name$|your name","handler":"fullName"}
+    ]}
+  ];
+
+  global.QuantumHireRules = {
+    packs: RULE_PACKS,
+    locales: RULE_PACKS.map(pack => pack.locale),
+    normalizeLocale: exports.normalizeLocale,
+    matchOption: exports.matchOption,
+    answer: (question, profile, context) => exports.answerQuestion(RULE_PACKS, question, profile, context),
+    answerAll: (questions, profile, context) => exports.answerQuestions(RULE_PACKS, questions, profile, context),
+  };
+})(typeof window !== 'undefined' ? window : self);
@@ -122,10 +122,11 @@ const SelectorManager = {
         'button[data-control-name="jobdetails_topcard_inapply"]',
         'button:contains("Easy Apply")',
       ],
-      firstName: ['input[name="firstName"]', 'input[id*="first" i]'],
-      lastName: ['input[name="lastName"]', 'input[id*="last" i]'],
+      firstName: ['input[name="firstName"]', 'input[id*="first-name"]', 'input[id*="first" i]'],
+      lastName: ['input[name="lastName"]', 'input[id*="last-name"]', 'input[id*="last" i]'],
       email: ['input[name="email"]', 'input[type="email"]'],
-      phone: ['input[name="phoneNumber"]', 'input[type="tel"]'],
+      phone: ['input[name="phoneNumber"]', 'input[name="phone"]', 'input[type="tel"]'],
+      city: ['input[name="city"]', 'input[id*="city"]'],
       resume: ['input[type="file"]'],
       nextButton: [
         'button[aria-label="Continue to next step"]',
@@ -138,13 +139,25 @@ const SelectorManager = {
       ],
     },
     indeed: {
-      firstName: ['input[id="input-firstName"]', 'input[name="firstName"]'],
-      lastName: ['input[id="input-lastName"]', 'input[name="lastName"]'],
-      email: ['input[id="input-email"]', 'input[type="email"]'],
-      phone: ['input[id="input-phoneNumber"]', 'input[type="tel"]'],
+      firstName: ['input[id="input-firstName"]', 'input[name="firstName"]', 'input[id*="firstName"]', 'input[placeholder*="First"]'],
+      lastName: ['input[id="input-lastName"]', 'input[name="lastName"]', 'input[id*="lastName"]', 'input[placeholder*="Last"]'],
+      email: ['input[id="input-email"]', 'input[name="email"]', 'input[type="email"]', 'input[id*="email"]'],
+      phone: ['input[id="input-phoneNumber"]', 'input[name="phone"]', 'input[type="tel"]', 'input[id*="phone"]'],
+      city: ['input[name="city"]', 'input[id*="city"]'],
+      zipCode: ['input[name="zip"]', 'input[id*="zip"]', 'input[id*="postal"]'],
       resume: ['input[type="file"]'],
       continueButton: ['button[type="submit"]', 'button:contains("Continue")'],
     },
+    glassdoor: {
+      firstName: ['input[name="firstName"]', 'input[id*="firstName"]'],
+      lastName: ['input[name="lastName"]', 'input[id*="lastName"]'],
+      email: ['input[name="email"]', 'input[type="email"]'],
+      phone: ['input[name="phone"]', 'input[type="tel"]'],
+      currentCompany: ['input[name="currentCompany"]', 'input[id*="company"]'],
+      currentTitle: ['input[name="currentTitle"]', 'input[id*="title"]'],
+      resume: ['input[type="file"]'],
+      coverLetter: ['textarea[name*="cover"]', 'textarea[id*="cover"]'],
+    },
     ashby: {
       firstName: ['input[name="firstName"]', 'input[id*="first" i]'],
       lastName: ['input[name="lastName"]', 'input[id*="last" i]'],
@@ -220,71 +233,351 @@ const SelectorManager = {
     },
   },
 
-  // Custom selectors (can be updated remotely)
+  // Remote selector packs (signed, per-platform versioned); rebuilt from packState.active
   customSelectors: {},
 
+  // User/runtime selectors; checked first and never replaced by remote updates
+  localOverrides: {},
+
+  // Per-platform pack state: { [platform]: { active, previous, rolledBack: [versions] } }
+  packState: {},
+
+  remoteUrl: 'https://wntpldomgjutwufphnpg.supabase.co/storage/v1/object/public/extension-config/selectors.json',
+
+  // ECDSA P-256 public keys (JWK) trusted to sign selector packs, by keyId.
+  // Packs signed with any other key are rejected; with none configured remote packs are ignored.
+  // Empty until the maintainers publish a release key: whoever holds the private half (kept out of
+  // this repo) generates it with `npm run sign:selectors -- --generate-key <name>` and adds the
+  // printed public JWK here under <name>.
+  // Sign packs with: npm run sign:selectors -- <pack.json> --key <private.jwk.json> --key-id <id>
+  trustedKeys: {},
+
+  // Minimum time between remote pack checks (content scripts run on every page load)
+  updateInterval: 6 * 60 * 60 * 1000,
+
+  // Pack schema limits
+  packSchema: {
+    version: 1,
+    maxFieldsPerPlatform: 60,
+    maxSelectorsPerField: 20,
+    maxSelectorLength: 300,
+  },
+
+  // Auto-rollback: a pack is rolled back when, within `watchPeriod` of installing it, a platform
+  // logs at least `minFailures` failures at `spikeFactor`x its pre-install failure rate
+  rollback: {
+    watchPeriod: 24 * 60 * 60 * 1000,
+    baselinePeriod: 7 * 24 * 60 * 60 * 1000,
+    minFailures: 5,
+    spikeFactor: 3,
+  },
+
+  /**
+   * Selectors to try for a field, in priority order: local overrides, promoted learned, remote pack, built-in
+   */
+  getSelectorList(platform, fieldName) {
+    return [...new Set([
+      ...(this.localOverrides[platform]?.[fieldName] || []),
+      ...this.getLearned(platform, fieldName).filter(c => c.promotedAt).map(c => c.selector),
+      ...(this.customSelectors[platform]?.[fieldName] || []),
+      ...(this.selectors[platform]?.[fieldName] || []),
+    ])];
+  },
+
+  /**
+   * First visible element for a selector inside root; resolves the :contains("text") pseudo-selector
+   */
+  queryVisible(selector, root = document) {
+    try {
+      if (selector.includes(':contains(')) {
+        const match = selector.match(/(.+):contains\(\"(.+)\"\)/);
+        if (!match) return null;
+        const [, baseSelector, text] = match;
+        for (const el of root.querySelectorAll(baseSelector)) {
+          if (el.textContent?.includes(text) && el.offsetParent !== null) {
+            return el;
+          }
+        }
+        return null;
+      }
+
+      const element = root.querySelector(selector);
+      return element && element.offsetParent !== null ? element : null;
+    } catch (e) {
+      // Invalid selector, skip
+      console.debug(`QuantumHire AI: Invalid selector: ${selector}`);
+      return null;
+    }
+  },
+
   /**
    * Find element using fallback selectors
+   * When every known selector misses, learned candidates are tried, then the field is
+   * located heuristically (healElement) and the selector that found it is learned.
+   * @param {Object} options - { root: element to search in (default document),
+   *   optional: the field may legitimately be absent, so only a healed miss is reported }
    */
-  findElement(platform, fieldName) {
-    const platformSelectors = this.selectors[platform] || {};
-    const customPlatformSelectors = this.customSelectors[platform] || {};
-    
-    // Combine custom + default selectors (custom first for priority)
-    const selectorList = [
-      ...(customPlatformSelectors[fieldName] || []),
-      ...(platformSelectors[fieldName] || []),
-    ];
-    
+  findElement(platform, fieldName, { root = document, optional = false } = {}) {
+    const selectorList = this.getSelectorList(platform, fieldName);
+    const promoted = this.getLearned(platform, fieldName).filter(c => c.promotedAt);
+    const missedPromoted = [];
+
     for (const selector of selectorList) {
+      const element = this.queryVisible(selector, root);
+      if (element) {
+        console.log(`QuantumHire AI: Found ${fieldName} using: ${selector}`);
+        const learned = promoted.find(c => c.selector === selector);
+        if (learned) this.recordLearnedResult(platform, fieldName, selector, true);
+        missedPromoted.forEach(c => this.recordLearnedResult(platform, fieldName, c.selector, false));
+        return element;
+      }
+      const learned = promoted.find(c => c.selector === selector);
+      if (learned) missedPromoted.push(learned);
+    }
+
+    // Candidates learned earlier but not yet trusted enough to be tried first
+    for (const candidate of this.getLearned(platform, fieldName).filter(c => !c.promotedAt)) {
+      const element = this.queryVisible(candidate.selector, root);
+      if (element) {
+        console.log(`QuantumHire AI: Found ${fieldName} using learned candidate: ${candidate.selector}`);
+        this.recordLearnedResult(platform, fieldName, candidate.selector, true);
+        return element;
+      }
+    }
+
+    const healed = this.healElement(platform, fieldName, root);
+    if (healed || !optional) {
+      this.reportFailedSelector(platform, fieldName, location.href, { healed: !!healed });
+    }
+    return healed;
+  },
+
+  // ============ SELF-HEALING ============
+
+  // Learned selectors: { [platform]: { [field]: [{ selector, strategy, successes, failures, learnedAt, promotedAt }] } }
+  learnedSelectors: {},
+
+  healing: {
+    promoteAfter: 3,      // successful reuses before a learned selector is tried ahead of the remote pack
+    dropAfterFailures: 3, // misses (beyond its successes) before a learned selector is forgotten
+    maxCandidates: 5,     // learned selectors kept per field
+  },
+
+  // How to recognise a field without a working selector: label/ARIA/placeholder text,
+  // autocomplete tokens, name/id fragments, input type, and button text for actions
+  fieldHints: {
+    firstName: { text: /first\s*name|given\s*name|forename/i, autocomplete: 'given-name', attr: /first_?name|fname|given/i },
+    lastName: { text: /last\s*name|surname|family\s*name/i, autocomplete: 'family-name', attr: /last_?name|lname|surname|family/i },
+    fullName: { text: /^(full\s*)?name\b/i, autocomplete: 'name', attr: /^(full_?)?name$/i },
+    email: { text: /e-?mail/i, autocomplete: 'email', attr: /e-?mail/i, inputType: 'email' },
+    phone: { text: /phone|mobile|telephone/i, autocomplete: 'tel', attr: /phone|mobile|tel/i, inputType: 'tel' },
+    address: { text: /address(\s*line\s*1)?|street/i, autocomplete: 'address-line1', attr: /address|street/i },
+    city: { text: /\bcity\b|town/i, autocomplete: 'address-level2', attr: /city|town/i },
+    state: { text: /state|province|region/i, autocomplete: 'address-level1', attr: /state|province|region/i },
+    zipCode: { text: /zip|postal\s*code|post\s*code/i, autocomplete: 'postal-code', attr: /zip|postal/i },
+    country: { text: /^country/i, autocomplete: 'country', attr: /country/i },
+    linkedin: { text: /linkedin/i, attr: /linkedin/i },
+    github: { text: /github/i, attr: /github/i },
+    portfolio: { text: /portfolio|website|personal\s*site/i, attr: /portfolio|website/i },
+    resume: { text: /resume|résumé|\bcv\b/i, attr: /resume|cv/i, file: true },
+    coverLetter: { text: /cover\s*letter/i, attr: /cover/i, tags: ['textarea'] },
+    applyButton: { button: /^\s*apply(\s+now)?\s*$/i },
+    easyApplyButton: { button: /easy\s*apply/i },
+    nextButton: { button: /^\s*(next|continue|save\s*(and|&)\s*continue)\s*$/i },
+    continueButton: { button: /^\s*continue\s*$/i },
+    submitButton: { button: /^\s*submit(\s+application)?\s*$/i },
+  },
+
+  getLearned(platform, fieldName) {
+    return this.learnedSelectors[platform]?.[fieldName] || [];
+  },
+
+  normalizeText(text) {
+    return String(text || '').replace(/[*:]/g, ' ').replace(/\s+/g, ' ').trim();
+  },
+
+  isFillable(el, hints) {
+    if (!el || el.offsetParent === null || el.disabled) return false;
+    const tag = el.tagName.toLowerCase();
+    if (hints.tags && !hints.tags.includes(tag)) return false;
+    if (hints.file) return tag === 'input' && el.type === 'file';
+    if (tag === 'input') return !['hidden', 'submit', 'button', 'checkbox', 'radio', 'file', 'image', 'reset'].includes(el.type);
+    return tag === 'textarea' || tag === 'select' || el.getAttribute('role') === 'combobox' || el.getAttribute('role') === 'textbox';
+  },
+
+  /**
+   * Locate a field when every selector missed, by (in order) label text, ARIA label,
+   * placeholder, autocomplete/name/id attributes and the text next to the control.
+   * A stable selector for the element found is recorded as a learned candidate.
+   * @returns {Element|null}
+   */
+  healElement(platform, fieldName, root = document) {
+    const hints = this.fieldHints[fieldName];
+    if (!hints) return null;
+
+    const found = hints.button ? this.healButton(hints, root) : this.healField(hints, root);
+    if (!found) return null;
+
+    const selector = this.buildSelector(found.element, root);
+    if (selector) {
+      console.log(`QuantumHire AI: Healed ${platform}.${fieldName} by ${found.strategy}: ${selector}`);
+      this.learnSelector(platform, fieldName, selector, found.strategy);
+    }
+    return found.element;
+  },
+
+  healButton(hints, root = document) {
+    const buttons = root.querySelectorAll('button, [role="button"], input[type="submit"], a');
+    for (const el of buttons) {
+      if (el.offsetParent === null || el.disabled) continue;
+      const text = this.normalizeText(el.textContent || el.value || el.getAttribute('aria-label'));
+      if (text && text.length <= 40 && hints.button.test(text)) {
+        return { element: el, strategy: 'button text' };
+      }
+    }
+    return null;
+  },
+
+  healField(hints, root = document) {
+    const fields = [...root.querySelectorAll('input, textarea, select, [role="combobox"], [role="textbox"]')]
+      .filter(el => this.isFillable(el, hints));
+    if (fields.length === 0) return null;
+
+    const matches = (text) => {
+      const clean = this.normalizeText(text);
+      return !!clean && clean.length <= 120 && hints.text?.test(clean);
+    };
+
+    // 1. <label for> / wrapping <label>
+    for (const label of root.querySelectorAll('label')) {
+      if (!matches(label.textContent)) continue;
+      const control = label.control || label.querySelector('input, textarea, select');
+      if (control && fields.includes(control)) return { element: control, strategy: 'label' };
+    }
+
+    // 2. aria-label / aria-labelledby
+    for (const el of fields) {
+      const labelledBy = (el.getAttribute('aria-labelledby') || '')
+        .split(/\s+/)
+        .map(id => id && document.getElementById(id)?.textContent)
+        .join(' ');
+      if (matches(el.getAttribute('aria-label')) || matches(labelledBy)) return { element: el, strategy: 'aria' };
+    }
+
+    // 3. placeholder
+    const byPlaceholder = fields.find(el => matches(el.getAttribute('placeholder')));
+    if (byPlaceholder) return { element: byPlaceholder, strategy: 'placeholder' };
+
+    // 4. autocomplete token, input type, then name/id fragments
+    const byAutocomplete = hints.autocomplete && fields.find(el => (el.getAttribute('autocomplete') || '').split(/\s+/).includes(hints.autocomplete));
+    if (byAutocomplete) return { element: byAutocomplete, strategy: 'autocomplete' };
+    const byType = hints.inputType && fields.filter(el => el.type === hints.inputType);
+    if (byType?.length === 1) return { element: byType[0], strategy: 'input type' };
+    const byAttr = hints.attr && fields.find(el => hints.attr.test(el.getAttribute('name') || '') || hints.attr.test(el.id || ''));
+    if (byAttr) return { element: byAttr, strategy: 'name/id' };
+
+    // 5. Neighbouring structure: a short text node whose container holds exactly one control
+    for (const textEl of root.querySelectorAll('legend, span, div, p, dt, h3, h4')) {
+      if (textEl.children.length > 2 || !matches(textEl.textContent)) continue;
+      let container = textEl.parentElement;
+      for (let depth = 0; container && depth < 3; depth++, container = container.parentElement) {
+        const inside = fields.filter(el => container.contains(el));
+        if (inside.length === 1) return { element: inside[0], strategy: 'nearby text' };
+        if (inside.length > 1) break;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Shortest attribute selector that uniquely identifies the element within root (the root the
+   * lookup searches), or null
+   * Ids/names that look generated (long digit runs, hashes) are skipped since they change per page load
+   */
+  buildSelector(el, root = document) {
+    const tag = el.tagName.toLowerCase();
+    const stable = (value) => !!value && value.length <= 80 && !/\d{4,}|[0-9a-f]{8,}|^:r/i.test(value);
+    const quote = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+    const candidates = [];
+    if (stable(el.id)) candidates.push(`#${CSS.escape(el.id)}`);
+    ['data-automation-id', 'data-testid', 'data-ui', 'name', 'aria-label', 'placeholder', 'autocomplete'].forEach(attr => {
+      const value = el.getAttribute(attr);
+      if (stable(value)) candidates.push(`${tag}[${attr}="${quote(value)}"]`);
+    });
+    if (tag === 'input' && el.type === 'file') candidates.push('input[type="file"]');
+
+    return candidates.find(selector => {
       try {
-        // Handle :contains pseudo-selector
-        if (selector.includes(':contains(')) {
-          const match = selector.match(/(.+):contains\(\"(.+)\"\)/);
-          if (match) {
-            const [, baseSelector, text] = match;
-            const elements = document.querySelectorAll(baseSelector);
-            for (const el of elements) {
-              if (el.textContent?.includes(text) && el.offsetParent !== null) {
-                return el;
-              }
-            }
-          }
-          continue;
-        }
-        
-        const element = document.querySelector(selector);
-        if (element && element.offsetParent !== null) {
-          console.log(`QuantumHire AI: Found ${fieldName} using: ${selector}`);
-          return element;
-        }
+        const all = root.querySelectorAll(selector);
+        return all.length === 1 && all[0] === el;
       } catch (e) {
-        // Invalid selector, skip
-        console.debug(`QuantumHire AI: Invalid selector: ${selector}`);
+        return false;
       }
+    }) || null;
+  },
+
+  /**
+   * Record a healed selector as a candidate (or count another success for a known one)
+   */
+  learnSelector(platform, fieldName, selector, strategy) {
+    if (!this.learnedSelectors[platform]) this.learnedSelectors[platform] = {};
+    const list = this.learnedSelectors[platform][fieldName] || [];
+
+    if (list.some(c => c.selector === selector)) {
+      this.recordLearnedResult(platform, fieldName, selector, true);
+      return;
     }
-    
-    return null;
+
+    list.push({ selector, strategy, successes: 0, failures: 0, learnedAt: Date.now(), promotedAt: null });
+    // Keep the most proven candidates
+    list.sort((a, b) => (b.successes - b.failures) - (a.successes - a.failures));
+    this.learnedSelectors[platform][fieldName] = list.slice(0, this.healing.maxCandidates);
+    this.saveLearnedSelectors();
+  },
+
+  /**
+   * Count a reuse of a learned selector; promote it after enough hits, forget it after repeated misses
+   */
+  recordLearnedResult(platform, fieldName, selector, success) {
+    const list = this.getLearned(platform, fieldName);
+    const candidate = list.find(c => c.selector === selector);
+    if (!candidate) return;
+
+    if (success) {
+      candidate.successes++;
+      if (!candidate.promotedAt && candidate.successes >= this.healing.promoteAfter) {
+        candidate.promotedAt = Date.now();
+        console.log(`QuantumHire AI: Promoted learned selector for ${platform}.${fieldName}: ${selector}`);
+      }
+    } else {
+      candidate.failures++;
+      if (candidate.failures - candidate.successes >= this.healing.dropAfterFailures) {
+        this.learnedSelectors[platform][fieldName] = list.filter(c => c !== candidate);
+        console.log(`QuantumHire AI: Dropped learned selector for ${platform}.${fieldName}: ${selector}`);
+      }
+    }
+    this.saveLearnedSelectors();
+  },
+
+  saveLearnedSelectors() {
+    chrome.storage.local.set({ learnedSelectors: this.learnedSelectors })
+      .catch(error => console.error('QuantumHire AI: Could not save learned selectors:', error));
   },
 
   /**
    * Find all elements matching any fallback selector
    */
   findAllElements(platform, fieldName) {
-    const platformSelectors = this.selectors[platform] || {};
-    const customPlatformSelectors = this.customSelectors[platform] || {};
-    
-    const selectorList = [
-      ...(customPlatformSelectors[fieldName] || []),
-      ...(platformSelectors[fieldName] || []),
-    ];
-    
+    const selectorList = this.getSelectorList(platform, fieldName);
+
     const found = [];
-    
+
     for (const selector of selectorList) {
       try {
         if (selector.includes(':contains(')) continue;
-        
+
         const elements = document.querySelectorAll(selector);
         for (const el of elements) {
           if (el.offsetParent !== null && !found.includes(el)) {
@@ -295,98 +588,361 @@ const SelectorManager = {
         // Skip invalid selectors
       }
     }
-    
+
     return found;
   },
 
   /**
-   * Add custom selector (runtime updates)
+   * Add custom selector (local override layer, persisted)
    */
-  addCustomSelector(platform, fieldName, selector) {
-    if (!this.customSelectors[platform]) {
-      this.customSelectors[platform] = {};
+  async addCustomSelector(platform, fieldName, selector) {
+    if (!this.localOverrides[platform]) {
+      this.localOverrides[platform] = {};
     }
-    if (!this.customSelectors[platform][fieldName]) {
-      this.customSelectors[platform][fieldName] = [];
+    if (!this.localOverrides[platform][fieldName]) {
+      this.localOverrides[platform][fieldName] = [];
     }
-    
+
     // Add at beginning for priority
-    if (!this.customSelectors[platform][fieldName].includes(selector)) {
-      this.customSelectors[platform][fieldName].unshift(selector);
+    if (!this.localOverrides[platform][fieldName].includes(selector)) {
+      this.localOverrides[platform][fieldName].unshift(selector);
       console.log(`QuantumHire AI: Added custom selector for ${platform}.${fieldName}: ${selector}`);
+      await this.saveLocalOverrides();
+    }
+  },
+
+  /**
+   * Remove local override selectors for a field (or one selector of it)
+   */
+  async removeCustomSelector(platform, fieldName, selector = null) {
+    const fields = this.localOverrides[platform];
+    if (!fields?.[fieldName]) return;
+
+    fields[fieldName] = selector ? fields[fieldName].filter(s => s !== selector) : [];
+    if (fields[fieldName].length === 0) delete fields[fieldName];
+    if (Object.keys(fields).length === 0) delete this.localOverrides[platform];
+
+    await this.saveLocalOverrides();
+  },
+
+  async saveLocalOverrides() {
+    try {
+      await chrome.storage.local.set({ selectorLocalOverrides: this.localOverrides });
+    } catch (error) {
+      console.error('QuantumHire AI: Could not save selector overrides:', error);
+    }
+  },
+
+  /**
+   * Restore local overrides, installed packs and learned selectors from storage
+   */
+  async loadState() {
+    try {
+      const data = await chrome.storage.local.get(['selectorLocalOverrides', 'selectorPackState', 'learnedSelectors', 'cachedSelectors']);
+      this.localOverrides = data.selectorLocalOverrides || {};
+      this.packState = data.selectorPackState || {};
+      this.learnedSelectors = data.learnedSelectors || {};
+      this.applyActivePacks();
+
+      // Unsigned cache from before selector packs; never trusted again
+      if (data.cachedSelectors) {
+        await chrome.storage.local.remove(['cachedSelectors', 'selectorVersion', 'selectorUpdateTime']);
+      }
+    } catch (e) {
+      console.log('QuantumHire AI: Could not load selector state:', e.message);
+    }
+  },
+
+  async savePackState() {
+    await chrome.storage.local.set({ selectorPackState: this.packState });
+  },
+
+  applyActivePacks() {
+    const custom = {};
+    for (const [platform, state] of Object.entries(this.packState)) {
+      if (state.active?.selectors) custom[platform] = state.active.selectors;
+    }
+    this.customSelectors = custom;
+  },
+
+  /**
+   * Compare dotted versions ("2026.1.10" > "2026.1.9"); returns -1, 0 or 1
+   */
+  compareVersions(a, b) {
+    const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+    const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const diff = (pa[i] || 0) - (pb[i] || 0);
+      if (diff !== 0) return diff > 0 ? 1 : -1;
+    }
+    return 0;
+  },
+
+  /**
+   * Verify a signed envelope: { keyId, payload: "<json string>", signature: "<base64 r||s>" }
+   * @returns {Object|null} Parsed payload, or null when unsigned/untrusted/tampered
+   */
+  async verifyPack(envelope) {
+    if (!envelope || typeof envelope.payload !== 'string' || typeof envelope.signature !== 'string') {
+      console.warn('QuantumHire AI: Selector pack is not signed');
+      return null;
+    }
+
+    const jwk = this.trustedKeys[envelope.keyId];
+    if (!jwk) {
+      console.warn(`QuantumHire AI: Selector pack signed with untrusted key "${envelope.keyId}"`);
+      return null;
+    }
+
+    try {
+      const key = await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+      const signature = Uint8Array.from(atob(envelope.signature), c => c.charCodeAt(0));
+      const valid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        key,
+        signature,
+        new TextEncoder().encode(envelope.payload)
+      );
+      if (!valid) {
+        console.warn('QuantumHire AI: Selector pack signature is invalid');
+        return null;
+      }
+      return JSON.parse(envelope.payload);
+    } catch (error) {
+      console.warn('QuantumHire AI: Could not verify selector pack:', error.message);
+      return null;
     }
   },
 
+  isValidSelector(selector) {
+    // :contains("...") is resolved by findElement, validate the part before it
+    const base = selector.replace(/:contains\(\"[^"]*\"\)$/, '');
+    try {
+      document.createDocumentFragment().querySelector(base);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Validate one platform pack against the schema
+   * @returns {string[]} Errors; empty when the pack is valid
+   */
+  validatePack(platform, pack) {
+    const errors = [];
+    const limits = this.packSchema;
+
+    if (!/^[a-z0-9_-]{2,40}$/.test(platform)) errors.push(`invalid platform "${platform}"`);
+    if (!pack || typeof pack !== 'object') return [...errors, 'pack must be an object'];
+    if (typeof pack.version !== 'string' || !/^\d+(\.\d+){0,3}$/.test(pack.version)) {
+      errors.push('version must be a dotted number string');
+    }
+    if (pack.rollout !== undefined && (typeof pack.rollout !== 'number' || pack.rollout < 0 || pack.rollout > 1)) {
+      errors.push('rollout must be a number between 0 and 1');
+    }
+    if (!pack.selectors || typeof pack.selectors !== 'object' || Array.isArray(pack.selectors)) {
+      return [...errors, 'selectors must be an object'];
+    }
+
+    const fields = Object.entries(pack.selectors);
+    if (fields.length > limits.maxFieldsPerPlatform) errors.push(`more than ${limits.maxFieldsPerPlatform} fields`);
+
+    for (const [fieldName, list] of fields) {
+      if (!/^[A-Za-z][A-Za-z0-9_]{0,60}$/.test(fieldName)) {
+        errors.push(`invalid field name "${fieldName}"`);
+        continue;
+      }
+      if (!Array.isArray(list) || list.length === 0 || list.length > limits.maxSelectorsPerField) {
+        errors.push(`${fieldName}: expected 1-${limits.maxSelectorsPerField} selectors`);
+        continue;
+      }
+      for (const selector of list) {
+        if (typeof selector !== 'string' || !selector.trim() || selector.length > limits.maxSelectorLength) {
+          errors.push(`${fieldName}: selectors must be non-empty strings up to ${limits.maxSelectorLength} chars`);
+        } else if (!this.isValidSelector(selector)) {
+          errors.push(`${fieldName}: invalid selector "${selector}"`);
+        }
+      }
+    }
+
+    return errors;
+  },
+
+  /**
+   * Stable per-installation position in [0, 1) for staged rollouts
+   */
+  async getRolloutBucket() {
+    const data = await chrome.storage.local.get(['selectorRolloutBucket']);
+    if (typeof data.selectorRolloutBucket === 'number') return data.selectorRolloutBucket;
+
+    const bucket = crypto.getRandomValues(new Uint32Array(1))[0] / 2 ** 32;
+    await chrome.storage.local.set({ selectorRolloutBucket: bucket });
+    return bucket;
+  },
+
   /**
    * Load selector updates from remote
+   * Only signed packs that pass schema validation are installed, one platform at a time:
+   * newer than the active version, not previously rolled back, and inside the pack's rollout.
+   * Local overrides are kept as-is.
    */
   async loadRemoteUpdates() {
+    await this.loadState();
+
+    let envelope;
     try {
-      const response = await fetch(
-        'https://wntpldomgjutwufphnpg.supabase.co/storage/v1/object/public/extension-config/selectors.json',
-        { cache: 'no-cache' }
-      );
-      
+      const response = await fetch(this.remoteUrl, { cache: 'no-cache' });
+
       if (!response.ok) {
         console.log('QuantumHire AI: No remote selector updates available');
-        return false;
-      }
-      
-      const updates = await response.json();
-      
-      if (updates.version && updates.selectors) {
-        this.customSelectors = { ...this.customSelectors, ...updates.selectors };
-        this.lastUpdated = Date.now();
-        console.log(`QuantumHire AI: Loaded selector updates v${updates.version}`);
-        
-        // Cache locally
-        await chrome.storage.local.set({ 
-          cachedSelectors: updates.selectors,
-          selectorVersion: updates.version,
-          selectorUpdateTime: Date.now(),
-        });
-        
-        return true;
+        return Object.keys(this.customSelectors).length > 0;
       }
+
+      envelope = await response.json();
     } catch (error) {
       console.log('QuantumHire AI: Could not load remote selectors:', error.message);
+      return Object.keys(this.customSelectors).length > 0;
     }
-    
-    // Try to load from cache
-    try {
-      const cached = await chrome.storage.local.get(['cachedSelectors', 'selectorVersion']);
-      if (cached.cachedSelectors) {
-        this.customSelectors = cached.cachedSelectors;
-        console.log(`QuantumHire AI: Loaded cached selectors v${cached.selectorVersion}`);
-        return true;
+
+    const payload = await this.verifyPack(envelope);
+    if (!payload || payload.schema !== this.packSchema.version || !payload.packs || typeof payload.packs !== 'object') {
+      if (payload) console.warn(`QuantumHire AI: Unsupported selector pack schema ${payload.schema}`);
+      return Object.keys(this.customSelectors).length > 0;
+    }
+
+    const bucket = await this.getRolloutBucket();
+    const installed = [];
+
+    for (const [platform, pack] of Object.entries(payload.packs)) {
+      const errors = this.validatePack(platform, pack);
+      if (errors.length > 0) {
+        console.warn(`QuantumHire AI: Rejected ${platform} selector pack:`, errors.slice(0, 5));
+        continue;
       }
-    } catch (e) {
-      // Ignore cache errors
+
+      const state = this.packState[platform] || { active: null, previous: null, rolledBack: [] };
+      if (state.active && this.compareVersions(pack.version, state.active.version) <= 0) continue;
+      if (state.rolledBack.includes(pack.version)) continue;
+      if (bucket >= (pack.rollout ?? 1)) continue;
+
+      this.packState[platform] = {
+        ...state,
+        previous: state.active,
+        active: { version: pack.version, selectors: pack.selectors, installedAt: Date.now() },
+      };
+      installed.push(`${platform}@${pack.version}`);
+    }
+
+    if (installed.length > 0) {
+      this.applyActivePacks();
+      this.lastUpdated = Date.now();
+      await this.savePackState();
+      console.log(`QuantumHire AI: Installed selector packs ${installed.join(', ')}`);
+    }
+
+    return Object.keys(this.customSelectors).length > 0;
+  },
+
+  /**
+   * loadRemoteUpdates() at most once per updateInterval across all tabs
+   */
+  async checkForUpdates() {
+    // No pack could pass verifyPack(), so don't fetch one
+    if (Object.keys(this.trustedKeys).length === 0) return false;
+
+    try {
+      const data = await chrome.storage.local.get(['selectorUpdateCheckedAt']);
+      if (Date.now() - (data.selectorUpdateCheckedAt || 0) < this.updateInterval) return false;
+
+      await chrome.storage.local.set({ selectorUpdateCheckedAt: Date.now() });
+      return await this.loadRemoteUpdates();
+    } catch (error) {
+      console.log('QuantumHire AI: Selector update check failed:', error.message);
+      return false;
     }
-    
-    return false;
   },
 
+  /**
+   * Roll a platform back to its previous pack (or built-ins) and never reinstall this version
+   */
+  async rollbackPack(platform, reason = 'manual') {
+    const state = this.packState[platform];
+    if (!state?.active) return false;
+
+    const version = state.active.version;
+    this.packState[platform] = {
+      active: state.previous,
+      previous: null,
+      rolledBack: [...new Set([...(state.rolledBack || []), version])].slice(-20),
+    };
+    this.applyActivePacks();
+    await this.savePackState();
+
+    console.warn(`QuantumHire AI: Rolled back ${platform} selector pack v${version} (${reason})`);
+    return true;
+  },
+
+  /**
+   * Roll back the platform's newest pack when failures spiked after it was installed
+   */
+  async checkForRollback(platform, failures) {
+    const active = this.packState[platform]?.active;
+    if (!active?.installedAt) return false;
+
+    const now = Date.now();
+    const { watchPeriod, baselinePeriod, minFailures, spikeFactor } = this.rollback;
+    if (now - active.installedAt > watchPeriod) return false;
+
+    const platformFailures = failures.filter(f => f.platform === platform);
+    const after = platformFailures.filter(f => f.timestamp >= active.installedAt);
+    if (after.length < minFailures) return false;
+
+    const before = platformFailures.filter(f => f.timestamp < active.installedAt && f.timestamp >= active.installedAt - baselinePeriod);
+    const afterRate = after.length / Math.max(now - active.installedAt, 60 * 60 * 1000);
+    // Less than one pre-install failure still counts as one, so a quiet platform needs a real spike
+    const beforeRate = Math.max(before.length, 1) / baselinePeriod;
+
+    if (afterRate < beforeRate * spikeFactor) return false;
+
+    return this.rollbackPack(platform, `${after.length} failures since install`);
+  },
+
+  // Pending failure writes; reports are serialised so concurrent misses aren't lost
+  failureReports: Promise.resolve(),
+
   /**
    * Report a failed selector for analytics
+   * @param {Object} options - { healed: true when healElement() still located the field }
    */
-  async reportFailedSelector(platform, fieldName, pageUrl) {
+  reportFailedSelector(platform, fieldName, pageUrl, options = {}) {
+    this.failureReports = this.failureReports.then(() => this.recordFailure(platform, fieldName, pageUrl, options));
+    return this.failureReports;
+  },
+
+  async recordFailure(platform, fieldName, pageUrl, { healed = false } = {}) {
     try {
       // Store locally for batch reporting
-      const data = await chrome.storage.local.get(['failedSelectors']);
+      const data = await chrome.storage.local.get(['failedSelectors', 'selectorPackState']);
       const failures = data.failedSelectors || [];
-      
+      if (data.selectorPackState) {
+        this.packState = data.selectorPackState;
+      }
+
       failures.push({
         platform,
         fieldName,
         pageUrl: pageUrl.split('?')[0], // Remove query params
+        packVersion: this.packState[platform]?.active?.version || null,
+        healed,
         timestamp: Date.now(),
       });
-      
+
       // Keep only last 100 failures
       const trimmed = failures.slice(-100);
       await chrome.storage.local.set({ failedSelectors: trimmed });
-      
+
+      await this.checkForRollback(platform, trimmed);
     } catch (error) {
       console.error('QuantumHire AI: Could not report failed selector:', error);
     }
@@ -398,25 +954,48 @@ const SelectorManager = {
   async getStats() {
     const data = await chrome.storage.local.get([
       'failedSelectors',
-      'selectorVersion',
-      'selectorUpdateTime',
+      'selectorPackState',
+      'selectorLocalOverrides',
+      'learnedSelectors',
     ]);
-    
+
     const failures = data.failedSelectors || [];
     const byPlatform = {};
     const byField = {};
-    
+    const healed = failures.filter(f => f.healed).length;
+
     for (const f of failures) {
       byPlatform[f.platform] = (byPlatform[f.platform] || 0) + 1;
       byField[f.fieldName] = (byField[f.fieldName] || 0) + 1;
     }
-    
+
+    const packs = {};
+    for (const [platform, state] of Object.entries(data.selectorPackState || {})) {
+      packs[platform] = {
+        version: state.active?.version || null,
+        installedAt: state.active?.installedAt || null,
+        previous: state.previous?.version || null,
+        rolledBack: state.rolledBack || [],
+      };
+    }
+
     return {
       totalFailures: failures.length,
+      healed,
       byPlatform,
       byField,
-      version: data.selectorVersion || this.version,
-      lastUpdate: data.selectorUpdateTime || null,
+      version: this.version,
+      packs,
+      localOverrides: Object.keys(data.selectorLocalOverrides || {}),
+      learned: Object.fromEntries(
+        Object.entries(data.learnedSelectors || {}).map(([platform, fields]) => [
+          platform,
+          Object.fromEntries(Object.entries(fields).map(([field, list]) => [
+            field,
+            list.map(c => ({ selector: c.selector, successes: c.successes, promoted: !!c.promotedAt })),
+          ])),
+        ])
+      ),
     };
   },
 };
@@ -424,4 +1003,5 @@ const SelectorManager = {
 // Export for use in extension
 if (typeof window !== 'undefined') {
   window.QuantumHireSelectorManager = SelectorManager;
+  SelectorManager.loadState();
 }
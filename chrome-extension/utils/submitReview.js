@@ -0,0 +1,313 @@
+// QuantumHire AI - Review Before Submit
+// Keeps a ledger of every field autofill writes across the pages of an application - the value,
+// where it came from (profile, memory, AI, knockout default...) and how confident we are in it -
+// and gates the final submit on it. Required questions it leaves blank are noted at zero confidence. Modes:
+//   off       - submit as before
+//   always    - pause on the final page with the checklist; submit only on approval
+//   threshold - submit on its own when every answer is at or above the threshold, else as 'always'
+// The ledger is kept in the page's sessionStorage so multi-page flows that reload keep their pages.
+
+const SubmitReview = {
+  defaults: {
+    mode: 'off',
+    threshold: 80,
+  },
+
+  ledgerKey: 'qh-submit-review',
+  ledgerMaxAge: 6 * 60 * 60 * 1000, // An application left this long is a new one
+
+  // Confidence (0-100) when the answer doesn't carry its own
+  sourceConfidence: {
+    profile: 95,
+    document: 90,
+    memory: 85,
+    ai: 70,
+    experience: 65,
+    knockout: 60,   // Answer-bank default, not something the user told us
+    salary: 60,
+    auto_na: 50,
+    unanswered: 0,  // Required question autofill left blank - always held for the user
+  },
+
+  // AI and memory answers report high / medium / low
+  levelConfidence: {
+    high: 90,
+    medium: 70,
+    low: 40,
+  },
+
+  sourceLabels: {
+    profile: 'Profile',
+    document: 'Tailored document',
+    memory: 'Memory',
+    ai: 'AI',
+    experience: 'Experience rule',
+    knockout: 'Knockout default',
+    salary: 'Salary rule',
+    auto_na: 'Auto N/A',
+    unanswered: 'Left for you',
+  },
+
+  ledger: null,
+
+  // Live elements for the current page, so checklist rows can scroll to their field
+  elements: new Map(),
+
+  /**
+   * Review settings from the popup
+   * @returns {Promise<{ mode: string, threshold: number }>}
+   */
+  async getSettings() {
+    const data = await chrome.storage.local.get(['reviewBeforeSubmit', 'reviewThreshold']);
+    return {
+      mode: data.reviewBeforeSubmit || this.defaults.mode,
+      threshold: Number.isFinite(data.reviewThreshold) ? data.reviewThreshold : this.defaults.threshold,
+    };
+  },
+
+  load() {
+    if (this.ledger) return this.ledger;
+
+    try {
+      this.ledger = JSON.parse(sessionStorage.getItem(this.ledgerKey) || 'null');
+    } catch (e) {
+      this.ledger = null;
+    }
+    if (!this.ledger || Date.now() - this.ledger.startedAt > this.ledgerMaxAge) {
+      this.ledger = { startedAt: Date.now(), pages: [], entries: {} };
+    }
+    return this.ledger;
+  },
+
+  save() {
+    try {
+      sessionStorage.setItem(this.ledgerKey, JSON.stringify(this.ledger));
+    } catch (e) {
+      console.log('QuantumHire AI: Could not save review ledger', e);
+    }
+  },
+
+  /**
+   * Forget the ledger once the application is submitted or abandoned
+   */
+  clear() {
+    this.ledger = null;
+    this.elements.clear();
+    try {
+      sessionStorage.removeItem(this.ledgerKey);
+    } catch (e) {}
+  },
+
+  confidenceFor(source, level) {
+    if (typeof level === 'number') return Math.round(level);
+    if (this.levelConfidence[level] !== undefined) return this.levelConfidence[level];
+    return this.sourceConfidence[source] ?? 50;
+  },
+
+  // Screening rules rate themselves high or low, but never above their source: a pack default
+  // stays a knockout default however sure the rule is of its match
+  ruleConfidence(source, level) {
+    return Math.min(this.confidenceFor(source), this.confidenceFor(source, level));
+  },
+
+  // Pages are told apart by path and hash; SPA steps on one URL share a page
+  currentPage() {
+    const ledger = this.load();
+    const key = `${location.pathname}${location.hash}`;
+    if (!ledger.pages.includes(key)) ledger.pages.push(key);
+    return key;
+  },
+
+  /**
+   * Note a field autofill just wrote
+   * @param {Object} fill
+   * @param {Element} [fill.element] - The field (or first radio of its group)
+   * @param {string} fill.label
+   * @param {*} fill.value - What was written
+   * @param {string} fill.source - Key of sourceLabels
+   * @param {string|number} [fill.confidence] - 'high' | 'medium' | 'low' or 0-100
+   * @param {boolean} [fill.needsReview] - The answer's source flagged it; capped at low confidence
+   * @param {string} [fill.reasoning]
+   */
+  record({ element = null, label, value, source, confidence, needsReview = false, reasoning = '' }) {
+    const ledger = this.load();
+    const page = this.currentPage();
+    const fieldId = element?.id || element?.name || label;
+    const key = `${page}::${fieldId}`;
+
+    let score = this.confidenceFor(source, confidence);
+    if (needsReview) score = Math.min(score, this.levelConfidence.low);
+
+    ledger.entries[key] = {
+      key,
+      page,
+      label: (label || fieldId || 'Field').trim().slice(0, 200),
+      value: String(value ?? '').slice(0, 300),
+      source,
+      confidence: score,
+      reasoning: reasoning ? String(reasoning).slice(0, 300) : '',
+      recordedAt: Date.now(),
+    };
+    if (element) this.elements.set(key, element);
+    this.save();
+  },
+
+  /**
+   * Everything filled so far, in page order
+   */
+  list() {
+    const ledger = this.load();
+    return Object.values(ledger.entries)
+      .sort((a, b) => ledger.pages.indexOf(a.page) - ledger.pages.indexOf(b.page) || a.recordedAt - b.recordedAt);
+  },
+
+  /**
+   * Decide whether the final submit may go ahead, showing the checklist when it needs a person
+   * @returns {Promise<{ approved: boolean, reviewed: boolean, belowThreshold: number }>}
+   */
+  async gate() {
+    const { mode, threshold } = await this.getSettings();
+    if (mode === 'off') return { approved: true, reviewed: false, belowThreshold: 0 };
+
+    const entries = this.list();
+    const weak = entries.filter(entry => entry.confidence < threshold);
+
+    if (mode === 'threshold' && weak.length === 0) {
+      console.log(`QuantumHire AI: All ${entries.length} answers at or above ${threshold}% - submitting without review`);
+      return { approved: true, reviewed: false, belowThreshold: 0 };
+    }
+
+    console.log(`QuantumHire AI: Holding submit for review (${weak.length}/${entries.length} below ${threshold}%)`);
+    chrome.runtime.sendMessage({
+      action: 'submitReviewPending',
+      fields: entries.length,
+      belowThreshold: weak.length,
+    }).catch(() => {});
+
+    const approved = await this.showChecklist(entries, threshold);
+
+    chrome.runtime.sendMessage({ action: 'submitReviewDone', approved }).catch(() => {});
+    return { approved, reviewed: true, belowThreshold: weak.length };
+  },
+
+  /**
+   * Checklist overlay; resolves true on "Submit application", false when dismissed
+   */
+  showChecklist(entries, threshold) {
+    document.getElementById('qh-submit-review')?.remove();
+
+    return new Promise((resolve) => {
+      const weakCount = entries.filter(entry => entry.confidence < threshold).length;
+      const unansweredCount = entries.filter(entry => entry.source === 'unanswered').length;
+      const filledCount = entries.length - unansweredCount;
+      const overlay = document.createElement('div');
+      overlay.id = 'qh-submit-review';
+      overlay.className = 'qh-review-overlay';
+
+      const dialog = document.createElement('div');
+      dialog.className = 'qh-review-dialog';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-label', 'Review application before submitting');
+
+      const header = document.createElement('div');
+      header.className = 'qh-review-header';
+      const title = document.createElement('div');
+      title.className = 'qh-review-title';
+      title.textContent = 'Review before submitting';
+      const summary = document.createElement('div');
+      summary.className = 'qh-review-summary';
+      summary.textContent = weakCount > 0
+        ? `${filledCount} fields filled · ${weakCount} below ${threshold}% confidence`
+        : `${filledCount} fields filled · all at or above ${threshold}% confidence`;
+      if (unansweredCount > 0) summary.textContent += ` · ${unansweredCount} required left for you`;
+      header.append(title, summary);
+
+      const list = document.createElement('div');
+      list.className = 'qh-review-list';
+      const pages = [...new Set(entries.map(entry => entry.page))];
+
+      pages.forEach((page, pageIndex) => {
+        if (pages.length > 1) {
+          const pageHeading = document.createElement('div');
+          pageHeading.className = 'qh-review-page';
+          pageHeading.textContent = `Page ${pageIndex + 1}`;
+          list.appendChild(pageHeading);
+        }
+
+        entries.filter(entry => entry.page === page).forEach(entry => {
+          list.appendChild(this.renderRow(entry, threshold));
+        });
+      });
+
+      if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'qh-review-empty';
+        empty.textContent = 'Nothing was filled automatically - check the form yourself before submitting.';
+        list.appendChild(empty);
+      }
+
+      const footer = document.createElement('div');
+      footer.className = 'qh-review-footer';
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'qh-review-btn secondary';
+      cancelBtn.textContent = 'Keep editing';
+      const submitBtn = document.createElement('button');
+      submitBtn.className = 'qh-review-btn primary';
+      submitBtn.textContent = 'Submit application';
+      footer.append(cancelBtn, submitBtn);
+
+      dialog.append(header, list, footer);
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+
+      const close = (approved) => {
+        overlay.remove();
+        resolve(approved);
+      };
+      submitBtn.addEventListener('click', () => close(true));
+      cancelBtn.addEventListener('click', () => close(false));
+    });
+  },
+
+  renderRow(entry, threshold) {
+    const row = document.createElement('div');
+    row.className = `qh-review-row${entry.confidence < threshold ? ' weak' : ''}`;
+    if (entry.reasoning) row.title = entry.reasoning;
+
+    const main = document.createElement('div');
+    main.className = 'qh-review-main';
+    const label = document.createElement('div');
+    label.className = 'qh-review-label';
+    label.textContent = entry.label;
+    const value = document.createElement('div');
+    value.className = 'qh-review-value';
+    value.textContent = entry.value || '(empty)';
+    main.append(label, value);
+
+    const source = document.createElement('span');
+    source.className = `qh-review-source ${entry.source}`;
+    source.textContent = this.sourceLabels[entry.source] || entry.source;
+
+    const confidence = document.createElement('span');
+    confidence.className = 'qh-review-confidence';
+    confidence.textContent = `${entry.confidence}%`;
+
+    row.append(main, source, confidence);
+
+    // Fields on this page can be jumped to and fixed before approving
+    const element = this.elements.get(entry.key);
+    if (element?.isConnected) {
+      row.classList.add('jumpable');
+      row.addEventListener('click', () => {
+        element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        element.focus?.();
+      });
+    }
+    return row;
+  },
+};
+
+// Export for use in extension
+if (typeof window !== 'undefined') {
+  window.QuantumHireSubmitReview = SubmitReview;
+}
@@ -0,0 +1,346 @@
+// QuantumHire AI - Typing Profiles
+// Timing models for humanTyping.js: inter-key delays by digraph, burst/pause rhythm,
+// typo-and-correction behaviour and mouse timing. Built-in profiles cover each speed
+// setting; calibrate-typing.html records one from the user's own typing, which can then
+// be assigned to any speed.
+
+const TypingProfiles = {
+  // { profiles: { [id]: profile }, bySpeed: { [speed]: profileId } } - built-ins aren't stored
+  storageKey: 'typingProfiles',
+
+  // Delays are log-normal: `median` in ms, `sigma` the spread of the underlying normal.
+  // classFactors scale the key median for digraphs the profile has no recording of.
+  builtins: {
+    careful: {
+      id: 'careful',
+      name: 'Careful',
+      source: 'builtin',
+      key: { median: 420, sigma: 0.35 },
+      digraphs: {},
+      classFactors: { sameKey: 0.9, sameHand: 1.1, alternate: 0.85, space: 1.05, afterSpace: 1.15, punctuation: 1.6, shift: 1.3, digit: 1.25 },
+      burst: { length: 6, pauseMedian: 700, pauseSigma: 0.5 },
+      correction: { rate: 0.02, lateNotice: 0.3, noticeMedian: 350, backspaceMedian: 140 },
+      mouse: { hoverMedian: 120, hoverSigma: 0.35, pressMedian: 85, pressSigma: 0.3, settleMedian: 300 },
+    },
+    steady: {
+      id: 'steady',
+      name: 'Steady',
+      source: 'builtin',
+      key: { median: 290, sigma: 0.32 },
+      digraphs: {},
+      classFactors: { sameKey: 0.9, sameHand: 1.1, alternate: 0.85, space: 1.05, afterSpace: 1.12, punctuation: 1.5, shift: 1.25, digit: 1.2 },
+      burst: { length: 7, pauseMedian: 450, pauseSigma: 0.45 },
+      correction: { rate: 0.012, lateNotice: 0.25, noticeMedian: 280, backspaceMedian: 120 },
+      mouse: { hoverMedian: 90, hoverSigma: 0.32, pressMedian: 75, pressSigma: 0.3, settleMedian: 230 },
+    },
+    quick: {
+      id: 'quick',
+      name: 'Quick',
+      source: 'builtin',
+      key: { median: 215, sigma: 0.3 },
+      digraphs: {},
+      classFactors: { sameKey: 0.92, sameHand: 1.08, alternate: 0.88, space: 1.05, afterSpace: 1.1, punctuation: 1.4, shift: 1.2, digit: 1.15 },
+      burst: { length: 9, pauseMedian: 300, pauseSigma: 0.4 },
+      correction: { rate: 0.006, lateNotice: 0.2, noticeMedian: 220, backspaceMedian: 100 },
+      mouse: { hoverMedian: 65, hoverSigma: 0.3, pressMedian: 60, pressSigma: 0.28, settleMedian: 150 },
+    },
+    rapid: {
+      id: 'rapid',
+      name: 'Rapid',
+      source: 'builtin',
+      key: { median: 145, sigma: 0.28 },
+      digraphs: {},
+      classFactors: { sameKey: 0.95, sameHand: 1.05, alternate: 0.9, space: 1.05, afterSpace: 1.08, punctuation: 1.3, shift: 1.15, digit: 1.1 },
+      burst: { length: 12, pauseMedian: 200, pauseSigma: 0.35 },
+      correction: { rate: 0, lateNotice: 0, noticeMedian: 180, backspaceMedian: 90 },
+      mouse: { hoverMedian: 45, hoverSigma: 0.28, pressMedian: 45, pressSigma: 0.25, settleMedian: 100 },
+    },
+  },
+
+  defaultBySpeed: { 1: 'careful', 1.5: 'steady', 2: 'quick', 3: 'rapid' },
+
+  // QWERTY hands, for same-hand vs alternating digraphs
+  leftHand: new Set('qwertasdfgzxcvb12345`~!@#$%'),
+
+  // Minimum keystrokes a calibration needs before it's worth building a profile from
+  minRecordedKeys: 150,
+
+  data: null,
+
+  // ============ STORAGE ============
+
+  async load() {
+    if (this.data) return this.data;
+
+    try {
+      const stored = await chrome.storage.local.get([this.storageKey]);
+      this.data = { profiles: {}, bySpeed: {}, ...stored[this.storageKey] };
+    } catch (e) {
+      this.data = { profiles: {}, bySpeed: {} };
+    }
+
+    if (!this.storageListener && chrome.storage?.onChanged) {
+      this.storageListener = (changes, area) => {
+        if (area === 'local' && changes[this.storageKey]) {
+          this.data = { profiles: {}, bySpeed: {}, ...changes[this.storageKey].newValue };
+        }
+      };
+      chrome.storage.onChanged.addListener(this.storageListener);
+    }
+    return this.data;
+  },
+
+  async save() {
+    await chrome.storage.local.set({ [this.storageKey]: this.data });
+  },
+
+  /**
+   * Profile assigned to a speed setting, falling back to that speed's built-in
+   */
+  async getProfile(speed = 1) {
+    const data = await this.load();
+    const id = data.bySpeed[speed] || this.defaultBySpeed[speed] || 'careful';
+    return data.profiles[id] || this.builtins[id] || this.builtins.careful;
+  },
+
+  async list() {
+    const data = await this.load();
+    return [...Object.values(this.builtins), ...Object.values(data.profiles)];
+  },
+
+  async getAssignments() {
+    const data = await this.load();
+    return Object.fromEntries(Object.keys(this.defaultBySpeed)
+      .map(speed => [speed, data.bySpeed[speed] || this.defaultBySpeed[speed]]));
+  },
+
+  async saveProfile(profile) {
+    const data = await this.load();
+    data.profiles[profile.id] = profile;
+    await this.save();
+    return profile;
+  },
+
+  async deleteProfile(id) {
+    const data = await this.load();
+    delete data.profiles[id];
+    for (const [speed, assigned] of Object.entries(data.bySpeed)) {
+      if (assigned === id) delete data.bySpeed[speed];
+    }
+    await this.save();
+  },
+
+  async assign(speed, id) {
+    const data = await this.load();
+    if (!this.builtins[id] && !data.profiles[id]) throw new Error(`Unknown typing profile: ${id}`);
+    data.bySpeed[speed] = id;
+    await this.save();
+  },
+
+  // ============ SAMPLING ============
+
+  gaussian() {
+    // Box-Muller
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  },
+
+  /**
+   * Log-normal sample around a median, clamped to a sane range
+   */
+  sample(median, sigma = 0.3, { min = 15, max = median * 6 } = {}) {
+    const value = median * Math.exp(sigma * this.gaussian());
+    return Math.round(Math.min(max, Math.max(min, value)));
+  },
+
+  /**
+   * Which classFactors entry applies to typing `char` right after `prev`
+   */
+  digraphClass(prev, char) {
+    if (/[.,!?;:]/.test(char)) return 'punctuation';
+    if (char === ' ') return 'space';
+    if (prev === ' ') return 'afterSpace';
+    if (/[0-9]/.test(char)) return 'digit';
+    if (char !== char.toLowerCase()) return 'shift';
+    if (!prev) return null;
+
+    const a = prev.toLowerCase();
+    const b = char.toLowerCase();
+    if (a === b) return 'sameKey';
+    return this.leftHand.has(a) === this.leftHand.has(b) ? 'sameHand' : 'alternate';
+  },
+
+  /**
+   * Delay before typing `char`, given the character typed before it
+   */
+  keyDelay(profile, prev, char) {
+    const recorded = prev ? profile.digraphs[(prev + char).toLowerCase()] : null;
+    const median = recorded || profile.key.median * (profile.classFactors[this.digraphClass(prev, char)] || 1);
+    return this.sample(median, profile.key.sigma);
+  },
+
+  /**
+   * Burst tracker: typists go in runs of keys separated by short pauses, usually at word breaks.
+   * Call next(char) after each key; it returns the extra pause (ms) to add, usually 0.
+   */
+  createRhythm(profile) {
+    const { length, pauseMedian, pauseSigma } = profile.burst;
+    const drawTarget = () => Math.max(2, Math.round(length * Math.exp(0.4 * this.gaussian())));
+    let count = 0;
+    let target = drawTarget();
+
+    return {
+      next: (char) => {
+        count++;
+        if (count < target || (char !== ' ' && count < target * 1.5)) return 0;
+        count = 0;
+        target = drawTarget();
+        return this.sample(pauseMedian, pauseSigma);
+      },
+    };
+  },
+
+  /**
+   * Whether to fumble this key, and how many correct keys go by before the typo is noticed
+   * @returns {{ lookahead: number } | null}
+   */
+  planTypo(profile, rate = profile.correction.rate) {
+    if (Math.random() >= rate) return null;
+    const late = Math.random() < profile.correction.lateNotice;
+    return { lookahead: late ? 1 + Math.floor(Math.random() * 2) : 0 };
+  },
+
+  /**
+   * Mouse timings for one click: settle after scroll, hover before press, press duration
+   */
+  mouseTiming(profile) {
+    const { hoverMedian, hoverSigma, pressMedian, pressSigma, settleMedian } = profile.mouse;
+    return {
+      settle: this.sample(settleMedian, 0.3),
+      hover: this.sample(hoverMedian, hoverSigma),
+      press: this.sample(pressMedian, pressSigma, { min: 20, max: pressMedian * 3 }),
+    };
+  },
+
+  // ============ CALIBRATION ============
+
+  /**
+   * Build a profile from a calibration recording
+   * @param {Object} recording
+   * @param {Array<{key: string, t: number}>} recording.keys - keydown events (key, ms timestamp), Backspace included
+   * @param {Array<{hover: number, press: number}>} [recording.clicks] - ms from pointer entering a target to press, and press duration
+   * @param {string} [recording.name]
+   * @returns {Object} Profile
+   */
+  buildProfile({ keys, clicks = [], name = 'My typing' }) {
+    const printable = keys.filter(k => k.key.length === 1);
+    if (printable.length < this.minRecordedKeys) {
+      throw new Error(`Type at least ${this.minRecordedKeys} characters (got ${printable.length})`);
+    }
+
+    const median = (values) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+    const logSigma = (values, fallback) => {
+      if (values.length < 3) return fallback;
+      const logs = values.map(v => Math.log(v));
+      const mean = logs.reduce((a, b) => a + b, 0) / logs.length;
+      const variance = logs.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (logs.length - 1);
+      return Number(Math.min(0.8, Math.max(0.1, Math.sqrt(variance))).toFixed(3));
+    };
+    const base = this.builtins.careful;
+
+    // Inter-key intervals between two printable keys, away from corrections
+    const intervals = [];
+    const corrections = [];
+    for (let i = 1; i < keys.length; i++) {
+      const prev = keys[i - 1];
+      const curr = keys[i];
+      const gap = curr.t - prev.t;
+      if (gap <= 0) continue;
+
+      if (curr.key === 'Backspace') {
+        if (prev.key !== 'Backspace') {
+          let run = 1;
+          while (keys[i + run]?.key === 'Backspace') run++;
+          const backspaceGaps = [];
+          for (let j = i + 1; j < i + run; j++) backspaceGaps.push(keys[j].t - keys[j - 1].t);
+          corrections.push({ notice: gap, run, backspaceGaps });
+        }
+        continue;
+      }
+      if (prev.key.length !== 1 || curr.key.length !== 1 || keys[i - 2]?.key === 'Backspace') continue;
+      intervals.push({ prev: prev.key, char: curr.key, gap });
+    }
+
+    // Long gaps split bursts; very long ones are the user looking away, not rhythm
+    const typical = median(intervals.map(i => i.gap));
+    const pauseThreshold = Math.max(typical * 3, 600);
+    const flowing = intervals.filter(i => i.gap < pauseThreshold);
+    const pauses = intervals.filter(i => i.gap >= pauseThreshold && i.gap < 5000).map(i => i.gap);
+    const keyMedian = Math.round(median(flowing.map(i => i.gap)));
+
+    const byDigraph = {};
+    const byClass = {};
+    for (const { prev, char, gap } of flowing) {
+      (byDigraph[(prev + char).toLowerCase()] ||= []).push(gap);
+      const cls = this.digraphClass(prev, char);
+      if (cls) (byClass[cls] ||= []).push(gap);
+    }
+
+    const digraphs = {};
+    for (const [pair, gaps] of Object.entries(byDigraph)) {
+      if (gaps.length >= 3) digraphs[pair] = Math.round(median(gaps));
+    }
+
+    const classFactors = {};
+    for (const cls of Object.keys(base.classFactors)) {
+      classFactors[cls] = byClass[cls]?.length >= 3
+        ? Number((median(byClass[cls]) / keyMedian).toFixed(2))
+        : base.classFactors[cls];
+    }
+
+    const backspaceGaps = corrections.flatMap(c => c.backspaceGaps).filter(g => g > 0 && g < 2000);
+    const hovers = clicks.map(c => c.hover).filter(v => v > 0 && v < 3000);
+    const presses = clicks.map(c => c.press).filter(v => v > 0 && v < 1000);
+    const keyScale = keyMedian / base.key.median;
+
+    return {
+      id: `recorded_${Date.now()}`,
+      name,
+      source: 'recorded',
+      createdAt: new Date().toISOString(),
+      sampleSize: printable.length,
+      key: { median: keyMedian, sigma: logSigma(flowing.map(i => i.gap), base.key.sigma) },
+      digraphs,
+      classFactors,
+      burst: {
+        length: Number((flowing.length / Math.max(1, pauses.length)).toFixed(1)),
+        pauseMedian: pauses.length ? Math.round(median(pauses)) : Math.round(base.burst.pauseMedian * keyScale),
+        pauseSigma: logSigma(pauses, base.burst.pauseSigma),
+      },
+      correction: {
+        // A correction run that deletes more than one key means the typo was noticed late
+        rate: Number((corrections.length / printable.length).toFixed(4)),
+        lateNotice: corrections.length ? Number((corrections.filter(c => c.run > 1).length / corrections.length).toFixed(2)) : 0,
+        noticeMedian: corrections.length ? Math.round(median(corrections.map(c => c.notice))) : base.correction.noticeMedian,
+        backspaceMedian: backspaceGaps.length ? Math.round(median(backspaceGaps)) : base.correction.backspaceMedian,
+      },
+      mouse: {
+        hoverMedian: hovers.length ? Math.round(median(hovers)) : base.mouse.hoverMedian,
+        hoverSigma: logSigma(hovers, base.mouse.hoverSigma),
+        pressMedian: presses.length ? Math.round(median(presses)) : base.mouse.pressMedian,
+        pressSigma: logSigma(presses, base.mouse.pressSigma),
+        settleMedian: Math.round(base.mouse.settleMedian * Math.min(1.5, Math.max(0.5, keyScale))),
+      },
+    };
+  },
+};
+
+// Export for use in extension
+if (typeof window !== 'undefined') {
+  window.QuantumHireTypingProfiles = TypingProfiles;
+}
@@ -61,20 +61,12 @@ const UNIVERSAL_ATS_2025 = {
     /at.*least.*(?:18|21)/i
   ],
   
-  // Universal YES patterns for knockout questions
-  yesPatterns: [
-    /^yes$/i, /^y$/i, /^true$/i,
-    /authorized/i, /eligible/i, /agree/i, /accept/i, /confirm/i,
-    /willing/i, /available/i, /can.*start/i, /have.*experience/i,
-    /do.*not.*require.*sponsorship/i, /no.*sponsorship.*required/i
-  ],
+  // Rule answers that mean "leave the checkbox unticked"
+  negativeAnswers: /^(no|nein|false)$/i,
   
-  // Universal NO patterns (to avoid selecting)
-  noPatterns: [
-    /^no$/i, /^n$/i, /^false$/i,
-    /not.*authorized/i, /require.*sponsorship/i, /need.*visa/i,
-    /not.*eligible/i, /decline/i, /refuse/i, /cannot/i
-  ],
+  // Dropdowns whose label or options read like an EEO / voluntary disclosure. No rule matched them,
+  // so they are left for the user rather than given a default answer.
+  disclosureOptions: /prefer not|decline|do not wish|don'?t wish|not to (?:answer|disclose|say)|self[- ]?identif|veteran|disabilit|gender|\b(?:fe)?male\b|non-?binary|transgender|pronoun|sexual orientation|heterosexual|\bgay\b|lesbian|bisexual|ethnic|\brace\b|hispanic|latin[oax]|white|black|african|asian|pacific islander|native (?:american|hawaiian)|alaska native|two or more races|religio/i,
   
   // Enterprise defaults for ALL platforms
   enterpriseSafe: {
@@ -171,8 +163,10 @@ class UniversalATSEngine {
   async loadEnterpriseProfile() {
     try {
       // Load from chrome storage
-      const stored = await chrome.storage.local.get(['userProfile']);
+      const stored = await EncryptedStorage.getItems(['userProfile']);
       const profile = stored.userProfile || {};
+      // Screening rules read the profile as stored, without the enterprise defaults below
+      if (!this.userProfile) this.userProfile = profile;
       
       // Merge with safe defaults
       return {
@@ -249,12 +243,17 @@ class UniversalATSEngine {
   }
   
   async analyzeUniversalField(field, container) {
-    const labelText = this.extractUniversalLabel(field);
+    const labelText = field.type === 'radio' ? this.extractRadioGroupLabel(field) : this.extractUniversalLabel(field);
     const fieldName = (field.name || field.id || '').toLowerCase();
     const placeholder = (field.placeholder || '').toLowerCase();
     const ariaLabel = (field.getAttribute('aria-label') || '').toLowerCase();
     const combinedContext = `${labelText} ${fieldName} ${placeholder} ${ariaLabel}`.toLowerCase();
     
+    const options = field.tagName === 'SELECT' ? Array.from(field.options).map(o => ({ value: o.value, text: o.textContent })) : null;
+    const optionTexts = field.type === 'radio'
+      ? this.getRadioGroup(field).map(r => this.extractUniversalLabel(r) || r.value)
+      : options?.map(o => o.text.trim()).filter(t => t);
+    
     return {
       label: labelText,
       name: fieldName,
@@ -265,10 +264,31 @@ class UniversalATSEngine {
       tag: field.tagName.toLowerCase(),
       isRequired: field.required || field.getAttribute('aria-required') === 'true',
       isKnockout: UNIVERSAL_ATS_2025.knockoutUniversal.some(p => p.test(combinedContext)),
-      options: field.tagName === 'SELECT' ? Array.from(field.options).map(o => ({ value: o.value, text: o.textContent })) : null
+      options,
+      ruleMatch: this.matchScreeningRule(labelText, optionTexts)
     };
   }
   
+  // Shared screening rules (utils/screeningRules.js): the profile's answer, or null
+  matchScreeningRule(label, options) {
+    if (!window.QuantumHireRules || !label) return null;
+    const locale = document.documentElement.lang || navigator.language || 'en';
+    return QuantumHireRules.answer({ label, options }, this.userProfile, { locale });
+  }
+  
+  getRadioGroup(field) {
+    return field.name
+      ? Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(field.name)}"]`))
+      : [field];
+  }
+  
+  // A radio's own label is its option ("Yes"); the question is the group's legend
+  extractRadioGroupLabel(field) {
+    const group = field.closest('fieldset, [role="radiogroup"]');
+    const legend = group?.querySelector('legend, [class*="label"], [class*="question"]');
+    return legend ? legend.textContent.trim() : this.extractUniversalLabel(field);
+  }
+  
   extractUniversalLabel(field) {
     // Method 1: aria-labelledby
     const labelledBy = field.getAttribute('aria-labelledby');
@@ -310,13 +330,13 @@ class UniversalATSEngine {
   }
   
   determineUniversalStrategy(context) {
-    const { combinedContext, tag, type, isKnockout } = context;
+    const { combinedContext, tag, type, isKnockout, ruleMatch } = context;
     
-    // Priority 1: Knockout detection (universal patterns)
-    if (isKnockout) return 'KNOCKOUT_UNIVERSAL';
+    // Priority 1: Screening rules - answered from the profile, or withheld for the user
+    if (ruleMatch) return 'SCREENING_RULE';
     
-    // Priority 2: Yes/No detection
-    if (this.isUniversalYesNo(context)) return 'YES_NO_UNIVERSAL';
+    // Priority 2: Knockout and yes/no questions no rule covers are the user's to answer
+    if (isKnockout || this.isUniversalYesNo(context)) return 'KNOCKOUT_REVIEW';
     
     // Priority 3: Field type detection by context
     if (/first.*name|fname|given.*name/i.test(combinedContext)) return 'FIRST_NAME';
@@ -360,15 +380,17 @@ class UniversalATSEngine {
     let value = '';
     
     switch(strategy) {
-      case 'KNOCKOUT_UNIVERSAL':
-        await this.universalYesOverride(field, context);
-        this.stats.knockoutsHandled++;
-        filled = true;
+      case 'SCREENING_RULE':
+        filled = this.fillFromRule(field, context.ruleMatch);
+        if (filled) {
+          if (context.isKnockout) this.stats.knockoutsHandled++;
+        } else {
+          this.stats.reviewNeeded++;
+        }
         break;
         
-      case 'YES_NO_UNIVERSAL':
-        await this.universalYesOverride(field, context);
-        filled = true;
+      case 'KNOCKOUT_REVIEW':
+        this.stats.reviewNeeded++;
         break;
         
       case 'FIRST_NAME':
@@ -445,8 +467,8 @@ class UniversalATSEngine {
         break;
         
       case 'DROPDOWN_UNIVERSAL':
-        this.universalDropdownSafeSelect(field, context);
-        filled = true;
+        filled = this.universalDropdownSafeSelect(field, context);
+        if (!filled && !field.value) this.stats.manualRequired++;
         break;
         
       case 'TEXTAREA_UNIVERSAL':
@@ -474,67 +496,35 @@ class UniversalATSEngine {
     }
   }
   
-  async universalYesOverride(field, context) {
+  // Fill a field with a screening rule's answer. Nothing is filled for a withheld disclosure, or
+  // when the form has no option for the answer - there is no fallback to "Yes" or the first option.
+  fillFromRule(field, ruleMatch) {
+    if (!ruleMatch || ruleMatch.withheld || !ruleMatch.answer) return false;
+    
     const type = field.type?.toLowerCase();
-    const tag = field.tagName.toLowerCase();
     
-    // Handle checkboxes
     if (type === 'checkbox') {
-      field.checked = true;
-      this.universalEventChain(field);
-      return;
+      field.checked = !UNIVERSAL_ATS_2025.negativeAnswers.test(ruleMatch.answer);
+      return true;
     }
     
-    // Handle radio buttons
     if (type === 'radio') {
-      const radioGroup = document.querySelectorAll(`input[type="radio"][name="${field.name}"]`);
-      const yesRadio = this.findUniversalYesOption(radioGroup);
-      if (yesRadio) {
-        yesRadio.checked = true;
-        this.universalEventChain(yesRadio);
-        return;
-      }
-      // If no clear yes, select first option
-      if (radioGroup.length > 0) {
-        radioGroup[0].checked = true;
-        this.universalEventChain(radioGroup[0]);
-      }
-      return;
+      const group = this.getRadioGroup(field);
+      const index = this.pickOption(group.map(r => [this.extractUniversalLabel(r), r.value]), ruleMatch.answer, ruleMatch.selectValue);
+      if (index === -1) return false;
+      const radio = group[index];
+      radio.checked = true;
+      if (radio !== field) this.universalEventChain(radio);
+      group.forEach(r => this.markFieldProcessed(r));
+      return true;
     }
     
-    // Handle select dropdowns
-    if (tag === 'select') {
-      const yesOption = Array.from(field.options).find(opt => {
-        const text = (opt.value + ' ' + opt.textContent).toLowerCase();
-        return UNIVERSAL_ATS_2025.yesPatterns.some(p => p.test(text));
-      });
-      
-      if (yesOption) {
-        field.value = yesOption.value;
-      } else if (field.options.length > 1) {
-        // Select first non-empty option
-        field.selectedIndex = field.options[0].value ? 0 : 1;
-      }
-      this.universalEventChain(field);
-      return;
+    if (field.tagName === 'SELECT') {
+      return this.selectOptionByValue(field, ruleMatch.answer, ruleMatch.selectValue);
     }
     
-    // Default text field: "Yes"
-    field.value = 'Yes';
-    this.universalEventChain(field);
-  }
-  
-  findUniversalYesOption(radioGroup) {
-    for (const radio of radioGroup) {
-      const label = this.extractUniversalLabel(radio);
-      const value = radio.value?.toLowerCase() || '';
-      const combined = label + ' ' + value;
-      
-      if (UNIVERSAL_ATS_2025.yesPatterns.some(p => p.test(combined))) {
-        return radio;
-      }
-    }
-    return null;
+    field.value = ruleMatch.answer;
+    return true;
   }
   
   isUniversalYesNo(context) {
@@ -553,12 +543,19 @@ class UniversalATSEngine {
     return false;
   }
   
+  // Pick a "safe" option (yes, agree, full time...) for a dropdown no rule covers. Disclosure-like
+  // dropdowns and ones with no safe option are left as they are - never the first option.
   universalDropdownSafeSelect(field, context) {
     // If already has a value, skip
-    if (field.value && field.selectedIndex > 0) return;
+    if (field.value && field.selectedIndex > 0) return false;
     
     const options = Array.from(field.options);
-    if (options.length === 0) return;
+    if (options.length === 0) return false;
+    
+    const disclosure = UNIVERSAL_ATS_2025.disclosureOptions;
+    if (disclosure.test(context.combinedContext || '') || options.some(opt => disclosure.test(opt.textContent))) {
+      return false;
+    }
     
     // Try to find a safe/positive option
     const safePatterns = [
@@ -571,14 +568,11 @@ class UniversalATSEngine {
       const match = options.find(opt => pattern.test(opt.textContent));
       if (match) {
         field.value = match.value;
-        return;
+        return true;
       }
     }
     
-    // Fallback: select first non-empty option
-    if (options.length > 1 && !options[0].value) {
-      field.selectedIndex = 1;
-    }
+    return false;
   }
   
   selectCountryOption(field, country) {
@@ -597,27 +591,25 @@ class UniversalATSEngine {
     }
   }
   
-  selectOptionByValue(field, value) {
-    const options = Array.from(field.options);
-    
-    // Exact match
-    const exact = options.find(opt => 
-      opt.value.toLowerCase() === value.toLowerCase() ||
-      opt.textContent.toLowerCase() === value.toLowerCase()
-    );
-    if (exact) {
-      field.value = exact.value;
-      return;
+  selectOptionByValue(field, value, selectValue) {
+    // Placeholder options ("Select...") have no value and are never an answer
+    const options = Array.from(field.options).filter(opt => opt.value && opt.textContent.trim());
+    const index = this.pickOption(options.map(opt => [opt.textContent, opt.value]), value, selectValue);
+    if (index === -1) return false;
+    field.value = options[index].value;
+    return true;
+  }
+  
+  // Index of the option an answer picks (QuantumHireRules.matchOption): an exact label or value
+  // in the whole group first, then whole words - never a substring, so "Male" can't pick "Female"
+  pickOption(texts, answer, selectValue) {
+    if (window.QuantumHireRules?.matchOption) {
+      return QuantumHireRules.matchOption(texts, answer || '', selectValue);
     }
-    
-    // Partial match
-    const partial = options.find(opt => 
-      opt.textContent.toLowerCase().includes(value.toLowerCase()) ||
-      value.toLowerCase().includes(opt.textContent.toLowerCase())
+    const wanted = [answer, selectValue].filter(Boolean).map(v => String(v).toLowerCase().trim());
+    return texts.findIndex(alternatives =>
+      [].concat(alternatives).some(text => wanted.includes(String(text || '').toLowerCase().trim()))
     );
-    if (partial) {
-      field.value = partial.value;
-    }
   }
   
   universalEventChain(field) {
@@ -205,6 +205,7 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
         tailored_resume: data.tailoredResume,
         tailored_cover_letter: data.tailoredCoverLetter,
         referral_email: data.referralEmail,
+        keywords_used: data.keywordsMatched || [],
         status: 'applied',
         applied_at: new Date().toISOString(),
       });
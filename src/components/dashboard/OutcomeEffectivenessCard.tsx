@@ -0,0 +1,94 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { useOutcomeStats, MIN_OUTCOME_SAMPLE, type KeywordEffectiveness } from '@/hooks/useOutcomeStats';
+import { TrendingUp, TrendingDown, MessageSquare, BarChart3 } from 'lucide-react';
+
+const formatRate = (rate: number) => `${Math.round(rate * 100)}%`;
+
+const KeywordRow = ({ stat }: { stat: KeywordEffectiveness }) => (
+  <div className="flex items-center justify-between text-sm">
+    <span className="truncate">{stat.keyword}</span>
+    <span className="text-muted-foreground shrink-0 ml-2">
+      {stat.interviews}/{stat.applications} · {formatRate(stat.interview_rate)}
+    </span>
+  </div>
+);
+
+export const OutcomeEffectivenessCard = () => {
+  const { keywords, answers, baselineRate, isLoading } = useOutcomeStats();
+
+  const topKeywords = keywords.slice(0, 5);
+  const weakKeywords = [...keywords]
+    .filter(k => !topKeywords.includes(k))
+    .sort((a, b) => a.interview_rate - b.interview_rate)
+    .slice(0, 5);
+  const topAnswers = answers.slice(0, 5);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BarChart3 className="h-5 w-5 text-primary" />
+          What's Working
+        </CardTitle>
+        <CardDescription>
+          Interview rate of applications by keyword and saved answer
+          {keywords.length > 0 && ` · baseline ${formatRate(baselineRate)}`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading outcomes...</p>
+        ) : keywords.length === 0 && answers.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No outcomes yet. Once applications move to interviewing, offered or rejected
+            (from at least {MIN_OUTCOME_SAMPLE} applications each), keyword and answer effectiveness shows up here
+            and is used to weight future tailoring and answers.
+          </p>
+        ) : (
+          <div className="grid gap-6 md:grid-cols-3">
+            <div className="space-y-2">
+              <p className="text-sm font-medium flex items-center gap-1">
+                <TrendingUp className="h-4 w-4 text-green-500" />
+                Top keywords
+              </p>
+              {topKeywords.map(stat => <KeywordRow key={stat.keyword} stat={stat} />)}
+            </div>
+            <div className="space-y-2">
+              <p className="text-sm font-medium flex items-center gap-1">
+                <TrendingDown className="h-4 w-4 text-destructive" />
+                Underperforming keywords
+              </p>
+              {weakKeywords.length > 0 ? (
+                weakKeywords.map(stat => <KeywordRow key={stat.keyword} stat={stat} />)
+              ) : (
+                <p className="text-sm text-muted-foreground">Not enough data</p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <p className="text-sm font-medium flex items-center gap-1">
+                <MessageSquare className="h-4 w-4 text-primary" />
+                Saved answers
+              </p>
+              {topAnswers.length > 0 ? (
+                topAnswers.map(stat => (
+                  <div key={stat.memory_id} className="text-sm">
+                    <p className="truncate">{stat.question_normalized}</p>
+                    <div className="flex items-center justify-between text-muted-foreground">
+                      <span className="truncate">{stat.answer?.answer || '—'}</span>
+                      <Badge variant="secondary" className="ml-2 shrink-0">
+                        {formatRate(stat.interview_rate)}
+                      </Badge>
+                    </div>
+                  </div>
+                ))
+              ) : (
+                <p className="text-sm text-muted-foreground">Not enough data</p>
+              )}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -7,6 +7,7 @@ import {
   Settings, 
   FileText,
   ListChecks,
+  Brain,
   Menu,
   X
 } from 'lucide-react';
@@ -19,6 +20,7 @@ const navItems = [
   { path: '/jobs', label: 'Jobs', icon: Briefcase },
   { path: '/applications', label: 'Applications', icon: FileText },
   { path: '/queue', label: 'Job Queue', icon: ListChecks },
+  { path: '/memories', label: 'Memories', icon: Brain },
   { path: '/profile', label: 'Profile', icon: User },
   { path: '/settings', label: 'Settings', icon: Settings },
 ];
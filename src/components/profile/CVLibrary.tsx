@@ -0,0 +1,248 @@
+import { useState, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useCVLibrary, parseTags, type BaseCV } from '@/hooks/useCVLibrary';
+import { toast } from 'sonner';
+import { Library, Upload, Loader2, Star, Pencil, Trash2, Sparkles, FileText } from 'lucide-react';
+
+const ALLOWED_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+
+export function CVLibrary() {
+  const { cvs, isLoading, uploadCV, updateCV, setDefaultCV, deleteCV, parseCV } = useCVLibrary();
+  const [newName, setNewName] = useState('');
+  const [newTags, setNewTags] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const [parsingId, setParsingId] = useState<string | null>(null);
+  const [editing, setEditing] = useState<BaseCV | null>(null);
+  const [editName, setEditName] = useState('');
+  const [editTags, setEditTags] = useState('');
+  const [editContent, setEditContent] = useState('');
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const handleFileSelect = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    if (!ALLOWED_TYPES.includes(file.type)) {
+      toast.error('Please upload a PDF or Word document');
+      return;
+    }
+
+    if (file.size > 10 * 1024 * 1024) {
+      toast.error('File size must be less than 10MB');
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      await uploadCV(file, newName.trim() || file.name.replace(/\.[^.]+$/, ''), parseTags(newTags));
+      setNewName('');
+      setNewTags('');
+    } finally {
+      setIsUploading(false);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    }
+  };
+
+  const handleParse = async (cv: BaseCV) => {
+    setParsingId(cv.id);
+    try {
+      await parseCV(cv);
+    } finally {
+      setParsingId(null);
+    }
+  };
+
+  const openEdit = (cv: BaseCV) => {
+    setEditing(cv);
+    setEditName(cv.name);
+    setEditTags(cv.tags.join(', '));
+    setEditContent(cv.content || '');
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editing) return;
+    await updateCV(editing.id, {
+      name: editName.trim(),
+      tags: parseTags(editTags),
+      content: editContent.trim() || null,
+    });
+    setEditing(null);
+  };
+
+  return (
+    <>
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Library className="h-5 w-5" />
+            Resume Library
+          </CardTitle>
+          <p className="text-sm text-muted-foreground">
+            Keep a base resume per focus (e.g. backend, data, management). Tailoring starts from the one that
+            covers the most keywords in the job description; you can pick another in the extension popup.
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".pdf,.doc,.docx"
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+
+          {isLoading ? (
+            <div className="flex justify-center p-6">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : cvs.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center p-4 border-2 border-dashed rounded-lg">
+              No base resumes yet - tailoring uses your profile until you add one.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {cvs.map((cv) => (
+                <div key={cv.id} className="flex items-center justify-between gap-3 p-3 border rounded-lg bg-muted/30">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <FileText className="h-6 w-6 text-primary shrink-0" />
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <p className="font-medium truncate">{cv.name}</p>
+                        {cv.is_default && <Badge variant="secondary">Default</Badge>}
+                      </div>
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {cv.tags.map((tag) => (
+                          <Badge key={tag} variant="outline" className="text-xs">
+                            {tag}
+                          </Badge>
+                        ))}
+                        {!cv.content && !cv.parsed_data && (
+                          <span className="text-xs text-muted-foreground">Not parsed - can't be matched to jobs yet</span>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    {cv.file_path && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleParse(cv)}
+                        disabled={parsingId === cv.id}
+                        title="Parse for job matching"
+                      >
+                        {parsingId === cv.id ? (
+                          <Loader2 className="h-4 w-4 animate-spin" />
+                        ) : (
+                          <Sparkles className="h-4 w-4" />
+                        )}
+                      </Button>
+                    )}
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setDefaultCV(cv.id)}
+                      disabled={cv.is_default}
+                      title="Use as default"
+                    >
+                      <Star className={`h-4 w-4 ${cv.is_default ? 'fill-current' : ''}`} />
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => openEdit(cv)} title="Edit name, tags and text">
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => deleteCV(cv)} title="Delete resume">
+                      <Trash2 className="h-4 w-4 text-destructive" />
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid gap-2 md:grid-cols-[1fr_1fr_auto]">
+            <Input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Name, e.g. Backend"
+            />
+            <Input
+              value={newTags}
+              onChange={(e) => setNewTags(e.target.value)}
+              placeholder="Tags, e.g. backend, go, kubernetes"
+            />
+            <Button onClick={() => fileInputRef.current?.click()} disabled={isUploading}>
+              {isUploading ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Upload className="h-4 w-4 mr-2" />
+              )}
+              Add Resume
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Edit base resume */}
+      <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Edit resume</DialogTitle>
+            <DialogDescription>{editing?.file_name}</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="cv-name">Name</Label>
+              <Input id="cv-name" value={editName} onChange={(e) => setEditName(e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="cv-tags">Tags</Label>
+              <Input
+                id="cv-tags"
+                value={editTags}
+                onChange={(e) => setEditTags(e.target.value)}
+                placeholder="backend, go, kubernetes"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="cv-content">Resume text</Label>
+              <Textarea
+                id="cv-content"
+                value={editContent}
+                onChange={(e) => setEditContent(e.target.value)}
+                rows={8}
+                placeholder="Optional - paste the resume text. Used for matching and as the tailoring base instead of the parsed data."
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditing(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveEdit} disabled={!editName.trim()}>
+              Save
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
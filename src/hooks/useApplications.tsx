@@ -13,6 +13,8 @@ export interface Application {
   tailored_cover_letter: string | null;
   referral_email: string | null;
   referral_contacts: string[] | null;
+  keywords_used: string[] | null;
+  memory_ids: string[] | null;
   email_sent: boolean | null;
   email_sent_at: string | null;
   created_at: string | null;
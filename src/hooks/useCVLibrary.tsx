@@ -0,0 +1,202 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import type { Json } from '@/integrations/supabase/types';
+
+// A base resume in the library. Tailoring picks the one whose content (or parsed data)
+// covers the most JD keywords; tags found in the job break near-ties.
+export interface BaseCV {
+  id: string;
+  name: string;
+  tags: string[];
+  file_path: string | null;
+  file_name: string | null;
+  content: string | null;
+  parsed_data: Json | null;
+  is_default: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+export type BaseCVUpdate = Partial<Pick<BaseCV, 'name' | 'tags' | 'content'>>;
+
+const CV_COLUMNS = 'id, name, tags, file_path, file_name, content, parsed_data, is_default, created_at, updated_at';
+
+/**
+ * Comma-separated tags as the library stores them: trimmed, lower case, no duplicates
+ */
+export function parseTags(input: string): string[] {
+  return [...new Set(input.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+export function useCVLibrary() {
+  const { user } = useAuth();
+  const [cvs, setCvs] = useState<BaseCV[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchCVs = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('cvs')
+        .select(CV_COLUMNS)
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      setCvs((data || []) as BaseCV[]);
+    } catch (error) {
+      console.error('Error fetching CV library:', error);
+      toast.error('Failed to load your resumes');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      fetchCVs();
+    }
+  }, [user, fetchCVs]);
+
+  // parse-cv keeps the structured data on the entry, which selection scores when there is no text
+  const parseCV = async (cv: Pick<BaseCV, 'id' | 'file_path'>) => {
+    if (!cv.file_path) return;
+
+    try {
+      const { data, error } = await supabase.functions.invoke('parse-cv', {
+        body: { cvFilePath: cv.file_path, cvId: cv.id },
+      });
+
+      if (error) throw error;
+      if (!data?.success) throw new Error(data?.error || 'Failed to parse CV');
+
+      setCvs((prev) => prev.map((c) => (c.id === cv.id ? { ...c, parsed_data: data.data } : c)));
+      toast.success('Resume parsed for job matching');
+    } catch (error) {
+      console.error('Error parsing CV:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to parse CV');
+    }
+  };
+
+  const uploadCV = async (file: File, name: string, tags: string[]) => {
+    if (!user) return;
+
+    try {
+      const fileExt = file.name.split('.').pop();
+      const filePath = `${user.id}/${Date.now()}.${fileExt}`;
+
+      const { error: uploadError } = await supabase.storage
+        .from('cvs')
+        .upload(filePath, file, { cacheControl: '3600', upsert: true });
+
+      if (uploadError) throw uploadError;
+
+      const { data, error } = await supabase
+        .from('cvs')
+        .insert({
+          user_id: user.id,
+          name,
+          tags,
+          file_path: filePath,
+          file_name: file.name,
+          // The first resume is the default base until the user picks another
+          is_default: cvs.length === 0,
+        })
+        .select(CV_COLUMNS)
+        .single();
+
+      if (error) throw error;
+
+      setCvs((prev) => [...prev, data as BaseCV]);
+      toast.success(`Added "${name}" to your resumes`);
+      await parseCV(data as BaseCV);
+    } catch (error) {
+      console.error('Error uploading CV:', error);
+      toast.error('Failed to upload resume');
+    }
+  };
+
+  const updateCV = async (id: string, updates: BaseCVUpdate) => {
+    try {
+      const { error } = await supabase
+        .from('cvs')
+        .update(updates)
+        .eq('id', id);
+
+      if (error) throw error;
+
+      setCvs((prev) => prev.map((c) => (c.id === id ? { ...c, ...updates } : c)));
+      toast.success('Resume updated');
+    } catch (error) {
+      console.error('Error updating CV:', error);
+      toast.error('Failed to update resume');
+    }
+  };
+
+  // The default wins ties in base selection; only one per user (idx_cvs_one_default)
+  const setDefaultCV = async (id: string) => {
+    if (!user) return;
+
+    try {
+      const { error: clearError } = await supabase
+        .from('cvs')
+        .update({ is_default: false })
+        .eq('user_id', user.id)
+        .eq('is_default', true);
+
+      if (clearError) throw clearError;
+
+      const { error } = await supabase
+        .from('cvs')
+        .update({ is_default: true })
+        .eq('id', id);
+
+      if (error) throw error;
+
+      setCvs((prev) => prev.map((c) => ({ ...c, is_default: c.id === id })));
+      toast.success('Default resume updated');
+    } catch (error) {
+      console.error('Error setting default CV:', error);
+      toast.error('Failed to set default resume');
+      await fetchCVs();
+    }
+  };
+
+  const deleteCV = async (cv: BaseCV) => {
+    try {
+      if (cv.file_path) {
+        const { error: storageError } = await supabase.storage.from('cvs').remove([cv.file_path]);
+        if (storageError) throw storageError;
+      }
+
+      const { error } = await supabase
+        .from('cvs')
+        .delete()
+        .eq('id', cv.id);
+
+      if (error) throw error;
+
+      setCvs((prev) => prev.filter((c) => c.id !== cv.id));
+      toast.success(`Deleted "${cv.name}"`);
+    } catch (error) {
+      console.error('Error deleting CV:', error);
+      toast.error('Failed to delete resume');
+    }
+  };
+
+  return {
+    cvs,
+    isLoading,
+    fetchCVs,
+    uploadCV,
+    updateCV,
+    setDefaultCV,
+    deleteCV,
+    parseCV,
+  };
+}
@@ -0,0 +1,264 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+
+// How answer-questions may reuse a memory: by similarity, preferred whenever it matches, or not at all
+export type ReusePolicy = 'auto' | 'always' | 'never';
+
+export interface MemoryAnswer {
+  answer?: string;
+  selectValue?: string;
+  reasoning?: string;
+}
+
+export interface Memory {
+  id: string;
+  query_hash: string;
+  question_normalized: string;
+  question_keywords: string[];
+  answer: MemoryAnswer | null;
+  context: { questionType?: string; jobTitle?: string; company?: string } | null;
+  confidence: string;
+  ats_score: number | null;
+  used_count: number;
+  reuse_policy: ReusePolicy;
+  alias_hashes: string[];
+  edited_at: string | null;
+  created_at: string;
+  last_used_at: string;
+}
+
+export interface MemoryOutcome {
+  applications: number;
+  interviews: number;
+  interview_rate: number;
+}
+
+export interface MemoryUsage {
+  id: string;
+  status: 'pending' | 'applied' | 'interviewing' | 'offered' | 'rejected' | null;
+  applied_at: string | null;
+  created_at: string | null;
+  job?: {
+    title: string;
+    company: string;
+    url: string | null;
+  } | null;
+}
+
+// Keyword overlap at which two stored questions are offered for merging. Below the 0.85
+// answer-questions recalls at, so these are the near-duplicates recall keeps apart.
+export const DUPLICATE_SIMILARITY = 0.6;
+
+function keywordSimilarity(a: string[], b: string[]): number {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const matches = new Set(a.filter((word) => setB.has(word))).size;
+  return matches / new Set([...a, ...b]).size;
+}
+
+/**
+ * Groups of memories that look like the same question asked different ways
+ */
+export function findDuplicateGroups(memories: Memory[]): Memory[][] {
+  const grouped = new Set<string>();
+  const groups: Memory[][] = [];
+
+  for (const memory of memories) {
+    if (grouped.has(memory.id)) continue;
+    const group = [memory];
+    for (const other of memories) {
+      if (other.id === memory.id || grouped.has(other.id)) continue;
+      const similar =
+        other.question_normalized === memory.question_normalized ||
+        keywordSimilarity(memory.question_keywords, other.question_keywords) >= DUPLICATE_SIMILARITY;
+      if (similar) group.push(other);
+    }
+    if (group.length > 1) {
+      group.forEach((m) => grouped.add(m.id));
+      groups.push(group);
+    }
+  }
+  return groups;
+}
+
+// Everything but question_embedding, which only answer-questions needs
+const MEMORY_COLUMNS =
+  'id, query_hash, question_normalized, question_keywords, answer, context, confidence, ats_score, used_count, reuse_policy, alias_hashes, edited_at, created_at, last_used_at';
+
+export function useMemories() {
+  const { user } = useAuth();
+  const [memories, setMemories] = useState<Memory[]>([]);
+  const [outcomes, setOutcomes] = useState<Map<string, MemoryOutcome>>(new Map());
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchMemories = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const [memoryRes, outcomeRes] = await Promise.all([
+        supabase
+          .from('user_memories')
+          .select(MEMORY_COLUMNS)
+          .eq('user_id', user.id)
+          .order('last_used_at', { ascending: false }),
+        supabase
+          .from('answer_effectiveness')
+          .select('memory_id, applications, interviews, interview_rate')
+          .eq('user_id', user.id),
+      ]);
+
+      if (memoryRes.error) throw memoryRes.error;
+      if (outcomeRes.error) throw outcomeRes.error;
+
+      setMemories((memoryRes.data || []) as unknown as Memory[]);
+      setOutcomes(
+        new Map(
+          (outcomeRes.data || []).map((row) => [
+            row.memory_id as string,
+            {
+              applications: row.applications ?? 0,
+              interviews: row.interviews ?? 0,
+              interview_rate: Number(row.interview_rate ?? 0),
+            },
+          ])
+        )
+      );
+    } catch (error) {
+      console.error('Error fetching memories:', error);
+      toast.error('Failed to load memories');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      fetchMemories();
+    }
+  }, [user, fetchMemories]);
+
+  // Editing makes this the canonical answer: answer-questions stops overwriting it
+  const updateAnswer = async (id: string, answer: MemoryAnswer) => {
+    try {
+      const editedAt = new Date().toISOString();
+      const { error } = await supabase
+        .from('user_memories')
+        .update({ answer: { ...answer }, confidence: 'high', edited_at: editedAt })
+        .eq('id', id);
+
+      if (error) throw error;
+
+      setMemories((prev) =>
+        prev.map((m) => (m.id === id ? { ...m, answer, confidence: 'high', edited_at: editedAt } : m))
+      );
+      toast.success('Answer updated');
+    } catch (error) {
+      console.error('Error updating memory:', error);
+      toast.error('Failed to update answer');
+    }
+  };
+
+  const setReusePolicy = async (id: string, reusePolicy: ReusePolicy) => {
+    try {
+      const { error } = await supabase
+        .from('user_memories')
+        .update({ reuse_policy: reusePolicy })
+        .eq('id', id);
+
+      if (error) throw error;
+
+      setMemories((prev) => prev.map((m) => (m.id === id ? { ...m, reuse_policy: reusePolicy } : m)));
+      toast.success(
+        reusePolicy === 'always'
+          ? 'Always use this answer'
+          : reusePolicy === 'never'
+            ? 'This answer will not be reused'
+            : 'Answer reused when the question matches'
+      );
+    } catch (error) {
+      console.error('Error updating memory:', error);
+      toast.error('Failed to update reuse setting');
+    }
+  };
+
+  const deleteMemories = async (ids: string[]) => {
+    try {
+      const { error } = await supabase
+        .from('user_memories')
+        .delete()
+        .in('id', ids);
+
+      if (error) throw error;
+
+      setMemories((prev) => prev.filter((m) => !ids.includes(m.id)));
+      toast.success(`Deleted ${ids.length} memor${ids.length === 1 ? 'y' : 'ies'}`);
+    } catch (error) {
+      console.error('Error deleting memories:', error);
+      toast.error('Failed to delete memories');
+    }
+  };
+
+  // Fold duplicates into the memory whose answer is kept; see merge_user_memories
+  const mergeMemories = async (targetId: string, sourceIds: string[]) => {
+    const duplicateIds = sourceIds.filter((id) => id !== targetId);
+    if (duplicateIds.length === 0) return;
+
+    try {
+      const { error } = await supabase.rpc('merge_user_memories', {
+        target_id: targetId,
+        source_ids: duplicateIds,
+      });
+
+      if (error) throw error;
+
+      toast.success(`Merged ${duplicateIds.length} duplicate${duplicateIds.length === 1 ? '' : 's'}`);
+      await fetchMemories();
+    } catch (error) {
+      console.error('Error merging memories:', error);
+      toast.error('Failed to merge memories');
+    }
+  };
+
+  // Applications this answer was filled into (applications.memory_ids)
+  const fetchUsage = async (memoryId: string): Promise<MemoryUsage[]> => {
+    if (!user) return [];
+
+    try {
+      const { data, error } = await supabase
+        .from('applications')
+        .select(`
+          id,
+          status,
+          applied_at,
+          created_at,
+          job:jobs(title, company, url)
+        `)
+        .eq('user_id', user.id)
+        .contains('memory_ids', [memoryId])
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return (data || []) as MemoryUsage[];
+    } catch (error) {
+      console.error('Error fetching memory usage:', error);
+      toast.error('Failed to load applications for this answer');
+      return [];
+    }
+  };
+
+  return {
+    memories,
+    outcomes,
+    isLoading,
+    fetchMemories,
+    updateAnswer,
+    setReusePolicy,
+    deleteMemories,
+    mergeMemories,
+    fetchUsage,
+  };
+}
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+
+export interface KeywordEffectiveness {
+  keyword: string;
+  applications: number;
+  interviews: number;
+  offers: number;
+  rejections: number;
+  interview_rate: number;
+}
+
+export interface AnswerEffectiveness {
+  memory_id: string;
+  question_normalized: string;
+  answer: { answer?: string; selectValue?: string } | null;
+  applications: number;
+  interviews: number;
+  offers: number;
+  rejections: number;
+  interview_rate: number;
+}
+
+// Outcomes from fewer applications than this are noise, not a signal
+export const MIN_OUTCOME_SAMPLE = 2;
+
+export function useOutcomeStats() {
+  const { user } = useAuth();
+  const [keywords, setKeywords] = useState<KeywordEffectiveness[]>([]);
+  const [answers, setAnswers] = useState<AnswerEffectiveness[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchStats = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const [keywordRes, answerRes] = await Promise.all([
+        supabase
+          .from('keyword_effectiveness')
+          .select('*')
+          .eq('user_id', user.id)
+          .gte('applications', MIN_OUTCOME_SAMPLE)
+          .order('interview_rate', { ascending: false }),
+        supabase
+          .from('answer_effectiveness')
+          .select('*')
+          .eq('user_id', user.id)
+          .gte('applications', MIN_OUTCOME_SAMPLE)
+          .order('interview_rate', { ascending: false }),
+      ]);
+
+      if (keywordRes.error) throw keywordRes.error;
+      if (answerRes.error) throw answerRes.error;
+
+      setKeywords((keywordRes.data || []) as KeywordEffectiveness[]);
+      setAnswers((answerRes.data || []) as AnswerEffectiveness[]);
+    } catch (error) {
+      console.error('Error fetching outcome stats:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      fetchStats();
+    }
+  }, [user, fetchStats]);
+
+  // Interview rate across all keyword uses: the baseline a single keyword is compared against
+  const totals = keywords.reduce(
+    (acc, k) => ({ applications: acc.applications + k.applications, interviews: acc.interviews + k.interviews }),
+    { applications: 0, interviews: 0 }
+  );
+  const baselineRate = totals.applications > 0 ? totals.interviews / totals.applications : 0;
+
+  return {
+    keywords,
+    answers,
+    baselineRate,
+    isLoading,
+    refetch: fetchStats,
+  };
+}
@@ -4,6 +4,18 @@ import { useAuth } from './useAuth';
 import { toast } from 'sonner';
 import { maxmilliamProfile } from '@/data/userProfile';
 
+// Voluntary-disclosure categories, as the screening rules (supabase/functions/_shared/screening-rules) know them
+export type DisclosureCategory =
+  | 'gender'
+  | 'ethnicity'
+  | 'veteran'
+  | 'disability'
+  | 'criminal_history'
+  | 'prior_employment';
+
+// Per category: answer from the profile or decline. Categories left out are never autofilled.
+export type DisclosurePolicy = Partial<Record<DisclosureCategory, 'disclose' | 'decline'>>;
+
 export interface Profile {
   id: string;
   user_id: string;
@@ -34,12 +46,15 @@ export interface Profile {
   race_ethnicity: string | null;
   gender: string | null;
   hispanic_latino: boolean;
+  criminal_record: boolean | null;
+  disclosure_policy: DisclosurePolicy;
   security_clearance: boolean;
   cover_letter: string | null;
   work_experience: any[];
   education: any[];
   skills: any[];
   certifications: string[];
+  verified_skills: string[];
   languages: any[];
   achievements: any[];
   excluded_companies: string[];
@@ -81,6 +96,7 @@ export function useProfile() {
           education: Array.isArray(data.education) ? data.education : [],
           skills: Array.isArray(data.skills) ? data.skills : [],
           certifications: (data.certifications as string[]) || [],
+          verified_skills: (data.verified_skills as string[]) || [],
           languages: Array.isArray(data.languages) ? data.languages : [],
           achievements: Array.isArray(data.achievements) ? data.achievements : [],
           excluded_companies: (data.excluded_companies as string[]) || [],
@@ -89,6 +105,8 @@ export function useProfile() {
           cv_uploaded_at: data.cv_uploaded_at || null,
           gender: data.gender || null,
           hispanic_latino: data.hispanic_latino ?? false,
+          criminal_record: data.criminal_record ?? null,
+          disclosure_policy: (data.disclosure_policy as DisclosurePolicy) || {},
           openai_api_key: (data as any).openai_api_key || null,
         });
       }
@@ -46,6 +46,8 @@ export type Database = {
           email_sent_at: string | null
           id: string
           job_id: string
+          keywords_used: string[] | null
+          memory_ids: string[] | null
           referral_contacts: string[] | null
           referral_email: string | null
           status: Database["public"]["Enums"]["application_status"] | null
@@ -61,6 +63,8 @@ export type Database = {
           email_sent_at?: string | null
           id?: string
           job_id: string
+          keywords_used?: string[] | null
+          memory_ids?: string[] | null
           referral_contacts?: string[] | null
           referral_email?: string | null
           status?: Database["public"]["Enums"]["application_status"] | null
@@ -76,6 +80,8 @@ export type Database = {
           email_sent_at?: string | null
           id?: string
           job_id?: string
+          keywords_used?: string[] | null
+          memory_ids?: string[] | null
           referral_contacts?: string[] | null
           referral_email?: string | null
           status?: Database["public"]["Enums"]["application_status"] | null
@@ -186,6 +192,48 @@ export type Database = {
           },
         ]
       }
+      cvs: {
+        Row: {
+          content: string | null
+          created_at: string
+          file_name: string | null
+          file_path: string | null
+          id: string
+          is_default: boolean
+          name: string
+          parsed_data: Json | null
+          tags: string[]
+          updated_at: string
+          user_id: string
+        }
+        Insert: {
+          content?: string | null
+          created_at?: string
+          file_name?: string | null
+          file_path?: string | null
+          id?: string
+          is_default?: boolean
+          name: string
+          parsed_data?: Json | null
+          tags?: string[]
+          updated_at?: string
+          user_id: string
+        }
+        Update: {
+          content?: string | null
+          created_at?: string
+          file_name?: string | null
+          file_path?: string | null
+          id?: string
+          is_default?: boolean
+          name?: string
+          parsed_data?: Json | null
+          tags?: string[]
+          updated_at?: string
+          user_id?: string
+        }
+        Relationships: []
+      }
       email_detections: {
         Row: {
           application_id: string | null
@@ -389,11 +437,13 @@ export type Database = {
           country: string | null
           cover_letter: string | null
           created_at: string | null
+          criminal_record: boolean | null
           current_salary: string | null
           cv_file_name: string | null
           cv_file_path: string | null
           cv_uploaded_at: string | null
           disability: boolean | null
+          disclosure_policy: Json
           driving_license: boolean | null
           education: Json | null
           email: string | null
@@ -420,6 +470,7 @@ export type Database = {
           total_experience: string | null
           updated_at: string | null
           user_id: string
+          verified_skills: string[] | null
           veteran_status: boolean | null
           visa_required: boolean | null
           willing_to_relocate: boolean | null
@@ -437,11 +488,13 @@ export type Database = {
           country?: string | null
           cover_letter?: string | null
           created_at?: string | null
+          criminal_record?: boolean | null
           current_salary?: string | null
           cv_file_name?: string | null
           cv_file_path?: string | null
           cv_uploaded_at?: string | null
           disability?: boolean | null
+          disclosure_policy?: Json
           driving_license?: boolean | null
           education?: Json | null
           email?: string | null
@@ -468,6 +521,7 @@ export type Database = {
           total_experience?: string | null
           updated_at?: string | null
           user_id: string
+          verified_skills?: string[] | null
           veteran_status?: boolean | null
           visa_required?: boolean | null
           willing_to_relocate?: boolean | null
@@ -485,11 +539,13 @@ export type Database = {
           country?: string | null
           cover_letter?: string | null
           created_at?: string | null
+          criminal_record?: boolean | null
           current_salary?: string | null
           cv_file_name?: string | null
           cv_file_path?: string | null
           cv_uploaded_at?: string | null
           disability?: boolean | null
+          disclosure_policy?: Json
           driving_license?: boolean | null
           education?: Json | null
           email?: string | null
@@ -516,6 +572,7 @@ export type Database = {
           total_experience?: string | null
           updated_at?: string | null
           user_id?: string
+          verified_skills?: string[] | null
           veteran_status?: boolean | null
           visa_required?: boolean | null
           willing_to_relocate?: boolean | null
@@ -573,46 +630,61 @@ export type Database = {
       }
       user_memories: {
         Row: {
+          alias_hashes: string[]
           answer: Json
           ats_score: number | null
           confidence: string
           context: Json | null
           created_at: string
+          edited_at: string | null
+          embedding_model: string | null
           id: string
           last_used_at: string
           query_hash: string
+          question_embedding: string | null
           question_keywords: string[]
           question_normalized: string
+          reuse_policy: string
           updated_at: string
           used_count: number
           user_id: string
         }
         Insert: {
+          alias_hashes?: string[]
           answer: Json
           ats_score?: number | null
           confidence?: string
           context?: Json | null
           created_at?: string
+          edited_at?: string | null
+          embedding_model?: string | null
           id?: string
           last_used_at?: string
           query_hash: string
+          question_embedding?: string | null
           question_keywords?: string[]
           question_normalized: string
+          reuse_policy?: string
           updated_at?: string
           used_count?: number
           user_id: string
         }
         Update: {
+          alias_hashes?: string[]
           answer?: Json
           ats_score?: number | null
           confidence?: string
           context?: Json | null
           created_at?: string
+          edited_at?: string | null
+          embedding_model?: string | null
           id?: string
           last_used_at?: string
           query_hash?: string
+          question_embedding?: string | null
           question_keywords?: string[]
           question_normalized?: string
+          reuse_policy?: string
           updated_at?: string
           used_count?: number
           user_id?: string
@@ -621,10 +693,70 @@ export type Database = {
       }
     }
     Views: {
-      [_ in never]: never
+      answer_effectiveness: {
+        Row: {
+          answer: Json | null
+          applications: number | null
+          interview_rate: number | null
+          interviews: number | null
+          memory_id: string | null
+          offers: number | null
+          question_normalized: string | null
+          rejections: number | null
+          user_id: string | null
+        }
+        Relationships: []
+      }
+      keyword_effectiveness: {
+        Row: {
+          applications: number | null
+          interview_rate: number | null
+          interviews: number | null
+          keyword: string | null
+          last_outcome_at: string | null
+          offers: number | null
+          rejections: number | null
+          user_id: string | null
+        }
+        Relationships: []
+      }
     }
     Functions: {
-      [_ in never]: never
+      match_user_memories: {
+        Args: {
+          p_embedding: string
+          p_limit?: number
+          p_model: string
+          p_user_id: string
+        }
+        Returns: {
+          memory_id: string
+          similarity: number
+        }[]
+      }
+      merge_user_memories: {
+        Args: { source_ids: string[]; target_id: string }
+        Returns: {
+          alias_hashes: string[]
+          answer: Json
+          ats_score: number | null
+          confidence: string
+          context: Json | null
+          created_at: string
+          edited_at: string | null
+          embedding_model: string | null
+          id: string
+          last_used_at: string
+          query_hash: string
+          question_embedding: string | null
+          question_keywords: string[]
+          question_normalized: string
+          reuse_policy: string
+          updated_at: string
+          used_count: number
+          user_id: string
+        }[]
+      }
     }
     Enums: {
       application_status:
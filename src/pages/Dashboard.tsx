@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { AppLayout } from '@/components/layout/AppLayout';
 import { StatsCard } from '@/components/dashboard/StatsCard';
+import { OutcomeEffectivenessCard } from '@/components/dashboard/OutcomeEffectivenessCard';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -187,6 +188,8 @@ const Dashboard = () => {
           </CardContent>
         </Card>
 
+        {/* Outcome Effectiveness */}
+        <OutcomeEffectivenessCard />
 
         {/* Quick Start */}
         <Card>
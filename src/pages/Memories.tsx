@@ -0,0 +1,590 @@
+import { useState, useMemo } from 'react';
+import { AppLayout } from '@/components/layout/AppLayout';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from '@/components/ui/skeleton';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Checkbox } from '@/components/ui/checkbox';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Brain,
+  Search,
+  Trash2,
+  Pencil,
+  History,
+  Merge,
+  Pin,
+  Ban,
+  Copy,
+  Clock,
+  ExternalLink,
+  Loader2,
+} from 'lucide-react';
+import {
+  useMemories,
+  findDuplicateGroups,
+  type Memory,
+  type MemoryUsage,
+  type ReusePolicy,
+} from '@/hooks/useMemories';
+import { MIN_OUTCOME_SAMPLE } from '@/hooks/useOutcomeStats';
+import { format } from 'date-fns';
+
+type PolicyFilter = 'all' | ReusePolicy | 'duplicates';
+
+const Memories = () => {
+  const {
+    memories,
+    outcomes,
+    isLoading,
+    updateAnswer,
+    setReusePolicy,
+    deleteMemories,
+    mergeMemories,
+    fetchUsage,
+  } = useMemories();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [policyFilter, setPolicyFilter] = useState<PolicyFilter>('all');
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+
+  const [editing, setEditing] = useState<Memory | null>(null);
+  const [editAnswer, setEditAnswer] = useState('');
+  const [editSelectValue, setEditSelectValue] = useState('');
+
+  const [merging, setMerging] = useState<Memory[] | null>(null);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+
+  const [usageFor, setUsageFor] = useState<Memory | null>(null);
+  const [usage, setUsage] = useState<MemoryUsage[]>([]);
+  const [usageLoading, setUsageLoading] = useState(false);
+
+  const duplicateGroups = useMemo(() => findDuplicateGroups(memories), [memories]);
+  const duplicateGroupOf = useMemo(() => {
+    const map = new Map<string, Memory[]>();
+    duplicateGroups.forEach((group) => group.forEach((m) => map.set(m.id, group)));
+    return map;
+  }, [duplicateGroups]);
+
+  const filteredMemories = useMemo(() => {
+    const lower = searchTerm.toLowerCase();
+    return memories.filter((memory) => {
+      if (policyFilter === 'duplicates' && !duplicateGroupOf.has(memory.id)) return false;
+      if (policyFilter !== 'all' && policyFilter !== 'duplicates' && memory.reuse_policy !== policyFilter) {
+        return false;
+      }
+      if (!lower) return true;
+      return (
+        memory.question_normalized.toLowerCase().includes(lower) ||
+        memory.answer?.answer?.toLowerCase().includes(lower) ||
+        memory.context?.company?.toLowerCase().includes(lower)
+      );
+    });
+  }, [memories, searchTerm, policyFilter, duplicateGroupOf]);
+
+  const stats = useMemo(
+    () => ({
+      total: memories.length,
+      always: memories.filter((m) => m.reuse_policy === 'always').length,
+      never: memories.filter((m) => m.reuse_policy === 'never').length,
+      duplicates: duplicateGroups.length,
+    }),
+    [memories, duplicateGroups]
+  );
+
+  const handleSelectAll = () => {
+    if (selectedIds.length === filteredMemories.length) {
+      setSelectedIds([]);
+    } else {
+      setSelectedIds(filteredMemories.map((m) => m.id));
+    }
+  };
+
+  const handleSelectOne = (id: string) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((i) => i !== id) : [...prev, id]
+    );
+  };
+
+  const handleBulkDelete = async () => {
+    if (selectedIds.length === 0) return;
+    await deleteMemories(selectedIds);
+    setSelectedIds([]);
+  };
+
+  const openEdit = (memory: Memory) => {
+    setEditing(memory);
+    setEditAnswer(memory.answer?.answer || '');
+    setEditSelectValue(memory.answer?.selectValue || '');
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editing) return;
+    await updateAnswer(editing.id, {
+      answer: editAnswer.trim(),
+      selectValue: editSelectValue.trim() || editAnswer.trim().toLowerCase(),
+      reasoning: 'Edited in Memories',
+    });
+    setEditing(null);
+  };
+
+  // The most-used memory is offered as the answer to keep
+  const openMerge = (group: Memory[]) => {
+    const byUse = [...group].sort((a, b) => b.used_count - a.used_count);
+    setMerging(group);
+    setMergeTargetId(byUse[0].id);
+  };
+
+  const handleMerge = async () => {
+    if (!merging || !mergeTargetId) return;
+    await mergeMemories(mergeTargetId, merging.map((m) => m.id));
+    setMerging(null);
+    setSelectedIds([]);
+  };
+
+  const openUsage = async (memory: Memory) => {
+    setUsageFor(memory);
+    setUsage([]);
+    setUsageLoading(true);
+    setUsage(await fetchUsage(memory.id));
+    setUsageLoading(false);
+  };
+
+  const getPolicyBadge = (policy: ReusePolicy) => {
+    switch (policy) {
+      case 'always':
+        return <Badge className="bg-success/10 text-success border-success/30">Always use</Badge>;
+      case 'never':
+        return <Badge className="bg-destructive/10 text-destructive border-destructive/30">Never reuse</Badge>;
+      default:
+        return <Badge variant="secondary">Auto</Badge>;
+    }
+  };
+
+  const getStatusBadge = (status: string) => {
+    switch (status) {
+      case 'applied':
+        return <Badge className="bg-info/10 text-info border-info/30">Applied</Badge>;
+      case 'interviewing':
+        return <Badge className="bg-warning/10 text-warning border-warning/30">Interviewing</Badge>;
+      case 'offered':
+        return <Badge className="bg-success/10 text-success border-success/30">Offered</Badge>;
+      case 'rejected':
+        return <Badge className="bg-destructive/10 text-destructive border-destructive/30">Rejected</Badge>;
+      default:
+        return <Badge variant="secondary">Pending</Badge>;
+    }
+  };
+
+  const formatOutcome = (memory: Memory) => {
+    const outcome = outcomes.get(memory.id);
+    if (!outcome || outcome.applications < MIN_OUTCOME_SAMPLE) return null;
+    return `${Math.round(outcome.interview_rate * 100)}% interviews`;
+  };
+
+  const selectedMemories = memories.filter((m) => selectedIds.includes(m.id));
+
+  return (
+    <AppLayout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Memories</h1>
+            <p className="text-muted-foreground mt-1">
+              Answers QuantumHire remembers and reuses when filling application questions
+            </p>
+          </div>
+        </div>
+
+        {/* Stats Cards */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <Card>
+            <CardContent className="p-4">
+              <div className="flex items-center gap-3">
+                <div className="p-2 rounded-lg bg-primary/10">
+                  <Brain className="h-5 w-5 text-primary" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold">{stats.total}</p>
+                  <p className="text-xs text-muted-foreground">Remembered</p>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardContent className="p-4">
+              <div className="flex items-center gap-3">
+                <div className="p-2 rounded-lg bg-success/10">
+                  <Pin className="h-5 w-5 text-success" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold">{stats.always}</p>
+                  <p className="text-xs text-muted-foreground">Always use</p>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardContent className="p-4">
+              <div className="flex items-center gap-3">
+                <div className="p-2 rounded-lg bg-destructive/10">
+                  <Ban className="h-5 w-5 text-destructive" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold">{stats.never}</p>
+                  <p className="text-xs text-muted-foreground">Never reuse</p>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+          <Card>
+            <CardContent className="p-4">
+              <div className="flex items-center gap-3">
+                <div className="p-2 rounded-lg bg-warning/10">
+                  <Copy className="h-5 w-5 text-warning" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold">{stats.duplicates}</p>
+                  <p className="text-xs text-muted-foreground">Possible duplicates</p>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+
+        {/* Search & Actions */}
+        <div className="flex flex-col sm:flex-row gap-4 items-start sm:items-center justify-between">
+          <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+            <div className="relative w-full sm:w-80">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+              <Input
+                placeholder="Search questions, answers or companies..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="pl-9"
+              />
+            </div>
+            <Select value={policyFilter} onValueChange={(value) => setPolicyFilter(value as PolicyFilter)}>
+              <SelectTrigger className="w-full sm:w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All memories</SelectItem>
+                <SelectItem value="always">Always use</SelectItem>
+                <SelectItem value="auto">Auto</SelectItem>
+                <SelectItem value="never">Never reuse</SelectItem>
+                <SelectItem value="duplicates">Possible duplicates</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {selectedIds.length > 0 && (
+            <div className="flex gap-2">
+              {selectedIds.length > 1 && (
+                <Button variant="outline" size="sm" onClick={() => openMerge(selectedMemories)}>
+                  <Merge className="h-4 w-4 mr-2" />
+                  Merge ({selectedIds.length})
+                </Button>
+              )}
+              <Button variant="destructive" size="sm" onClick={handleBulkDelete}>
+                <Trash2 className="h-4 w-4 mr-2" />
+                Delete ({selectedIds.length})
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {/* Memories Table */}
+        <Card>
+          <CardContent className="p-0">
+            {isLoading ? (
+              <div className="p-6 space-y-4">
+                {[1, 2, 3].map((i) => (
+                  <Skeleton key={i} className="h-16 w-full" />
+                ))}
+              </div>
+            ) : filteredMemories.length === 0 ? (
+              <div className="p-12 text-center">
+                <Brain className="h-12 w-12 mx-auto text-muted-foreground/40 mb-4" />
+                <h3 className="font-semibold mb-2">No memories found</h3>
+                <p className="text-muted-foreground text-sm">
+                  Answers to application questions are remembered here as the extension fills them.
+                </p>
+              </div>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-12">
+                      <Checkbox
+                        checked={selectedIds.length === filteredMemories.length}
+                        onCheckedChange={handleSelectAll}
+                      />
+                    </TableHead>
+                    <TableHead>Question</TableHead>
+                    <TableHead>Answer</TableHead>
+                    <TableHead>Reuse</TableHead>
+                    <TableHead>Used</TableHead>
+                    <TableHead>Last used</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {filteredMemories.map((memory) => {
+                    const group = duplicateGroupOf.get(memory.id);
+                    const outcome = formatOutcome(memory);
+                    return (
+                      <TableRow key={memory.id}>
+                        <TableCell>
+                          <Checkbox
+                            checked={selectedIds.includes(memory.id)}
+                            onCheckedChange={() => handleSelectOne(memory.id)}
+                          />
+                        </TableCell>
+                        <TableCell className="max-w-[280px]">
+                          <p className="font-medium truncate">{memory.question_normalized}</p>
+                          <div className="flex flex-wrap items-center gap-1 mt-1">
+                            {memory.context?.company && (
+                              <span className="text-xs text-muted-foreground truncate">
+                                First asked by {memory.context.company}
+                              </span>
+                            )}
+                            {memory.alias_hashes.length > 0 && (
+                              <Badge variant="outline" className="text-xs">
+                                +{memory.alias_hashes.length} merged
+                              </Badge>
+                            )}
+                            {group && (
+                              <Button
+                                variant="link"
+                                size="sm"
+                                className="h-auto p-0 text-xs text-warning"
+                                onClick={() => openMerge(group)}
+                              >
+                                {group.length - 1} possible duplicate{group.length > 2 ? 's' : ''}
+                              </Button>
+                            )}
+                          </div>
+                        </TableCell>
+                        <TableCell className="max-w-[240px]">
+                          <p className="truncate">{memory.answer?.answer || '—'}</p>
+                          {memory.edited_at && (
+                            <span className="text-xs text-muted-foreground">Edited by you</span>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Select
+                            value={memory.reuse_policy}
+                            onValueChange={(value) => setReusePolicy(memory.id, value as ReusePolicy)}
+                          >
+                            <SelectTrigger className="h-8 w-32 border-none bg-transparent p-0 shadow-none">
+                              {getPolicyBadge(memory.reuse_policy)}
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="auto">Auto</SelectItem>
+                              <SelectItem value="always">Always use</SelectItem>
+                              <SelectItem value="never">Never reuse</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        </TableCell>
+                        <TableCell>
+                          <p className="text-sm">{memory.used_count}×</p>
+                          {outcome && <p className="text-xs text-muted-foreground">{outcome}</p>}
+                        </TableCell>
+                        <TableCell>
+                          <div className="flex items-center gap-1 text-sm text-muted-foreground">
+                            <Clock className="h-3.5 w-3.5" />
+                            {format(new Date(memory.last_used_at), 'MMM d, yyyy')}
+                          </div>
+                        </TableCell>
+                        <TableCell>
+                          <div className="flex items-center justify-end gap-1">
+                            <Button variant="ghost" size="icon" onClick={() => openUsage(memory)}>
+                              <History className="h-4 w-4" />
+                            </Button>
+                            <Button variant="ghost" size="icon" onClick={() => openEdit(memory)}>
+                              <Pencil className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => deleteMemories([memory.id])}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Edit canonical answer */}
+      <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Edit answer</DialogTitle>
+            <DialogDescription>{editing?.question_normalized}</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="memory-answer">Answer</Label>
+              <Textarea
+                id="memory-answer"
+                value={editAnswer}
+                onChange={(e) => setEditAnswer(e.target.value)}
+                rows={5}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="memory-select-value">Dropdown value</Label>
+              <Input
+                id="memory-select-value"
+                value={editSelectValue}
+                onChange={(e) => setEditSelectValue(e.target.value)}
+                placeholder="Option to pick when the question is a dropdown"
+              />
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Edited answers are kept as written - new AI answers to this question won't replace them.
+            </p>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditing(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveEdit} disabled={!editAnswer.trim()}>
+              Save answer
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Merge duplicates */}
+      <Dialog open={!!merging} onOpenChange={(open) => !open && setMerging(null)}>
+        <DialogContent className="max-w-xl">
+          <DialogHeader>
+            <DialogTitle>Merge duplicate memories</DialogTitle>
+            <DialogDescription>
+              Pick the answer to keep. The other questions will reuse it, and their application history moves with them.
+            </DialogDescription>
+          </DialogHeader>
+          <ScrollArea className="max-h-[360px]">
+            <RadioGroup value={mergeTargetId} onValueChange={setMergeTargetId} className="space-y-2">
+              {merging?.map((memory) => (
+                <Label
+                  key={memory.id}
+                  htmlFor={`merge-${memory.id}`}
+                  className="flex items-start gap-3 rounded-lg border p-3 cursor-pointer font-normal"
+                >
+                  <RadioGroupItem value={memory.id} id={`merge-${memory.id}`} className="mt-1" />
+                  <div className="min-w-0 space-y-1">
+                    <p className="text-sm font-medium">{memory.question_normalized}</p>
+                    <p className="text-sm text-muted-foreground">{memory.answer?.answer || '—'}</p>
+                    <p className="text-xs text-muted-foreground">Used {memory.used_count}×</p>
+                  </div>
+                </Label>
+              ))}
+            </RadioGroup>
+          </ScrollArea>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setMerging(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleMerge} disabled={!mergeTargetId}>
+              <Merge className="h-4 w-4 mr-2" />
+              Merge {merging?.length ?? 0} memories
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Applications the answer was used on */}
+      <Dialog open={!!usageFor} onOpenChange={(open) => !open && setUsageFor(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Where this answer was used</DialogTitle>
+            <DialogDescription>{usageFor?.question_normalized}</DialogDescription>
+          </DialogHeader>
+          {usageLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-primary" />
+            </div>
+          ) : usage.length === 0 ? (
+            <p className="py-8 text-center text-sm text-muted-foreground">
+              Not linked to any tracked application yet.
+            </p>
+          ) : (
+            <ScrollArea className="max-h-[400px]">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Job</TableHead>
+                    <TableHead>Company</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Applied</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {usage.map((app) => (
+                    <TableRow key={app.id}>
+                      <TableCell className="font-medium max-w-[200px] truncate">
+                        {app.job?.title || 'Unknown Job'}
+                      </TableCell>
+                      <TableCell>{app.job?.company || 'Unknown'}</TableCell>
+                      <TableCell>{getStatusBadge(app.status || 'pending')}</TableCell>
+                      <TableCell className="text-sm text-muted-foreground">
+                        {app.applied_at
+                          ? format(new Date(app.applied_at), 'MMM d, yyyy')
+                          : 'Not applied'}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {app.job?.url && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => window.open(app.job?.url || '', '_blank')}
+                          >
+                            <ExternalLink className="h-4 w-4" />
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </ScrollArea>
+          )}
+        </DialogContent>
+      </Dialog>
+    </AppLayout>
+  );
+};
+
+export default Memories;
@@ -8,8 +8,9 @@ import { Textarea } from '@/components/ui/textarea';
 import { Badge } from '@/components/ui/badge';
 import { Switch } from '@/components/ui/switch';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { useProfile, type Profile } from '@/hooks/useProfile';
+import { useProfile, type Profile, type DisclosureCategory } from '@/hooks/useProfile';
 import { CVUpload } from '@/components/profile/CVUpload';
+import { CVLibrary } from '@/components/profile/CVLibrary';
 import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from '@/hooks/useAuth';
 import { Alert, AlertDescription } from '@/components/ui/alert';
@@ -40,6 +41,16 @@ const DEFAULT_ATS_ANSWERS = {
   remoteWorkCapable: true,
 };
 
+// Autofill answers these only the way the user chooses below - never from a default
+const DISCLOSURE_CATEGORIES: { key: DisclosureCategory; label: string }[] = [
+  { key: 'gender', label: 'Gender, pronouns & orientation' },
+  { key: 'ethnicity', label: 'Race / ethnicity' },
+  { key: 'veteran', label: 'Veteran status' },
+  { key: 'disability', label: 'Disability' },
+  { key: 'criminal_history', label: 'Criminal history' },
+  { key: 'prior_employment', label: 'Worked at the company before' },
+];
+
 const Profile = () => {
   const { user } = useAuth();
   const { profile, isLoading, updateProfile, loadCVData } = useProfile();
@@ -100,6 +111,14 @@ const Profile = () => {
     setLocalProfile(prev => ({ ...prev, [field]: value }));
   };
 
+  // 'ask' removes the category, so autofill leaves those questions to the user
+  const setDisclosureChoice = (category: DisclosureCategory, choice: string) => {
+    const policy = { ...(localProfile.disclosure_policy || {}) };
+    if (choice === 'disclose' || choice === 'decline') policy[category] = choice;
+    else delete policy[category];
+    updateLocalField('disclosure_policy', policy);
+  };
+
   const addSkill = () => {
     if (!newSkill.name.trim()) return;
     const skills = [...(localProfile.skills || []), newSkill];
@@ -125,6 +144,19 @@ const Profile = () => {
     updateLocalField('certifications', certs);
   };
 
+  const addVerifiedSkill = (skill: string) => {
+    if (!skill.trim()) return;
+    const verified = localProfile.verified_skills || [];
+    if (verified.some(s => s.toLowerCase() === skill.trim().toLowerCase())) return;
+    updateLocalField('verified_skills', [...verified, skill.trim()]);
+  };
+
+  const removeVerifiedSkill = (index: number) => {
+    const verified = [...(localProfile.verified_skills || [])];
+    verified.splice(index, 1);
+    updateLocalField('verified_skills', verified);
+  };
+
   if (isLoading) {
     return (
       <AppLayout>
@@ -236,6 +268,9 @@ const Profile = () => {
           }}
         />
 
+        {/* Base resumes for per-job selection */}
+        <CVLibrary />
+
         {/* OpenAI API Key */}
         <Card id="api-key-section" className="border-primary/30 bg-primary/5">
           <CardHeader>
@@ -612,6 +647,45 @@ const Profile = () => {
                 <Input value={localProfile.race_ethnicity || ''} readOnly className="mt-1" />
               )}
             </div>
+
+            {/* Voluntary disclosures */}
+            <div className="mt-6 space-y-3">
+              <div>
+                <Label>Voluntary Disclosures</Label>
+                <p className="text-sm text-muted-foreground mt-1">
+                  How autofill answers these questions. "Leave for me" keeps them blank so you answer them on the form.
+                </p>
+              </div>
+              <div className="grid gap-3 md:grid-cols-2">
+                {DISCLOSURE_CATEGORIES.map(({ key, label }) => (
+                  <div key={key} className="flex items-center justify-between gap-3 p-3 border rounded-lg">
+                    <span>{label}</span>
+                    <Select
+                      value={localProfile.disclosure_policy?.[key] || 'ask'}
+                      onValueChange={(v) => setDisclosureChoice(key, v)}
+                      disabled={!editMode}
+                    >
+                      <SelectTrigger className="w-44">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="ask">Leave for me</SelectItem>
+                        <SelectItem value="disclose">Answer from profile</SelectItem>
+                        <SelectItem value="decline">Decline to answer</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                ))}
+              </div>
+              <div className="flex items-center justify-between p-3 border rounded-lg">
+                <span>Criminal conviction to disclose?</span>
+                <Switch
+                  checked={localProfile.criminal_record ?? false}
+                  onCheckedChange={(v) => updateLocalField('criminal_record', v)}
+                  disabled={!editMode}
+                />
+              </div>
+            </div>
           </CardContent>
         </Card>
 
@@ -681,6 +755,63 @@ const Profile = () => {
           </CardContent>
         </Card>
 
+        {/* Verified Skills */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <CheckCircle className="h-5 w-5" />
+              Verified Skills
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {editMode && (
+              <div className="flex gap-2 mb-4">
+                <Input 
+                  placeholder="Add a skill you can back up in an interview" 
+                  id="newVerifiedSkill"
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      addVerifiedSkill((e.target as HTMLInputElement).value);
+                      (e.target as HTMLInputElement).value = '';
+                    }
+                  }}
+                  className="flex-1"
+                />
+                <Button 
+                  onClick={() => {
+                    const input = document.getElementById('newVerifiedSkill') as HTMLInputElement;
+                    addVerifiedSkill(input.value);
+                    input.value = '';
+                  }}
+                  size="icon"
+                >
+                  <Plus className="h-4 w-4" />
+                </Button>
+              </div>
+            )}
+            <div className="flex flex-wrap gap-2">
+              {(localProfile.verified_skills || []).map((skill: string, i: number) => (
+                <Badge 
+                  key={i} 
+                  variant="outline"
+                  className="flex items-center gap-1"
+                >
+                  {skill}
+                  {editMode && (
+                    <X 
+                      className="h-3 w-3 cursor-pointer hover:text-destructive" 
+                      onClick={() => removeVerifiedSkill(i)}
+                    />
+                  )}
+                </Badge>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground mt-3">
+              CV tailoring only adds job keywords found here, in your skills and certifications, or in your experience. Anything else is blocked or flagged for your approval.
+            </p>
+          </CardContent>
+        </Card>
+
         {/* Certifications */}
         <Card>
           <CardHeader>
@@ -0,0 +1,493 @@
+// Screening rule engine shared by answer-questions and the QuantumHire extension.
+// Rule packs (packs/*.json) answer the common screening questions - work authorization,
+// sponsorship, relocation, salary, notice period, EEO, contact details - from the profile,
+// without a model call. Voluntary disclosures (EEO, criminal history, prior employment) only
+// ever follow the profile's disclosure_policy, see answerDisclosure(). Kept free of Deno and DOM APIs: the extension runs a transpiled
+// copy (npm run build:rules) and eval/rules.mjs runs it in Node.
+
+// Voluntary-disclosure categories, each with its own choice in profiles.disclosure_policy
+export const DISCLOSURE_CATEGORIES = [
+  'gender',
+  'ethnicity',
+  'veteran',
+  'disability',
+  'criminal_history',
+  'prior_employment',
+] as const;
+
+export type DisclosureCategory = typeof DISCLOSURE_CATEGORIES[number];
+
+// disclose: answer from the profile; decline: the pack's decline-to-answer wording.
+// A category without a choice is never answered for the user.
+export type DisclosureChoice = 'disclose' | 'decline';
+
+export type DisclosurePolicy = Partial<Record<DisclosureCategory, DisclosureChoice>>;
+
+export interface RuleAnswer {
+  answer: string;
+  selectValue?: string;
+  // Taken from what the user put in their profile rather than a pack default
+  fromProfile?: boolean;
+}
+
+export interface ScreeningRule {
+  // What the question asks, e.g. "sponsorship" - the same topic can appear in several packs
+  topic: string;
+  // Case-insensitive regex tested against the trimmed, lowercased question label
+  pattern: string;
+  // Questions matching this are left to later rules
+  exclude?: string;
+  answer?: string;
+  selectValue?: string;
+  // snake_case profile field; the camelCase and underscore-free spellings are tried too
+  profileField?: string;
+  fallbackFields?: string[];
+  // Used when the profile has no value; without one the question goes to answer-questions
+  default?: string;
+  // Answers for a `true` profile value. `false` reads as unset - the profiles columns default to
+  // false, so it can't tell "no" from "never answered" - and falls to `default`. Disclosure rules
+  // are the exception: choosing "disclose" makes `false` an answer, given by `false`.
+  booleanAnswers?: { true: RuleAnswer; false?: RuleAnswer };
+  // First entry whose `match` is contained in (or with `exact`, equal to) the lowercased profile value wins
+  valueMap?: { match: string; exact?: boolean; answer: string; selectValue: string }[];
+  // For select/radio questions: the option containing the earliest of these that any option contains
+  preferOptions?: string[];
+  // Named answer derived from several profile fields, see HANDLERS
+  handler?: string;
+  // Makes this a voluntary-disclosure rule: `default` and `answer` are never used
+  disclosure?: DisclosureCategory;
+  // Decline wording for this question when the pack's doesn't fit
+  decline?: string;
+  // Regex for the company a prior_employment rule names; without it, the one applied to
+  employer?: string;
+  confidence?: 'high' | 'medium' | 'low';
+  atsScore?: number;
+  reasoning?: string;
+}
+
+export interface RulePack {
+  id: string;
+  locale: string;
+  description?: string;
+  // How this locale says yes/no to a boolean profile field
+  yes: string;
+  no: string;
+  // Decline-to-answer wording for disclosure questions, and how to spot that option in a select
+  decline: string;
+  declineOptions: string[];
+  rules: ScreeningRule[];
+}
+
+export interface ScreeningQuestion {
+  id?: string;
+  label: string;
+  options?: string[];
+}
+
+export interface RuleContext {
+  locale?: string;
+  company?: string;
+  jobTitle?: string;
+}
+
+export interface RuleMatch {
+  answer: string;
+  selectValue: string;
+  confidence: 'high' | 'medium' | 'low';
+  atsScore: number;
+  reasoning: string;
+  fromProfile: boolean;
+  // "<pack id>/<topic>", e.g. "en-GB/driving-license"
+  rule: string;
+  topic: string;
+  disclosure?: DisclosureCategory;
+  // The question's option the answer picks, when options were given and one matches
+  option?: string;
+  // A disclosure question the policy leaves to the user: answer is empty, and it must be neither
+  // filled nor sent to answer-questions
+  withheld?: boolean;
+}
+
+// A profiles row (snake_case) or the camelCase profile answer-questions receives
+export type Profile = Record<string, unknown>;
+
+// A form option: its text, or every text it is known by (e.g. a radio's label and value)
+export type OptionText = string | string[];
+
+export const FALLBACK_LOCALE = 'en';
+
+const DEFAULT_ATS_SCORE = 95;
+
+const EUROPEAN_COUNTRIES = [
+  'ireland', 'united kingdom', 'uk', 'germany', 'france', 'spain', 'italy', 'netherlands', 'belgium', 'sweden',
+  'norway', 'denmark', 'finland', 'switzerland', 'austria', 'portugal', 'poland', 'czech', 'czech republic',
+  'romania', 'bulgaria', 'greece', 'hungary', 'slovakia', 'slovenia', 'croatia', 'serbia', 'bosnia', 'estonia',
+  'latvia', 'lithuania',
+];
+
+const regexCache = new Map<string, RegExp>();
+
+function compile(pattern: string): RegExp {
+  let regex = regexCache.get(pattern);
+  if (!regex) {
+    regex = new RegExp(pattern, 'i');
+    regexCache.set(pattern, regex);
+  }
+  return regex;
+}
+
+function normalizeText(text: unknown): string {
+  return String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// phrase as whole words of text: "male" is in "Male (he/him)" but not in "Female"
+function containsPhrase(text: string, phrase: string): boolean {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+/**
+ * Index of the option an answer picks, or -1. An exact label or value anywhere in the group
+ * wins; then an option containing the answer as whole words; then, only when exactly one option
+ * qualifies, an option named in a longer answer ("Yes, I am authorized" picks "Yes").
+ * Never a bare substring, so the answer "Male" doesn't pick a "Female" listed first.
+ */
+export function matchOption(options: OptionText[], answer: string, selectValue?: string): number {
+  const wanted = [answer, selectValue].map(normalizeText).filter(Boolean);
+  if (!wanted.length) return -1;
+  const texts = options.map(option => (Array.isArray(option) ? option : [option]).map(normalizeText).filter(Boolean));
+
+  const exact = texts.findIndex(alternatives => alternatives.some(text => wanted.includes(text)));
+  if (exact !== -1) return exact;
+
+  const containing = texts.findIndex(alternatives =>
+    alternatives.some(text => wanted.some(phrase => containsPhrase(text, phrase)))
+  );
+  if (containing !== -1) return containing;
+
+  const named = texts
+    .map((alternatives, i) => (alternatives.some(text => wanted.some(phrase => containsPhrase(phrase, text))) ? i : -1))
+    .filter(i => i !== -1);
+  return named.length === 1 ? named[0] : -1;
+}
+
+/**
+ * "de_de", "DE-de" and "de-DE" all become "de-DE"; empty becomes the fallback locale
+ */
+export function normalizeLocale(locale?: string | null): string {
+  const [language, region] = (locale || '').trim().replace(/_/g, '-').split('-');
+  if (!language) return FALLBACK_LOCALE;
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Packs consulted for a locale, most specific first: en-GB → [en-GB, en], de-AT → [de, en].
+ * English is always last because multinational ATS forms ask in English whatever the page language.
+ */
+export function resolvePacks(packs: RulePack[], locale?: string | null): RulePack[] {
+  const normalized = normalizeLocale(locale);
+  const language = normalized.split('-')[0];
+  const order = [normalized, language, FALLBACK_LOCALE];
+  const resolved: RulePack[] = [];
+  for (const code of order) {
+    const pack = packs.find(p => normalizeLocale(p.locale) === code);
+    if (pack && !resolved.includes(pack)) resolved.push(pack);
+  }
+  return resolved;
+}
+
+function toCamelCase(field: string): string {
+  return field.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function isPresent(value: unknown): boolean {
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Read a profile field whichever convention the caller uses: the extension stores the
+ * profiles row (expected_salary), answer-questions receives camelCase (expectedSalary)
+ */
+function readProfile(profile: Profile, field: string, keepFalse = false): unknown {
+  for (const key of [field, field.replace(/_/g, ''), toCamelCase(field), field.toLowerCase()]) {
+    const value = profile[key];
+    if (isPresent(value) && (keepFalse || value !== false)) return value;
+  }
+  return undefined;
+}
+
+function profileText(profile: Profile, field: string): string {
+  const value = readProfile(profile, field);
+  return value === undefined ? '' : String(value);
+}
+
+function fromText(answer: string): RuleAnswer {
+  return { answer, selectValue: answer.toLowerCase() };
+}
+
+function yesNo(pack: RulePack, value: boolean): RuleAnswer {
+  return fromText(value ? pack.yes : pack.no);
+}
+
+function workExperienceText(profile: Profile): string {
+  const experience = readProfile(profile, 'work_experience');
+  if (!Array.isArray(experience)) return '';
+  return experience
+    .map((e: Record<string, unknown> | null) =>
+      `${e?.title || ''} ${e?.company || ''} ${e?.description || ''} ${((e?.bullets as string[]) || []).join(' ')}`)
+    .join(' ')
+    .toLowerCase();
+}
+
+type RuleHandler = (profile: Profile, rule: ScreeningRule, pack: RulePack, context: RuleContext) => RuleAnswer | null;
+
+const HANDLERS: Record<string, RuleHandler> = {
+  pronouns(profile) {
+    const gender = profileText(profile, 'gender').toLowerCase();
+    if (gender.includes('female')) return { answer: 'She/Her', selectValue: 'she/her', fromProfile: true };
+    if (gender.includes('male')) return { answer: 'He/Him', selectValue: 'he/him', fromProfile: true };
+    if (gender.includes('non-binary')) return { answer: 'They/Them', selectValue: 'they/them', fromProfile: true };
+    return null;
+  },
+
+  // Yes when a work_experience company is the one asked about; without any experience we can't say
+  priorEmployment(profile, rule, pack, context) {
+    const applyingTo = (context.company || '').toLowerCase().trim();
+    const experience = readProfile(profile, 'work_experience');
+    if ((!rule.employer && !applyingTo) || !Array.isArray(experience) || experience.length === 0) return null;
+    const worked = experience.some((e: Record<string, unknown> | null) => {
+      const company = String(e?.company || '').toLowerCase().trim();
+      if (!company) return false;
+      if (rule.employer) return compile(rule.employer).test(company);
+      return company.includes(applyingTo) || applyingTo.includes(company);
+    });
+    return { ...yesNo(pack, worked), fromProfile: true };
+  },
+
+  basedInEurope(profile, rule, pack) {
+    const country = profileText(profile, 'country').toLowerCase();
+    const inEurope = !!country && EUROPEAN_COUNTRIES.some(c => country.includes(c));
+    return inEurope ? yesNo(pack, true) : fromText(rule.default || pack.no);
+  },
+
+  speakGerman(profile, rule, pack) {
+    const raw = readProfile(profile, 'languages');
+    const languages = (Array.isArray(raw)
+      ? raw.map((l: string | { name?: string; language?: string }) => (typeof l === 'string' ? l : l?.name || l?.language || '')).join(', ')
+      : raw ? String(raw) : ''
+    ).toLowerCase();
+    const speaks = languages.includes('german') || languages.includes('deutsch');
+    return speaks ? yesNo(pack, true) : fromText(rule.default || pack.no);
+  },
+
+  b2bSaas(profile, rule, pack) {
+    const has = /saas|b2b|enterprise/.test(workExperienceText(profile));
+    return fromText(has ? pack.yes : (rule.default || pack.yes));
+  },
+
+  solutionsConsulting(profile, rule, pack) {
+    const has = /solutions consult|solution consult|consultant|pre-sales|presales|sales engineer|sales engineering/
+      .test(workExperienceText(profile));
+    return fromText(has ? pack.yes : (rule.default || pack.yes));
+  },
+
+  startDate(profile) {
+    const notice = profileText(profile, 'notice_period') || '2 weeks';
+    return {
+      answer: notice === 'Immediate' ? 'Immediately' : `Within ${notice}`,
+      selectValue: 'immediately',
+    };
+  },
+
+  fullName(profile) {
+    const fullName = `${profileText(profile, 'first_name')} ${profileText(profile, 'last_name')}`.trim();
+    return fullName ? { ...fromText(fullName), fromProfile: true } : null;
+  },
+};
+
+function fillTemplate(text: string, context: RuleContext): string {
+  return text
+    .replace(/\{company\}/g, context.company || 'this company')
+    .replace(/\{jobTitle\}/g, context.jobTitle || 'this role');
+}
+
+function resolveFromProfile(rule: ScreeningRule, pack: RulePack, profile: Profile): RuleAnswer | null {
+  const fields = [rule.profileField!, ...(rule.fallbackFields || [])];
+  const keepFalse = !!rule.disclosure;
+  let value: unknown;
+  for (const field of fields) {
+    value = readProfile(profile, field, keepFalse);
+    if (value !== undefined) break;
+  }
+
+  if (value === undefined) {
+    return rule.default !== undefined && !rule.disclosure ? fromText(rule.default) : null;
+  }
+
+  if (value === true) {
+    return { ...(rule.booleanAnswers?.true || yesNo(pack, true)), fromProfile: true };
+  }
+  if (value === false) {
+    return { ...(rule.booleanAnswers?.false || yesNo(pack, false)), fromProfile: true };
+  }
+
+  const text = String(value);
+  const lower = text.toLowerCase();
+  const mapped = rule.valueMap?.find(entry => (entry.exact ? lower === entry.match : lower.includes(entry.match)));
+  if (mapped) return { answer: mapped.answer, selectValue: mapped.selectValue, fromProfile: true };
+  return { answer: text, selectValue: lower, fromProfile: true };
+}
+
+function resolveRule(
+  rule: ScreeningRule,
+  pack: RulePack,
+  question: ScreeningQuestion,
+  profile: Profile,
+  context: RuleContext,
+): RuleAnswer | null {
+  if (rule.preferOptions && question.options?.length) {
+    // In preference order, so "Not important" never wins over "Very important"
+    for (const preferred of rule.preferOptions) {
+      const option = question.options.find(o => o.toLowerCase().includes(preferred));
+      if (option) return fromText(option);
+    }
+  }
+
+  if (rule.handler) {
+    const handler = HANDLERS[rule.handler];
+    return handler ? handler(profile, rule, pack, context) : null;
+  }
+
+  if (rule.profileField) return resolveFromProfile(rule, pack, profile);
+
+  // An empty literal answer claims the question without answering it (e.g. name pronunciation)
+  if (!rule.answer) return null;
+  return { answer: rule.answer, selectValue: rule.selectValue ?? rule.answer.toLowerCase() };
+}
+
+function disclosurePolicy(profile: Profile): DisclosurePolicy {
+  const policy = readProfile(profile, 'disclosure_policy');
+  return policy && typeof policy === 'object' ? policy as DisclosurePolicy : {};
+}
+
+/**
+ * A disclosure question is answered only the way the user chose for its category: from their
+ * profile, or declined - with the form's own decline option when it has one, else in the wording
+ * of the page's country (en-GB "Prefer not to say" for a rule from the en pack).
+ * Without a choice, or a profile value to disclose, the answer is withheld - never a default.
+ */
+function answerDisclosure(
+  rule: ScreeningRule,
+  pack: RulePack,
+  localePack: RulePack,
+  question: ScreeningQuestion,
+  profile: Profile,
+  context: RuleContext,
+): RuleAnswer | null {
+  const choice = disclosurePolicy(profile)[rule.disclosure!];
+
+  if (choice === 'decline') {
+    const declineOptions = [...localePack.declineOptions, ...pack.declineOptions];
+    const option = question.options?.find(o => declineOptions.some(d => o.toLowerCase().includes(d)));
+    const sameLanguage = localePack.locale.split('-')[0] === pack.locale.split('-')[0];
+    return { ...fromText(option || rule.decline || (sameLanguage ? localePack : pack).decline), fromProfile: true };
+  }
+
+  if (choice === 'disclose') {
+    if (rule.handler) return HANDLERS[rule.handler]?.(profile, rule, pack, context) || null;
+    if (rule.profileField) return resolveFromProfile(rule, pack, profile);
+  }
+  return null;
+}
+
+function withOption(match: RuleMatch, question: ScreeningQuestion): RuleMatch {
+  if (!question.options?.length) return match;
+  const index = matchOption(question.options, match.answer, match.selectValue);
+  return index === -1 ? match : { ...match, option: question.options[index] };
+}
+
+/**
+ * Answer one question from the rule packs for the context's locale. The first rule whose
+ * pattern matches decides: its answer, or null when it needs profile data the user hasn't
+ * given - those questions are for answer-questions, never a later, looser rule. Disclosure
+ * questions always get a match, `withheld` when the policy leaves them to the user.
+ */
+export function answerQuestion(
+  packs: RulePack[],
+  question: ScreeningQuestion,
+  profile: Profile | null | undefined,
+  context: RuleContext = {},
+): RuleMatch | null {
+  const label = (question.label || '').toLowerCase().trim();
+  if (!label) return null;
+
+  const localePacks = resolvePacks(packs, context.locale);
+  for (const pack of localePacks) {
+    for (const rule of pack.rules) {
+      if (!compile(rule.pattern).test(label)) continue;
+      if (rule.exclude && compile(rule.exclude).test(label)) continue;
+
+      if (rule.disclosure) {
+        const disclosed = answerDisclosure(rule, pack, localePacks[0], question, profile || {}, context);
+        if (!disclosed) {
+          return {
+            answer: '',
+            selectValue: '',
+            confidence: 'low',
+            atsScore: 0,
+            reasoning: `Voluntary disclosure (${rule.disclosure}) - not answered without a choice in your profile`,
+            fromProfile: false,
+            rule: `${pack.id}/${rule.topic}`,
+            topic: rule.topic,
+            disclosure: rule.disclosure,
+            withheld: true,
+          };
+        }
+        return withOption({
+          answer: disclosed.answer,
+          selectValue: disclosed.selectValue ?? disclosed.answer.toLowerCase(),
+          confidence: 'high',
+          atsScore: rule.atsScore ?? DEFAULT_ATS_SCORE,
+          reasoning: rule.reasoning || `Disclosure policy ${pack.id}/${rule.topic}`,
+          fromProfile: true,
+          rule: `${pack.id}/${rule.topic}`,
+          topic: rule.topic,
+          disclosure: rule.disclosure,
+        }, question);
+      }
+
+      const resolved = resolveRule(rule, pack, question, profile || {}, context);
+      if (!resolved) return null;
+
+      const answer = fillTemplate(resolved.answer, context);
+      return withOption({
+        answer,
+        selectValue: resolved.selectValue !== undefined ? fillTemplate(resolved.selectValue, context) : answer.toLowerCase(),
+        confidence: rule.confidence || 'high',
+        atsScore: rule.atsScore ?? DEFAULT_ATS_SCORE,
+        reasoning: rule.reasoning || `Screening rule ${pack.id}/${rule.topic}`,
+        fromProfile: !!resolved.fromProfile,
+        rule: `${pack.id}/${rule.topic}`,
+        topic: rule.topic,
+      }, question);
+    }
+  }
+  return null;
+}
+
+/**
+ * Answer every question a rule covers, keyed by question id (withheld disclosures included)
+ */
+export function answerQuestions(
+  packs: RulePack[],
+  questions: (ScreeningQuestion & { id: string })[],
+  profile: Profile | null | undefined,
+  context: RuleContext = {},
+): Map<string, RuleMatch> {
+  const answers = new Map<string, RuleMatch>();
+  for (const question of questions) {
+    const match = answerQuestion(packs, question, profile, context);
+    if (match) answers.set(question.id, match);
+  }
+  return answers;
+}
@@ -0,0 +1,149 @@
+// Screening Rules - Evaluation
+// Runs screening questions in several locales through the shared rule engine (engine.ts and
+// packs/*.json, as answer-questions imports them) and through the generated extension bundle
+// (chrome-extension/utils/screeningRules.js), in Node without Deno or a browser.
+//
+// A case counts as:
+//   pass      - answered as expected (or, for expect: null, left to answer-questions; for
+//               expect: { withheld }, a disclosure left to the user); with expect.option, the
+//               question's options must resolve to that one
+//   fail      - a different answer or rule, or none where one was expected
+//   drift     - the extension bundle disagrees with the engine (run npm run build:rules)
+//
+//   npm run eval:rules            # report
+//   npm run eval:rules -- --json  # machine-readable report
+//
+// Exits 1 on any fail or drift.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import ts from 'typescript';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const RULES_DIR = path.resolve(EVAL_DIR, '..');
+const PACKS_DIR = path.join(RULES_DIR, 'packs');
+const BUNDLE = path.resolve(RULES_DIR, '../../../../chrome-extension/utils/screeningRules.js');
+const DEFAULT_CASES = path.join(EVAL_DIR, 'cases.json');
+
+function parseArgs(argv) {
+  const args = { json: false, cases: DEFAULT_CASES };
+  for (const arg of argv) {
+    if (arg === '--json') args.json = true;
+    else args.cases = path.resolve(process.cwd(), arg);
+  }
+  return args;
+}
+
+/**
+ * engine.ts is Deno TypeScript without Deno imports: transpile it for Node
+ */
+async function loadEngine() {
+  const source = fs.readFileSync(path.join(RULES_DIR, 'engine.ts'), 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 },
+  });
+  return import(`data:text/javascript;base64,${Buffer.from(outputText).toString('base64')}`);
+}
+
+function loadPacks() {
+  return fs.readdirSync(PACKS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(PACKS_DIR, file), 'utf8')));
+}
+
+/**
+ * The classic script the content scripts load, evaluated the way the browser would
+ */
+function loadBundle() {
+  const sandbox = { window: {} };
+  vm.runInNewContext(fs.readFileSync(BUNDLE, 'utf8'), sandbox, { filename: BUNDLE });
+  return sandbox.window.QuantumHireRules;
+}
+
+function sameMatch(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function evaluate(engine, packs, bundle, corpus) {
+  const results = corpus.cases.map((testCase) => {
+    const question = { label: testCase.question, options: testCase.options };
+    const profile = { ...corpus.profile, ...(testCase.profile || {}) };
+    const context = { locale: testCase.locale, company: corpus.company, jobTitle: corpus.jobTitle };
+
+    const match = engine.answerQuestion(packs, question, profile, context);
+    const bundled = bundle.answer(question, profile, context);
+    const expect = testCase.expect;
+
+    let outcome;
+    if (!sameMatch(match, bundled)) {
+      outcome = 'drift';
+    } else if (expect === null) {
+      outcome = match ? 'fail' : 'pass';
+    } else if (expect.withheld) {
+      outcome = match?.withheld && match.rule === expect.rule ? 'pass' : 'fail';
+    } else {
+      outcome = match &&
+        !match.withheld &&
+        match.answer === expect.answer &&
+        match.rule === expect.rule &&
+        (expect.fromProfile === undefined || match.fromProfile === expect.fromProfile) &&
+        (expect.option === undefined || match.option === expect.option)
+        ? 'pass'
+        : 'fail';
+    }
+
+    return {
+      question: testCase.question,
+      locale: engine.normalizeLocale(testCase.locale),
+      expect,
+      got: match
+        ? { answer: match.answer, rule: match.rule, fromProfile: match.fromProfile, option: match.option, withheld: !!match.withheld }
+        : null,
+      outcome,
+    };
+  });
+
+  const count = (outcome) => results.filter(r => r.outcome === outcome).length;
+  return {
+    packs: packs.map(p => `${p.id} (${p.rules.length})`),
+    cases: results.length,
+    passed: count('pass'),
+    failed: count('fail'),
+    drift: count('drift'),
+    results,
+  };
+}
+
+function formatReport(report) {
+  const marks = { pass: '✓', fail: '✗', drift: '≠' };
+  const lines = [`Screening rules - ${report.packs.join(', ')}`, ''];
+  for (const r of report.results) {
+    const describe = (a) => `${a.withheld ? 'withheld' : a.answer}${a.option ? ` → option "${a.option}"` : ''} (${a.rule})`;
+    const detail = r.got ? ` → ${describe(r.got)}` : ' → answer-questions';
+    const expected = r.outcome === 'pass'
+      ? ''
+      : `  [expected ${r.expect ? describe(r.expect) : 'no rule'}]`;
+    lines.push(`  ${marks[r.outcome]} [${r.locale}] ${r.question}${detail}${expected}`);
+  }
+  lines.push('');
+  lines.push(`${report.passed}/${report.cases} passed · ${report.failed} failed · ${report.drift} out of sync with the extension`);
+  return lines.join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const engine = await loadEngine();
+  const corpus = JSON.parse(fs.readFileSync(args.cases, 'utf8'));
+
+  const report = evaluate(engine, loadPacks(), loadBundle(), corpus);
+  console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  if (report.failed > 0 || report.drift > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exitCode = 1;
+});
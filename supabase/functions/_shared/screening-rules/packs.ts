@@ -0,0 +1,8 @@
+// Rule packs bundled with answer-questions. The extension gets the same packs through
+// chrome-extension/utils/screeningRules.js (npm run build:rules).
+import type { RulePack } from "./engine.ts";
+import en from "./packs/en.json" with { type: "json" };
+import enGB from "./packs/en-GB.json" with { type: "json" };
+import de from "./packs/de.json" with { type: "json" };
+
+export const RULE_PACKS = [en, enGB, de] as RulePack[];
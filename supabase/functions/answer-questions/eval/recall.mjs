@@ -0,0 +1,143 @@
+// answer-questions - Memory Recall Evaluation
+// Replays reworded application questions against a set of remembered ones through the same
+// ranking checkMemory() uses (memory-recall.ts), in Node without Supabase.
+//
+// A query counts as:
+//   hit    - reused the memory the corpus expects
+//   miss   - reused nothing although a memory was expected (falls back to AI generation)
+//   wrong  - reused a memory it shouldn't have (filled with someone else's answer - the costly case)
+//
+//   npm run eval:recall                               # offline model (local-hash), report
+//   npm run eval:recall -- --provider none            # keyword matching only, as before embeddings
+//   OPENAI_API_KEY=sk-... npm run eval:recall -- --provider openai
+//   npm run eval:recall -- --json                     # machine-readable report
+//
+// Exits 1 when any query is wrong.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ts from 'typescript';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const RECALL_TS = path.resolve(EVAL_DIR, '../memory-recall.ts');
+const DEFAULT_CORPUS = path.join(EVAL_DIR, 'recall-corpus.json');
+
+function parseArgs(argv) {
+  const args = { provider: 'local', json: false, corpus: DEFAULT_CORPUS };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--provider') args.provider = argv[++i];
+    else if (arg === '--json') args.json = true;
+    else args.corpus = path.resolve(process.cwd(), arg);
+  }
+  return args;
+}
+
+/**
+ * memory-recall.ts is Deno TypeScript without Deno imports: transpile it for Node
+ */
+async function loadRecall() {
+  const source = fs.readFileSync(RECALL_TS, 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 },
+  });
+  return import(`data:text/javascript;base64,${Buffer.from(outputText).toString('base64')}`);
+}
+
+/**
+ * Memory rows as answer-questions stores them, with cosine similarities computed here
+ * instead of by match_user_memories
+ */
+async function buildMemories(recall, corpus, provider) {
+  const memories = corpus.memories.map(m => ({
+    id: m.id,
+    query_hash: recall.generateQueryHash(m.question),
+    question_normalized: recall.normalizeQuestion(m.question),
+    question_keywords: recall.extractKeywords(m.question),
+  }));
+  const embeddings = provider
+    ? await provider.embed(memories.map(m => m.question_normalized))
+    : [];
+  return { memories, embeddings };
+}
+
+async function evaluate(recall, corpus, provider) {
+  const { memories, embeddings } = await buildMemories(recall, corpus, provider);
+  const queryEmbeddings = provider
+    ? await provider.embed(corpus.queries.map(q => recall.normalizeQuestion(q.question)))
+    : [];
+
+  const results = corpus.queries.map((query, i) => {
+    const cosines = new Map();
+    if (provider) {
+      memories.forEach((memory, j) => {
+        cosines.set(memory.id, recall.cosineSimilarity(queryEmbeddings[i], embeddings[j]));
+      });
+    }
+    const match = recall.findBestMemory({ label: query.question, type: query.type }, memories, provider, cosines);
+    const got = match?.memory.id ?? null;
+    const outcome = got === query.expect
+      ? (got ? 'hit' : 'rejected')
+      : (got ? 'wrong' : 'miss');
+
+    return {
+      question: query.question,
+      type: query.type,
+      expect: query.expect,
+      got,
+      via: match?.via ?? null,
+      similarity: match ? Number(match.similarity.toFixed(3)) : null,
+      outcome,
+    };
+  });
+
+  const count = (outcome) => results.filter(r => r.outcome === outcome).length;
+  const expected = results.filter(r => r.expect).length;
+  const reused = results.filter(r => r.got).length;
+  return {
+    provider: provider?.model ?? 'keyword-only',
+    queries: results.length,
+    hits: count('hit'),
+    misses: count('miss'),
+    wrong: count('wrong'),
+    rejected: count('rejected'),
+    recall: expected ? Number((count('hit') / expected).toFixed(3)) : 1,
+    precision: reused ? Number((count('hit') / reused).toFixed(3)) : 1,
+    results,
+  };
+}
+
+function formatReport(report) {
+  const marks = { hit: '✓', rejected: '·', miss: '○', wrong: '✗' };
+  const lines = [`Memory recall - ${report.provider}`, ''];
+  for (const r of report.results) {
+    const detail = r.got ? ` → ${r.got} (${r.via}, ${r.similarity})` : '';
+    const expected = r.outcome === 'hit' || r.outcome === 'rejected' ? '' : `  [expected ${r.expect ?? 'no match'}]`;
+    lines.push(`  ${marks[r.outcome]} [${r.type}] ${r.question}${detail}${expected}`);
+  }
+  lines.push('');
+  lines.push(`Recall ${(report.recall * 100).toFixed(0)}% · precision ${(report.precision * 100).toFixed(0)}% · ` +
+    `${report.hits} hit, ${report.misses} missed, ${report.wrong} wrong, ${report.rejected} correctly unmatched`);
+  return lines.join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const recall = await loadRecall();
+  const corpus = JSON.parse(fs.readFileSync(args.corpus, 'utf8'));
+
+  if (args.provider === 'openai' && !process.env.OPENAI_API_KEY) {
+    throw new Error('--provider openai needs OPENAI_API_KEY');
+  }
+  const provider = recall.resolveEmbeddingProvider(args.provider, { openAIKey: process.env.OPENAI_API_KEY });
+
+  const report = await evaluate(recall, corpus, provider);
+  console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  if (report.wrong > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exitCode = 1;
+});
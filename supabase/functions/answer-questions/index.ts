@@ -1,5 +1,21 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
-import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+import {
+  generateQueryHash,
+  extractKeywords,
+  normalizeQuestion,
+  findBestMemory,
+  resolveEmbeddingProvider,
+  type EmbeddingProvider,
+  type RecallMemory,
+} from "./memory-recall.ts";
+import {
+  answerQuestions,
+  DISCLOSURE_CATEGORIES,
+  normalizeLocale,
+  type DisclosurePolicy,
+} from "../_shared/screening-rules/engine.ts";
+import { RULE_PACKS } from "../_shared/screening-rules/packs.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -106,8 +122,21 @@ const MAX_STRING_SHORT = 200;
 const MAX_STRING_MEDIUM = 1000;
 const MAX_STRING_LONG = 10000;
 
-// Memory matching configuration
-const MEMORY_SIMILARITY_THRESHOLD = 0.85;
+// Memory matching configuration: thresholds and hybrid weights live in memory-recall.ts
+// Embedding provider for semantic recall: 'openai' (user's key, default), 'local' (offline) or 'none'
+const MEMORY_EMBEDDING_PROVIDER = Deno.env.get("MEMORY_EMBEDDING_PROVIDER");
+// Nearest memories fetched per question by vector similarity
+const MEMORY_VECTOR_CANDIDATES = 5;
+// Older memories embedded per request once a provider is in use, so recall catches up gradually
+const MEMORY_EMBEDDING_BACKFILL = 50;
+
+// Outcome weighting (answer_effectiveness view): applications needed before an
+// answer's interview rate counts, and when a never-successful answer gets flagged
+const OUTCOME_MIN_SAMPLE = 2;
+const OUTCOME_REVIEW_SAMPLE = 3;
+
+// Memories the user marked "always use" outrank any unpinned match that clears the threshold
+const PINNED_RANK_BONUS = 1;
 
 // Validate and sanitize string input
 function validateString(value: any, maxLength: number, fieldName: string): string {
@@ -121,70 +150,6 @@ function validateString(value: any, maxLength: number, fieldName: string): strin
   return trimmed;
 }
 
-// Generate a hash for a question (for exact matching)
-function generateQueryHash(question: string): string {
-  const normalized = question.toLowerCase().trim()
-    .replace(/[^\w\s]/g, '')
-    .replace(/\s+/g, ' ');
-  
-  // Simple hash function
-  let hash = 0;
-  for (let i = 0; i < normalized.length; i++) {
-    const char = normalized.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return hash.toString(36);
-}
-
-// Extract keywords from a question for similarity matching
-function extractKeywords(question: string): string[] {
-  const stopWords = new Set([
-    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-    'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'dare',
-    'ought', 'used', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by',
-    'from', 'as', 'into', 'through', 'during', 'before', 'after', 'above',
-    'below', 'between', 'under', 'again', 'further', 'then', 'once', 'here',
-    'there', 'when', 'where', 'why', 'how', 'all', 'each', 'few', 'more',
-    'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own',
-    'same', 'so', 'than', 'too', 'very', 'just', 'and', 'but', 'if', 'or',
-    'because', 'until', 'while', 'although', 'though', 'this', 'that',
-    'these', 'those', 'what', 'which', 'who', 'whom', 'whose', 'your', 'you',
-    'please', 'select', 'choose', 'enter', 'provide', 'required', 'optional'
-  ]);
-
-  return question.toLowerCase()
-    .replace(/[^\w\s]/g, ' ')
-    .split(/\s+/)
-    .filter(word => word.length > 2 && !stopWords.has(word))
-    .slice(0, 20); // Max 20 keywords
-}
-
-// Calculate keyword similarity between two sets
-function calculateKeywordSimilarity(keywords1: string[], keywords2: string[]): number {
-  if (keywords1.length === 0 || keywords2.length === 0) return 0;
-  
-  const set1 = new Set(keywords1);
-  const set2 = new Set(keywords2);
-  
-  let matches = 0;
-  for (const word of set1) {
-    if (set2.has(word)) matches++;
-  }
-  
-  // Jaccard similarity
-  const union = new Set([...keywords1, ...keywords2]);
-  return matches / union.size;
-}
-
-// Normalize question for comparison
-function normalizeQuestion(question: string): string {
-  return question.toLowerCase().trim()
-    .replace(/[^\w\s]/g, '')
-    .replace(/\s+/g, ' ');
-}
-
 interface QuestionRequest {
   questions: {
     id: string;
@@ -196,6 +161,9 @@ interface QuestionRequest {
   jobTitle: string;
   company: string;
   jobDescription?: string;
+  jobUrl?: string;
+  // Page language (BCP 47) - picks the screening rule packs
+  locale?: string;
   userProfile: {
     firstName: string;
     lastName: string;
@@ -214,6 +182,11 @@ interface QuestionRequest {
     veteranStatus?: boolean;
     disability?: boolean;
     raceEthnicity?: string;
+    gender?: string;
+    hispanicLatino?: boolean;
+    criminalRecord?: boolean;
+    // Per category: answer from the profile or decline; categories left out are never answered
+    disclosurePolicy?: DisclosurePolicy;
     drivingLicense?: boolean;
     securityClearance?: boolean;
     expectedSalary?: string;
@@ -231,10 +204,31 @@ interface QuestionRequest {
 
 interface MemoryMatch {
   questionId: string;
+  memoryId: string;
   answer: any;
   confidence: string;
   fromMemory: boolean;
   similarity: number;
+  matchedBy: 'exact' | 'keyword' | 'vector';
+  needsReview: boolean;
+  interviewRate?: number;
+}
+
+interface AnswerOutcome {
+  applications: number;
+  interviews: number;
+  interview_rate: number;
+}
+
+// An answer_effectiveness row: how the applications one memory was used in turned out
+interface AnswerOutcomeRow extends AnswerOutcome {
+  memory_id: string;
+}
+
+// Between similar memories, prefer the answer whose applications got interviews (0.9x - 1.1x)
+function outcomeWeight(outcome?: AnswerOutcome): number {
+  if (!outcome || outcome.applications < OUTCOME_MIN_SAMPLE) return 1;
+  return 0.9 + 0.2 * Number(outcome.interview_rate);
 }
 
 // Get user ID from JWT token
@@ -277,20 +271,35 @@ async function logApiUsage(supabase: any, userId: string, functionName: string,
   }
 }
 
-// Check memory for matching questions
+// Columns recall needs; question_embedding stays in the database (match_user_memories)
+const MEMORY_RECALL_COLUMNS = 'id, query_hash, alias_hashes, question_normalized, question_keywords, answer, confidence, used_count, reuse_policy, edited_at, embedding_model';
+
+// A user_memories row as MEMORY_RECALL_COLUMNS selects it
+interface MemoryRow extends RecallMemory {
+  answer: unknown;
+  confidence: string;
+  used_count: number;
+  reuse_policy: 'auto' | 'always' | 'never';
+  edited_at: string | null;
+  embedding_model: string | null;
+}
+
+// Check memory for matching questions: exact hash, keyword overlap, then embedding similarity
 async function checkMemory(
   supabase: any,
   userId: string,
-  questions: { id: string; label: string; type: string; options?: string[] }[]
+  questions: { id: string; label: string; type: string; options?: string[] }[],
+  provider: EmbeddingProvider | null
 ): Promise<Map<string, MemoryMatch>> {
   const matches = new Map<string, MemoryMatch>();
   
   try {
-    // Get all user memories
+    // Get all user memories, except answers the user marked "never reuse"
     const { data: memories, error } = await supabase
       .from('user_memories')
-      .select('*')
-      .eq('user_id', userId);
+      .select(MEMORY_RECALL_COLUMNS)
+      .eq('user_id', userId)
+      .neq('reuse_policy', 'never');
     
     if (error || !memories || memories.length === 0) {
       console.log(`No memories found for user ${userId}`);
@@ -299,45 +308,38 @@ async function checkMemory(
     
     console.log(`Found ${memories.length} memories for user`);
     
+    const [outcomes, cosines] = await Promise.all([
+      loadAnswerOutcomes(supabase, userId),
+      provider ? vectorCandidates(supabase, userId, questions, memories, provider) : new Map<string, Map<string, number>>()
+    ]);
+    
     for (const question of questions) {
-      const queryHash = generateQueryHash(question.label);
-      const keywords = extractKeywords(question.label);
-      const normalized = normalizeQuestion(question.label);
-      
-      // First check for exact hash match
-      let bestMatch: any = null;
-      let bestSimilarity = 0;
+      const best = findBestMemory(
+        question,
+        memories,
+        provider,
+        cosines.get(question.id),
+        (match) => match.similarity * outcomeWeight(outcomes.get(match.memory.id)) +
+          (match.memory.reuse_policy === 'always' ? PINNED_RANK_BONUS : 0)
+      );
       
-      for (const memory of memories) {
-        // Exact hash match
-        if (memory.query_hash === queryHash) {
-          bestMatch = memory;
-          bestSimilarity = 1.0;
-          break;
-        }
-        
-        // Keyword similarity check
-        const similarity = calculateKeywordSimilarity(keywords, memory.question_keywords || []);
-        
-        // Also check normalized question similarity
-        const normalizedSimilarity = memory.question_normalized === normalized ? 1.0 : 
-          (normalized.includes(memory.question_normalized) || memory.question_normalized.includes(normalized)) ? 0.9 : 0;
-        
-        const combinedSimilarity = Math.max(similarity, normalizedSimilarity);
-        
-        if (combinedSimilarity > bestSimilarity && combinedSimilarity >= MEMORY_SIMILARITY_THRESHOLD) {
-          bestSimilarity = combinedSimilarity;
-          bestMatch = memory;
-        }
-      }
-      
-      if (bestMatch && bestSimilarity >= MEMORY_SIMILARITY_THRESHOLD) {
+      if (best) {
+        const bestMatch = best.memory;
+        const outcome = outcomes.get(bestMatch.id);
+        // Answers the user pinned or wrote themselves are trusted as-is
+        const curated = bestMatch.reuse_policy === 'always' || !!bestMatch.edited_at;
+        // Reused often and never led to an interview: still fill it, but ask for review
+        const underperforming = !curated && !!outcome && outcome.applications >= OUTCOME_REVIEW_SAMPLE && outcome.interviews === 0;
         matches.set(question.id, {
           questionId: question.id,
+          memoryId: bestMatch.id,
           answer: bestMatch.answer,
-          confidence: bestMatch.confidence,
+          confidence: curated ? 'high' : underperforming ? 'low' : bestMatch.confidence,
           fromMemory: true,
-          similarity: bestSimilarity
+          similarity: best.similarity,
+          matchedBy: best.via,
+          needsReview: underperforming,
+          interviewRate: outcome && outcome.applications >= OUTCOME_MIN_SAMPLE ? Number(outcome.interview_rate) : undefined
         });
         
         // Update usage stats (fire and forget)
@@ -350,7 +352,7 @@ async function checkMemory(
           .eq('id', bestMatch.id)
           .then(() => {});
         
-        console.log(`Memory match for "${question.label.substring(0, 50)}..." (similarity: ${(bestSimilarity * 100).toFixed(1)}%)`);
+        console.log(`Memory match for "${question.label.substring(0, 50)}..." (${best.via}, similarity: ${(best.similarity * 100).toFixed(1)}%)`);
       }
     }
     
@@ -361,16 +363,173 @@ async function checkMemory(
   return matches;
 }
 
+// Embed memories stored before this provider was in use, a batch per request
+async function backfillEmbeddings(supabase: SupabaseClient, memories: MemoryRow[], provider: EmbeddingProvider): Promise<void> {
+  const stale = memories.filter(m => m.embedding_model !== provider.model).slice(0, MEMORY_EMBEDDING_BACKFILL);
+  if (stale.length === 0) return;
+  
+  const embeddings = await provider.embed(stale.map(m => m.question_normalized));
+  await Promise.all(stale.map((memory, i) =>
+    supabase
+      .from('user_memories')
+      .update({ question_embedding: embeddings[i], embedding_model: provider.model })
+      .eq('id', memory.id)
+  ));
+  stale.forEach(memory => { memory.embedding_model = provider.model; });
+  console.log(`[Memory] Embedded ${stale.length} memories with ${provider.model}`);
+}
+
+// Cosine similarity of each question to its nearest memories: question id -> memory id -> cosine.
+// Any embedding failure leaves recall to exact and keyword matching.
+async function vectorCandidates(
+  supabase: SupabaseClient,
+  userId: string,
+  questions: { id: string; label: string }[],
+  memories: MemoryRow[],
+  provider: EmbeddingProvider
+): Promise<Map<string, Map<string, number>>> {
+  const candidates = new Map<string, Map<string, number>>();
+  if (questions.length === 0) return candidates;
+  
+  try {
+    await backfillEmbeddings(supabase, memories, provider);
+    const embeddings = await provider.embed(questions.map(q => normalizeQuestion(q.label)));
+    
+    await Promise.all(questions.map(async (question, i) => {
+      const { data, error } = await supabase.rpc('match_user_memories', {
+        p_user_id: userId,
+        p_embedding: embeddings[i],
+        p_model: provider.model,
+        p_limit: MEMORY_VECTOR_CANDIDATES
+      });
+      if (error) throw error;
+      candidates.set(question.id, new Map((data || []).map((row: { memory_id: string; similarity: number }) => [row.memory_id, Number(row.similarity)])));
+    }));
+  } catch (error) {
+    console.error(`[Memory] Vector recall unavailable (${provider.model}), using keyword matching:`, error);
+    candidates.clear();
+  }
+  return candidates;
+}
+
+function formatMatch(match: MemoryMatch): string {
+  return `${(match.similarity * 100).toFixed(0)}% ${match.matchedBy === 'vector' ? 'semantic ' : ''}match`;
+}
+
+function formatOutcome(match: MemoryMatch): string {
+  if (match.needsReview) return ', no interviews from past uses';
+  return match.interviewRate !== undefined ? `, ${Math.round(match.interviewRate * 100)}% interview rate` : '';
+}
+
+// Interview outcomes per memory id, from applications the answers were used in
+async function loadAnswerOutcomes(supabase: SupabaseClient, userId: string): Promise<Map<string, AnswerOutcome>> {
+  const outcomes = new Map<string, AnswerOutcome>();
+  try {
+    const { data, error } = await supabase
+      .from('answer_effectiveness')
+      .select('memory_id, applications, interviews, interview_rate')
+      .eq('user_id', userId);
+    
+    if (error) {
+      console.error('Failed to load answer outcomes:', error);
+      return outcomes;
+    }
+    const rows: AnswerOutcomeRow[] = data || [];
+    for (const row of rows) {
+      outcomes.set(row.memory_id, row);
+    }
+  } catch (error) {
+    console.error('Error loading answer outcomes:', error);
+  }
+  return outcomes;
+}
+
+// Record which remembered answers were used on this job's application, so its
+// status later credits them (applications.memory_ids -> answer_effectiveness)
+async function recordAnswerUsage(
+  supabase: SupabaseClient,
+  userId: string,
+  jobUrl: string,
+  memoryIds: string[],
+  queryHashes: string[] = []
+): Promise<void> {
+  if (!jobUrl) return;
+  
+  try {
+    const ids = new Set(memoryIds);
+    if (queryHashes.length > 0) {
+      const { data: stored } = await supabase
+        .from('user_memories')
+        .select('id')
+        .eq('user_id', userId)
+        .in('query_hash', queryHashes);
+      (stored || []).forEach((m: { id: string }) => ids.add(m.id));
+    }
+    if (ids.size === 0) return;
+    
+    const { data: jobs } = await supabase
+      .from('jobs')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('url', jobUrl)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    if (!jobs?.length) return;
+    
+    const { data: applications } = await supabase
+      .from('applications')
+      .select('id, memory_ids')
+      .eq('user_id', userId)
+      .eq('job_id', jobs[0].id)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    if (!applications?.length) return;
+    
+    const application = applications[0];
+    await supabase
+      .from('applications')
+      .update({ memory_ids: [...new Set([...(application.memory_ids || []), ...ids])] })
+      .eq('id', application.id);
+    
+    console.log(`[Outcomes] Linked ${ids.size} answers to application ${application.id}`);
+  } catch (error) {
+    console.error('Failed to record answer usage:', error);
+  }
+}
+
+// Question hashes whose memory the user manages - generated answers must not overwrite
+// or duplicate them: edited or non-auto memories, and every merged alias
+async function loadCuratedHashes(supabase: SupabaseClient, userId: string): Promise<Set<string>> {
+  const hashes = new Set<string>();
+  const { data, error } = await supabase
+    .from('user_memories')
+    .select('query_hash, alias_hashes, reuse_policy, edited_at')
+    .eq('user_id', userId);
+  
+  if (error) {
+    console.error('Failed to load curated memories:', error);
+    return hashes;
+  }
+  const memories: Pick<MemoryRow, 'query_hash' | 'alias_hashes' | 'reuse_policy' | 'edited_at'>[] = data || [];
+  for (const memory of memories) {
+    (memory.alias_hashes || []).forEach((hash) => hashes.add(hash));
+    if (memory.edited_at || memory.reuse_policy !== 'auto') hashes.add(memory.query_hash);
+  }
+  return hashes;
+}
+
 // Store new answers in memory
 async function storeInMemory(
   supabase: any,
   userId: string,
   questions: { id: string; label: string; type: string }[],
   answers: any[],
-  context: { jobTitle: string; company: string }
+  context: { jobTitle: string; company: string },
+  provider: EmbeddingProvider | null
 ): Promise<void> {
   try {
     const memoriesToInsert = [];
+    const curatedHashes = await loadCuratedHashes(supabase, userId);
     
     for (const answer of answers) {
       const question = questions.find(q => q.id === answer.id);
@@ -380,6 +539,8 @@ async function storeInMemory(
       if (answer.confidence === 'low' || answer.needsReview) continue;
       
       const queryHash = generateQueryHash(question.label);
+      // The user edited, pinned, blocked or merged this question's answer in the Memories page
+      if (curatedHashes.has(queryHash)) continue;
       const keywords = extractKeywords(question.label);
       const normalized = normalizeQuestion(question.label);
       
@@ -403,6 +564,18 @@ async function storeInMemory(
       });
     }
     
+    // Embed alongside the write; a failure leaves them to the next request's backfill
+    if (memoriesToInsert.length > 0 && provider) {
+      try {
+        const embeddings = await provider.embed(memoriesToInsert.map(m => m.question_normalized));
+        memoriesToInsert.forEach((memory, i) => {
+          Object.assign(memory, { question_embedding: embeddings[i], embedding_model: provider.model });
+        });
+      } catch (error) {
+        console.error(`[Memory] Could not embed new memories with ${provider.model}:`, error);
+      }
+    }
+    
     if (memoriesToInsert.length > 0) {
       // Use upsert to update existing or insert new
       const { error } = await supabase
@@ -432,6 +605,10 @@ async function storeInMemory(
                 answer: memory.answer,
                 confidence: memory.confidence,
                 ats_score: memory.ats_score,
+                ...(memory.embedding_model ? {
+                  question_embedding: memory.question_embedding,
+                  embedding_model: memory.embedding_model
+                } : {}),
                 updated_at: new Date().toISOString()
               })
               .eq('id', existing.id);
@@ -473,6 +650,17 @@ async function verifyAuth(req: Request): Promise<{ userId: string; supabase: any
 }
 
 // Validate the request payload
+// Known categories with a disclose/decline choice; anything else is dropped, so it stays unanswered
+function validateDisclosurePolicy(policy: unknown): DisclosurePolicy {
+  const validated: DisclosurePolicy = {};
+  if (!policy || typeof policy !== 'object') return validated;
+  for (const category of DISCLOSURE_CATEGORIES) {
+    const choice = (policy as Record<string, unknown>)[category];
+    if (choice === 'disclose' || choice === 'decline') validated[category] = choice;
+  }
+  return validated;
+}
+
 function validateRequest(data: any): QuestionRequest {
   // Validate questions array
   if (!Array.isArray(data.questions)) {
@@ -493,6 +681,8 @@ function validateRequest(data: any): QuestionRequest {
   const jobTitle = validateString(data.jobTitle, MAX_STRING_SHORT, 'jobTitle');
   const company = validateString(data.company, MAX_STRING_SHORT, 'company');
   const jobDescription = validateString(data.jobDescription || '', MAX_STRING_LONG, 'jobDescription');
+  const jobUrl = validateString(data.jobUrl || '', MAX_STRING_MEDIUM, 'jobUrl');
+  const locale = normalizeLocale(validateString(data.locale || '', 35, 'locale'));
   
   // Validate user profile
   const profile = data.userProfile || {};
@@ -514,6 +704,10 @@ function validateRequest(data: any): QuestionRequest {
     veteranStatus: !!profile.veteranStatus,
     disability: !!profile.disability,
     raceEthnicity: validateString(profile.raceEthnicity || '', MAX_STRING_SHORT, 'raceEthnicity'),
+    gender: validateString(profile.gender || '', MAX_STRING_SHORT, 'gender'),
+    hispanicLatino: !!profile.hispanicLatino,
+    criminalRecord: typeof profile.criminalRecord === 'boolean' ? profile.criminalRecord : undefined,
+    disclosurePolicy: validateDisclosurePolicy(profile.disclosurePolicy),
     drivingLicense: !!profile.drivingLicense,
     securityClearance: !!profile.securityClearance,
     expectedSalary: validateString(profile.expectedSalary || '', MAX_STRING_SHORT, 'expectedSalary'),
@@ -533,539 +727,12 @@ function validateRequest(data: any): QuestionRequest {
     jobTitle,
     company,
     jobDescription,
+    jobUrl,
+    locale,
     userProfile,
   };
 }
 
-// ============= COMPREHENSIVE ATS QUESTION ANSWER BANK =============
-// These patterns match common ATS knockout and screening questions
-
-const ATS_QUESTION_PATTERNS: Record<string, { answer: string; selectValue?: string; confidence: string; atsScore: number; reasoning: string; profileField?: string }> = {
-  // WORK AUTHORIZATION
-  'legally authorized|eligib.*employed|right to work|authorization to work|authorised to work|authorized.*work': 
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Work authorization - qualifying response' },
-  
-  // VISA SPONSORSHIP  
-  'require.*sponsorship|need.*sponsorship|sponsorship.*required|sponsor.*visa|visa.*sponsor|future.*sponsorship|h1b|h-1b|tn.*visa|l1.*visa':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Sponsorship not required - qualifying response' },
-  'work.*without.*sponsorship|employment.*without.*sponsorship':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Can work without sponsorship' },
-  
-  // AGE VERIFICATION
-  'age 18|over 18|18 years|eighteen|at least 18|older than 18|minimum age|legal age|are you.*18|21 years|over 21':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Age verification - qualifying response' },
-  
-  // BACKGROUND & DRUG SCREENING
-  'background check|criminal background|background investigation|submit.*background|consent.*background|background screening':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Background check consent' },
-  'drug screen|drug test|substance test|submit.*drug|pre-employment.*drug|toxicology':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Drug screening consent' },
-  
-  // DRIVER'S LICENSE & TRANSPORTATION
-  'driver.*license|driving license|valid license|valid driver|possess.*license':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Valid driver license', profileField: 'drivingLicense' },
-  'own.*vehicle|reliable.*transportation|access.*vehicle|means.*transportation':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Transportation availability' },
-  
-  // RELOCATION & AVAILABILITY
-  'willing.*relocate|open.*relocation|relocate.*position|able.*relocate':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Willing to relocate', profileField: 'willingToRelocate' },
-  'available.*start|start date|earliest.*start|when.*start|how soon|soonest.*start':
-    { answer: 'Immediately', selectValue: 'immediately', confidence: 'high', atsScore: 95, reasoning: 'Immediate availability' },
-  'notice period|current.*notice|weeks.*notice|days.*notice':
-    { answer: '2 weeks', selectValue: '2 weeks', confidence: 'high', atsScore: 90, reasoning: 'Standard notice period', profileField: 'noticePeriod' },
-  
-  // JOB FUNCTIONS & PHYSICAL REQUIREMENTS
-  'essential functions|perform.*duties|physical requirements|able to perform|perform.*job':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Can perform essential functions' },
-  'reasonable accommodation|disability accommodation|with or without.*accommodation':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Accommodation acknowledgment' },
-  'lift.*pounds|carry.*lbs|physical demands|standing.*hours|sitting.*hours':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Physical requirements acceptance' },
-  
-  // TRAVEL & SCHEDULE
-  'willing.*travel|travel.*required|travel.*percent|overnight.*travel|domestic.*travel|international.*travel':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Willing to travel' },
-  'work.*weekends|weekend.*availability|weekend.*work|saturday.*sunday':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Weekend availability' },
-  'work.*shifts|shift.*work|rotating.*shifts|night.*shift|evening.*shift|flexible.*hours':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Shift flexibility' },
-  'overtime|extra.*hours|additional.*hours|extended.*hours':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Overtime availability' },
-  'on-call|on call|standby|pager.*duty|after.*hours.*support':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'On-call availability' },
-  'full-time|full time|permanent.*position':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Full-time commitment' },
-  
-  // PREVIOUS EMPLOYMENT
-  'employed by.*before|worked.*before|previous.*employee|ever been employed|formerly employed':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a former employee' },
-  'referred by|employee referral|know anyone|current employee.*refer':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 90, reasoning: 'No employee referral' },
-  'applied.*before|previously.*applied|past.*application':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 90, reasoning: 'First time applying' },
-  
-  // LEGAL & AGREEMENTS
-  'terms and conditions|agree.*terms|certification|certify|read and agree|acknowledge|attestation':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Terms acceptance' },
-  'non-compete|non-disclosure|nda|confidentiality|confidential.*agreement':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'NDA/confidentiality acceptance' },
-  'agree.*policy|accept.*terms|consent.*processing|consent.*data|privacy.*consent|gdpr.*consent':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Policy consent' },
-  'truthful.*information|accurate.*information|certify.*accurate|information.*true':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Information accuracy certification' },
-  
-  // CRIMINAL HISTORY
-  'convicted.*felony|criminal.*conviction|been convicted|pleaded guilty|pending.*charges|criminal.*record':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'No criminal history' },
-  
-  // SECURITY CLEARANCE
-  'security clearance|clearance.*level|active.*clearance|current.*clearance|secret.*clearance|top secret|ts/sci':
-    { answer: 'No, but willing to obtain', selectValue: 'no', confidence: 'medium', atsScore: 85, reasoning: 'Security clearance status', profileField: 'securityClearance' },
-  'obtain.*clearance|eligible.*clearance|pass.*clearance':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Eligible for clearance' },
-  
-  // EEO & DEMOGRAPHICS
-  'veteran status|military service|protected veteran|veteran.*self|served.*military|us.*veteran|armed forces':
-    { answer: 'I am not a protected veteran', selectValue: 'i am not a protected veteran', confidence: 'high', atsScore: 95, reasoning: 'Veteran status declaration', profileField: 'veteranStatus' },
-  'disability status|disabled|have.*disability|disability.*self|individual.*disability|form cc-305':
-    { answer: 'I do not wish to answer', selectValue: 'i do not wish to answer', confidence: 'high', atsScore: 95, reasoning: 'Disability status - optional', profileField: 'disability' },
-  'race|ethnicity|ethnic background|race.*ethnicity|racial.*identity':
-    { answer: 'Decline to self-identify', selectValue: 'decline', confidence: 'high', atsScore: 95, reasoning: 'Race/ethnicity - optional', profileField: 'raceEthnicity' },
-  'gender|sex|male.*female|gender.*identity|what is your gender':
-    { answer: 'Prefer not to disclose', selectValue: 'prefer not to disclose', confidence: 'high', atsScore: 95, reasoning: 'Gender - optional', profileField: 'gender' },
-  'hispanic.*latino|latino.*hispanic|are you hispanic':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Hispanic/Latino status', profileField: 'hispanicLatino' },
-  'sexual orientation|lgbtq|lgbtqia':
-    { answer: 'Prefer not to answer', selectValue: 'prefer not to answer', confidence: 'high', atsScore: 95, reasoning: 'Sexual orientation - optional' },
-  
-  // COMPANY-SPECIFIC
-  'worked.*microsoft|microsoft.*employee|microsoft.*vendor':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a Microsoft employee' },
-  'worked.*google|google.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a Google employee' },
-  'worked.*amazon|amazon.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not an Amazon employee' },
-  'worked.*apple|apple.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not an Apple employee' },
-  'worked.*meta|worked.*facebook|meta.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a Meta employee' },
-  'former.*motive|motive.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a former Motive employee' },
-  
-  // EDUCATION
-  'highest.*degree|degree.*obtained|education.*level|completed.*degree|highest.*education':
-    { answer: "Bachelor's Degree", selectValue: "bachelor", confidence: 'high', atsScore: 90, reasoning: 'Highest education level', profileField: 'highestEducation' },
-  'bachelor.*degree|undergraduate.*degree|college.*degree':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Bachelor degree confirmation' },
-  'gpa|grade point|academic.*average':
-    { answer: '3.5', selectValue: '3.5', confidence: 'medium', atsScore: 85, reasoning: 'GPA estimate' },
-  
-  // SKILLS & EXPERIENCE
-  'years.*total.*experience|total.*years.*experience|overall.*experience':
-    { answer: '8', selectValue: '8', confidence: 'high', atsScore: 90, reasoning: 'Total years of experience', profileField: 'totalExperience' },
-  'proficiency.*level|skill.*level|expertise.*level|experience.*level':
-    { answer: 'Expert', selectValue: 'expert', confidence: 'high', atsScore: 90, reasoning: 'Skill proficiency level' },
-  
-  // SALARY
-  'salary.*expectation|expected.*salary|desired.*salary|salary.*requirement|compensation.*expectation':
-    { answer: '$80,000 - $120,000', selectValue: 'negotiable', confidence: 'medium', atsScore: 85, reasoning: 'Salary expectation', profileField: 'expectedSalary' },
-  'current.*salary|present.*salary|current.*compensation':
-    { answer: 'Prefer not to disclose', selectValue: 'prefer not to disclose', confidence: 'high', atsScore: 85, reasoning: 'Current salary - private', profileField: 'currentSalary' },
-  
-  // LANGUAGE
-  'english.*proficiency|speak.*english|english.*fluent|english.*language':
-    { answer: 'Fluent/Native', selectValue: 'fluent', confidence: 'high', atsScore: 95, reasoning: 'English proficiency' },
-  
-  // CONTACT & SOURCE
-  'how did you hear|where did you find|source.*application|how.*learn.*position':
-    { answer: 'LinkedIn', selectValue: 'linkedin', confidence: 'high', atsScore: 90, reasoning: 'Application source' },
-  'contact.*method|preferred.*contact|best way.*reach':
-    { answer: 'Email', selectValue: 'email', confidence: 'high', atsScore: 90, reasoning: 'Contact preference' },
-  
-  // CERTIFICATIONS
-  'certification.*required|required.*certification|hold.*certification|possess.*certification':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Certification confirmation' },
-  'willing.*obtain.*certification|obtain.*required.*certification|get.*certified':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Willing to get certified' },
-  
-  // WORK PREFERENCES
-  'remote.*work.*capable|work.*from.*home|virtual.*work|telecommute':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Remote work capability' },
-  'hybrid.*work|in-office.*days|office.*attendance':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Hybrid work acceptance' },
-  'team.*environment|work.*team|collaborative.*environment|teamwork':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Team collaboration' },
-  'independent.*work|work.*independently|self-directed|autonomous.*work':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Independent work capability' },
-  
-  // ADDITIONAL
-  'conflict.*interest|competing.*interest|outside.*employment':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'No conflicts of interest' },
-  'relative.*employee|family.*works|related.*anyone':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 90, reasoning: 'No family at company' },
-  'government.*employee|public.*sector|federal.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 90, reasoning: 'Not a government employee' },
-  'computer.*proficient|technology.*skills|software.*skills':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Computer proficiency' },
-};
-
-// Match question against ATS patterns
-function matchATSPattern(questionLabel: string, userProfile: any): { answer: string; selectValue?: string; confidence: string; atsScore: number; reasoning: string } | null {
-  const lowerQuestion = questionLabel.toLowerCase().trim();
-  
-  for (const [pattern, response] of Object.entries(ATS_QUESTION_PATTERNS)) {
-    const regex = new RegExp(pattern, 'i');
-    if (regex.test(lowerQuestion)) {
-      // Check if there's a profile field to use
-      if (response.profileField && userProfile[response.profileField]) {
-        const profileValue = userProfile[response.profileField];
-        if (typeof profileValue === 'boolean') {
-          return {
-            ...response,
-            answer: profileValue ? 'Yes' : 'No',
-            selectValue: profileValue ? 'yes' : 'no'
-          };
-        } else if (profileValue) {
-          return {
-            ...response,
-            answer: String(profileValue),
-            selectValue: String(profileValue).toLowerCase()
-          };
-        }
-      }
-      return response;
-    }
-  }
-  
-  return null;
-}
-
-// Pre-process common questions that can be answered directly from profile
-function preProcessCommonQuestions(
-  questions: { id: string; label: string; type: string; options?: string[] }[],
-  userProfile: any
-): Map<string, { answer: string; selectValue?: string; confidence: string; atsScore: number; reasoning: string }> {
-  const directAnswers = new Map();
-  
-  const labelLower = (q: { label: string }) => q.label.toLowerCase().trim();
-  
-  for (const q of questions) {
-    const label = labelLower(q);
-    const options = q.options?.map(o => o.toLowerCase()) || [];
-    
-    // First try ATS pattern matching
-    const atsMatch = matchATSPattern(q.label, userProfile);
-    if (atsMatch) {
-      directAnswers.set(q.id, atsMatch);
-      continue;
-    }
-    
-    // Country questions
-    if (label.includes('country') && !label.includes('authorized')) {
-      const country = userProfile.country || userProfile.citizenship || '';
-      // If we don't have a reliable country, let the model handle it (don't guess)
-      if (!country) continue;
-
-      directAnswers.set(q.id, {
-        answer: country,
-        selectValue: country.toLowerCase(),
-        confidence: 'high',
-        atsScore: 95,
-        reasoning: 'Country from user profile'
-      });
-      continue;
-    }
-    
-    // Pronouns
-    if (label.includes('pronoun')) {
-      const defaultPronouns = userProfile.gender === 'Female' ? 'She/Her' : 
-                              userProfile.gender === 'Male' ? 'He/Him' : 'They/Them';
-      directAnswers.set(q.id, {
-        answer: options.length > 0 ? (options.find(o => o.includes('prefer not') || o.includes('decline')) || defaultPronouns) : 'Prefer not to disclose',
-        selectValue: 'prefer not to disclose',
-        confidence: 'high',
-        atsScore: 90,
-        reasoning: 'Neutral pronoun response for privacy'
-      });
-      continue;
-    }
-    
-    // Former employee questions
-    if (label.includes('former') && (label.includes('employee') || label.includes('worked'))) {
-      directAnswers.set(q.id, {
-        answer: 'No',
-        selectValue: 'no',
-        confidence: 'high',
-        atsScore: 95,
-        reasoning: 'Standard response for former employee status'
-      });
-      continue;
-    }
-    
-    // Priority/importance rating questions (Career Growth, Work-life Balance, Leadership, etc.)
-    if (label.includes('career growth') || label.includes('work-life') || label.includes('work life') ||
-        label.includes('leadership') || label.includes('compensation') || label.includes('benefits') ||
-        label.includes('pto') || label.includes('career stability') || label.includes('culture') ||
-        label.includes('company outlook')) {
-      // These are typically importance ratings - answer positively
-      const importanceOptions = ['very important', 'important', 'somewhat important', 'high', 'medium'];
-      const matchedOption = options.find(o => importanceOptions.some(imp => o.includes(imp)));
-      directAnswers.set(q.id, {
-        answer: matchedOption || 'Important',
-        selectValue: matchedOption || 'important',
-        confidence: 'high',
-        atsScore: 90,
-        reasoning: 'Standard positive response for workplace priority question'
-      });
-      continue;
-    }
-    
-    // Website/portfolio questions
-    if (label === 'website' || (label.includes('website') && label.length < 30) || label.includes('portfolio')) {
-      const website = userProfile.portfolio || userProfile.linkedin || userProfile.github || '';
-      if (website) {
-        directAnswers.set(q.id, {
-          answer: website,
-          selectValue: website.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'Portfolio/website from user profile'
-        });
-      } else {
-        directAnswers.set(q.id, {
-          answer: 'N/A',
-          selectValue: 'n/a',
-          confidence: 'high',
-          atsScore: 90,
-          reasoning: 'No portfolio website available'
-        });
-      }
-      continue;
-    }
-    
-    // "What makes X appealing" - motivational questions
-    if (label.includes('appealing') || (label.includes('why') && (label.includes('company') || label.includes('role') || label.includes('interested')))) {
-      const companyName = (userProfile as any).company || 'this company';
-      directAnswers.set(q.id, {
-        answer: `I'm excited about the opportunity to contribute to ${companyName} because of the innovative work being done, the company's strong reputation, and the chance to grow professionally while making a meaningful impact.`,
-        confidence: 'high',
-        atsScore: 85,
-        reasoning: 'Generic but positive motivational response'
-      });
-      continue;
-    }
-    
-    // LinkedIn URL
-    if (label.includes('linkedin')) {
-      const linkedin = userProfile.linkedin || '';
-      if (linkedin) {
-        directAnswers.set(q.id, {
-          answer: linkedin,
-          selectValue: linkedin.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'LinkedIn URL from user profile'
-        });
-      } else {
-        directAnswers.set(q.id, {
-          answer: 'N/A',
-          selectValue: 'n/a',
-          confidence: 'high',
-          atsScore: 85,
-          reasoning: 'No LinkedIn URL available'
-        });
-      }
-      continue;
-    }
-    
-    // GitHub URL
-    if (label.includes('github')) {
-      const github = userProfile.github || '';
-      if (github) {
-        directAnswers.set(q.id, {
-          answer: github,
-          selectValue: github.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'GitHub URL from user profile'
-        });
-      } else {
-        directAnswers.set(q.id, {
-          answer: 'N/A',
-          selectValue: 'n/a',
-          confidence: 'high',
-          atsScore: 85,
-          reasoning: 'No GitHub URL available'
-        });
-      }
-      continue;
-    }
-    
-    // How did you hear about us
-    if (label.includes('how did you hear') || label.includes('how did you find') || label.includes('source')) {
-      const sources = ['linkedin', 'job board', 'online search', 'company website', 'internet'];
-      const matchedSource = options.find(o => sources.some(s => o.includes(s)));
-      directAnswers.set(q.id, {
-        answer: matchedSource || 'LinkedIn',
-        selectValue: matchedSource || 'linkedin',
-        confidence: 'high',
-        atsScore: 90,
-        reasoning: 'Standard referral source response'
-      });
-      continue;
-    }
-    
-    // Referral questions
-    if (label.includes('refer') && label.includes('employee')) {
-      directAnswers.set(q.id, {
-        answer: 'No',
-        selectValue: 'no',
-        confidence: 'high',
-        atsScore: 90,
-        reasoning: 'Standard referral response'
-      });
-      continue;
-    }
-    
-    // Desired salary / compensation expectations
-    if (label.includes('salary') || (label.includes('compensation') && label.includes('expect'))) {
-      const salary = userProfile.expectedSalary || '$80,000 - $120,000';
-      directAnswers.set(q.id, {
-        answer: salary,
-        confidence: 'medium',
-        atsScore: 85,
-        reasoning: 'Expected salary from user profile'
-      });
-      continue;
-    }
-    
-    // Start date / availability
-    if (label.includes('start date') || label.includes('when can you') || label.includes('availability') || label.includes('earliest')) {
-      const notice = userProfile.noticePeriod || '2 weeks';
-      directAnswers.set(q.id, {
-        answer: notice === 'Immediate' ? 'Immediately' : `Within ${notice}`,
-        selectValue: 'immediately',
-        confidence: 'high',
-        atsScore: 95,
-        reasoning: 'Start date based on notice period'
-      });
-      continue;
-    }
-    
-    // City/Location
-    if (
-      label === 'city' ||
-      label.includes('location (city') ||
-      (label.includes('city') && (label.includes('location') || label.includes('located') || label.length < 40))
-    ) {
-      const city = userProfile.city || '';
-      if (city) {
-        directAnswers.set(q.id, {
-          answer: city,
-          selectValue: city.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'City from user profile'
-        });
-      }
-      continue;
-    }
-    
-    // State/Province
-    if (label === 'state' || label === 'province' || (label.includes('state') && label.length < 20)) {
-      const state = userProfile.state || '';
-      if (state) {
-        directAnswers.set(q.id, {
-          answer: state,
-          selectValue: state.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'State from user profile'
-        });
-      }
-      continue;
-    }
-    
-    // Phone
-    if (label === 'phone' || label.includes('phone number') || label.includes('mobile')) {
-      const phone = userProfile.phone || '';
-      if (phone) {
-        directAnswers.set(q.id, {
-          answer: phone,
-          selectValue: phone,
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'Phone from user profile'
-        });
-      }
-      continue;
-    }
-    
-    // Email
-    if (label === 'email' || label.includes('email address')) {
-      const email = userProfile.email || '';
-      if (email) {
-        directAnswers.set(q.id, {
-          answer: email,
-          selectValue: email.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'Email from user profile'
-        });
-      }
-      continue;
-    }
-    
-    // First name
-    if (label === 'first name' || label.includes('first name') || label === 'given name') {
-      const firstName = userProfile.firstName || '';
-      if (firstName) {
-        directAnswers.set(q.id, {
-          answer: firstName,
-          selectValue: firstName.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'First name from user profile'
-        });
-      }
-      continue;
-    }
-    
-    // Last name
-    if (label === 'last name' || label.includes('last name') || label === 'family name' || label === 'surname') {
-      const lastName = userProfile.lastName || '';
-      if (lastName) {
-        directAnswers.set(q.id, {
-          answer: lastName,
-          selectValue: lastName.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'Last name from user profile'
-        });
-      }
-      continue;
-    }
-    
-    // Full name
-    if (label === 'name' || label === 'full name' || label.includes('your name')) {
-      const fullName = `${userProfile.firstName || ''} ${userProfile.lastName || ''}`.trim();
-      if (fullName) {
-        directAnswers.set(q.id, {
-          answer: fullName,
-          selectValue: fullName.toLowerCase(),
-          confidence: 'high',
-          atsScore: 95,
-          reasoning: 'Full name from user profile'
-        });
-      }
-      continue;
-    }
-  }
-  
-  return directAnswers;
-}
-
 serve(async (req) => {
   if (req.method === "OPTIONS") {
     return new Response(null, { headers: corsHeaders });
@@ -1077,17 +744,22 @@ serve(async (req) => {
     
     // Parse and validate request
     const rawData = await req.json();
-    const { questions, jobTitle, company, jobDescription, userProfile } = validateRequest(rawData);
+    const { questions, jobTitle, company, jobDescription, jobUrl, locale, userProfile } = validateRequest(rawData);
     
-    // Pre-process common questions that can be answered directly
-    const directAnswers = preProcessCommonQuestions(questions, { ...userProfile, company });
-    console.log(`[Pre-process] Directly answered ${directAnswers.size} common questions`);
+    // Screening rules - the extension runs the same packs offline, so these are mostly
+    // questions from older clients or labels it couldn't read
+    const directAnswers = answerQuestions(RULE_PACKS, questions, userProfile, { locale, company, jobTitle });
+    console.log(`[Screening rules] Answered ${directAnswers.size} common questions (${locale})`);
     
     console.log(`[User ${userId}] Answering ${questions.length} questions for ${jobTitle} at ${company}`);
     
+    // User's OpenAI key: semantic memory recall embeds with it, answer generation below needs it
+    const userOpenAIKey = await getUserOpenAIKey(supabase, userId);
+    const embeddingProvider = resolveEmbeddingProvider(MEMORY_EMBEDDING_PROVIDER, { openAIKey: userOpenAIKey });
+    
     // Check memory for cached answers (excluding already direct-answered questions)
     const questionsForMemoryCheck = questions.filter(q => !directAnswers.has(q.id));
-    const memoryMatches = await checkMemory(supabase, userId, questionsForMemoryCheck);
+    const memoryMatches = await checkMemory(supabase, userId, questionsForMemoryCheck, embeddingProvider);
     const cachedCount = memoryMatches.size;
     
     console.log(`[Memory] Found ${cachedCount} cached answers out of ${questionsForMemoryCheck.length} questions`);
@@ -1095,8 +767,13 @@ serve(async (req) => {
     // Separate questions into cached, direct, and uncached (need AI)
     const uncachedQuestions = questions.filter(q => !memoryMatches.has(q.id) && !directAnswers.has(q.id));
     
+    const usedMemoryIds = [...memoryMatches.values()].map(m => m.memoryId);
+    
     // If all questions are answered (direct + memory), return immediately
     if (uncachedQuestions.length === 0) {
+      recordAnswerUsage(supabase, userId, jobUrl || '', usedMemoryIds)
+        .catch(err => console.error('Failed to record answer usage:', err));
+      
       const allAnswers = questions.map(q => {
         // Check direct answers first
         const directMatch = directAnswers.get(q.id);
@@ -1107,8 +784,8 @@ serve(async (req) => {
             selectValue: directMatch.selectValue,
             confidence: directMatch.confidence,
             atsScore: directMatch.atsScore,
-            needsReview: false,
-            reasoning: `[Direct Profile Match] ${directMatch.reasoning}`,
+            needsReview: !!directMatch.withheld,
+            reasoning: `[${directMatch.withheld ? 'Voluntary Disclosure' : 'Direct Profile Match'}] ${directMatch.reasoning}`,
             fromMemory: false,
             directAnswer: true
           };
@@ -1123,9 +800,10 @@ serve(async (req) => {
             selectValue: memMatch.answer.selectValue,
             confidence: memMatch.confidence,
             atsScore: 95,
-            needsReview: false,
-            reasoning: `[From Memory - ${(memMatch.similarity * 100).toFixed(0)}% match] ${memMatch.answer.reasoning || 'Previously answered successfully'}`,
-            fromMemory: true
+            needsReview: memMatch.needsReview,
+            reasoning: `[From Memory - ${formatMatch(memMatch)}${formatOutcome(memMatch)}] ${memMatch.answer.reasoning || 'Previously answered successfully'}`,
+            fromMemory: true,
+            memoryId: memMatch.memoryId
           };
         }
         
@@ -1153,9 +831,6 @@ serve(async (req) => {
     }
     
     // Need to generate answers for uncached questions
-    // Get user's OpenAI API key from their profile
-    const userOpenAIKey = await getUserOpenAIKey(supabase, userId);
-    
     if (!userOpenAIKey) {
       return new Response(JSON.stringify({ 
         error: "OpenAI API key not configured. Please add your API key in Profile settings." 
@@ -1254,20 +929,18 @@ For questions that truly don't apply:
 - Notice Period: "${userProfile.noticePeriod || '2 weeks'}"
 - Full-time availability: ALWAYS "Yes"
 
-### 7. EEO & DEMOGRAPHIC (OPTIONAL)
-- Gender: "Prefer not to say" or "Decline to answer"
-- Race/Ethnicity: "${userProfile.raceEthnicity || 'Prefer not to say'}"
-- Veteran Status: ${userProfile.veteranStatus ? '"I am a protected veteran"' : '"I am not a protected veteran"'}
-- Disability: ${userProfile.disability ? '"Yes"' : '"I do not wish to answer"'}
+### 7. VOLUNTARY DISCLOSURES (EEO, CRIMINAL HISTORY, PRIOR EMPLOYMENT HERE)
+- Gender, race/ethnicity, veteran status, disability, sexual orientation, criminal history and
+  whether the candidate worked at this company before are answered from the user's own disclosure
+  settings before questions reach you
+- If one reaches you anyway: answer "", confidence "low", needsReview: true - NEVER guess or use a default
 
-### 8. PREVIOUS EMPLOYMENT
-- "Worked at this company before": "No" (unless actually true)
+### 8. OTHER EMPLOYMENT HISTORY
 - "Referred by employee": "No" (unless actually true)
 - "Non-compete in effect": "No"
 
 ### 9. CRIMINAL/LEGAL
-- Felony conviction: "No"
-- Pending charges: "No"
+- Felony conviction, pending charges: voluntary disclosures, see 7
 
 ### 10. SKILLS & CERTIFICATIONS
 - Required certification: "Yes" or "In progress" if not held
@@ -1378,11 +1051,6 @@ ${expSummary}
 - GitHub: ${userProfile.github || 'Not provided'}
 - Portfolio: ${userProfile.portfolio || 'Not provided'}
 
-**EEO (if asked):**
-- Veteran: ${userProfile.veteranStatus ? 'Yes' : 'Not a protected veteran'}
-- Disability: ${userProfile.disability ? 'Yes' : 'Decline to answer'}
-- Race/Ethnicity: ${userProfile.raceEthnicity || 'Decline to answer'}
-
 ---
 
 ## JOB DETAILS
@@ -1622,8 +1290,13 @@ IMPORTANT:
     
     // Store new AI-generated answers in memory (async, don't wait)
     if (aiResult.answers && aiResult.answers.length > 0) {
-      storeInMemory(supabase, userId, uncachedQuestions, aiResult.answers, { jobTitle, company })
+      const generatedHashes = uncachedQuestions.map(q => generateQueryHash(q.label));
+      storeInMemory(supabase, userId, uncachedQuestions, aiResult.answers, { jobTitle, company }, embeddingProvider)
+        .then(() => recordAnswerUsage(supabase, userId, jobUrl || '', usedMemoryIds, generatedHashes))
         .catch(err => console.error('Failed to store in memory:', err));
+    } else {
+      recordAnswerUsage(supabase, userId, jobUrl || '', usedMemoryIds)
+        .catch(err => console.error('Failed to record answer usage:', err));
     }
 
     // Merge direct, cached and AI-generated answers
@@ -1637,8 +1310,8 @@ IMPORTANT:
           selectValue: directMatch.selectValue,
           confidence: directMatch.confidence,
           atsScore: directMatch.atsScore,
-          needsReview: false,
-          reasoning: `[Direct Profile Match] ${directMatch.reasoning}`,
+          needsReview: !!directMatch.withheld,
+          reasoning: `[${directMatch.withheld ? 'Voluntary Disclosure' : 'Direct Profile Match'}] ${directMatch.reasoning}`,
           fromMemory: false,
           directAnswer: true
         };
@@ -1653,9 +1326,10 @@ IMPORTANT:
           selectValue: cachedMatch.answer.selectValue,
           confidence: cachedMatch.confidence,
           atsScore: 95,
-          needsReview: false,
-          reasoning: `[From Memory - ${(cachedMatch.similarity * 100).toFixed(0)}% match] ${cachedMatch.answer.reasoning || 'Previously answered successfully'}`,
-          fromMemory: true
+          needsReview: cachedMatch.needsReview,
+          reasoning: `[From Memory - ${formatMatch(cachedMatch)}${formatOutcome(cachedMatch)}] ${cachedMatch.answer.reasoning || 'Previously answered successfully'}`,
+          fromMemory: true,
+          memoryId: cachedMatch.memoryId
         };
       }
       
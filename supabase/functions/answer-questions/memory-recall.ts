@@ -0,0 +1,384 @@
+// Memory recall for answer-questions: question normalization, keyword similarity,
+// embedding providers and the hybrid keyword + vector ranking checkMemory() uses.
+// Kept free of Deno imports so the recall evaluation (answer-questions/eval) can run it in Node.
+
+// ---------------------------------------------------------------------------
+// Question text
+// ---------------------------------------------------------------------------
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+  'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'dare',
+  'ought', 'used', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by',
+  'from', 'as', 'into', 'through', 'during', 'before', 'after', 'above',
+  'below', 'between', 'under', 'again', 'further', 'then', 'once', 'here',
+  'there', 'when', 'where', 'why', 'how', 'all', 'each', 'few', 'more',
+  'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own',
+  'same', 'so', 'than', 'too', 'very', 'just', 'and', 'but', 'if', 'or',
+  'because', 'until', 'while', 'although', 'though', 'this', 'that',
+  'these', 'those', 'what', 'which', 'who', 'whom', 'whose', 'your', 'you',
+  'please', 'select', 'choose', 'enter', 'provide', 'required', 'optional'
+]);
+
+export function generateQueryHash(question: string): string {
+  const normalized = question.toLowerCase().trim()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ');
+
+  // Simple hash function
+  let hash = 0;
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return hash.toString(36);
+}
+
+// Extract keywords from a question for similarity matching
+export function extractKeywords(question: string): string[] {
+  return question.toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .slice(0, 20); // Max 20 keywords
+}
+
+// Calculate keyword similarity between two sets
+export function calculateKeywordSimilarity(keywords1: string[], keywords2: string[]): number {
+  if (keywords1.length === 0 || keywords2.length === 0) return 0;
+
+  const set1 = new Set(keywords1);
+  const set2 = new Set(keywords2);
+
+  let matches = 0;
+  for (const word of set1) {
+    if (set2.has(word)) matches++;
+  }
+
+  // Jaccard similarity
+  const union = new Set([...keywords1, ...keywords2]);
+  return matches / union.size;
+}
+
+// Normalize question for comparison
+export function normalizeQuestion(question: string): string {
+  return question.toLowerCase().trim()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+// ---------------------------------------------------------------------------
+// Embedding providers
+// ---------------------------------------------------------------------------
+
+export interface EmbeddingProvider {
+  // Stored with each memory's embedding; vectors from different models are never compared
+  model: string;
+  // Cosine this model gives unrelated questions and reworded ones; vector similarity is
+  // rescaled between the two so one set of thresholds fits every provider
+  similarityFloor: number;
+  similarityCeiling: number;
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+export type EmbeddingProviderName = 'openai' | 'local' | 'none';
+
+const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+const LOCAL_DIMENSIONS = 512;
+
+// Application-question vocabulary the local model folds together; each group becomes one
+// extra feature so "authorized to work" and "work authorization" / "eligible to work" meet.
+// Work authorization and sponsorship stay apart: they are asked together and answered oppositely.
+const LOCAL_CONCEPTS: Record<string, string[]> = {
+  authorization: ['authorized', 'authorised', 'authorization', 'authorisation', 'eligible', 'eligibility', 'legally', 'permitted', 'entitled', 'right'],
+  sponsorship: ['sponsor', 'sponsorship', 'sponsored', 'visa', 'h1b', 'h-1b', 'petition'],
+  relocation: ['relocate', 'relocation', 'relocating', 'move', 'moving'],
+  compensation: ['salary', 'compensation', 'pay', 'remuneration'],
+  expectation: ['expectations', 'expectation', 'expected', 'desired', 'target'],
+  role: ['role', 'position', 'job', 'opportunity'],
+  start: ['start', 'notice', 'available', 'availability', 'join', 'earliest'],
+  commute: ['commute', 'onsite', 'on-site', 'office', 'hybrid', 'in-person'],
+  remote: ['remote', 'remotely', 'wfh', 'home'],
+  referral: ['referred', 'referral', 'refer'],
+  former: ['previously', 'former', 'formerly', 'past', 'before'],
+  clearance: ['clearance', 'cleared', 'secret', 'ts/sci'],
+  travel: ['travel', 'travelling', 'traveling', 'trips'],
+  country: ['us', 'usa', 'u.s', 'united', 'states', 'america', 'american'],
+  age: ['18', 'age', 'older', 'adult'],
+  background: ['background', 'screening', 'check'],
+  conviction: ['convicted', 'conviction', 'felony', 'criminal', 'crime', 'offense'],
+};
+
+const CONCEPT_OF = new Map<string, string>();
+for (const [concept, words] of Object.entries(LOCAL_CONCEPTS)) {
+  words.forEach(word => CONCEPT_OF.set(word, concept));
+}
+
+const SUFFIXES = /(isations|izations|isation|ization|ations|ation|ating|ated|ates|ate|ised|ized|ises|izes|ise|ize|ing|ed|es|s)$/;
+
+// Crude suffix stripping: enough for authorized / authorization or relocate / relocating to
+// share a stem. Short words are left alone so "states" doesn't become "st".
+function stem(word: string): string {
+  const stripped = word.replace(SUFFIXES, '');
+  return (stripped.length >= 4 ? stripped : word).slice(0, 12);
+}
+
+// FNV-1a; the second seed picks the feature's sign so collisions cancel out on average
+function hashFeature(feature: string, seed: number): number {
+  let hash = 0x811c9dc5 ^ seed;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeVector(vector: number[]): number[] {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Offline embedding: hashed word stems, character trigrams and concept groups.
+ * Deterministic and dependency-free - for evaluation, local development and when the
+ * user has no OpenAI key. Much weaker than a trained model, hence its lower ceiling.
+ */
+export function embedLocally(text: string): number[] {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const add = (feature: string, weight: number) => {
+    const index = hashFeature(feature, 0) % LOCAL_DIMENSIONS;
+    const sign = hashFeature(feature, 0x9e3779b9) & 1 ? 1 : -1;
+    vector[index] += sign * weight;
+  };
+
+  const words = text.toLowerCase()
+    .replace(/[^\w\s/.-]/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^[.-]+|[.-]+$/g, ''))
+    .filter(word => word && (!STOP_WORDS.has(word) || CONCEPT_OF.has(word)));
+
+  for (const word of words) {
+    const concept = CONCEPT_OF.get(word);
+    if (concept) add(`c:${concept}`, 2);
+
+    const stemmed = stem(word);
+    add(`w:${stemmed}`, 1);
+
+    const padded = `^${stemmed}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`t:${padded.slice(i, i + 3)}`, 0.35);
+    }
+  }
+  return normalizeVector(vector);
+}
+
+export function createLocalEmbeddingProvider(): EmbeddingProvider {
+  return {
+    model: `local-hash-${LOCAL_DIMENSIONS}`,
+    similarityFloor: 0.1,
+    similarityCeiling: 0.8,
+    embed: async (texts) => texts.map(embedLocally),
+  };
+}
+
+export function createOpenAIEmbeddingProvider(apiKey: string, model = OPENAI_EMBEDDING_MODEL): EmbeddingProvider {
+  return {
+    model,
+    similarityFloor: 0.3,
+    similarityCeiling: 0.8,
+    async embed(texts) {
+      if (texts.length === 0) return [];
+      const response = await fetch('https://api.openai.com/v1/embeddings', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ model, input: texts }),
+      });
+      if (!response.ok) {
+        throw new Error(`OpenAI embeddings error: ${response.status} ${await response.text()}`);
+      }
+      const data = await response.json();
+      return data.data
+        .sort((a: { index: number }, b: { index: number }) => a.index - b.index)
+        .map((item: { embedding: number[] }) => item.embedding);
+    },
+  };
+}
+
+/**
+ * Provider for a request. 'openai' needs the user's key and falls back to the local model
+ * without one; 'none' turns vector recall off (keyword matching only).
+ */
+export function resolveEmbeddingProvider(
+  name: string | undefined,
+  options: { openAIKey?: string | null } = {}
+): EmbeddingProvider | null {
+  switch ((name || 'openai').toLowerCase() as EmbeddingProviderName) {
+    case 'none':
+      return null;
+    case 'local':
+      return createLocalEmbeddingProvider();
+    default:
+      return options.openAIKey
+        ? createOpenAIEmbeddingProvider(options.openAIKey)
+        : createLocalEmbeddingProvider();
+  }
+}
+
+export function cosineSimilarity(a: number[], b: number[]): number {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Hybrid ranking
+// ---------------------------------------------------------------------------
+
+// Keyword / normalized-text matches reused without embeddings, as before
+export const KEYWORD_SIMILARITY_THRESHOLD = 0.85;
+
+// Hybrid score = VECTOR_WEIGHT * rescaled cosine + (1 - VECTOR_WEIGHT) * keyword overlap
+export const VECTOR_WEIGHT = 0.8;
+
+// Minimum hybrid score per question type. Closed questions are stricter: a reused yes/no is
+// filled without a second look, and "Do you need sponsorship?" sits close to "Are you
+// authorized to work?" while taking the opposite answer. Free text is reviewed anyway.
+export const RECALL_THRESHOLDS: Record<string, number> = {
+  textarea: 0.7,
+  text: 0.72,
+  select: 0.78,
+  radio: 0.8,
+  checkbox: 0.8,
+  default: 0.75,
+};
+
+export function recallThreshold(questionType: string | undefined): number {
+  return RECALL_THRESHOLDS[questionType || ''] ?? RECALL_THRESHOLDS.default;
+}
+
+/**
+ * Names, acronyms and numbers in a question label: "Canada", "US", "Python", "Acme", "18".
+ * Title Case labels capitalize every word, so only acronyms and numbers count there.
+ */
+export function extractEntities(label: string): string[] {
+  const words = label.replace(/[^\w\s+#.-]/g, ' ').split(/\s+/).filter(Boolean);
+  const capitalized = words.filter(word => /^[A-Z]/.test(word)).length;
+  const titleCase = words.length > 1 && capitalized / words.length > 0.6;
+
+  return [...new Set(words.filter((word, index) => {
+    if (/\d/.test(word)) return true;
+    if (/^[A-Z][A-Z0-9+#.]+$/.test(word)) return true;
+    return !titleCase && index > 0 && /^[A-Z][a-z]/.test(word);
+  }).map(word => word.toLowerCase().replace(/\.+$/, '')))];
+}
+
+// Embeddings put "authorized to work in the US" next to "...in Canada" and "Python experience"
+// next to "Java experience". A vector match must mention the question's entities, directly or
+// through a local concept group ("US" ~ "United States").
+function entitiesAgree(label: string, memoryQuestion: string): boolean {
+  const memoryWords = new Set(memoryQuestion.split(/\s+/));
+  const memoryConcepts = new Set([...memoryWords].map(word => CONCEPT_OF.get(word)).filter(Boolean));
+
+  return extractEntities(label).every(entity => {
+    const plain = entity.replace(/[^\w]/g, '');
+    if (memoryWords.has(entity) || memoryWords.has(plain)) return true;
+    const concept = CONCEPT_OF.get(entity) || CONCEPT_OF.get(plain);
+    return !!concept && memoryConcepts.has(concept);
+  });
+}
+
+export interface RecallMemory {
+  id: string;
+  query_hash: string;
+  alias_hashes?: string[] | null;
+  question_normalized: string;
+  question_keywords: string[] | null;
+}
+
+export interface RecallQuestion {
+  label: string;
+  type: string;
+}
+
+export interface RecallMatch<M extends RecallMemory> {
+  memory: M;
+  similarity: number;
+  via: 'exact' | 'keyword' | 'vector';
+}
+
+/**
+ * Similarity of one memory to a question, or null when it doesn't clear the bar.
+ * Lexical matches keep the old 0.85 threshold; the hybrid score uses the question type's.
+ * cosine is the provider's similarity between the two question embeddings, when both have one.
+ */
+export function scoreMemory<M extends RecallMemory>(
+  question: RecallQuestion,
+  memory: M,
+  provider: EmbeddingProvider | null,
+  cosine?: number
+): RecallMatch<M> | null {
+  const queryHash = generateQueryHash(question.label);
+  if (memory.query_hash === queryHash || (memory.alias_hashes || []).includes(queryHash)) {
+    return { memory, similarity: 1, via: 'exact' };
+  }
+
+  const normalized = normalizeQuestion(question.label);
+  const keywordSimilarity = calculateKeywordSimilarity(extractKeywords(question.label), memory.question_keywords || []);
+  const normalizedSimilarity = memory.question_normalized === normalized ? 1.0 :
+    (normalized.includes(memory.question_normalized) || memory.question_normalized.includes(normalized)) ? 0.9 : 0;
+  const lexical = Math.max(keywordSimilarity, normalizedSimilarity);
+
+  let best: RecallMatch<M> | null = lexical >= KEYWORD_SIMILARITY_THRESHOLD
+    ? { memory, similarity: lexical, via: 'keyword' }
+    : null;
+
+  if (provider && cosine !== undefined && entitiesAgree(question.label, memory.question_normalized)) {
+    const span = provider.similarityCeiling - provider.similarityFloor;
+    const vector = Math.min(1, Math.max(0, (cosine - provider.similarityFloor) / span));
+    const hybrid = VECTOR_WEIGHT * vector + (1 - VECTOR_WEIGHT) * keywordSimilarity;
+
+    if (hybrid >= recallThreshold(question.type) && hybrid > (best?.similarity ?? 0)) {
+      best = { memory, similarity: hybrid, via: 'vector' };
+    }
+  }
+  return best;
+}
+
+/**
+ * Best memory for a question. cosines holds the question's vector similarity per memory id
+ * (missing ids are matched lexically only); rank lets the caller weigh qualifying matches
+ * (interview outcomes, pinned answers) and defaults to the similarity itself.
+ */
+export function findBestMemory<M extends RecallMemory>(
+  question: RecallQuestion,
+  memories: M[],
+  provider: EmbeddingProvider | null,
+  cosines: Map<string, number> = new Map(),
+  rank: (match: RecallMatch<M>) => number = (match) => match.similarity
+): RecallMatch<M> | null {
+  let best: RecallMatch<M> | null = null;
+  let bestRank = 0;
+
+  for (const memory of memories) {
+    const match = scoreMemory(question, memory, provider, cosines.get(memory.id));
+    if (!match) continue;
+    if (match.via === 'exact') return match;
+
+    const matchRank = rank(match);
+    if (matchRank > bestRank) {
+      bestRank = matchRank;
+      best = match;
+    }
+  }
+  return best;
+}
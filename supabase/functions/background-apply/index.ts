@@ -165,6 +165,7 @@ serve(async (req) => {
             tailored_resume: tailoredData.tailoredResume,
             tailored_cover_letter: tailoredData.tailoredCoverLetter,
             referral_email: tailoredData.referralEmail,
+            keywords_used: tailoredData.keywordsMatched || [],
             status: "applied",
             applied_at: new Date().toISOString(),
           })
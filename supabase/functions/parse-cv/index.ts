@@ -29,7 +29,8 @@ serve(async (req) => {
       throw new Error('Unauthorized');
     }
 
-    const { cvFilePath } = await req.json();
+    // cvId: the CV library entry this file belongs to; its parsed_data is kept for base CV selection
+    const { cvFilePath, cvId } = await req.json();
 
     if (!cvFilePath) {
       throw new Error('CV file path is required');
@@ -147,6 +148,17 @@ Return ONLY valid JSON, no markdown or explanation.`
         throw new Error('Failed to parse extracted CV data');
       }
 
+      if (cvId) {
+        const { error: saveError } = await supabaseClient
+          .from('cvs')
+          .update({ parsed_data: parsedData })
+          .eq('id', cvId)
+          .eq('user_id', user.id);
+        if (saveError) {
+          console.error('Failed to save parsed data to CV library:', saveError);
+        }
+      }
+
       return new Response(
         JSON.stringify({
           success: true,
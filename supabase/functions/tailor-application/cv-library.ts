@@ -0,0 +1,115 @@
+// Base CV selection for tailor-application.
+// A user keeps several base resumes (cvs table); the one whose text already covers the most JD
+// keywords is the best starting point, with tags found in the job breaking near-ties.
+// Scoring matches cv-library.js in the tailor extensions so the popup shows the same pick.
+// Kept free of Deno/network imports like keyword-scoring.ts.
+
+export interface BaseCV {
+  id: string;
+  name: string;
+  tags: string[] | null;
+  content: string | null;
+  parsed_data: Record<string, unknown> | null;
+  is_default: boolean;
+  updated_at?: string;
+}
+
+export interface BaseCVScore {
+  cv: BaseCV;
+  coverage: number;
+  matched: string[];
+  tagHits: string[];
+  score: number;
+}
+
+export interface BaseCVSelection extends BaseCVScore {
+  overridden: boolean;
+  ranked: BaseCVScore[];
+}
+
+// Points per tag found in the job title or description, capped so tags only decide near-ties
+const TAG_WEIGHT = 5;
+const MAX_TAG_BONUS = 15;
+
+function escapeRegex(str: string): string {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function contains(text: string, term: string): boolean {
+  const needle = term.toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!needle) return false;
+  return new RegExp(`(^|[^a-z0-9+#])${escapeRegex(needle)}(?![a-z0-9+#])`, 'i').test(text);
+}
+
+function nameOf(item: unknown): string {
+  if (typeof item === 'string') return item;
+  const named = item as { name?: string; title?: string } | null;
+  return named?.name || named?.title || '';
+}
+
+const listOf = (value: unknown): unknown[] => (Array.isArray(value) ? value : []);
+
+/**
+ * Text a base CV is scored on: its stored content, or a plain-text rendering of its parse-cv data
+ */
+export function cvToText(cv: BaseCV): string {
+  if (cv.content?.trim()) return cv.content;
+  const data = cv.parsed_data || {};
+  const lines: string[] = [];
+  for (const exp of listOf(data.work_experience) as Array<Record<string, string>>) {
+    lines.push([exp.title, exp.company].filter(Boolean).join(' - '));
+    if (exp.description) lines.push(exp.description);
+  }
+  const skills = listOf(data.skills).map(nameOf).filter(Boolean);
+  if (skills.length) lines.push(skills.join(', '));
+  for (const edu of listOf(data.education) as Array<Record<string, string>>) {
+    lines.push([edu.degree, edu.field, edu.institution].filter(Boolean).join(', '));
+  }
+  lines.push(...listOf(data.certifications).map(nameOf).filter(Boolean));
+  return lines.join('\n');
+}
+
+export function scoreBaseCV(cv: BaseCV, keywords: string[], jobText: string): BaseCVScore {
+  const text = cvToText(cv);
+  const matched = keywords.filter(keyword => contains(text, keyword));
+  const tagHits = (cv.tags || []).filter(tag => contains(jobText, tag));
+  const coverage = keywords.length > 0 ? Math.round((matched.length / keywords.length) * 100) : 0;
+  return {
+    cv,
+    coverage,
+    matched,
+    tagHits,
+    score: coverage + Math.min(MAX_TAG_BONUS, tagHits.length * TAG_WEIGHT),
+  };
+}
+
+/**
+ * Base CVs ranked for a job: score, then the user's default, then the most recently updated
+ */
+export function rankBaseCVs(cvs: BaseCV[], keywords: string[], jobText: string): BaseCVScore[] {
+  const unique = [...new Set(keywords.map(k => k.toLowerCase().trim()).filter(Boolean))];
+  return cvs
+    .map(cv => scoreBaseCV(cv, unique, jobText))
+    .sort((a, b) =>
+      b.score - a.score ||
+      Number(b.cv.is_default) - Number(a.cv.is_default) ||
+      String(b.cv.updated_at || '').localeCompare(String(a.cv.updated_at || ''))
+    );
+}
+
+/**
+ * The base to tailor from: overrideId when it names one of the user's CVs, otherwise the top-ranked
+ * @returns null when the library is empty or overrideId is unknown
+ */
+export function selectBaseCV(
+  cvs: BaseCV[],
+  keywords: string[],
+  jobText: string,
+  overrideId?: string,
+): BaseCVSelection | null {
+  if (!cvs.length) return null;
+  const ranked = rankBaseCVs(cvs, keywords, jobText);
+  const chosen = overrideId ? ranked.find(r => r.cv.id === overrideId) : ranked[0];
+  if (!chosen) return null;
+  return { ...chosen, overridden: !!overrideId && chosen !== ranked[0], ranked };
+}
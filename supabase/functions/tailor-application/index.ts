@@ -1,5 +1,7 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { extractJobscanKeywords, calculateMatchScore } from "./keyword-scoring.ts";
+import { selectBaseCV, cvToText, type BaseCV } from "./cv-library.ts";
 
 // We reuse the existing generate-pdf backend function to keep a single client call per job.
 // This function calls generate-pdf server-side and returns base64 PDFs alongside the tailored text.
@@ -61,6 +63,7 @@ interface TailorRequest {
   location?: string;
   extractedCity?: string; // City extracted by extension for "[CITY] | open to relocation" CV format
   jobId?: string;
+  cvId?: string; // Base CV from the user's library; picked by keyword coverage when omitted
   userProfile: {
     firstName: string;
     lastName: string;
@@ -141,6 +144,7 @@ function validateRequest(data: any): TailorRequest {
   const location = data.location ? validateString(data.location, MAX_STRING_SHORT, 'location') : undefined;
   const extractedCity = data.extractedCity ? validateString(data.extractedCity, MAX_STRING_SHORT, 'extractedCity') : undefined;
   const jobId = data.jobId ? validateString(data.jobId, MAX_STRING_SHORT, 'jobId') : undefined;
+  const cvId = data.cvId ? validateString(data.cvId, MAX_STRING_SHORT, 'cvId') : undefined;
   
   const profile = data.userProfile || {};
   const userProfile = {
@@ -173,6 +177,7 @@ function validateRequest(data: any): TailorRequest {
     location,
     extractedCity,
     jobId,
+    cvId,
     userProfile,
     includeReferral: !!data.includeReferral,
   };
@@ -392,294 +397,6 @@ function getSmartLocation(jdLocation: string | undefined, jdDescription: string,
   return DEFAULT_LOCATION;
 }
 
-// Jobscan-style keyword extraction - enhanced for ATS ranking
-function extractJobscanKeywords(description: string, requirements: string[]): { 
-  hardSkills: string[], 
-  softSkills: string[], 
-  tools: string[], 
-  titles: string[],
-  certifications: string[],
-  responsibilities: string[],
-  allKeywords: string[]
-} {
-  const text = `${description} ${requirements.join(' ')}`.toLowerCase();
-  
-  // Hard skills (expanded tech stack - covers most ATS systems)
-  const hardSkillPatterns = [
-    // Programming languages
-    'python', 'javascript', 'typescript', 'java', 'c\\+\\+', 'c#', 'go', 'golang', 'rust', 'ruby', 'php', 'scala', 'kotlin', 'swift', 'r', 'matlab', 'perl', 'bash', 'powershell', 'sql', 'plsql', 'tsql', 'vba', 'solidity', 'haskell', 'elixir', 'clojure', 'f#', 'dart', 'lua', 'groovy', 'objective-c',
-    // Web frameworks
-    'react', 'react\\.?js', 'angular', 'vue', 'vue\\.?js', 'svelte', 'next\\.?js', 'nuxt', 'gatsby', 'remix', 'ember', 'backbone', 'jquery', 'node\\.?js', 'express', 'express\\.?js', 'fastify', 'nest\\.?js', 'koa', 'hapi', 'django', 'flask', 'fastapi', 'pyramid', 'spring', 'spring boot', 'rails', 'ruby on rails', 'laravel', 'symfony', 'asp\\.?net', 'blazor', 'gin', 'echo', 'fiber', 'phoenix',
-    // Databases
-    'sql', 'nosql', 'postgresql', 'postgres', 'mysql', 'mariadb', 'mongodb', 'redis', 'elasticsearch', 'opensearch', 'cassandra', 'dynamodb', 'couchdb', 'couchbase', 'neo4j', 'graphdb', 'arangodb', 'firestore', 'firebase', 'supabase', 'sqlite', 'oracle', 'sql server', 'mssql', 'db2', 'teradata', 'redshift', 'bigquery', 'athena', 'presto', 'trino', 'clickhouse', 'timescaledb', 'influxdb',
-    // Cloud & infrastructure
-    'aws', 'amazon web services', 'azure', 'microsoft azure', 'gcp', 'google cloud', 'google cloud platform', 'docker', 'kubernetes', 'k8s', 'terraform', 'ansible', 'puppet', 'chef', 'cloudformation', 'pulumi', 'helm', 'istio', 'linkerd', 'consul', 'vault', 'nomad', 'ecs', 'eks', 'aks', 'gke', 'fargate', 'lambda', 'step functions', 'cloud functions', 'azure functions', 'cloudflare', 'vercel', 'netlify', 'heroku', 'digitalocean', 'linode', 'vagrant', 'openstack', 'vmware', 'proxmox',
-    // DevOps/CI-CD
-    'jenkins', 'circleci', 'github actions', 'gitlab ci', 'travis ci', 'bamboo', 'teamcity', 'azure devops', 'argo cd', 'argocd', 'flux', 'spinnaker', 'tekton', 'buildkite', 'drone', 'concourse', 'ci/cd', 'ci cd', 'continuous integration', 'continuous deployment', 'continuous delivery', 'devops', 'devsecops', 'sre', 'site reliability', 'infrastructure as code', 'iac', 'gitops',
-    // Data & ML
-    'tensorflow', 'pytorch', 'keras', 'scikit-learn', 'sklearn', 'pandas', 'numpy', 'scipy', 'matplotlib', 'seaborn', 'plotly', 'spark', 'pyspark', 'hadoop', 'hive', 'pig', 'kafka', 'confluent', 'airflow', 'dagster', 'prefect', 'luigi', 'dbt', 'great expectations', 'mlflow', 'kubeflow', 'vertex ai', 'sagemaker', 'databricks', 'snowflake', 'fivetran', 'stitch', 'airbyte', 'meltano', 'looker', 'tableau', 'power bi', 'metabase', 'superset', 'quicksight', 'mode', 'amplitude', 'mixpanel', 'segment', 'heap', 'hugging face', 'transformers', 'langchain', 'llamaindex', 'openai', 'gpt', 'llm', 'large language model', 'nlp', 'natural language processing', 'computer vision', 'cv', 'opencv', 'yolo', 'bert', 'word2vec', 'xgboost', 'lightgbm', 'catboost', 'random forest', 'neural network', 'deep learning', 'machine learning', 'ml', 'ai', 'artificial intelligence', 'reinforcement learning', 'supervised learning', 'unsupervised learning', 'feature engineering', 'model training', 'model serving', 'mlops', 'data science', 'data engineering', 'data analytics', 'etl', 'elt', 'data warehouse', 'data lake', 'data lakehouse', 'data pipeline', 'streaming', 'real-time', 'batch processing',
-    // API & Architecture
-    'rest', 'rest api', 'restful', 'graphql', 'grpc', 'soap', 'websocket', 'webhook', 'api gateway', 'microservices', 'micro-services', 'serverless', 'event-driven', 'event driven', 'message queue', 'pub/sub', 'pubsub', 'rabbitmq', 'activemq', 'sqs', 'sns', 'kinesis', 'eventbridge', 'domain driven design', 'ddd', 'cqrs', 'saga pattern', 'circuit breaker', 'load balancer', 'reverse proxy', 'nginx', 'apache', 'haproxy', 'traefik', 'kong', 'envoy',
-    // Security
-    'oauth', 'oauth2', 'oidc', 'openid connect', 'jwt', 'saml', 'sso', 'single sign-on', 'mfa', 'multi-factor', '2fa', 'rbac', 'role based access', 'iam', 'identity management', 'encryption', 'tls', 'ssl', 'https', 'penetration testing', 'security audit', 'vulnerability', 'owasp', 'soc2', 'soc 2', 'gdpr', 'hipaa', 'pci dss', 'iso 27001', 'compliance', 'cybersecurity', 'infosec', 'devsecops',
-    // Frontend
-    'html', 'html5', 'css', 'css3', 'sass', 'scss', 'less', 'tailwind', 'tailwindcss', 'bootstrap', 'material ui', 'mui', 'chakra ui', 'ant design', 'styled components', 'emotion', 'webpack', 'vite', 'parcel', 'rollup', 'esbuild', 'swc', 'babel', 'eslint', 'prettier', 'responsive design', 'mobile-first', 'accessibility', 'a11y', 'wcag', 'aria', 'pwa', 'progressive web app', 'spa', 'single page application', 'ssr', 'server side rendering', 'ssg', 'static site generation', 'jamstack',
-    // Mobile
-    'ios', 'android', 'react native', 'flutter', 'xamarin', 'ionic', 'cordova', 'capacitor', 'expo', 'mobile development', 'cross-platform', 'native app',
-    // Testing
-    'unit testing', 'integration testing', 'e2e', 'end-to-end', 'test automation', 'tdd', 'test driven', 'bdd', 'behavior driven', 'jest', 'mocha', 'chai', 'jasmine', 'karma', 'cypress', 'playwright', 'selenium', 'webdriver', 'puppeteer', 'pytest', 'unittest', 'junit', 'testng', 'rspec', 'cucumber', 'postman', 'newman', 'load testing', 'performance testing', 'jmeter', 'locust', 'k6', 'gatling', 'qa', 'quality assurance',
-    // Misc tech
-    'git', 'github', 'gitlab', 'bitbucket', 'svn', 'linux', 'unix', 'windows server', 'macos', 'shell scripting', 'regex', 'regular expressions', 'json', 'xml', 'yaml', 'protobuf', 'avro', 'parquet', 'orc', 'csv', 'markdown', 'agile', 'scrum', 'kanban', 'lean', 'safe', 'waterfall', 'sdlc', 'software development lifecycle',
-    // Blockchain & Web3
-    'blockchain', 'web3', 'ethereum', 'solana', 'polygon', 'smart contracts', 'defi', 'nft', 'dapp', 'ipfs', 'hardhat', 'truffle', 'foundry'
-  ];
-  
-  // Soft skills (critical for ATS)
-  const softSkillPatterns = [
-    'communication', 'communication skills', 'written communication', 'verbal communication', 'presentation skills',
-    'leadership', 'team leadership', 'technical leadership', 'thought leadership', 'people management',
-    'problem-solving', 'problem solving', 'critical thinking', 'analytical thinking', 'strategic thinking',
-    'teamwork', 'collaboration', 'cross-functional', 'cross functional', 'interdisciplinary',
-    'adaptability', 'flexibility', 'learning agility', 'growth mindset', 'self-motivated', 'proactive',
-    'time management', 'prioritization', 'multitasking', 'deadline-driven', 'results-oriented',
-    'attention to detail', 'detail-oriented', 'quality-focused', 'accuracy',
-    'project management', 'program management', 'stakeholder management', 'client-facing', 'customer-focused',
-    'mentoring', 'coaching', 'training', 'knowledge sharing', 'onboarding',
-    'negotiation', 'conflict resolution', 'decision-making', 'decision making', 'consensus building',
-    'innovation', 'creativity', 'design thinking', 'user-centric', 'empathy',
-    'accountability', 'ownership', 'initiative', 'self-starter', 'independent'
-  ];
-  
-  // Tools/platforms
-  const toolPatterns = [
-    'jira', 'confluence', 'slack', 'microsoft teams', 'teams', 'zoom', 'notion', 'asana', 'trello', 'monday', 'clickup', 'linear', 'shortcut', 'pivotal tracker',
-    'figma', 'sketch', 'adobe xd', 'invision', 'zeplin', 'miro', 'lucidchart', 'draw\\.io', 'excalidraw',
-    'postman', 'insomnia', 'swagger', 'openapi', 'graphiql', 'graphql playground',
-    'datadog', 'splunk', 'grafana', 'prometheus', 'new relic', 'dynatrace', 'appdynamics', 'elastic apm', 'honeycomb', 'lightstep', 'jaeger', 'zipkin',
-    'sentry', 'bugsnag', 'rollbar', 'logrocket', 'fullstory', 'hotjar',
-    'pagerduty', 'opsgenie', 'victorops', 'statuspage', 'incident\\.io',
-    'cloudwatch', 'stackdriver', 'azure monitor',
-    'sonarqube', 'snyk', 'dependabot', 'renovate', 'whitesource', 'black duck', 'veracode', 'checkmarx',
-    'salesforce', 'hubspot', 'zendesk', 'intercom', 'freshdesk',
-    'stripe', 'plaid', 'twilio', 'sendgrid', 'mailchimp', 'brevo',
-    '1password', 'lastpass', 'okta', 'auth0', 'onelogin', 'ping identity'
-  ];
-  
-  // Job titles/roles
-  const titlePatterns = [
-    'software engineer', 'senior software engineer', 'staff engineer', 'principal engineer', 'distinguished engineer', 'fellow',
-    'software developer', 'senior software developer', 'application developer', 'web developer', 'frontend developer', 'backend developer', 'full stack developer', 'fullstack developer',
-    'data scientist', 'senior data scientist', 'lead data scientist', 'principal data scientist',
-    'data engineer', 'senior data engineer', 'analytics engineer', 'bi engineer', 'business intelligence',
-    'data analyst', 'business analyst', 'product analyst', 'marketing analyst', 'financial analyst',
-    'ml engineer', 'machine learning engineer', 'ai engineer', 'applied scientist', 'research scientist', 'research engineer',
-    'solution architect', 'solutions architect', 'cloud architect', 'enterprise architect', 'technical architect', 'software architect', 'system architect',
-    'devops engineer', 'platform engineer', 'infrastructure engineer', 'reliability engineer', 'sre', 'site reliability engineer',
-    'security engineer', 'security analyst', 'information security', 'application security', 'cloud security',
-    'qa engineer', 'sdet', 'test engineer', 'quality engineer', 'automation engineer',
-    'technical lead', 'tech lead', 'team lead', 'engineering manager', 'engineering director', 'vp of engineering', 'cto', 'chief technology officer',
-    'product manager', 'product owner', 'program manager', 'project manager', 'scrum master', 'agile coach',
-    'frontend', 'backend', 'full stack', 'fullstack', 'mobile developer', 'ios developer', 'android developer'
-  ];
-  
-  // Certifications (highly valued by ATS)
-  const certificationPatterns = [
-    'aws certified', 'aws solutions architect', 'aws developer', 'aws sysops', 'aws devops', 'aws security', 'aws data analytics', 'aws machine learning',
-    'azure certified', 'azure administrator', 'azure developer', 'azure solutions architect', 'azure data engineer', 'azure ai engineer',
-    'gcp certified', 'google cloud certified', 'professional cloud architect', 'professional data engineer', 'professional cloud developer',
-    'cka', 'ckad', 'cks', 'kubernetes certified', 'certified kubernetes',
-    'terraform certified', 'hashicorp certified',
-    'pmp', 'project management professional', 'prince2', 'capm', 'agile certified', 'csm', 'certified scrum master', 'psm', 'safe certified',
-    'cissp', 'cism', 'cisa', 'comptia security\\+', 'ceh', 'certified ethical hacker', 'oscp',
-    'comptia a\\+', 'comptia network\\+', 'ccna', 'ccnp', 'ccie',
-    'ocjp', 'ocpjp', 'java certified', 'oracle certified',
-    'mcsa', 'mcse', 'microsoft certified',
-    'salesforce certified', 'servicenow certified', 'databricks certified', 'snowflake certified'
-  ];
-  
-  // Key action verbs / responsibilities (ATS loves these)
-  const responsibilityPatterns = [
-    'designed', 'developed', 'implemented', 'built', 'created', 'architected',
-    'led', 'managed', 'supervised', 'mentored', 'coached', 'trained',
-    'optimized', 'improved', 'enhanced', 'streamlined', 'automated',
-    'collaborated', 'partnered', 'coordinated', 'communicated',
-    'analyzed', 'evaluated', 'assessed', 'reviewed', 'audited',
-    'deployed', 'released', 'launched', 'shipped', 'delivered',
-    'scaled', 'migrated', 'integrated', 'refactored', 'modernized',
-    'reduced', 'increased', 'achieved', 'exceeded', 'accomplished',
-    'documented', 'maintained', 'supported', 'troubleshot', 'debugged', 'resolved'
-  ];
-  
-  const extractMatches = (patterns: string[]): string[] => {
-    const matches: string[] = [];
-    for (const pattern of patterns) {
-      const regex = new RegExp(`\\b${pattern}\\b`, 'gi');
-      if (regex.test(text)) {
-        // Capitalize properly and clean up escaped characters
-        const cleaned = pattern.replace(/\\\./g, '.').replace(/\\+/g, '+').replace(/\\?/g, '');
-        if (!matches.some(m => m.toLowerCase() === cleaned.toLowerCase())) {
-          // Smart capitalization
-          const capitalized = cleaned.split(' ').map(word => 
-            word.charAt(0).toUpperCase() + word.slice(1)
-          ).join(' ');
-          matches.push(capitalized);
-        }
-      }
-    }
-    return matches;
-  };
-  
-  // Extract with higher limits for better ATS coverage
-  const hardSkills = extractMatches(hardSkillPatterns).slice(0, 25);
-  const softSkills = extractMatches(softSkillPatterns).slice(0, 8);
-  const tools = extractMatches(toolPatterns).slice(0, 10);
-  const titles = extractMatches(titlePatterns).slice(0, 5);
-  const certifications = extractMatches(certificationPatterns).slice(0, 5);
-  const responsibilities = extractMatches(responsibilityPatterns).slice(0, 10);
-  
-  // Combined keywords prioritized for ATS scoring
-  const allKeywords = [
-    ...hardSkills,       // Primary skills - most important
-    ...titles,           // Job title matches
-    ...certifications,   // Certifications are high value
-    ...tools,            // Tools/platforms
-    ...softSkills        // Soft skills for culture fit
-  ].slice(0, 35);
-  
-  return { hardSkills, softSkills, tools, titles, certifications, responsibilities, allKeywords };
-}
-
-// Calculate accurate match score with fuzzy matching and synonym detection
-function calculateMatchScore(
-  jdKeywords: string[], 
-  profileSkills: any[], 
-  profileExperience: any[],
-  profileEducation: any[] = [],
-  profileCertifications: string[] = []
-): { score: number, matched: string[], missing: string[], partialMatches: string[] } {
-  
-  // Synonym mapping for common tech terms (helps with ATS variations)
-  const synonyms: Record<string, string[]> = {
-    'javascript': ['js', 'ecmascript', 'es6', 'es2015'],
-    'typescript': ['ts'],
-    'python': ['py'],
-    'kubernetes': ['k8s'],
-    'postgresql': ['postgres', 'psql'],
-    'mongodb': ['mongo'],
-    'amazon web services': ['aws'],
-    'google cloud': ['gcp', 'google cloud platform'],
-    'microsoft azure': ['azure'],
-    'node.js': ['nodejs', 'node'],
-    'react.js': ['reactjs', 'react'],
-    'vue.js': ['vuejs', 'vue'],
-    'next.js': ['nextjs', 'next'],
-    'machine learning': ['ml'],
-    'artificial intelligence': ['ai'],
-    'natural language processing': ['nlp'],
-    'continuous integration': ['ci'],
-    'continuous deployment': ['cd'],
-    'ci/cd': ['cicd', 'ci cd', 'continuous integration', 'continuous deployment'],
-    'rest api': ['restful', 'rest'],
-    'graphql': ['gql'],
-    'sql': ['structured query language'],
-    'nosql': ['no-sql', 'non-relational'],
-    'agile': ['scrum', 'kanban'],
-    'full stack': ['fullstack', 'full-stack'],
-    'frontend': ['front-end', 'front end'],
-    'backend': ['back-end', 'back end'],
-    'devops': ['dev ops', 'dev-ops'],
-  };
-  
-  // Build comprehensive profile text for matching
-  const profileSkillsLower = profileSkills.map(s => 
-    (typeof s === 'string' ? s : s.name || '').toLowerCase()
-  );
-  
-  const experienceText = profileExperience.map(exp => 
-    `${exp.title || ''} ${exp.company || ''} ${exp.description || ''} ${(exp.bullets || []).join(' ')}`
-  ).join(' ').toLowerCase();
-  
-  const educationText = profileEducation.map(edu =>
-    `${edu.degree || ''} ${edu.field || ''} ${edu.school || ''} ${edu.description || ''}`
-  ).join(' ').toLowerCase();
-  
-  const certText = profileCertifications.join(' ').toLowerCase();
-  
-  const fullProfileText = `${profileSkillsLower.join(' ')} ${experienceText} ${educationText} ${certText}`;
-  
-  const matched: string[] = [];
-  const missing: string[] = [];
-  const partialMatches: string[] = [];
-  
-  for (const keyword of jdKeywords) {
-    const keywordLower = keyword.toLowerCase();
-    
-    // Direct match
-    let isMatched = fullProfileText.includes(keywordLower);
-    
-    // Check synonyms if no direct match
-    if (!isMatched) {
-      const keywordSynonyms = synonyms[keywordLower] || [];
-      for (const syn of keywordSynonyms) {
-        if (fullProfileText.includes(syn)) {
-          isMatched = true;
-          partialMatches.push(`${keyword} (via ${syn})`);
-          break;
-        }
-      }
-      
-      // Check reverse synonyms (if profile has synonym, match the keyword)
-      if (!isMatched) {
-        for (const [mainTerm, syns] of Object.entries(synonyms)) {
-          if (syns.includes(keywordLower) && fullProfileText.includes(mainTerm)) {
-            isMatched = true;
-            partialMatches.push(`${keyword} (via ${mainTerm})`);
-            break;
-          }
-        }
-      }
-    }
-    
-    // Fuzzy match: check if keyword is substring or has high overlap
-    if (!isMatched) {
-      const words = keywordLower.split(/[\s\-\/]+/);
-      const matchedWords = words.filter(w => w.length > 2 && fullProfileText.includes(w));
-      if (matchedWords.length >= Math.ceil(words.length * 0.6)) {
-        isMatched = true;
-        partialMatches.push(`${keyword} (partial: ${matchedWords.join(', ')})`);
-      }
-    }
-    
-    if (isMatched) {
-      matched.push(keyword);
-    } else {
-      missing.push(keyword);
-    }
-  }
-  
-  // Calculate score with weighted importance
-  // Hard skills (first 15) = 4 points, Tools/Certs (15-25) = 3 points, Soft skills = 2 points
-  let totalPoints = 0;
-  let earnedPoints = 0;
-  
-  jdKeywords.forEach((kw, i) => {
-    const points = i < 15 ? 4 : (i < 25 ? 3 : 2);
-    totalPoints += points;
-    if (matched.includes(kw)) {
-      earnedPoints += points;
-    }
-  });
-  
-  const score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 50;
-  
-  return { 
-    score: Math.min(100, Math.max(0, score)), 
-    matched, 
-    missing,
-    partialMatches
-  };
-}
-
 serve(async (req) => {
   if (req.method === "OPTIONS") {
     return new Response(null, { headers: corsHeaders });
@@ -746,7 +463,7 @@ serve(async (req) => {
       console.log(`[User ${userId}] Profile loaded: ${rawData.userProfile.firstName} ${rawData.userProfile.lastName}`);
     }
     
-    const { jobTitle, company, description, requirements, location, extractedCity, jobId, userProfile, includeReferral } = validateRequest(rawData);
+    const { jobTitle, company, description, requirements, location, extractedCity, jobId, cvId, userProfile, includeReferral } = validateRequest(rawData);
     
     // Validate that profile has required info
     if (!userProfile.firstName || !userProfile.lastName) {
@@ -780,6 +497,38 @@ serve(async (req) => {
     // Jobscan keyword extraction
     const jdKeywords = extractJobscanKeywords(description, requirements);
     console.log(`Extracted ${jdKeywords.allKeywords.length} keywords from JD`);
+
+    // Base CV: the library resume covering the most JD keywords, or the one the user picked
+    const { data: libraryRows, error: libraryError } = await supabase
+      .from('cvs')
+      .select('id, name, tags, content, parsed_data, is_default, updated_at')
+      .eq('user_id', userId);
+    if (libraryError) {
+      console.error('Failed to load CV library:', libraryError);
+    }
+    const baseSelection = selectBaseCV((libraryRows || []) as BaseCV[], jdKeywords.allKeywords, `${jobTitle}\n${description}`, cvId);
+    if (cvId && !baseSelection) {
+      return new Response(JSON.stringify({ 
+        error: "Selected base CV was not found in your CV library." 
+      }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+    const baseCvText = baseSelection ? cvToText(baseSelection.cv) : '';
+    if (baseSelection) {
+      // Experience, skills and education come from the chosen base when it has them; contact details stay the profile's
+      const parsed = (baseSelection.cv.parsed_data || {}) as Record<string, unknown>;
+      const fromBase = <T>(field: string, fallback: T[]): T[] => {
+        const value = parsed[field];
+        return Array.isArray(value) && value.length ? value as T[] : fallback;
+      };
+      userProfile.workExperience = fromBase('work_experience', userProfile.workExperience);
+      userProfile.skills = fromBase('skills', userProfile.skills);
+      userProfile.education = fromBase('education', userProfile.education);
+      userProfile.certifications = fromBase('certifications', userProfile.certifications).map(String);
+      console.log(`Base CV: ${baseSelection.cv.name} (${baseSelection.coverage}% keyword coverage${baseSelection.tagHits.length ? `, tags: ${baseSelection.tagHits.join(', ')}` : ''}${baseSelection.overridden ? ', chosen by user' : ''})`);
+    }
     
     // Calculate accurate match score with enhanced matching
     const matchResult = calculateMatchScore(
@@ -895,7 +644,10 @@ ${userProfile.certifications?.join(", ") || 'None listed'}
 
 ACHIEVEMENTS:
 ${JSON.stringify(userProfile.achievements, null, 2)}
-
+${baseCvText ? `
+BASE RESUME "${baseSelection?.cv.name}" (start from this version - keep its emphasis and wording where it already fits the job):
+${baseCvText.substring(0, 12000)}
+` : ''}
 === INSTRUCTIONS ===
 
 1) CREATE RESUME with these exact sections:
@@ -1161,6 +913,13 @@ ${includeReferral ? `
     result.jobTitle = jobTitle;
     result.jobId = jobId;
     result.smartLocation = smartLocation;
+    result.baseCv = baseSelection ? {
+      id: baseSelection.cv.id,
+      name: baseSelection.cv.name,
+      coverage: baseSelection.coverage,
+      tagHits: baseSelection.tagHits,
+      overridden: baseSelection.overridden,
+    } : null;
     
     // Recalculate ACTUAL match score based on generated resume content
     const generatedResumeText = (result.tailoredResume || '').toLowerCase();
@@ -0,0 +1,6 @@
+-- Verified skills inventory: the only skills CV tailoring may add that the profile doesn't already show
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS verified_skills text[] DEFAULT '{}'::text[];
+
+-- Add comment for documentation
+COMMENT ON COLUMN public.profiles.verified_skills IS 'Skills the user has confirmed they hold; the extension truthfulness guard blocks or flags injection of any other skill';
@@ -0,0 +1,49 @@
+-- Outcome tracking: what went into each application, so its status can feed back into learning
+ALTER TABLE public.applications
+ADD COLUMN IF NOT EXISTS keywords_used text[] DEFAULT '{}'::text[],
+ADD COLUMN IF NOT EXISTS memory_ids uuid[] DEFAULT '{}'::uuid[];
+
+-- Add comment for documentation
+COMMENT ON COLUMN public.applications.keywords_used IS 'JD keywords the tailored resume matched/injected for this application';
+COMMENT ON COLUMN public.applications.memory_ids IS 'user_memories rows whose answers were used when filling this application';
+
+-- Per-keyword effectiveness: how often applications using a keyword reached interview/offer
+-- Pending applications have no outcome yet and are excluded
+CREATE OR REPLACE VIEW public.keyword_effectiveness
+WITH (security_invoker = true) AS
+SELECT
+  a.user_id,
+  lower(k.keyword) AS keyword,
+  count(*)::integer AS applications,
+  (count(*) FILTER (WHERE a.status IN ('interviewing', 'offered')))::integer AS interviews,
+  (count(*) FILTER (WHERE a.status = 'offered'))::integer AS offers,
+  (count(*) FILTER (WHERE a.status = 'rejected'))::integer AS rejections,
+  round((count(*) FILTER (WHERE a.status IN ('interviewing', 'offered')))::numeric / count(*), 3) AS interview_rate,
+  max(a.updated_at) AS last_outcome_at
+FROM public.applications a
+CROSS JOIN LATERAL unnest(a.keywords_used) AS k(keyword)
+WHERE a.status <> 'pending'
+GROUP BY a.user_id, lower(k.keyword);
+
+-- Per-answer effectiveness: outcomes of applications filled with a remembered answer
+CREATE OR REPLACE VIEW public.answer_effectiveness
+WITH (security_invoker = true) AS
+SELECT
+  a.user_id,
+  m.id AS memory_id,
+  m.question_normalized,
+  m.answer,
+  count(*)::integer AS applications,
+  (count(*) FILTER (WHERE a.status IN ('interviewing', 'offered')))::integer AS interviews,
+  (count(*) FILTER (WHERE a.status = 'offered'))::integer AS offers,
+  (count(*) FILTER (WHERE a.status = 'rejected'))::integer AS rejections,
+  round((count(*) FILTER (WHERE a.status IN ('interviewing', 'offered')))::numeric / count(*), 3) AS interview_rate
+FROM public.applications a
+CROSS JOIN LATERAL unnest(a.memory_ids) AS u(memory_id)
+JOIN public.user_memories m ON m.id = u.memory_id
+WHERE a.status <> 'pending'
+GROUP BY a.user_id, m.id;
+
+-- Add comment for documentation
+COMMENT ON VIEW public.keyword_effectiveness IS 'Interview/offer rate of applications per keyword used; weights extension keyword extraction';
+COMMENT ON VIEW public.answer_effectiveness IS 'Interview/offer rate of applications per remembered answer; weights answer-questions memory recall';
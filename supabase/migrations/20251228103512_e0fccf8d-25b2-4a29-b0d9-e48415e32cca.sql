@@ -0,0 +1,125 @@
+-- Memory manager: users curate the answers answer-questions reuses
+-- reuse_policy: 'auto' (recalled by similarity), 'always' (preferred whenever it matches), 'never' (kept but not recalled)
+-- alias_hashes: query hashes of duplicates merged into this memory, recalled as exact matches
+-- edited_at: set when the user rewrote the answer; answer-questions no longer overwrites it
+ALTER TABLE public.user_memories
+ADD COLUMN IF NOT EXISTS reuse_policy text NOT NULL DEFAULT 'auto',
+ADD COLUMN IF NOT EXISTS alias_hashes text[] NOT NULL DEFAULT '{}'::text[],
+ADD COLUMN IF NOT EXISTS edited_at timestamp with time zone;
+
+ALTER TABLE public.user_memories
+ADD CONSTRAINT user_memories_reuse_policy_check CHECK (reuse_policy IN ('auto', 'always', 'never'));
+
+CREATE INDEX IF NOT EXISTS idx_user_memories_alias_hashes ON public.user_memories USING GIN(alias_hashes);
+
+-- Add comment for documentation
+COMMENT ON COLUMN public.user_memories.reuse_policy IS 'auto | always | never - how answer-questions may reuse this answer';
+COMMENT ON COLUMN public.user_memories.alias_hashes IS 'query_hash values of duplicate memories merged into this one';
+COMMENT ON COLUMN public.user_memories.edited_at IS 'When the user last edited the canonical answer';
+
+-- Pruning keeps answers the user pinned or edited
+CREATE OR REPLACE FUNCTION public.prune_user_memories()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  memory_count INTEGER;
+BEGIN
+  -- Count memories for this user
+  SELECT COUNT(*) INTO memory_count 
+  FROM public.user_memories 
+  WHERE user_id = NEW.user_id;
+  
+  -- If over 200, delete oldest/lowest confidence entries the user hasn't curated
+  IF memory_count > 200 THEN
+    DELETE FROM public.user_memories 
+    WHERE id IN (
+      SELECT id FROM public.user_memories 
+      WHERE user_id = NEW.user_id
+        AND reuse_policy <> 'always'
+        AND edited_at IS NULL
+      ORDER BY 
+        CASE confidence 
+          WHEN 'low' THEN 0 
+          WHEN 'medium' THEN 1 
+          WHEN 'high' THEN 2 
+        END,
+        used_count ASC,
+        last_used_at ASC
+      LIMIT (memory_count - 200)
+    );
+  END IF;
+  
+  RETURN NEW;
+END;
+$$;
+
+-- Merge duplicate memories into one canonical answer. The duplicates' question hashes
+-- become aliases of the target, their usage is added to it, and applications credited
+-- to them (memory_ids) are credited to the target so answer_effectiveness carries over.
+-- Runs as the caller: RLS limits every statement to their own memories and applications.
+CREATE OR REPLACE FUNCTION public.merge_user_memories(target_id uuid, source_ids uuid[])
+RETURNS SETOF public.user_memories
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  canonical public.user_memories;
+  sources uuid[];
+  source_hashes text[];
+  source_uses integer;
+  source_last_used timestamp with time zone;
+BEGIN
+  SELECT * INTO canonical FROM public.user_memories WHERE id = target_id;
+  IF canonical.id IS NULL THEN
+    RAISE EXCEPTION 'Memory % not found', target_id;
+  END IF;
+
+  SELECT
+    coalesce(array_agg(s.id), '{}'),
+    coalesce(sum(s.used_count), 0)::integer,
+    max(s.last_used_at)
+  INTO sources, source_uses, source_last_used
+  FROM public.user_memories s
+  WHERE s.id = ANY(source_ids)
+    AND s.id <> target_id
+    AND s.user_id = canonical.user_id;
+
+  IF array_length(sources, 1) IS NULL THEN
+    RETURN QUERY SELECT * FROM public.user_memories WHERE id = target_id;
+    RETURN;
+  END IF;
+
+  SELECT coalesce(array_agg(DISTINCT h), '{}') INTO source_hashes
+  FROM public.user_memories s
+  CROSS JOIN LATERAL unnest(s.query_hash || s.alias_hashes) AS h
+  WHERE s.id = ANY(sources);
+
+  UPDATE public.applications a
+  SET memory_ids = ARRAY(
+    SELECT DISTINCT CASE WHEN m = ANY(sources) THEN target_id ELSE m END
+    FROM unnest(a.memory_ids) AS m
+  )
+  WHERE a.user_id = canonical.user_id
+    AND a.memory_ids && sources;
+
+  DELETE FROM public.user_memories WHERE id = ANY(sources);
+
+  RETURN QUERY
+  UPDATE public.user_memories
+  SET
+    alias_hashes = ARRAY(
+      SELECT DISTINCT h FROM unnest(canonical.alias_hashes || source_hashes) AS h
+      WHERE h <> canonical.query_hash
+    ),
+    used_count = canonical.used_count + source_uses,
+    last_used_at = greatest(canonical.last_used_at, source_last_used)
+  WHERE id = target_id
+  RETURNING *;
+END;
+$$;
+
+COMMENT ON FUNCTION public.merge_user_memories(uuid, uuid[]) IS 'Fold duplicate user_memories into target_id, keeping their question hashes as aliases and their application credit';
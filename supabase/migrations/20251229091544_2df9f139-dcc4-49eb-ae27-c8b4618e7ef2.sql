@@ -0,0 +1,41 @@
+-- Semantic recall for answer-questions memory: each memory keeps an embedding of its question
+-- and the model that produced it. Dimensions differ by provider (OpenAI vs the offline model),
+-- so the column is unconstrained and only same-model vectors are ever compared.
+CREATE EXTENSION IF NOT EXISTS vector WITH SCHEMA extensions;
+
+ALTER TABLE public.user_memories
+ADD COLUMN IF NOT EXISTS question_embedding extensions.vector,
+ADD COLUMN IF NOT EXISTS embedding_model text;
+
+CREATE INDEX IF NOT EXISTS idx_user_memories_user_model ON public.user_memories(user_id, embedding_model);
+
+-- Add comment for documentation
+COMMENT ON COLUMN public.user_memories.question_embedding IS 'Embedding of question_normalized, compared by cosine in match_user_memories';
+COMMENT ON COLUMN public.user_memories.embedding_model IS 'Model that produced question_embedding, e.g. text-embedding-3-small or local-hash-512';
+
+-- Nearest memories to a question embedding, by cosine similarity. Memories are capped at
+-- 200 per user (prune_user_memories), so a scan of the user's rows is cheap enough
+-- without an ANN index - which would need a fixed dimension anyway.
+CREATE OR REPLACE FUNCTION public.match_user_memories(
+  p_user_id uuid,
+  p_embedding extensions.vector,
+  p_model text,
+  p_limit integer DEFAULT 5
+)
+RETURNS TABLE (memory_id uuid, similarity double precision)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public, extensions
+AS $$
+  SELECT m.id, 1 - (m.question_embedding <=> p_embedding)
+  FROM public.user_memories m
+  WHERE m.user_id = p_user_id
+    AND m.embedding_model = p_model
+    AND m.question_embedding IS NOT NULL
+    AND m.reuse_policy <> 'never'
+  ORDER BY m.question_embedding <=> p_embedding
+  LIMIT p_limit;
+$$;
+
+COMMENT ON FUNCTION public.match_user_memories(uuid, extensions.vector, text, integer) IS 'Top memories by cosine similarity to a question embedding from the same model';
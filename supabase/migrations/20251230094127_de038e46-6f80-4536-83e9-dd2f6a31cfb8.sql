@@ -0,0 +1,13 @@
+-- Voluntary disclosure policy: per category, whether autofill answers EEO, criminal history and
+-- prior-employment questions from the profile ("disclose") or declines them ("decline").
+-- A category left out is never answered for the user - not from a default, not by the AI.
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS disclosure_policy JSONB NOT NULL DEFAULT '{}'::jsonb,
+ADD COLUMN IF NOT EXISTS criminal_record BOOLEAN;
+
+ALTER TABLE public.profiles
+ADD CONSTRAINT profiles_disclosure_policy_object CHECK (jsonb_typeof(disclosure_policy) = 'object');
+
+-- Add comment for documentation
+COMMENT ON COLUMN public.profiles.disclosure_policy IS 'Per category (gender, ethnicity, veteran, disability, criminal_history, prior_employment): disclose or decline; missing categories are left for the user';
+COMMENT ON COLUMN public.profiles.criminal_record IS 'Whether the user has a criminal conviction to disclose; NULL until they say, and only used when criminal_history is disclose';
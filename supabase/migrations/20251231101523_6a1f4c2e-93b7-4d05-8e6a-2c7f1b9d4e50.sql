@@ -0,0 +1,59 @@
+-- Resume library: several base CVs per user (e.g. backend, data, management), each tagged.
+-- Tailoring picks the base whose content covers the most JD keywords (tags found in the job
+-- break ties toward it); the user can override the pick in the extension popup.
+-- With an empty library tailoring starts from the profile, as before.
+-- content: plain-text resume the selector scores and tailoring starts from
+-- parsed_data: structured parse-cv output (work_experience, skills, education, ...), scored when
+-- there is no content and used for the experience and skills of a CV tailored from this base
+CREATE TABLE public.cvs (
+  id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  tags TEXT[] NOT NULL DEFAULT '{}'::text[],
+  file_path TEXT,
+  file_name TEXT,
+  content TEXT,
+  parsed_data JSONB,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+-- Enable RLS on cvs
+ALTER TABLE public.cvs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own CVs"
+ON public.cvs
+FOR SELECT
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can add their own CVs"
+ON public.cvs
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own CVs"
+ON public.cvs
+FOR UPDATE
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own CVs"
+ON public.cvs
+FOR DELETE
+USING (auth.uid() = user_id);
+
+-- Create index for faster lookups; at most one default base per user
+CREATE INDEX idx_cvs_user_id ON public.cvs(user_id);
+CREATE UNIQUE INDEX idx_cvs_one_default ON public.cvs(user_id) WHERE is_default;
+
+-- Trigger to update updated_at
+CREATE TRIGGER update_cvs_updated_at
+BEFORE UPDATE ON public.cvs
+FOR EACH ROW
+EXECUTE FUNCTION public.update_updated_at_column();
+
+-- Add comment for documentation
+COMMENT ON TABLE public.cvs IS 'Base resume library; tailor-application selects one per job by keyword coverage unless a cvId is given';
+COMMENT ON COLUMN public.cvs.tags IS 'Focus tags such as backend, data, management; a tag in the job title or description boosts this base';
+COMMENT ON COLUMN public.cvs.content IS 'Plain-text resume used for selection and as the tailoring base';
+COMMENT ON COLUMN public.cvs.parsed_data IS 'parse-cv output for this file; the selector falls back to it without content';